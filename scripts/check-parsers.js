@@ -0,0 +1,66 @@
+import assert from 'assert/strict';
+import { parseMoney } from '../src/services/profileExtraction/utils/money.js';
+import { parseDate } from '../src/services/profileExtraction/utils/dates.js';
+
+/**
+ * Regression check for the price and date parsers every extractor relies on.
+ * Runs without MongoDB or network access.
+ *
+ * Usage: npm run test:parsers
+ */
+const MONEY_CASES = [
+  ['₦ 45,000', {}, { amount: 45000, currency: 'NGN' }],
+  ['N45,000', {}, { amount: 45000, currency: 'NGN' }],
+  ['45,000 naira', {}, { amount: 45000, currency: 'NGN' }],
+  ['3 for ₦1000', {}, { amount: 1000, currency: 'NGN' }],
+  ['CA$12.99', {}, { amount: 12.99, currency: 'CAD' }],
+  ['$25', { defaultCurrency: 'CAD' }, { amount: 25, currency: 'CAD' }],
+  ['GH₵ 300', {}, { amount: 300, currency: 'GHS' }],
+  ['KSh 1.2M', {}, { amount: 1200000, currency: 'KES' }],
+  ['Ksh 2,500', {}, { amount: 2500, currency: 'KES' }],
+  ['ksh 2,500', {}, { amount: 2500, currency: 'KES' }],
+  ['Brush set $10', {}, { amount: 10, currency: 'USD' }],
+  ['1.234,56 EUR', {}, { amount: 1234.56, currency: 'EUR' }],
+  ['€ 12,99', {}, { amount: 12.99, currency: 'EUR' }],
+  ['$10 - $20', {}, { amount: 10, maxAmount: 20, currency: 'USD' }],
+  ['₦10,000 - ₦15,000', {}, { amount: 10000, maxAmount: 15000, currency: 'NGN' }],
+  ['45,000 (Negotiable)', { defaultCurrency: 'NGN' }, { amount: 45000, currency: 'NGN', negotiable: true }],
+  ['Free', { defaultCurrency: 'CAD' }, { amount: 0, currency: 'CAD' }],
+  ['Contact for price', {}, { amount: null }]
+];
+
+// Relative dates are anchored at this scrape time
+const NOW = new Date('2025-03-10T12:00:00Z');
+
+const DATE_CASES = [
+  ['Vu il y a 2 jours', '2025-03-08T12:00:00.000Z'],
+  ['Last seen 3 hours ago', '2025-03-10T09:00:00.000Z'],
+  ['hier', '2025-03-09T12:00:00.000Z'],
+  ['Membre depuis 2019', '2019-01-01T00:00:00.000Z'],
+  ['Joined March 2019', '2019-03-01T00:00:00.000Z'],
+  ['5 janvier 2024', '2024-01-05T00:00:00.000Z'],
+  ['Jan 5, 2024', '2024-01-05T00:00:00.000Z'],
+  ['12-03-2024', '2024-03-12T00:00:00.000Z']
+];
+
+function checkParsers() {
+  for (const [text, options, expected] of MONEY_CASES) {
+    const parsed = parseMoney(text, options);
+    for (const [key, value] of Object.entries(expected)) {
+      assert.equal(parsed[key], value, `parseMoney("${text}").${key}`);
+    }
+  }
+
+  for (const [text, expected] of DATE_CASES) {
+    assert.equal(parseDate(text, { now: NOW })?.toISOString() ?? null, expected, `parseDate("${text}")`);
+  }
+
+  console.log(`✅ ${MONEY_CASES.length} price and ${DATE_CASES.length} date cases parsed`);
+}
+
+try {
+  checkParsers();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,110 @@
+import assert from 'assert/strict';
+import Listing from '../src/models/Listing.model.js';
+import ScoringProfile from '../src/models/ScoringProfile.model.js';
+import pulseScoringService from '../src/services/pulseScoring.service.js';
+import { analyzeListingPrices } from '../src/services/priceAnalysis.service.js';
+
+/**
+ * Check that a listing priced far below its category's market median is flagged and lowers
+ * the Pulse score. Runs without MongoDB: the Listing and ScoringProfile queries are served
+ * from the data below, so the built-in scoring profile is used.
+ *
+ * Usage: npm run test:price-anomalies
+ */
+const MARKET = { category: 'Mobile Phones', currency: 'NGN', medianPrice: 250000, count: 40 };
+
+const storedListings = [
+  {
+    listingUrl: 'https://jiji.ng/ikeja/mobile-phones/iphone-13-pro-128gb-abc123.html',
+    listingData: { category: MARKET.category, currency: MARKET.currency }
+  },
+  {
+    listingUrl: 'https://jiji.ng/ikeja/mobile-phones/samsung-galaxy-s21-def456.html',
+    listingData: { category: MARKET.category, currency: MARKET.currency }
+  }
+];
+
+Listing.find = ({ listingUrl }) => ({
+  select: () => ({
+    lean: async () => storedListings.filter(listing => listingUrl.$in.includes(listing.listingUrl))
+  })
+});
+Listing.getPriceStats = async (category, platform, { currency } = {}) =>
+  category === MARKET.category && currency === MARKET.currency
+    ? [{ medianPrice: MARKET.medianPrice, averagePrice: MARKET.medianPrice, count: MARKET.count }]
+    : [];
+ScoringProfile.findOne = () => ({ lean: async () => null });
+
+function buildSeller(iphonePrice) {
+  return {
+    platform: 'jiji',
+    profileUrl: 'https://jiji.ng/sellerpage-12345',
+    profileData: { name: 'Gadget Hub', location: 'Ikeja, Lagos', profilePicture: 'https://pictures.jiji.ng/a.jpg' },
+    marketplaceData: { verificationStatus: 'phone-verified', accountAge: 18, totalReviews: 12, avgRating: 4.6, lastSeen: 1 },
+    recentListings: [
+      {
+        title: 'iPhone 13 Pro 128GB',
+        price: iphonePrice,
+        currency: 'NGN',
+        // Query strings are dropped when matching stored listings
+        url: `${storedListings[0].listingUrl}?page=1`,
+        description: 'Clean UK used iPhone 13 Pro, 128GB, battery health 89%, comes with charger and case.'
+      },
+      {
+        title: 'Samsung Galaxy S21',
+        price: 230000,
+        currency: 'NGN',
+        url: storedListings[1].listingUrl,
+        description: 'Neatly used Samsung Galaxy S21, 8GB RAM, 128GB storage, no scratches, face ID working.'
+      }
+    ]
+  };
+}
+
+async function scoreSeller(seller) {
+  const priceAnalysis = await analyzeListingPrices(seller);
+  const scoringResult = await pulseScoringService.calculatePulseScore(
+    { ...seller, priceAnalysis },
+    seller.recentListings,
+    null
+  );
+
+  return { priceAnalysis, scoringResult };
+}
+
+async function checkPriceAnomalies() {
+  const fair = await scoreSeller(buildSeller(260000));
+  const underpriced = await scoreSeller(buildSeller(60000));
+
+  assert.equal(fair.priceAnalysis.comparedListings, 2, 'both listings get a category from their stored Listing');
+  assert.equal(fair.priceAnalysis.anomalies.length, 0, 'fairly priced listings are not flagged');
+
+  assert.equal(underpriced.priceAnalysis.anomalies.length, 1, 'the underpriced listing is flagged');
+  assert.equal(underpriced.priceAnalysis.anomalies[0].anomalyType, 'too-low');
+  assert.equal(underpriced.priceAnalysis.anomalies[0].listingIndex, 1);
+
+  const redFlags = underpriced.scoringResult.categories.behavioralRedFlags;
+  assert.ok(
+    redFlags.evidence.some(entry => entry.signal === 'behavioralRedFlags.underpricedListing'),
+    'the underpriced listing is red-flag evidence'
+  );
+  assert.ok(
+    redFlags.score < fair.scoringResult.categories.behavioralRedFlags.score,
+    'the underpriced listing lowers the red-flags score'
+  );
+  assert.ok(
+    underpriced.scoringResult.pulseScore < fair.scoringResult.pulseScore,
+    `the underpriced listing lowers the Pulse score (${underpriced.scoringResult.pulseScore} vs ${fair.scoringResult.pulseScore})`
+  );
+
+  console.log(
+    `✅ Underpriced listing flagged: Pulse score ${fair.scoringResult.pulseScore} → ${underpriced.scoringResult.pulseScore}`
+  );
+}
+
+checkPriceAnomalies()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,181 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Seller from '../src/models/Seller.model.js';
+import Extraction from '../src/models/Extraction.model.js';
+import Listing from '../src/models/Listing.model.js';
+import ProfileVerification from '../src/models/ProfileVerification.model.js';
+import { canonicalizeProfile } from '../src/services/profileExtraction/urlCanonicalizer.js';
+
+dotenv.config();
+
+/**
+ * Canonicalize stored profile URLs and merge sellers that turn out to be the same profile.
+ * Usage: npm run merge-duplicate-sellers [-- --dry-run]
+ *
+ * For every group of sellers sharing a canonical URL the primary record is kept
+ * (claimed seller first, then the most recently scored, then the oldest). Flags,
+ * endorsements and listing history of the others are merged into it, their
+ * extractions and listings are re-pointed, and the duplicates are deleted.
+ * Groups claimed by more than one user are reported and left untouched.
+ */
+async function mergeDuplicateSellers({ dryRun }) {
+  const sellers = await Seller.find({})
+    .select('profileUrl platform platformHandle userId isClaimed flags endorsements listingHistory firstSeen lastScored createdAt')
+    .lean();
+
+  const groups = new Map();
+  sellers.forEach(seller => {
+    const { canonicalUrl, handle } = canonicalizeProfile(seller.profileUrl);
+    if (!groups.has(canonicalUrl)) {
+      groups.set(canonicalUrl, { handle, sellers: [] });
+    }
+    groups.get(canonicalUrl).sellers.push(seller);
+  });
+
+  const summary = { canonicalized: 0, merged: 0, deleted: 0, conflicts: 0, verifications: 0 };
+
+  for (const [canonicalUrl, group] of groups) {
+    if (group.sellers.length === 1) {
+      const [seller] = group.sellers;
+      if (seller.profileUrl === canonicalUrl && (seller.platformHandle || null) === group.handle) {
+        continue;
+      }
+
+      console.log(`🔗 ${seller.profileUrl} → ${canonicalUrl}`);
+      summary.canonicalized += 1;
+      if (!dryRun) {
+        await Seller.updateOne(
+          { _id: seller._id },
+          { $set: { profileUrl: canonicalUrl, platformHandle: group.handle } }
+        );
+      }
+      continue;
+    }
+
+    const owners = new Set(
+      group.sellers.filter(seller => seller.isClaimed && seller.userId).map(seller => seller.userId.toString())
+    );
+    if (owners.size > 1) {
+      console.warn(`⚠️  ${canonicalUrl}: claimed by ${owners.size} different users, skipping`);
+      summary.conflicts += 1;
+      continue;
+    }
+
+    const [primary, ...duplicates] = [...group.sellers].sort(comparePrimaryCandidates);
+    const duplicateIds = duplicates.map(seller => seller._id);
+
+    console.log(`🧬 ${canonicalUrl}: keeping ${primary._id}, merging ${duplicateIds.join(', ')}`);
+    summary.merged += 1;
+    summary.deleted += duplicateIds.length;
+
+    if (dryRun) {
+      continue;
+    }
+
+    await moveExtractions(duplicateIds, primary._id);
+    await Listing.updateMany({ sellerId: { $in: duplicateIds } }, { $set: { sellerId: primary._id } });
+
+    // Delete duplicates before updating the primary so the unique profileUrl index cannot collide
+    await Seller.deleteMany({ _id: { $in: duplicateIds } });
+    await Seller.updateOne(
+      { _id: primary._id },
+      {
+        $set: {
+          profileUrl: canonicalUrl,
+          platformHandle: group.handle,
+          flags: mergeByUser(group.sellers.map(seller => seller.flags)),
+          endorsements: mergeByUser(group.sellers.map(seller => seller.endorsements)),
+          listingHistory: mergeIds(group.sellers.map(seller => seller.listingHistory)),
+          firstSeen: earliestDate(group.sellers.map(seller => seller.firstSeen || seller.createdAt))
+        }
+      }
+    );
+  }
+
+  const verifications = await ProfileVerification.find({}).select('profileUrl').lean();
+  for (const verification of verifications) {
+    const { canonicalUrl } = canonicalizeProfile(verification.profileUrl);
+    if (canonicalUrl === verification.profileUrl) {
+      continue;
+    }
+
+    summary.verifications += 1;
+    if (!dryRun) {
+      await ProfileVerification.updateOne({ _id: verification._id }, { $set: { profileUrl: canonicalUrl } });
+    }
+  }
+
+  console.log(`\n${dryRun ? '[dry run] ' : ''}Canonicalized ${summary.canonicalized} seller URL(s), merged ${summary.merged} group(s), deleted ${summary.deleted} duplicate(s), updated ${summary.verifications} verification(s), skipped ${summary.conflicts} conflict(s)`);
+}
+
+function comparePrimaryCandidates(a, b) {
+  if (a.isClaimed !== b.isClaimed) {
+    return a.isClaimed ? -1 : 1;
+  }
+
+  const scoredDiff = new Date(b.lastScored || 0) - new Date(a.lastScored || 0);
+  if (scoredDiff !== 0) {
+    return scoredDiff;
+  }
+
+  return new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+}
+
+// Extractions are unique per (userId, sellerId): keep the most recent one per user
+async function moveExtractions(duplicateIds, primaryId) {
+  const extractions = await Extraction.find({ sellerId: { $in: duplicateIds } }).lean();
+
+  for (const extraction of extractions) {
+    const existing = await Extraction.findOne({ userId: extraction.userId, sellerId: primaryId }).lean();
+
+    if (!existing) {
+      await Extraction.updateOne({ _id: extraction._id }, { $set: { sellerId: primaryId } });
+      continue;
+    }
+
+    if (new Date(extraction.extractedAt) > new Date(existing.extractedAt)) {
+      await Extraction.deleteOne({ _id: existing._id });
+      await Extraction.updateOne({ _id: extraction._id }, { $set: { sellerId: primaryId } });
+    } else {
+      await Extraction.deleteOne({ _id: extraction._id });
+    }
+  }
+}
+
+// One flag/endorsement per user, keeping the earliest
+function mergeByUser(lists) {
+  const byUser = new Map();
+
+  lists.flat().filter(Boolean).forEach(entry => {
+    const key = entry.userId?.toString();
+    const existing = byUser.get(key);
+    if (!existing || new Date(entry.timestamp || 0) < new Date(existing.timestamp || 0)) {
+      byUser.set(key, entry);
+    }
+  });
+
+  return [...byUser.values()];
+}
+
+function mergeIds(lists) {
+  const ids = new Map();
+  lists.flat().filter(Boolean).forEach(id => ids.set(id.toString(), id));
+  return [...ids.values()];
+}
+
+function earliestDate(dates) {
+  const timestamps = dates.filter(Boolean).map(date => new Date(date).getTime());
+  return timestamps.length > 0 ? new Date(Math.min(...timestamps)) : new Date();
+}
+
+const dryRun = process.argv.includes('--dry-run');
+
+mongoose
+  .connect(process.env.MONGODB_URI)
+  .then(() => mergeDuplicateSellers({ dryRun }))
+  .then(() => mongoose.disconnect())
+  .catch(async error => {
+    console.error('Merging duplicate sellers failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
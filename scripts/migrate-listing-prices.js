@@ -0,0 +1,89 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Seller from '../src/models/Seller.model.js';
+import { toListingPrice } from '../src/services/profileExtraction/utils/money.js';
+import { getJijiCountry } from '../src/services/profileExtraction/platforms/jijiExtractor.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 200;
+
+// Currency each extractor assumes when the price text names none (Jiji goes by country site)
+const PLATFORM_CURRENCIES = {
+  jumia: 'NGN',
+  konga: 'NGN',
+  kijiji: 'CAD',
+  etsy: 'USD',
+  ebay: 'USD'
+};
+
+/**
+ * Re-parse recent listing prices stored as display text ("₦ 45,000") before prices became
+ * numbers, so those sellers validate against the Seller schema again.
+ * Usage: npm run migrate-listing-prices [-- --dry-run]
+ *
+ * The text moves to priceText and price, priceMax, currency and negotiable are filled by the
+ * money parser. The raw collection is read and written, since Mongoose cannot cast the old values.
+ */
+async function migrateListingPrices({ dryRun }) {
+  const summary = { sellers: 0, listings: 0, unpriced: 0 };
+  let operations = [];
+
+  const flush = async () => {
+    if (!dryRun && operations.length > 0) {
+      await Seller.collection.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  const cursor = Seller.collection.find(
+    { 'recentListings.price': { $type: 'string' } },
+    { projection: { platform: 1, profileUrl: 1, recentListings: 1 } }
+  );
+
+  for await (const seller of cursor) {
+    const defaultCurrency =
+      seller.platform === 'jiji' ? getJijiCountry(seller.profileUrl).currency : PLATFORM_CURRENCIES[seller.platform] || null;
+
+    const recentListings = seller.recentListings.map(listing => {
+      if (typeof listing.price !== 'string') {
+        return listing;
+      }
+
+      const { price, priceMax, currency, negotiable, priceText } = toListingPrice(listing.price, {
+        defaultCurrency: listing.currency || defaultCurrency
+      });
+      summary.listings += 1;
+      if (price === null) {
+        summary.unpriced += 1;
+      }
+
+      return { ...listing, price, priceMax, currency, negotiable, priceText: listing.priceText || priceText };
+    });
+
+    summary.sellers += 1;
+    operations.push({ updateOne: { filter: { _id: seller._id }, update: { $set: { recentListings } } } });
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  console.log(
+    `${dryRun ? 'Would migrate' : 'Migrated'} ${summary.listings} listing prices of ${summary.sellers} sellers ` +
+      `(${summary.unpriced} without a readable amount)`
+  );
+}
+
+const dryRun = process.argv.includes('--dry-run');
+
+mongoose
+  .connect(process.env.MONGODB_URI)
+  .then(() => migrateListingPrices({ dryRun }))
+  .then(() => mongoose.disconnect())
+  .catch(async error => {
+    console.error('Migrating listing prices failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
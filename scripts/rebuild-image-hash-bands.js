@@ -0,0 +1,59 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import ImageHash from '../src/models/ImageHash.model.js';
+import { getHashBands } from '../src/utils/imageHash.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+/**
+ * Recompute the lookup bands of stored image hashes, e.g. after the band layout changed.
+ * Usage: npm run rebuild-image-hash-bands [-- --dry-run]
+ *
+ * Hashes whose bands are already current are left untouched.
+ */
+async function rebuildImageHashBands({ dryRun }) {
+  const summary = { checked: 0, updated: 0 };
+  let operations = [];
+
+  const flush = async () => {
+    if (!dryRun && operations.length > 0) {
+      await ImageHash.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  for await (const imageHash of ImageHash.find({}).select('hash bands').lean().cursor()) {
+    summary.checked += 1;
+
+    const bands = getHashBands(imageHash.hash);
+    if (bands.join() === (imageHash.bands || []).join()) {
+      continue;
+    }
+
+    summary.updated += 1;
+    operations.push({ updateOne: { filter: { _id: imageHash._id }, update: { $set: { bands } } } });
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  console.log(
+    `${dryRun ? 'Would update' : 'Updated'} ${summary.updated} of ${summary.checked} image hashes`
+  );
+}
+
+const dryRun = process.argv.includes('--dry-run');
+
+mongoose
+  .connect(process.env.MONGODB_URI)
+  .then(() => rebuildImageHashBands({ dryRun }))
+  .then(() => mongoose.disconnect())
+  .catch(async error => {
+    console.error('Rebuilding image hash bands failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,41 @@
+import dotenv from 'dotenv';
+import { scrapeProfilePage } from '../src/services/profileExtraction/scraper.js';
+import { saveScrapeFixture } from '../src/services/profileExtraction/fixtureStore.js';
+import { detectPlatform } from '../src/services/profileExtraction.service.js';
+
+dotenv.config();
+
+/**
+ * Record the raw scrape payload for one or more seller URLs.
+ * Usage: npm run record-fixture -- <url> [<url> ...]
+ */
+async function recordFixtures(urls) {
+  if (urls.length === 0) {
+    console.error('Usage: npm run record-fixture -- <url> [<url> ...]');
+    process.exit(1);
+  }
+
+  let failed = 0;
+
+  for (const url of urls) {
+    const platform = detectPlatform(url);
+    if (!platform) {
+      console.error(`❌ Unsupported platform for URL: ${url}`);
+      failed += 1;
+      continue;
+    }
+
+    try {
+      const scrapedData = await scrapeProfilePage(url, platform);
+      const payloadPath = await saveScrapeFixture(platform, url, scrapedData);
+      console.log(`✅ Recorded ${url} -> ${payloadPath}`);
+    } catch (error) {
+      console.error(`❌ Failed to record ${url}: ${error.message}`);
+      failed += 1;
+    }
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+recordFixtures(process.argv.slice(2));
@@ -0,0 +1,123 @@
+import fs from 'fs/promises';
+import { platformExtractors, runExtractor } from '../src/services/profileExtraction.service.js';
+import { listScrapeFixtures } from '../src/services/profileExtraction/fixtureStore.js';
+import { ExtractionValidationError } from '../src/services/profileExtraction/extractionSchema.js';
+
+/**
+ * Replay recorded scrape payloads through the platform extractors and diff the
+ * output against the expected (golden) JSON stored next to each fixture.
+ *
+ * Usage: npm run test:extractors [-- --platform jumia] [-- --update]
+ *   --update   write the current extractor output as the new expected JSON
+ */
+const MAX_DIFFS_PER_FIXTURE = 20;
+
+async function replayExtractors() {
+  const args = process.argv.slice(2);
+  const update = args.includes('--update');
+  const platformIndex = args.indexOf('--platform');
+  const platform = platformIndex !== -1 ? args[platformIndex + 1] : null;
+
+  const fixtures = await listScrapeFixtures(platform);
+  // An empty fixture directory would otherwise pass without testing anything
+  if (fixtures.length === 0) {
+    console.error('❌ No extractor fixtures found. Record some with: npm run record-fixture -- <url>');
+    return 1;
+  }
+
+  let failed = 0;
+
+  for (const fixture of fixtures) {
+    const label = `${fixture.platform} ${fixture.url}`;
+    const extractor = platformExtractors[fixture.platform];
+
+    if (!extractor) {
+      console.error(`❌ ${label}: no extractor for platform "${fixture.platform}"`);
+      failed += 1;
+      continue;
+    }
+
+    let actual;
+    try {
+      actual = toPlainJson(await runExtractor(fixture.platform, fixture.payload, fixture.url));
+    } catch (error) {
+      if (error instanceof ExtractionValidationError) {
+        console.error(`❌ ${label}: output violates the extraction contract`);
+        error.errors.forEach(violation => console.error(`   ${violation.field}: ${violation.message}`));
+      } else {
+        console.error(`❌ ${label}: extractor threw ${error.message}`);
+      }
+      failed += 1;
+      continue;
+    }
+
+    if (update) {
+      await fs.writeFile(fixture.expectedPath, `${JSON.stringify(actual, null, 2)}\n`);
+      console.log(`📝 ${label}: expected output updated`);
+      continue;
+    }
+
+    let expected;
+    try {
+      expected = JSON.parse(await fs.readFile(fixture.expectedPath, 'utf8'));
+    } catch (error) {
+      console.error(`❌ ${label}: missing expected output (run with --update to create it)`);
+      failed += 1;
+      continue;
+    }
+
+    const differences = diffJson(expected, actual);
+    if (differences.length === 0) {
+      console.log(`✅ ${label}`);
+      continue;
+    }
+
+    failed += 1;
+    console.error(`❌ ${label}: ${differences.length} difference(s)`);
+    differences.slice(0, MAX_DIFFS_PER_FIXTURE).forEach(difference => {
+      console.error(`   ${difference.path}`);
+      console.error(`     expected: ${JSON.stringify(difference.expected)}`);
+      console.error(`     actual:   ${JSON.stringify(difference.actual)}`);
+    });
+  }
+
+  console.log(`\n${fixtures.length - failed}/${fixtures.length} fixtures passed`);
+  return failed > 0 ? 1 : 0;
+}
+
+function toPlainJson(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function diffJson(expected, actual, path = '$', differences = []) {
+  if (isObject(expected) && isObject(actual)) {
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    keys.forEach(key => diffJson(expected[key], actual[key], `${path}.${key}`, differences));
+    return differences;
+  }
+
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    const length = Math.max(expected.length, actual.length);
+    for (let index = 0; index < length; index += 1) {
+      diffJson(expected[index], actual[index], `${path}[${index}]`, differences);
+    }
+    return differences;
+  }
+
+  if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+    differences.push({ path, expected, actual });
+  }
+
+  return differences;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+replayExtractors()
+  .then(exitCode => process.exit(exitCode))
+  .catch(error => {
+    console.error('Extractor replay failed:', error);
+    process.exit(1);
+  });
@@ -1,7 +1,34 @@
 import User from '../models/User.model.js';
 import Seller from '../models/Seller.model.js';
 import Listing from '../models/Listing.model.js';
+import BulkExtraction from '../models/BulkExtraction.model.js';
+import AdminAlert from '../models/AdminAlert.model.js';
+import ScoringProfile from '../models/ScoringProfile.model.js';
+import ScoreBackfill from '../models/ScoreBackfill.model.js';
 import { generateUserToken } from '../utils/jwt.js';
+import { getScrapeCacheStats as fetchScrapeCacheStats, invalidateScrapeCache } from '../services/scrapeCache.service.js';
+import { getFirecrawlHealth } from '../services/profileExtraction/firecrawlClient.js';
+import { getScrapeUsageReport as fetchScrapeUsageReport } from '../services/scrapeUsage.service.js';
+import { getExtractorHealthReport, resetExtractorHealth as clearExtractorHealth } from '../services/extractorHealth.service.js';
+import {
+  buildBulkResultsCsv,
+  createBulkExtraction as startBulkExtraction,
+  getBulkExtractionMaxUrls,
+  parseUrlsFromCsv
+} from '../services/bulkExtraction.service.js';
+import {
+  BUILT_IN_SCORING_PROFILE,
+  activateScoringProfile as makeScoringProfileActive,
+  clearScoringProfileCache,
+  resolveScoringProfile
+} from '../services/scoringProfile.service.js';
+import {
+  buildOutdatedScoreFilter,
+  createScoreBackfill as startScoreBackfill,
+  getCurrentScoringVersions,
+  getOutdatedScoreSummary
+} from '../services/scoreBackfill.service.js';
+import { recordScoreHistory } from '../services/scoreHistory.service.js';
 import { validationResult } from 'express-validator';
 
 /**
@@ -504,6 +531,7 @@ export const verifySeller = async (req, res) => {
 
     // Use the seller's verifySeller method
     await seller.verifySeller(verificationStatus);
+    await recordScoreHistory(seller, { trigger: 'verification', triggeredBy: req.user._id });
 
     res.status(200).json({
       success: true,
@@ -652,6 +680,9 @@ export const reviewFlag = async (req, res) => {
     };
 
     await item.save();
+    if (type === 'seller') {
+      await recordScoreHistory(item, { trigger: 'flag_review', triggeredBy: req.user._id });
+    }
 
     res.status(200).json({
       success: true,
@@ -768,16 +799,22 @@ export const getSystemHealth = async (req, res) => {
 
     const responseTime = Date.now() - startTime;
 
+    // An open circuit means scrapes fall back to other backends or fail fast
+    const firecrawl = getFirecrawlHealth();
+
     res.status(200).json({
       success: true,
       data: {
-        status: 'healthy',
+        status: firecrawl.circuit.state === 'closed' ? 'healthy' : 'degraded',
         timestamp: new Date().toISOString(),
         responseTime: `${responseTime}ms`,
         database: {
           status: 'connected',
           responseTime: `${dbTime}ms`
         },
+        scrapers: {
+          firecrawl
+        },
         uptime: process.uptime()
       }
     });
@@ -791,6 +828,929 @@ export const getSystemHealth = async (req, res) => {
   }
 };
 
+/**
+ * Scrape cache hit/miss statistics
+ * GET /api/admin/scrape-cache/stats?days=7
+ */
+export const getScrapeCacheStats = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+    const stats = await fetchScrapeCacheStats({ days });
+
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Get scrape cache stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get scrape cache stats',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Drop the cached scrape for a profile URL
+ * DELETE /api/admin/scrape-cache
+ */
+export const clearScrapeCacheEntry = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const removed = await invalidateScrapeCache(req.body.profileUrl);
+
+    res.status(200).json({
+      success: true,
+      message: removed ? 'Cache entry removed' : 'No cache entry found for this URL',
+      data: {
+        removed
+      }
+    });
+  } catch (error) {
+    console.error('Clear scrape cache entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear scrape cache entry',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Scrape consumption report (per platform, tier, endpoint, day, top users and IPs)
+ * GET /api/admin/scrape-usage?days=7&top=10
+ */
+export const getScrapeUsageReport = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+    const top = Math.min(Math.max(parseInt(req.query.top) || 10, 1), 100);
+    const report = await fetchScrapeUsageReport({ days, top });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get scrape usage report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get scrape usage report',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Per-platform extractor health (field fill rates against their baselines)
+ * GET /api/admin/extractors/health
+ */
+export const getExtractorsHealth = async (req, res) => {
+  try {
+    const report = await getExtractorHealthReport();
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get extractors health error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get extractor health',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reset an extractor's fill-rate statistics and resolve its drift alerts
+ * DELETE /api/admin/extractors/:platform/health
+ */
+export const resetExtractorHealth = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const removed = await clearExtractorHealth(req.params.platform);
+
+    res.status(200).json({
+      success: true,
+      message: removed ? 'Extractor statistics reset' : 'No statistics recorded for this extractor',
+      data: {
+        removed
+      }
+    });
+  } catch (error) {
+    console.error('Reset extractor health error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset extractor health',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get admin alerts with pagination and filters
+ * GET /api/admin/alerts?status=open&type=extractor_drift&platform=jumia
+ */
+export const getAdminAlerts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const { status, type, platform } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    if (platform) filter.platform = platform;
+
+    const [alerts, total] = await Promise.all([
+      AdminAlert.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('acknowledgedBy', 'name email'),
+      AdminAlert.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        alerts,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get admin alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get alerts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Acknowledge an open alert
+ * PUT /api/admin/alerts/:id/acknowledge
+ */
+export const acknowledgeAdminAlert = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const alert = await AdminAlert.findById(req.params.id);
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    if (alert.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: `Alert is already ${alert.status}`
+      });
+    }
+
+    alert.status = 'acknowledged';
+    alert.acknowledgedBy = req.user._id;
+    alert.acknowledgedAt = new Date();
+    await alert.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Alert acknowledged',
+      data: {
+        alert: alert.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Acknowledge admin alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to acknowledge alert',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Extract and score a list of seller URLs in the background
+ * POST /api/admin/bulk-extractions
+ * Body: JSON { urls: [...] } or { csv: "..." }, or a raw text/csv upload
+ */
+export const createBulkExtraction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let urls = null;
+    let source = 'json';
+
+    if (typeof req.body === 'string') {
+      urls = parseUrlsFromCsv(req.body);
+      source = 'csv';
+    } else if (typeof req.body.csv === 'string') {
+      urls = parseUrlsFromCsv(req.body.csv);
+      source = 'csv';
+    } else if (Array.isArray(req.body.urls)) {
+      urls = req.body.urls;
+    }
+
+    if (!urls || urls.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a non-empty "urls" array or CSV with one profile URL per row'
+      });
+    }
+
+    const maxUrls = getBulkExtractionMaxUrls();
+    if (urls.length > maxUrls) {
+      return res.status(400).json({
+        success: false,
+        message: `A bulk extraction can contain at most ${maxUrls} URLs (got ${urls.length})`
+      });
+    }
+
+    // CSV uploads carry options in the query string
+    const forceRefresh = source === 'csv' && typeof req.body === 'string'
+      ? req.query.forceRefresh === 'true'
+      : req.body.forceRefresh === true;
+
+    const bulkExtraction = await startBulkExtraction({
+      urls,
+      source,
+      forceRefresh,
+      requestedBy: req.user._id
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Bulk extraction started',
+      data: {
+        bulkExtractionId: bulkExtraction._id,
+        status: bulkExtraction.status,
+        total: bulkExtraction.total,
+        counts: bulkExtraction.counts,
+        statusUrl: `/api/admin/bulk-extractions/${bulkExtraction._id}`,
+        resultsUrl: `/api/admin/bulk-extractions/${bulkExtraction._id}/results.csv`
+      }
+    });
+  } catch (error) {
+    console.error('Create bulk extraction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start bulk extraction',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List bulk extractions (without their rows)
+ * GET /api/admin/bulk-extractions
+ */
+export const getBulkExtractions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const [bulkExtractions, total] = await Promise.all([
+      BulkExtraction.find()
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-rows')
+        .populate('requestedBy', 'name email'),
+      BulkExtraction.countDocuments()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bulkExtractions,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get bulk extractions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get bulk extractions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a bulk extraction with its per-row results
+ * GET /api/admin/bulk-extractions/:id?status=failed
+ */
+export const getBulkExtraction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const bulkExtraction = await BulkExtraction.findById(req.params.id)
+      .populate('requestedBy', 'name email');
+
+    if (!bulkExtraction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bulk extraction not found'
+      });
+    }
+
+    const data = bulkExtraction.toJSON();
+    if (req.query.status) {
+      data.rows = data.rows.filter(row => row.status === req.query.status);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bulkExtraction: data
+      }
+    });
+  } catch (error) {
+    console.error('Get bulk extraction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get bulk extraction',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download per-row bulk extraction results as CSV
+ * GET /api/admin/bulk-extractions/:id/results.csv
+ */
+export const downloadBulkExtractionResults = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const bulkExtraction = await BulkExtraction.findById(req.params.id);
+
+    if (!bulkExtraction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bulk extraction not found'
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="bulk-extraction-${bulkExtraction._id}.csv"`);
+    res.status(200).send(buildBulkResultsCsv(bulkExtraction));
+  } catch (error) {
+    console.error('Download bulk extraction results error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download bulk extraction results',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List scoring profiles, with the built-in values new profiles start from
+ * GET /api/admin/scoring-profiles?platform=jumia&active=true
+ */
+export const getScoringProfiles = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { platform, active } = req.query;
+
+    const filter = {};
+    if (platform) filter.platform = platform;
+    if (active !== undefined) filter.isActive = active === 'true';
+
+    const profiles = await ScoringProfile.find(filter)
+      .sort({ platform: 1, isActive: -1, updatedAt: -1 })
+      .populate('updatedBy activatedBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        profiles,
+        builtIn: BUILT_IN_SCORING_PROFILE
+      }
+    });
+  } catch (error) {
+    console.error('Get scoring profiles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get scoring profiles',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a scoring profile
+ * GET /api/admin/scoring-profiles/:id
+ */
+export const getScoringProfile = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const profile = await ScoringProfile.findById(req.params.id).populate('updatedBy activatedBy', 'name email');
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scoring profile not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        profile: profile.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Get scoring profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get scoring profile',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create a scoring profile; omitted weights, thresholds, penalties and keyword groups
+ * take the built-in values. The profile is inactive unless `activate: true` is sent.
+ * POST /api/admin/scoring-profiles
+ */
+export const createScoringProfile = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, platform, activate = false } = req.body;
+    const { weights, thresholds, penalties, keywords } = resolveScoringProfile(req.body);
+
+    let profile = await ScoringProfile.create({
+      name,
+      description,
+      platform,
+      weights,
+      thresholds,
+      penalties,
+      keywords,
+      updatedBy: req.user._id
+    });
+
+    if (activate) {
+      profile = await makeScoringProfileActive(profile, req.user._id);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: activate ? 'Scoring profile created and activated' : 'Scoring profile created',
+      data: {
+        profile: profile.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Create scoring profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create scoring profile',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Edit a scoring profile. Weights, thresholds and penalties are merged key by key;
+ * a keyword group sent replaces the stored list. Edits to the active profile apply
+ * to the next score calculated.
+ * PUT /api/admin/scoring-profiles/:id
+ */
+export const updateScoringProfile = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const profile = await ScoringProfile.findById(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scoring profile not found'
+      });
+    }
+
+    const { name, description, weights = {}, thresholds = {}, penalties = {}, keywords = {} } = req.body;
+    const { trustLevels = {}, ...thresholdValues } = thresholds;
+
+    if (name !== undefined) profile.name = name;
+    if (description !== undefined) profile.description = description;
+    Object.entries(weights).forEach(([key, value]) => profile.set(`weights.${key}`, value));
+    Object.entries(thresholdValues).forEach(([key, value]) => profile.set(`thresholds.${key}`, value));
+    Object.entries(trustLevels).forEach(([key, value]) => profile.set(`thresholds.trustLevels.${key}`, value));
+    Object.entries(penalties).forEach(([key, value]) => profile.set(`penalties.${key}`, value));
+    Object.entries(keywords).forEach(([group, phrases]) => profile.set(`keywords.${group}`, phrases));
+    profile.updatedBy = req.user._id;
+
+    await profile.save();
+    clearScoringProfileCache();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scoring profile updated',
+      data: {
+        profile: profile.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Update scoring profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update scoring profile',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Make a scoring profile the active one for its platform
+ * PUT /api/admin/scoring-profiles/:id/activate
+ */
+export const activateScoringProfile = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const profile = await ScoringProfile.findById(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scoring profile not found'
+      });
+    }
+
+    if (profile.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scoring profile is already active'
+      });
+    }
+
+    await makeScoringProfileActive(profile, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scoring profile activated',
+      data: {
+        profile: profile.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Activate scoring profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to activate scoring profile',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete an inactive scoring profile
+ * DELETE /api/admin/scoring-profiles/:id
+ */
+export const deleteScoringProfile = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const profile = await ScoringProfile.findById(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scoring profile not found'
+      });
+    }
+
+    if (profile.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Active scoring profiles cannot be deleted; activate another profile for the platform first'
+      });
+    }
+
+    await profile.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scoring profile deleted'
+    });
+  } catch (error) {
+    console.error('Delete scoring profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete scoring profile',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Sellers whose score came from an outdated algorithm or scoring profile version
+ * GET /api/admin/scores/outdated?platform=jumia
+ */
+export const getOutdatedScores = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const platform = req.query.platform || null;
+
+    const filter = await buildOutdatedScoreFilter({ platform });
+
+    const [current, summary, sellers] = await Promise.all([
+      getCurrentScoringVersions(platform ? [platform] : undefined),
+      getOutdatedScoreSummary({ platform }),
+      Seller.find(filter)
+        .sort({ lastScored: 1 })
+        .skip(skip)
+        .limit(limit)
+        .select('platform profileUrl profileData.name pulseScore confidenceLevel lastScored scoringVersion')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        current,
+        summary,
+        sellers,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(summary.total / limit),
+          totalItems: summary.total,
+          itemsPerPage: limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get outdated scores error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get outdated scores',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Re-score sellers with outdated scores in the background
+ * POST /api/admin/scores/backfills
+ * Body: { platform, limit } (both optional)
+ */
+export const createScoreBackfill = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const running = await ScoreBackfill.findOne({ status: 'processing' });
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        message: 'A score backfill is already running',
+        error: `Wait for backfill ${running._id} to finish`
+      });
+    }
+
+    const { platform = null, limit = null } = req.body;
+    const backfill = await startScoreBackfill({ platform, limit, requestedBy: req.user._id });
+
+    res.status(202).json({
+      success: true,
+      message: backfill.total > 0 ? 'Score backfill started' : 'No outdated scores to backfill',
+      data: {
+        backfillId: backfill._id,
+        status: backfill.status,
+        total: backfill.total,
+        algorithmVersion: backfill.algorithmVersion,
+        statusUrl: `/api/admin/scores/backfills/${backfill._id}`
+      }
+    });
+  } catch (error) {
+    console.error('Create score backfill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start score backfill',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List score backfills
+ * GET /api/admin/scores/backfills
+ */
+export const getScoreBackfills = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const [backfills, total] = await Promise.all([
+      ScoreBackfill.find()
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('requestedBy', 'name email'),
+      ScoreBackfill.countDocuments()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        backfills,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get score backfills error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get score backfills',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a score backfill's progress
+ * GET /api/admin/scores/backfills/:id
+ */
+export const getScoreBackfill = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const backfill = await ScoreBackfill.findById(req.params.id).populate('requestedBy', 'name email');
+
+    if (!backfill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Score backfill not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        backfill: backfill.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Get score backfill error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get score backfill',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Make a user an admin
  * PUT /api/admin/users/:id/make-admin
@@ -0,0 +1,49 @@
+import ExtractionJob from '../models/ExtractionJob.model.js';
+import { validationResult } from 'express-validator';
+
+/**
+ * Get extraction job status and result
+ * GET /api/extraction-jobs/:id
+ */
+export const getExtractionJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = await ExtractionJob.findById(req.params.id);
+
+    // Jobs started by a signed-in user are only visible to that user and admins
+    const canView =
+      job &&
+      (!job.userId ||
+        (req.user && (req.user.role === 'admin' || job.userId.toString() === req.user._id.toString())));
+
+    if (!canView) {
+      return res.status(404).json({
+        success: false,
+        message: 'Extraction job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Extraction job retrieved successfully',
+      data: {
+        job: job.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Get extraction job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get extraction job',
+      error: error.message
+    });
+  }
+};
@@ -1,12 +1,17 @@
 import Seller from '../models/Seller.model.js';
-import Extraction from '../models/Extraction.model.js';
 import profileExtractionService from '../services/profileExtraction.service.js';
-import pulseScoringService from '../services/pulseScoring.service.js';
+import { ExtractionValidationError } from '../services/profileExtraction/extractionSchema.js';
+import pulseScoringService, { getScoringVersion } from '../services/pulseScoring.service.js';
+import { analyzeSellerImages, saveSellerImageHashes } from '../services/imageHash.service.js';
+import { analyzeListingPrices } from '../services/priceAnalysis.service.js';
+import { recordScoreHistory } from '../services/scoreHistory.service.js';
 import { validationResult } from 'express-validator';
 import {
-  buildVeribleFeedback,
-  saveExtractedSeller
-} from '../services/sellerProfilePersistence.service.js';
+  buildExtractionResponseData,
+  enqueueExtractionJob,
+  runProfileExtraction
+} from '../services/extractionJob.service.js';
+import { buildVeribleFeedback, saveExtractedSeller } from '../services/sellerProfilePersistence.service.js';
 import {
   determineTrustLevel,
   assessRiskLevel,
@@ -16,6 +21,7 @@ import {
 /**
  * Extract and score seller profile from URL
  * POST /api/sellers/extract-profile
+ * With `async: true` the extraction is queued and a job ID is returned immediately (202)
  */
 export const extractAndScoreProfile = async (req, res) => {
   try {
@@ -29,41 +35,41 @@ export const extractAndScoreProfile = async (req, res) => {
       });
     }
 
-    const { profileUrl } = req.body;
+    const { profileUrl, forceRefresh = false, deepCrawl = false, async: runAsync = false } = req.body;
+    const userId = req.user && req.user._id ? req.user._id : null;
 
-    // Extract profile data
-    const extractedData = await profileExtractionService.extractProfile(profileUrl);
-    
-    const existingSeller = await Seller.findOne({ profileUrl });
-    const veribleFeedback = buildVeribleFeedback(existingSeller);
-    
-    // Calculate pulse score with Verible feedback if available
-    const scoringResult = await pulseScoringService.calculatePulseScore(
-      extractedData,
-      extractedData.recentListings || [],
-      veribleFeedback
-    );
+    if (runAsync) {
+      const { job, created } = await enqueueExtractionJob({
+        profileUrl,
+        forceRefresh,
+        deepCrawl,
+        userId,
+        usage: req.scrapeUsage
+      });
 
-    // Handle insufficient data case
-    if (scoringResult.status === 'insufficient_data') {
-      return res.status(200).json({
+      return res.status(202).json({
         success: true,
-        message: 'Profile extracted but insufficient data for scoring',
+        message: created ? 'Extraction job queued' : 'Extraction job already in progress',
         data: {
-          extractedData,
-          scoringResult
+          jobId: job._id,
+          status: job.status,
+          statusUrl: `/api/extraction-jobs/${job._id}`
         }
       });
     }
 
-    const seller = await saveExtractedSeller({
-      existingSeller,
-      profileUrl,
-      extractedData,
-      scoringResult
-    });
+    const outcome = await runProfileExtraction({ profileUrl, forceRefresh, userId, usage: req.scrapeUsage });
 
-    if (!seller) {
+    // Handle insufficient data case
+    if (outcome.status === 'insufficient_data') {
+      return res.status(200).json({
+        success: true,
+        message: 'Profile extracted but insufficient data for scoring',
+        data: buildExtractionResponseData(outcome)
+      });
+    }
+
+    if (!outcome.seller) {
       return res.status(500).json({
         success: false,
         message: 'Failed to create or find seller record',
@@ -71,43 +77,21 @@ export const extractAndScoreProfile = async (req, res) => {
       });
     }
 
-    // Track extraction if user is authenticated
-    if (req.user && req.user._id) {
-      try {
-        // Use findOneAndUpdate with upsert to handle duplicate extractions gracefully
-        await Extraction.findOneAndUpdate(
-          { userId: req.user._id, sellerId: seller._id },
-          {
-            userId: req.user._id,
-            sellerId: seller._id,
-            pulseScoreAtExtraction: scoringResult.pulseScore,
-            extractedAt: new Date()
-          },
-          { upsert: true, new: true }
-        );
-      } catch (error) {
-        // Log error but don't fail the request if extraction tracking fails
-        console.error('Failed to track extraction:', error);
-      }
-    }
-
     res.status(200).json({
       success: true,
       message: 'Profile extracted and scored successfully',
-      data: {
-        seller: seller.toJSON(),
-        extractedData,
-        scoringResult: {
-          pulseScore: scoringResult.pulseScore,
-          confidenceLevel: scoringResult.confidenceLevel,
-          recommendations: scoringResult.recommendations,
-          trustIndicators: scoringResult.trustIndicators,
-          riskFactors: scoringResult.riskFactors
-        }
-      }
+      data: buildExtractionResponseData(outcome)
     });
   } catch (error) {
     console.error('Extract and score profile error:', error);
+    if (error instanceof ExtractionValidationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: 'Extracted profile data failed validation',
+        error: error.message,
+        errors: error.errors
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to extract and score profile',
@@ -132,10 +116,13 @@ export const scoreProfileByUrl = async (req, res) => {
       });
     }
 
-    const { profileUrl } = req.body;
+    const { profileUrl, forceRefresh = false } = req.body;
 
-    // Extract profile data
-    const extractedData = await profileExtractionService.extractProfile(profileUrl);
+    // Extract profile data (served from the scrape cache unless forceRefresh is set)
+    const extractedData = await profileExtractionService.extractProfile(profileUrl, {
+      forceRefresh,
+      usage: req.scrapeUsage
+    });
     
     // Calculate pulse score (no Verible feedback for quick scores)
     const scoringResult = await pulseScoringService.calculatePulseScore(
@@ -157,12 +144,21 @@ export const scoreProfileByUrl = async (req, res) => {
           recommendations: scoringResult.recommendations,
           trustIndicators: scoringResult.trustIndicators,
           riskFactors: scoringResult.riskFactors,
+          scoringVersion: getScoringVersion(scoringResult),
           categories: scoringResult.categories // Return categories in API response
         }
       }
     });
   } catch (error) {
     console.error('Score profile by URL error:', error);
+    if (error instanceof ExtractionValidationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: 'Extracted profile data failed validation',
+        error: error.message,
+        errors: error.errors
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to score profile',
@@ -177,6 +173,16 @@ export const scoreProfileByUrl = async (req, res) => {
  */
 export const recalculateSellerScore = async (req, res) => {
   try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
 
     const seller = await Seller.findById(id);
@@ -188,13 +194,21 @@ export const recalculateSellerScore = async (req, res) => {
     }
 
     // Re-extract profile data
-    const extractedData = await profileExtractionService.extractProfile(seller.profileUrl);
+    const profile = await profileExtractionService.extractProfile(seller.profileUrl, {
+      forceRefresh: req.body?.forceRefresh === true,
+      usage: req.scrapeUsage
+    });
+
+    const images = await analyzeSellerImages(profile, { sellerId: seller._id });
+    const priceAnalysis = await analyzeListingPrices(profile, { sellerId: seller._id });
+    const extractedData = {
+      ...profile,
+      ...(images ? { imageAnalysis: images.analysis } : {}),
+      ...(priceAnalysis ? { priceAnalysis } : {})
+    };
     
     // Get Verible feedback for this seller
-    const veribleFeedback = {
-      endorsements: seller.endorsements || [],
-      flags: seller.flags || []
-    };
+    const veribleFeedback = buildVeribleFeedback(seller);
     
     // Recalculate pulse score with Verible feedback
     const scoringResult = await pulseScoringService.calculatePulseScore(
@@ -203,16 +217,19 @@ export const recalculateSellerScore = async (req, res) => {
       veribleFeedback
     );
 
-    // Update seller with new score
-    seller.profileData = extractedData.profileData;
-    seller.marketplaceData = extractedData.marketplaceData;
-    seller.recentListings = extractedData.recentListings;
-    seller.trustIndicators = extractedData.trustIndicators;
-    seller.pulseScore = scoringResult.pulseScore;
-    seller.confidenceLevel = scoringResult.confidenceLevel;
-    seller.lastScored = new Date();
-    seller.scoringFactors = scoringResult.categories; // Save categories as scoringFactors
-    await seller.save();
+    // Update seller with new score (same persistence as extraction: handle, country, canonical URL)
+    await saveExtractedSeller({
+      existingSeller: seller,
+      profileUrl: extractedData.profileUrl || seller.profileUrl,
+      extractedData,
+      scoringResult
+    });
+
+    if (images) {
+      await saveSellerImageHashes(seller._id, seller.platform, images.hashes);
+    }
+
+    await recordScoreHistory(seller, { trigger: 'recalculation', scoringResult, triggeredBy: req.user?._id || null });
 
     res.status(200).json({
       success: true,
@@ -224,12 +241,21 @@ export const recalculateSellerScore = async (req, res) => {
           confidenceLevel: scoringResult.confidenceLevel,
           recommendations: scoringResult.recommendations,
           trustIndicators: scoringResult.trustIndicators,
-          riskFactors: scoringResult.riskFactors
+          riskFactors: scoringResult.riskFactors,
+          scoringVersion: getScoringVersion(scoringResult)
         }
       }
     });
   } catch (error) {
     console.error('Recalculate seller score error:', error);
+    if (error instanceof ExtractionValidationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: 'Extracted profile data failed validation',
+        error: error.message,
+        errors: error.errors
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to recalculate seller score',
@@ -248,7 +274,7 @@ export const getSellerAnalysis = async (req, res) => {
 
     const seller = await Seller.findById(id)
       .populate('userId', 'name email role verified')
-      .populate('listingHistory', 'title price category listingDate isActive');
+      .populate('listingHistory', 'listingUrl listingData listingDate lastSeen isActive');
 
     if (!seller) {
       return res.status(404).json({
@@ -272,7 +298,9 @@ export const getSellerAnalysis = async (req, res) => {
         lastScored: seller.lastScored
       },
       scoringBreakdown: seller.scoringFactors || {},
-      trustLevel: this.determineTrustLevel(seller.pulseScore),
+      imageMatches: seller.imageAnalysis?.matches || [],
+      priceAnomalies: seller.priceAnalysis?.anomalies || [],
+      trustLevel: determineTrustLevel(seller.pulseScore),
       riskAssessment: assessRiskLevel(seller.pulseScore, seller.flags.length),
       recommendations: generateAnalysisRecommendations(seller)
     };
@@ -2,7 +2,15 @@ import Seller from '../models/Seller.model.js';
 import User from '../models/User.model.js';
 import ProfileVerification from '../models/ProfileVerification.model.js';
 import profileExtractionService from '../services/profileExtraction.service.js';
-import pulseScoringService from '../services/pulseScoring.service.js';
+import pulseScoringService, { getScoringVersion } from '../services/pulseScoring.service.js';
+import {
+  buildProfileUrlConditions,
+  buildStoredScoringInput,
+  findSellerByProfileUrl
+} from '../services/sellerProfilePersistence.service.js';
+import { canonicalizeProfile, canonicalizeProfileUrl } from '../services/profileExtraction/urlCanonicalizer.js';
+import { getUsageContext } from '../services/scrapeUsage.service.js';
+import { getScoreHistory, recordScoreHistory } from '../services/scoreHistory.service.js';
 import { validationResult } from 'express-validator';
 
 /**
@@ -54,7 +62,7 @@ export const generateVerificationCode = async (req, res) => {
       });
     }
 
-    const { profileUrl } = req.body;
+    const profileUrl = canonicalizeProfileUrl(req.body.profileUrl);
     const userId = req.user._id;
 
     // Check if user is already a seller
@@ -173,7 +181,7 @@ export const verifyProfile = async (req, res) => {
       });
     }
 
-    const { profileUrl } = req.body;
+    const profileUrl = canonicalizeProfileUrl(req.body.profileUrl);
     const userId = req.user._id;
 
     // Find active verification
@@ -197,10 +205,13 @@ export const verifyProfile = async (req, res) => {
       });
     }
 
-    // Extract profile data
+    // Extract profile data - always scrape fresh, the code was only just added to the bio
     let extractedData = null;
     try {
-      extractedData = await profileExtractionService.extractProfile(profileUrl);
+      extractedData = await profileExtractionService.extractProfile(profileUrl, {
+        forceRefresh: true,
+        usage: getUsageContext(req, 'verify-profile')
+      });
     } catch (error) {
       return res.status(400).json({
         success: false,
@@ -268,7 +279,8 @@ export const becomeSeller = async (req, res) => {
       });
     }
 
-    const { platform, profileUrl, sellerId } = req.body;
+    const { platform, sellerId } = req.body;
+    const { canonicalUrl: profileUrl, handle: platformHandle } = canonicalizeProfile(req.body.profileUrl);
     const userId = req.user._id;
 
     // Check if user is already a seller
@@ -323,7 +335,9 @@ export const becomeSeller = async (req, res) => {
     
     try {
       console.log('🔍 Extracting data from profile URL...');
-      extractedData = await profileExtractionService.extractProfile(profileUrl);
+      extractedData = await profileExtractionService.extractProfile(profileUrl, {
+        usage: getUsageContext(req, 'become-seller')
+      });
       
       // Calculate pulse score with extracted data
       scoringResult = await pulseScoringService.calculatePulseScore(
@@ -342,17 +356,23 @@ export const becomeSeller = async (req, res) => {
       sellerId: sellerId || `user-${userId}-${Date.now()}`,
       platform,
       profileUrl,
+      platformHandle,
+      country: extractedData?.country || null,
       profileData: extractedData?.profileData || {
         name: user.name,
         location: 'Not specified'
       },
       marketplaceData: extractedData?.marketplaceData || {},
+      extractionProvenance: extractedData?.extractionProvenance || {},
+      platformExtras: extractedData?.platformExtras || {},
+      extractionSchemaVersion: extractedData?.extractionSchemaVersion || null,
       recentListings: extractedData?.recentListings || [],
       trustIndicators: extractedData?.trustIndicators || {},
       pulseScore: scoringResult?.pulseScore || 50,
       confidenceLevel: scoringResult?.confidenceLevel || 'Low',
       lastScored: new Date(),
       scoringFactors: scoringResult?.scoringFactors || {},
+      scoringVersion: scoringResult?.pulseScore !== undefined ? getScoringVersion(scoringResult) : undefined,
       isClaimed: true,
       claimedAt: new Date(),
       verificationStatus: extractedData?.marketplaceData?.verificationStatus || 
@@ -361,6 +381,10 @@ export const becomeSeller = async (req, res) => {
 
     await seller.save();
 
+    if (scoringResult) {
+      await recordScoreHistory(seller, { trigger: 'extraction', scoringResult, triggeredBy: userId });
+    }
+
     // Populate user data
     await seller.populate('userId', 'name email phone role');
 
@@ -376,7 +400,8 @@ export const becomeSeller = async (req, res) => {
           confidenceLevel: scoringResult.confidenceLevel,
           recommendations: scoringResult.recommendations,
           trustIndicators: scoringResult.trustIndicators,
-          riskFactors: scoringResult.riskFactors
+          riskFactors: scoringResult.riskFactors,
+          scoringVersion: getScoringVersion(scoringResult)
         } : null
       }
     });
@@ -400,7 +425,7 @@ export const getMySellerProfile = async (req, res) => {
 
     const seller = await Seller.findOne({ userId })
       .populate('userId', 'name email phone role verified')
-      .populate('listingHistory', 'title price category listingDate isActive')
+      .populate('listingHistory', 'listingUrl listingData listingDate lastSeen isActive')
       .select('-flags -endorsements -scoringFactors');
 
     if (!seller) {
@@ -444,8 +469,8 @@ export const lookupSeller = async (req, res) => {
     let seller;
 
     if (url) {
-      // Lookup by profile URL
-      seller = await Seller.findOne({ profileUrl: url })
+      // Lookup by profile URL (any variant of it)
+      seller = await findSellerByProfileUrl(url)
         .populate('userId', 'name email role verified')
         .select('-flags -endorsements -scoringFactors');
     } else if (name && platform) {
@@ -491,7 +516,7 @@ export const getSellerById = async (req, res) => {
 
     const seller = await Seller.findById(id)
       .populate('userId', 'name email role verified')
-      .populate('listingHistory', 'title price category listingDate isActive')
+      .populate('listingHistory', 'listingUrl listingData listingDate lastSeen isActive')
       .select('-flags -endorsements -scoringFactors');
 
     if (!seller) {
@@ -526,7 +551,7 @@ export const getSellerScore = async (req, res) => {
     const { id } = req.params;
 
     const seller = await Seller.findById(id)
-      .select('pulseScore confidenceLevel lastScored verificationStatus flags endorsements');
+      .select('pulseScore confidenceLevel lastScored scoringVersion verificationStatus flags endorsements');
 
     if (!seller) {
       return res.status(404).json({
@@ -542,6 +567,7 @@ export const getSellerScore = async (req, res) => {
           pulseScore: seller.pulseScore,
           confidenceLevel: seller.confidenceLevel,
           lastScored: seller.lastScored,
+          scoringVersion: seller.scoringVersion,
           verificationStatus: seller.verificationStatus,
           totalFlags: seller.totalFlags,
           totalEndorsements: seller.totalEndorsements,
@@ -559,6 +585,121 @@ export const getSellerScore = async (req, res) => {
   }
 };
 
+/**
+ * Get seller pulse score history
+ * GET /api/sellers/:id/score/history?from=2025-01-01&to=2025-06-30&interval=day&limit=90
+ */
+export const getSellerScoreHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { from, to, interval = 'raw' } = req.query;
+    const limit = parseInt(req.query.limit) || 500;
+
+    const seller = await Seller.findById(id).select('pulseScore confidenceLevel lastScored scoringVersion');
+
+    if (!seller) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seller not found'
+      });
+    }
+
+    const history = await getScoreHistory(seller._id, { from, to, interval, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        current: {
+          pulseScore: seller.pulseScore,
+          confidenceLevel: seller.confidenceLevel,
+          lastScored: seller.lastScored,
+          scoringVersion: seller.scoringVersion
+        },
+        interval,
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Get seller score history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get seller score history',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Explain a seller's pulse score: category evidence, weights and contributions
+ * GET /api/sellers/:id/score/explain
+ */
+export const explainSellerScore = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const seller = await Seller.findById(req.params.id).lean();
+
+    if (!seller) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seller not found'
+      });
+    }
+
+    // Re-scored from the stored data, so no scrape is spent
+    const { sellerData, recentListings, veribleFeedback } = buildStoredScoringInput(seller);
+    const explanation = await pulseScoringService.explainPulseScore(sellerData, recentListings, veribleFeedback);
+
+    // The explanation only describes the displayed score when both come from the same scoring
+    // logic and no flag, endorsement or verification adjustment was applied since
+    const storedVersion = seller.scoringVersion || {};
+    const sameScoringVersion =
+      storedVersion.algorithm === explanation.scoringVersion.algorithm &&
+      String(storedVersion.profileId || '') === String(explanation.scoringVersion.profileId || '') &&
+      (storedVersion.profileVersion ?? null) === explanation.scoringVersion.profileVersion;
+    const matchesStoredScore =
+      explanation.status !== 'insufficient_data' && sameScoringVersion && explanation.pulseScore === seller.pulseScore;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        stored: {
+          pulseScore: seller.pulseScore,
+          confidenceLevel: seller.confidenceLevel,
+          lastScored: seller.lastScored,
+          scoringVersion: seller.scoringVersion
+        },
+        matchesStoredScore,
+        sameScoringVersion,
+        explanation
+      }
+    });
+  } catch (error) {
+    console.error('Explain seller score error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to explain seller score',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Claim seller profile (for existing sellers to claim their profile)
  * POST /api/sellers/claim
@@ -587,11 +728,12 @@ export const claimSellerProfile = async (req, res) => {
       });
     }
 
-    // Find existing seller by platform and sellerId
-    const seller = await Seller.findOne({ 
-      platform, 
+    // Find existing seller by platform and sellerId; the profile URL (in any variant) must match too
+    const seller = await Seller.findOne({
+      platform,
       sellerId,
-      isClaimed: false 
+      isClaimed: false,
+      $or: buildProfileUrlConditions(profileUrl)
     });
 
     if (!seller) {
@@ -637,12 +779,25 @@ export const claimSellerProfile = async (req, res) => {
  */
 export const getTopSellers = async (req, res) => {
   try {
-    const { limit = 10, platform } = req.query;
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { limit = 10, platform, country } = req.query;
 
     const query = { isActive: true };
     if (platform) {
       query.platform = platform;
     }
+    if (country) {
+      query.country = country.toUpperCase();
+    }
 
     // Get total count for debugging
     const totalSellers = await Seller.countDocuments(query);
@@ -779,6 +934,7 @@ export const flagSeller = async (req, res) => {
     updatedSeller.confidenceLevel = newConfidenceLevel;
     updatedSeller.lastScored = new Date();
     await updatedSeller.save();
+    await recordScoreHistory(updatedSeller, { trigger: 'flag', triggeredBy: userId });
 
     // Refresh the seller to get updated virtual fields
     const refreshedSeller = await Seller.findById(id);
@@ -863,6 +1019,7 @@ export const endorseSeller = async (req, res) => {
     updatedSeller.confidenceLevel = newConfidenceLevel;
     updatedSeller.lastScored = new Date();
     await updatedSeller.save();
+    await recordScoreHistory(updatedSeller, { trigger: 'endorsement', triggeredBy: userId });
 
     // Refresh the seller to get updated virtual fields
     const refreshedSeller = await Seller.findById(id);
@@ -929,6 +1086,7 @@ export const removeFlag = async (req, res) => {
     seller.confidenceLevel = newConfidenceLevel;
     seller.lastScored = new Date();
     await seller.save();
+    await recordScoreHistory(seller, { trigger: 'flag', triggeredBy: userId });
 
     res.status(200).json({
       success: true,
@@ -992,6 +1150,7 @@ export const removeEndorsement = async (req, res) => {
     seller.confidenceLevel = newConfidenceLevel;
     seller.lastScored = new Date();
     await seller.save();
+    await recordScoreHistory(seller, { trigger: 'endorsement', triggeredBy: userId });
 
     res.status(200).json({
       success: true,
@@ -1059,7 +1218,17 @@ export const getSellerFeedback = async (req, res) => {
  */
 export const searchSellers = async (req, res) => {
   try {
-    const { name, platform, location, limit = 20, page = 1 } = req.query;
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, platform, country, location, limit = 20, page = 1 } = req.query;
 
     const query = { isActive: true };
     
@@ -1070,6 +1239,10 @@ export const searchSellers = async (req, res) => {
     if (platform) {
       query.platform = platform;
     }
+
+    if (country) {
+      query.country = country.toUpperCase();
+    }
     
     if (location) {
       query['profileData.location'] = { $regex: location, $options: 'i' };
@@ -1222,8 +1395,8 @@ export const getSellerAnalytics = async (req, res) => {
     const { id } = req.params;
 
     const seller = await Seller.findById(id)
-      .populate('listingHistory', 'title price category listingDate isActive')
-      .select('pulseScore confidenceLevel totalFlags totalEndorsements netFeedbackScore lastScored verificationStatus listingHistory');
+      .populate('listingHistory', 'listingUrl listingData listingDate lastSeen isActive')
+      .select('pulseScore confidenceLevel totalFlags totalEndorsements netFeedbackScore lastScored scoringVersion verificationStatus listingHistory');
 
     if (!seller) {
       return res.status(404).json({
@@ -1235,8 +1408,9 @@ export const getSellerAnalytics = async (req, res) => {
     // Calculate analytics
     const totalListings = seller.listingHistory.length;
     const activeListings = seller.listingHistory.filter(listing => listing.isActive).length;
-    const averagePrice = totalListings > 0 
-      ? seller.listingHistory.reduce((sum, listing) => sum + listing.price, 0) / totalListings 
+    const pricedListings = seller.listingHistory.filter(listing => typeof listing.listingData?.price === 'number');
+    const averagePrice = pricedListings.length > 0
+      ? pricedListings.reduce((sum, listing) => sum + listing.listingData.price, 0) / pricedListings.length
       : 0;
 
     const analytics = {
@@ -1245,7 +1419,8 @@ export const getSellerAnalytics = async (req, res) => {
         pulseScore: seller.pulseScore,
         confidenceLevel: seller.confidenceLevel,
         verificationStatus: seller.verificationStatus,
-        lastScored: seller.lastScored
+        lastScored: seller.lastScored,
+        scoringVersion: seller.scoringVersion
       },
       feedback: {
         totalFlags: seller.totalFlags,
@@ -3,6 +3,7 @@ import Extraction from '../models/Extraction.model.js';
 import Seller from '../models/Seller.model.js';
 import { validationResult } from 'express-validator';
 import { assessRiskLevel } from '../utils/sellerAnalysis.utils.js';
+import { getPlatformDisplayName } from '../services/profileExtraction/platformRegistry.js';
 
 /**
  * Update user profile (self only)
@@ -492,22 +493,6 @@ export const getTopThreats = async (req, res) => {
       extractionMap.set(item._id.toString(), item.count);
     });
 
-    // Helper function to map platform to display name
-    const getPlatformDisplayName = (platform) => {
-      const platformMap = {
-        'facebook': 'Facebook Marketplace',
-        'jiji': 'Jiji',
-        'jumia': 'Jumia',
-        'konga': 'Konga',
-        'etsy': 'Etsy',
-        'kijiji': 'Kijiji',
-        'instagram': 'Instagram',
-        'ebay': 'eBay',
-        'other': 'Other'
-      };
-      return platformMap[platform] || platform;
-    };
-
     // Helper function to determine severity level
     const getSeverityLevel = (pulseScore) => {
       if (pulseScore < 30) return 'CRITICAL';
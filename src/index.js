@@ -6,6 +6,11 @@ import authRoutes from './routes/auth.routes.js';
 import userRoutes from './routes/user.routes.js';
 import sellerRoutes from './routes/seller.routes.js';
 import adminRoutes from './routes/admin.routes.js';
+import extractionJobRoutes from './routes/extractionJob.routes.js';
+import { startExtractionWorker } from './services/extractionJob.service.js';
+import { resumeBulkExtractions } from './services/bulkExtraction.service.js';
+import { seedScoringProfiles } from './services/scoringProfile.service.js';
+import { resumeScoreBackfills } from './services/scoreBackfill.service.js';
 import { errorHandler, notFound } from './middleware/errorHandler.js';
 
 // Load environment variables
@@ -26,6 +31,12 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
+// Behind a proxy (Vercel, load balancer) req.ip must come from X-Forwarded-For for per-IP scrape quotas
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' ? true : trustProxy);
+}
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -61,6 +72,7 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/sellers', sellerRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/extraction-jobs', extractionJobRoutes);
 // Error handlers (must be last)
 app.use(notFound);
 app.use(errorHandler);
@@ -72,6 +84,16 @@ app.listen(PORT, () => {
   console.log(`📍 Server URL: http://localhost:${PORT}`);
 });
 
+// Work queued extraction jobs in this process
+startExtractionWorker();
+resumeBulkExtractions();
+
+// Store the built-in scoring profile for platforms that have none yet
+seedScoringProfiles();
+
+// Finish score backfills interrupted by a restart
+resumeScoreBackfills();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.error('Unhandled Rejection:', err);
@@ -0,0 +1,57 @@
+import { getQuotaStatus, getUsageContext, isScrapeQuotaEnabled, reserveScrape } from '../services/scrapeUsage.service.js';
+
+/**
+ * Daily scrape quota middleware
+ * Attaches the usage context to req.scrapeUsage (so scrapes are recorded against the
+ * caller) and rejects the request with 429 once the caller's daily quota is used up.
+ * A quota slot is reserved before the check and held until the request's scrape is
+ * recorded or the response ends, so concurrent requests cannot overrun the quota.
+ * Must be used after optionalAuth/isAuthenticated so the caller's tier is known.
+ * @param {String} source - Endpoint name recorded in the usage ledger
+ */
+export const enforceScrapeQuota = source => async (req, res, next) => {
+  req.scrapeUsage = getUsageContext(req, source);
+
+  if (!isScrapeQuotaEnabled()) {
+    return next();
+  }
+
+  const release = reserveScrape(req.scrapeUsage);
+  res.on('close', release);
+
+  try {
+    // Includes the slot reserved above
+    const quota = await getQuotaStatus(req.scrapeUsage);
+
+    if (quota.limit === null) {
+      release();
+      return next();
+    }
+
+    res.set({
+      'X-RateLimit-Limit': String(quota.limit),
+      'X-RateLimit-Remaining': String(quota.remaining),
+      'X-RateLimit-Reset': String(Math.ceil(quota.resetAt.getTime() / 1000))
+    });
+
+    if (quota.used > quota.limit) {
+      release();
+      res.set('Retry-After', String(Math.max(1, Math.ceil((quota.resetAt.getTime() - Date.now()) / 1000))));
+
+      return res.status(429).json({
+        success: false,
+        message: 'Daily scrape quota exceeded',
+        error: `The ${quota.tier} tier allows ${quota.limit} profile scrapes per day; the quota resets at ${quota.resetAt.toISOString()}`,
+        // The rejected request holds no slot
+        quota: { ...quota, used: quota.used - 1 }
+      });
+    }
+
+    next();
+  } catch (error) {
+    // Never block extraction because the ledger is unavailable
+    console.error('Scrape quota check error:', error);
+    release();
+    next();
+  }
+};
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+export const ADMIN_ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+const adminAlertSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['extractor_drift'],
+      required: true
+    },
+
+    severity: {
+      type: String,
+      enum: ['warning', 'critical'],
+      default: 'warning'
+    },
+
+    status: {
+      type: String,
+      enum: ADMIN_ALERT_STATUSES,
+      default: 'open'
+    },
+
+    platform: String,
+    field: String,
+
+    message: {
+      type: String,
+      required: true
+    },
+
+    // Numbers behind the alert (fill rate, baseline, samples, ...)
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    acknowledgedAt: Date,
+    resolvedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+adminAlertSchema.index({ status: 1, createdAt: -1 });
+adminAlertSchema.index({ type: 1, platform: 1, field: 1, status: 1 });
+
+adminAlertSchema.methods.toJSON = function() {
+  const alert = this.toObject();
+  delete alert.__v;
+  return alert;
+};
+
+const AdminAlert = mongoose.model('AdminAlert', adminAlertSchema);
+
+export default AdminAlert;
@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+
+export const BULK_ROW_STATUSES = ['pending', 'created', 'updated', 'unsupported', 'duplicate', 'failed'];
+
+const bulkRowSchema = new mongoose.Schema(
+  {
+    // 1-based position of the URL in the uploaded list (data rows only for CSV)
+    row: {
+      type: Number,
+      required: true
+    },
+
+    profileUrl: {
+      type: String,
+      trim: true
+    },
+
+    canonicalUrl: String,
+    platform: String,
+
+    status: {
+      type: String,
+      enum: BULK_ROW_STATUSES,
+      default: 'pending'
+    },
+
+    reason: String,
+
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+      default: null
+    },
+
+    pulseScore: Number,
+    confidenceLevel: String,
+    processedAt: Date
+  },
+  { _id: false }
+);
+
+const bulkExtractionSchema = new mongoose.Schema(
+  {
+    // Admin who uploaded the list
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    source: {
+      type: String,
+      enum: ['csv', 'json'],
+      required: true
+    },
+
+    forceRefresh: {
+      type: Boolean,
+      default: false
+    },
+
+    status: {
+      type: String,
+      enum: ['processing', 'completed', 'failed'],
+      default: 'processing'
+    },
+
+    // Why the batch failed (rows already processed keep their results)
+    error: {
+      type: String,
+      default: null
+    },
+
+    total: {
+      type: Number,
+      required: true
+    },
+
+    counts: {
+      pending: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      unsupported: { type: Number, default: 0 },
+      duplicate: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 }
+    },
+
+    rows: [bulkRowSchema],
+
+    finishedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+bulkExtractionSchema.index({ status: 1, createdAt: 1 });
+bulkExtractionSchema.index({ requestedBy: 1, createdAt: -1 });
+
+bulkExtractionSchema.methods.toJSON = function() {
+  const bulkExtraction = this.toObject();
+  delete bulkExtraction.__v;
+  return bulkExtraction;
+};
+
+const BulkExtraction = mongoose.model('BulkExtraction', bulkExtractionSchema);
+
+export default BulkExtraction;
@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+
+export const EXTRACTION_JOB_STATUSES = ['queued', 'scraping', 'scoring', 'crawling', 'done', 'failed'];
+export const ACTIVE_EXTRACTION_JOB_STATUSES = ['queued', 'scraping', 'scoring', 'crawling'];
+
+const extractionJobSchema = new mongoose.Schema(
+  {
+    // User who requested the extraction (null for anonymous requests)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+
+    // URL as submitted, and its canonical form (used to deduplicate active jobs)
+    profileUrl: {
+      type: String,
+      required: true,
+      trim: true
+    },
+
+    canonicalUrl: {
+      type: String,
+      required: true,
+      trim: true
+    },
+
+    platform: {
+      type: String
+    },
+
+    forceRefresh: {
+      type: Boolean,
+      default: false
+    },
+
+    // Also crawl the seller's storefront into the Listing collection
+    deepCrawl: {
+      type: Boolean,
+      default: false
+    },
+
+    // Caller the scrape is recorded against in the usage ledger
+    usage: {
+      ip: String,
+      tier: String,
+      source: String
+    },
+
+    status: {
+      type: String,
+      enum: EXTRACTION_JOB_STATUSES,
+      default: 'queued',
+      required: true
+    },
+
+    attempts: {
+      type: Number,
+      default: 0
+    },
+
+    maxAttempts: {
+      type: Number,
+      default: 3
+    },
+
+    // Queued jobs are not picked up before this date (retry backoff)
+    runAfter: {
+      type: Date,
+      default: Date.now
+    },
+
+    // Set when a worker claims the job; stale locks are requeued
+    lockedAt: {
+      type: Date,
+      default: null
+    },
+
+    startedAt: Date,
+    finishedAt: Date,
+
+    // Same payload the synchronous endpoint returns ({ seller, extractedData, scoringResult })
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+      default: null
+    },
+
+    error: {
+      message: String,
+      statusCode: Number,
+      errors: mongoose.Schema.Types.Mixed
+    },
+
+    // MongoDB removes finished jobs once this date has passed (TTL index below)
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+extractionJobSchema.index({ status: 1, runAfter: 1, createdAt: 1 });
+extractionJobSchema.index({ canonicalUrl: 1, userId: 1, status: 1 });
+// Quota checks count a caller's jobs that have not scraped yet (signed-in callers by user, anonymous by IP)
+extractionJobSchema.index({ userId: 1, 'usage.ip': 1, status: 1 });
+extractionJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+extractionJobSchema.methods.toJSON = function() {
+  const job = this.toObject();
+  delete job.__v;
+  delete job.lockedAt;
+  delete job.usage;
+  return job;
+};
+
+const ExtractionJob = mongoose.model('ExtractionJob', extractionJobSchema);
+
+export default ExtractionJob;
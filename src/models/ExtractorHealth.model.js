@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// Rolling field fill-rate statistics for one platform extractor
+const extractorHealthSchema = new mongoose.Schema(
+  {
+    platform: {
+      type: String,
+      required: true,
+      unique: true
+    },
+
+    // Fresh (non-cached) extractions that fed the statistics
+    extractions: {
+      type: Number,
+      default: 0
+    },
+
+    // Extractions rejected by the extraction contract
+    contractFailures: {
+      type: Number,
+      default: 0
+    },
+
+    // Keyed by field path: { fillRate, baseline, samples, degraded, degradedSince }
+    // fillRate follows recent extractions, baseline the long-run normal (frozen while degraded)
+    fields: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    lastExtractionAt: Date,
+    lastContractFailureAt: Date
+  },
+  {
+    timestamps: true,
+    minimize: false
+  }
+);
+
+extractorHealthSchema.methods.toJSON = function() {
+  const health = this.toObject();
+  delete health.__v;
+  return health;
+};
+
+const ExtractorHealth = mongoose.model('ExtractorHealth', extractorHealthSchema);
+
+export default ExtractorHealth;
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import { getPlatformValues } from '../services/profileExtraction/platformRegistry.js';
+
+export const IMAGE_HASH_KINDS = ['profile', 'listing'];
+
+// Perceptual hash of one seller image (profile picture or listing photo)
+const imageHashSchema = new mongoose.Schema(
+  {
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+      required: true
+    },
+
+    platform: {
+      type: String,
+      enum: getPlatformValues(),
+      required: true
+    },
+
+    kind: {
+      type: String,
+      enum: IMAGE_HASH_KINDS,
+      required: true
+    },
+
+    imageUrl: {
+      type: String,
+      required: true
+    },
+
+    // Listing the photo belongs to, when known
+    listingUrl: {
+      type: String,
+      default: null
+    },
+
+    // 64-bit difference hash as 16 hex characters
+    hash: {
+      type: String,
+      required: true
+    },
+
+    // The hash split into 4 16-bit bands ("3:a7f3"); two hashes within 7 bits have a band that
+    // differs by at most one bit (see getHashBandProbes)
+    bands: [{
+      type: String
+    }],
+
+    computedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+imageHashSchema.index({ sellerId: 1, imageUrl: 1 }, { unique: true });
+imageHashSchema.index({ bands: 1 });
+imageHashSchema.index({ imageUrl: 1 });
+
+imageHashSchema.methods.toJSON = function() {
+  const imageHash = this.toObject();
+  delete imageHash.__v;
+  return imageHash;
+};
+
+const ImageHash = mongoose.model('ImageHash', imageHashSchema);
+
+export default ImageHash;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { getPlatformValues } from '../services/profileExtraction/platformRegistry.js';
 
 const listingSchema = new mongoose.Schema(
   {
@@ -20,7 +21,7 @@ const listingSchema = new mongoose.Schema(
     platform: {
       type: String,
       required: true,
-      enum: ['facebook', 'jiji', 'jumia', 'konga', 'etsy', 'kijiji', 'other'],
+      enum: getPlatformValues(),
       index: true
     },
     
@@ -45,19 +46,21 @@ const listingSchema = new mongoose.Schema(
         trim: true,
         maxlength: [2000, 'Description cannot exceed 2000 characters']
       },
+      // null when the listing page shows no price (price on request, auctions without bids)
       price: {
         type: Number,
-        required: true,
+        default: null,
         min: 0
       },
+      // ISO 4217 code; null when the page does not state a currency
       currency: {
         type: String,
-        default: 'NGN',
+        default: null,
         maxlength: 3
       },
       category: {
         type: String,
-        required: true,
+        default: 'Uncategorized',
         trim: true
       },
       condition: {
@@ -103,13 +106,19 @@ const listingSchema = new mongoose.Schema(
         enum: ['too-low', 'too-high', 'normal'],
         default: 'normal'
       },
+      // Median price of the category on the platform (same currency) when enough listings exist
       marketPrice: {
         type: Number
       },
+      // (price - marketPrice) / marketPrice
       priceDeviation: {
         type: Number,
         default: 0
-      }
+      },
+      sampleSize: {
+        type: Number
+      },
+      analyzedAt: Date
     },
     
     // Listing metadata
@@ -212,6 +221,7 @@ listingSchema.index({ sellerId: 1, platform: 1 });
 listingSchema.index({ platformListingId: 1, platform: 1 });
 listingSchema.index({ isActive: 1, listingDate: -1 });
 listingSchema.index({ 'listingData.category': 1 });
+listingSchema.index({ platform: 1, 'listingData.category': 1, 'listingData.currency': 1, isActive: 1 });
 listingSchema.index({ 'listingData.price': 1 });
 listingSchema.index({ listingDate: -1 });
 
@@ -262,7 +272,7 @@ listingSchema.methods.detectUrgencyKeywords = function() {
     { pattern: /no questions|serious buyers only/i, severity: 'medium' }
   ];
   
-  const text = `${this.listingData.title} ${this.listingData.description}`.toLowerCase();
+  const text = `${this.listingData.title} ${this.listingData.description || ''}`.toLowerCase();
   const detectedKeywords = [];
   
   urgencyPatterns.forEach(({ pattern, severity }) => {
@@ -311,8 +321,10 @@ listingSchema.statics.findByPlatform = function(platform, options = {}) {
 };
 
 // Static method to get price statistics for a category
-listingSchema.statics.getPriceStats = function(category, platform) {
-  const query = { isActive: true };
+// Only priced listings count; pass a currency so prices are comparable, and excludeSellerId
+// to leave a seller's own listings out of their market baseline
+listingSchema.statics.getPriceStats = function(category, platform, { currency, excludeSellerId } = {}) {
+  const query = { isActive: true, 'listingData.price': { $gt: 0 } };
   
   if (category) {
     query['listingData.category'] = category;
@@ -321,6 +333,14 @@ listingSchema.statics.getPriceStats = function(category, platform) {
   if (platform) {
     query.platform = platform;
   }
+
+  if (currency) {
+    query['listingData.currency'] = currency;
+  }
+
+  if (excludeSellerId) {
+    query.sellerId = { $ne: new mongoose.Types.ObjectId(String(excludeSellerId)) };
+  }
   
   return this.aggregate([
     { $match: query },
@@ -328,7 +348,7 @@ listingSchema.statics.getPriceStats = function(category, platform) {
       $group: {
         _id: null,
         averagePrice: { $avg: '$listingData.price' },
-        medianPrice: { $median: '$listingData.price' },
+        medianPrice: { $median: { input: '$listingData.price', method: 'approximate' } },
         minPrice: { $min: '$listingData.price' },
         maxPrice: { $max: '$listingData.price' },
         count: { $sum: 1 }
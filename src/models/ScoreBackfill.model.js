@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+export const SCORE_BACKFILL_STATUSES = ['processing', 'completed', 'failed'];
+
+// Admin-triggered re-scoring of sellers whose score came from an outdated algorithm or profile version
+const scoreBackfillSchema = new mongoose.Schema(
+  {
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    // Only sellers of this platform (null for all platforms)
+    platform: {
+      type: String,
+      default: null
+    },
+
+    // SCORING_ALGORITHM_VERSION the sellers are re-scored with
+    algorithmVersion: {
+      type: Number,
+      required: true
+    },
+
+    status: {
+      type: String,
+      enum: SCORE_BACKFILL_STATUSES,
+      default: 'processing'
+    },
+
+    // Outdated sellers found when the backfill started (capped by the requested limit)
+    total: {
+      type: Number,
+      required: true
+    },
+
+    counts: {
+      rescored: { type: Number, default: 0 },
+      insufficientData: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 }
+    },
+
+    // Sellers are processed in _id order; a resumed backfill continues after this one
+    lastSellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+
+    // Why the backfill stopped, when it failed
+    error: {
+      type: String,
+      default: null
+    },
+
+    finishedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+scoreBackfillSchema.index({ status: 1, createdAt: 1 });
+
+scoreBackfillSchema.methods.toJSON = function() {
+  const scoreBackfill = this.toObject();
+  delete scoreBackfill.__v;
+  return scoreBackfill;
+};
+
+const ScoreBackfill = mongoose.model('ScoreBackfill', scoreBackfillSchema);
+
+export default ScoreBackfill;
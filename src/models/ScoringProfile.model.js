@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+import { getPlatformValues } from '../services/profileExtraction/platformRegistry.js';
+
+// Profile used for platforms without an active profile of their own
+export const DEFAULT_SCORING_PLATFORM = 'default';
+
+export const SCORING_CATEGORIES = [
+  'verificationIdentity',
+  'accountMaturity',
+  'listingCompleteness',
+  'activityRecency',
+  'engagement',
+  'communityFeedback',
+  'behavioralRedFlags',
+  'socialPresence'
+];
+
+export const TRUST_LEVEL_THRESHOLDS = ['excellent', 'good', 'fair', 'poor'];
+
+// Red-flag phrase groups checked in listing titles and descriptions
+export const RED_FLAG_KEYWORD_GROUPS = ['urgent', 'needMoney', 'cashOnly', 'firstCome', 'offPlatformContact'];
+
+export const RED_FLAG_PENALTIES = [
+  ...RED_FLAG_KEYWORD_GROUPS,
+  'allCapsTitle',
+  'excessEmojis',
+  'reusedImage',
+  'reusedImagesMax',
+  'underpricedListing',
+  'underpricedListingsMax'
+];
+
+export function getScoringPlatformValues() {
+  return [DEFAULT_SCORING_PLATFORM, ...getPlatformValues()];
+}
+
+const numberFields = (keys, min, max) =>
+  Object.fromEntries(keys.map(key => [key, { type: Number, min, max }]));
+
+// Weights, thresholds and red-flag keywords the Pulse score is computed with, per platform
+const scoringProfileSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+
+    platform: {
+      type: String,
+      enum: getScoringPlatformValues(),
+      required: true
+    },
+
+    // Incremented whenever weights, thresholds, penalties or keywords change; stored with
+    // every score so scores from an older revision can be found and backfilled
+    version: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+
+    // At most one active profile per platform
+    isActive: {
+      type: Boolean,
+      default: false
+    },
+
+    // Relative category weights; categories that are not available are renormalized away
+    weights: numberFields(SCORING_CATEGORIES, 0, 1),
+
+    thresholds: {
+      // Below either value the seller gets "Not Enough Data" instead of a score
+      minConfidence: { type: Number, min: 0, max: 1 },
+      minCoverage: { type: Number, min: 0, max: 1 },
+      // Lowest score of each trust level; below `poor` is "Very Poor"
+      trustLevels: numberFields(TRUST_LEVEL_THRESHOLDS, 0, 100),
+      // Behavioral red-flags score below which a critical warning is raised
+      redFlagScore: { type: Number, min: 0, max: 100 }
+    },
+
+    // Points subtracted from the behavioral red-flags score
+    penalties: numberFields(RED_FLAG_PENALTIES, 0, 100),
+
+    // Lowercase phrases matched anywhere in listing text
+    keywords: Object.fromEntries(
+      RED_FLAG_KEYWORD_GROUPS.map(group => [group, [{ type: String, trim: true, lowercase: true }]])
+    ),
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    activatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    activatedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+scoringProfileSchema.index({ platform: 1, isActive: 1 });
+scoringProfileSchema.index({ platform: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+
+scoringProfileSchema.pre('save', function(next) {
+  if (!this.isNew && ['weights', 'thresholds', 'penalties', 'keywords'].some(path => this.isModified(path))) {
+    this.version += 1;
+  }
+  next();
+});
+
+scoringProfileSchema.methods.toJSON = function() {
+  const scoringProfile = this.toObject();
+  delete scoringProfile.__v;
+  return scoringProfile;
+};
+
+const ScoringProfile = mongoose.model('ScoringProfile', scoringProfileSchema);
+
+export default ScoringProfile;
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+const scrapeCacheSchema = new mongoose.Schema(
+  {
+    // Canonical profile URL the payload was scraped for
+    cacheKey: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+
+    platform: {
+      type: String,
+      required: true,
+      index: true
+    },
+
+    // Raw scraper payload ({ markdown, html, metadata })
+    payload: {
+      markdown: {
+        type: String,
+        default: ''
+      },
+      html: {
+        type: String,
+        default: ''
+      },
+      metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+      }
+    },
+
+    scraper: {
+      type: String
+    },
+
+    scrapedAt: {
+      type: Date,
+      default: Date.now,
+      required: true
+    },
+
+    // MongoDB removes the entry once this date has passed (TTL index below)
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+
+    hitCount: {
+      type: Number,
+      default: 0
+    },
+
+    lastHitAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+scrapeCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Drop the version key from JSON output
+scrapeCacheSchema.methods.toJSON = function() {
+  const entry = this.toObject();
+  delete entry.__v;
+  return entry;
+};
+
+const ScrapeCache = mongoose.model('ScrapeCache', scrapeCacheSchema);
+
+export default ScrapeCache;
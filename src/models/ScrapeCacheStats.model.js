@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+const scrapeCacheStatsSchema = new mongoose.Schema(
+  {
+    // UTC day the counters belong to (YYYY-MM-DD)
+    date: {
+      type: String,
+      required: true
+    },
+
+    platform: {
+      type: String,
+      required: true
+    },
+
+    hits: {
+      type: Number,
+      default: 0
+    },
+
+    misses: {
+      type: Number,
+      default: 0
+    },
+
+    // Requests that skipped the cache (force refresh or cache disabled)
+    bypasses: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+scrapeCacheStatsSchema.index({ date: 1, platform: 1 }, { unique: true });
+
+// Static method to increment a daily counter for a platform
+scrapeCacheStatsSchema.statics.recordEvent = function(platform, event) {
+  const counters = { hit: 'hits', miss: 'misses', bypass: 'bypasses' };
+  const field = counters[event];
+
+  if (!field) {
+    throw new Error(`Unknown scrape cache event: ${event}`);
+  }
+
+  return this.updateOne(
+    { date: new Date().toISOString().slice(0, 10), platform: platform || 'unknown' },
+    { $inc: { [field]: 1 } },
+    { upsert: true }
+  );
+};
+
+// Drop the version key from JSON output
+scrapeCacheStatsSchema.methods.toJSON = function() {
+  const stats = this.toObject();
+  delete stats.__v;
+  return stats;
+};
+
+const ScrapeCacheStats = mongoose.model('ScrapeCacheStats', scrapeCacheStatsSchema);
+
+export default ScrapeCacheStats;
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+export const SCRAPE_USAGE_TIERS = ['anonymous', 'registered', 'admin', 'system'];
+export const SCRAPE_USAGE_KINDS = ['profile', 'review_page', 'storefront_page', 'listing_page'];
+
+// One entry per scrape request (cache hits included, they are free)
+const scrapeUsageSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+
+    ip: {
+      type: String,
+      default: null
+    },
+
+    tier: {
+      type: String,
+      enum: SCRAPE_USAGE_TIERS,
+      required: true
+    },
+
+    // Endpoint or process that triggered the scrape (extract-profile, score-by-url, bulk, ...)
+    source: {
+      type: String,
+      required: true
+    },
+
+    platform: String,
+    profileUrl: String,
+
+    // review_page: an extra page followed while harvesting a profile's reviews;
+    // storefront_page / listing_page: pages fetched by a deep storefront crawl
+    kind: {
+      type: String,
+      enum: SCRAPE_USAGE_KINDS,
+      default: 'profile'
+    },
+
+    // Backend that served the scrape (firecrawl, local); null when every backend failed
+    scraper: {
+      type: String,
+      default: null
+    },
+
+    cacheHit: {
+      type: Boolean,
+      default: false
+    },
+
+    succeeded: {
+      type: Boolean,
+      default: true
+    },
+
+    // Entries are removed after SCRAPE_USAGE_RETENTION_DAYS (TTL index below)
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+scrapeUsageSchema.index({ userId: 1, createdAt: -1 });
+scrapeUsageSchema.index({ ip: 1, createdAt: -1 });
+scrapeUsageSchema.index({ createdAt: -1 });
+scrapeUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+scrapeUsageSchema.methods.toJSON = function() {
+  const usage = this.toObject();
+  delete usage.__v;
+  return usage;
+};
+
+const ScrapeUsage = mongoose.model('ScrapeUsage', scrapeUsageSchema);
+
+export default ScrapeUsage;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { getPlatformValues } from '../services/profileExtraction/platformRegistry.js';
 
 const sellerSchema = new mongoose.Schema(
   {
@@ -22,7 +23,7 @@ const sellerSchema = new mongoose.Schema(
     platform: {
       type: String,
       required: true,
-      enum: ['facebook', 'jiji', 'jumia', 'konga', 'etsy', 'kijiji', 'other'],
+      enum: getPlatformValues(),
       default: 'facebook'
     },
     
@@ -33,6 +34,21 @@ const sellerSchema = new mongoose.Schema(
       trim: true,
       unique: true
     },
+
+    // ISO 3166-1 alpha-2 country of the marketplace site (e.g. jiji.co.ke -> KE)
+    country: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null
+    },
+
+    // Platform-native seller handle or ID parsed from the canonical profile URL
+    platformHandle: {
+      type: String,
+      trim: true,
+      default: null
+    },
     
     // Seller profile information (from platform)
     profileData: {
@@ -62,6 +78,14 @@ const sellerSchema = new mongoose.Schema(
         type: Number,
         default: 0
       },
+      // Join date as displayed and parsed (anchored at scrape time)
+      joinedText: {
+        type: String,
+        trim: true
+      },
+      joinedAt: {
+        type: Date
+      },
       totalListings: {
         type: Number,
         default: 0
@@ -86,13 +110,47 @@ const sellerSchema = new mongoose.Schema(
         type: String,
         default: 'unverified'
       },
+      // ISO 4217 currency listing prices are quoted in
+      currency: {
+        type: String,
+        uppercase: true,
+        trim: true
+      },
       lastSeen: {
         type: String
       },
+      lastSeenText: {
+        type: String,
+        trim: true
+      },
+      lastSeenAt: {
+        type: Date
+      },
       followers: {
         type: Number,
         default: 0
       },
+      // Social profile signals (Instagram)
+      following: {
+        type: Number
+      },
+      postCount: {
+        type: Number
+      },
+      isBusinessAccount: {
+        type: Boolean
+      },
+      businessCategory: {
+        type: String,
+        trim: true
+      },
+      contactButtons: [{
+        type: String
+      }],
+      linkInBio: {
+        type: String,
+        trim: true
+      },
       sellerScore: {
         type: Number,
         default: 0
@@ -129,17 +187,54 @@ const sellerSchema = new mongoose.Schema(
         review: String,
         reviewer: String,
         date: String,
+        reviewedAt: Date,
         verifiedPurchase: Boolean
-      }]
+      }],
+      // Reviews harvested across review pages versus the total the platform reports
+      reviewSampling: {
+        sampled: Number,
+        reportedTotal: Number,
+        pagesFetched: Number,
+        creditsUsed: Number,
+        complete: Boolean,
+        stoppedReason: String
+      }
     },
-    
+
+    // Per-field extraction provenance, keyed by field path
+    // ({ 'marketplaceData.accountAge': { found, strategy, confidence, reason } })
+    extractionProvenance: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    // Platform-specific fields outside the extraction contract (Etsy shop policies, Konga brands, ...)
+    platformExtras: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    // EXTRACTION_SCHEMA_VERSION the stored extraction data was validated against
+    extractionSchemaVersion: {
+      type: Number,
+      default: null
+    },
+
     // Recent listings (extracted from platform)
     recentListings: [{
       title: String,
-      price: String,
+      // Normalized by the money parser; priceText is the price as displayed
+      price: Number,
+      priceMax: Number,
+      priceText: String,
+      currency: String,
+      negotiable: Boolean,
       date: String,
+      postedAt: Date,
       category: String,
       description: String,
+      url: String,
+      imageUrl: String,
       extractedAt: {
         type: Date,
         default: Date.now
@@ -254,11 +349,73 @@ const sellerSchema = new mongoose.Schema(
       }
     }],
     
+    // Perceptual-hash comparison of the seller's images with other sellers' (see imageHash.service.js)
+    imageAnalysis: {
+      checkedAt: Date,
+      hashedImages: Number,
+      failedImages: Number,
+      matches: [{
+        _id: false,
+        imageUrl: String,
+        kind: String,
+        matchedSellerId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Seller'
+        },
+        matchedPlatform: String,
+        matchedProfileUrl: String,
+        matchedImageUrl: String,
+        distance: Number
+      }]
+    },
+
+    // Listing prices compared with their category's market median (see priceAnalysis.service.js)
+    priceAnalysis: {
+      checkedAt: Date,
+      comparedListings: Number,
+      skippedListings: Number,
+      anomalies: [{
+        _id: false,
+        listingIndex: Number,
+        listingUrl: String,
+        title: String,
+        price: Number,
+        currency: String,
+        category: String,
+        marketPrice: Number,
+        priceDeviation: Number,
+        anomalyType: {
+          type: String,
+          enum: ['too-low', 'too-high']
+        },
+        sampleSize: Number
+      }]
+    },
+
     // Scoring factors (for analysis) - flexible schema for new categories
     scoringFactors: {
       type: mongoose.Schema.Types.Mixed,
       default: {}
     },
+
+    // Scoring algorithm and profile version that produced pulseScore (null for scores
+    // computed before versioning or set without scoring)
+    scoringVersion: {
+      algorithm: {
+        type: Number,
+        default: null
+      },
+      profileId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ScoringProfile',
+        default: null
+      },
+      profileName: String,
+      profileVersion: {
+        type: Number,
+        default: null
+      }
+    },
     
     // Status flags
     isActive: {
@@ -295,8 +452,11 @@ const sellerSchema = new mongoose.Schema(
 sellerSchema.index({ sellerId: 1, platform: 1 });
 sellerSchema.index({ userId: 1 }, { sparse: true }); // Sparse index for userId
 sellerSchema.index({ profileUrl: 1 }); // Index for profileUrl lookups
+sellerSchema.index({ platform: 1, platformHandle: 1 }, { sparse: true });
+sellerSchema.index({ country: 1, pulseScore: -1 });
 sellerSchema.index({ pulseScore: -1 });
 sellerSchema.index({ lastScored: -1 });
+sellerSchema.index({ 'scoringVersion.algorithm': 1, platform: 1 });
 sellerSchema.index({ verificationStatus: 1 });
 
 // Virtual for total flags count
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// What changed a seller's pulse score
+export const SCORE_HISTORY_TRIGGERS = ['extraction', 'recalculation', 'flag', 'endorsement', 'verification', 'backfill', 'flag_review'];
+
+// One entry per scoring event, so a seller's trust can be followed over time
+// (Seller.pulseScore only holds the latest value)
+const sellerScoreHistorySchema = new mongoose.Schema({
+  sellerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: true
+  },
+  platform: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: SCORE_HISTORY_TRIGGERS,
+    required: true
+  },
+  // User whose action caused the event (extraction requester, flagger, verifying or reviewing admin), if any
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  pulseScore: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  confidenceLevel: {
+    type: String
+  },
+  // Scoring confidence (0–1); null for events that adjust the score without scoring
+  confidence: {
+    type: Number,
+    default: null
+  },
+  // { [category]: { score, available, weight } }
+  categories: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  scoringVersion: {
+    algorithm: { type: Number, default: null },
+    profileId: { type: mongoose.Schema.Types.ObjectId, ref: 'ScoringProfile', default: null },
+    profileName: String,
+    profileVersion: { type: Number, default: null }
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sellerScoreHistorySchema.index({ sellerId: 1, recordedAt: -1 });
+
+sellerScoreHistorySchema.methods.toJSON = function() {
+  const entry = this.toObject();
+  delete entry.__v;
+  return entry;
+};
+
+const SellerScoreHistory = mongoose.model('SellerScoreHistory', sellerScoreHistorySchema);
+
+export default SellerScoreHistory;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import {
   adminLogin,
   getCurrentAdmin,
@@ -17,12 +17,112 @@ import {
   deleteSeller,
   getAllFlags,
   reviewFlag,
-  getSystemHealth
+  getSystemHealth,
+  getScrapeCacheStats,
+  clearScrapeCacheEntry,
+  getScrapeUsageReport,
+  getExtractorsHealth,
+  resetExtractorHealth,
+  getAdminAlerts,
+  acknowledgeAdminAlert,
+  createBulkExtraction,
+  getBulkExtractions,
+  getBulkExtraction,
+  downloadBulkExtractionResults,
+  getScoringProfiles,
+  getScoringProfile,
+  createScoringProfile,
+  updateScoringProfile,
+  activateScoringProfile,
+  deleteScoringProfile,
+  getOutdatedScores,
+  createScoreBackfill,
+  getScoreBackfills,
+  getScoreBackfill
 } from '../controllers/admin.controller.js';
 import { isAuthenticated, isAdmin } from '../middleware/auth.middleware.js';
+import { BULK_ROW_STATUSES } from '../models/BulkExtraction.model.js';
+import { ADMIN_ALERT_STATUSES } from '../models/AdminAlert.model.js';
+import {
+  RED_FLAG_KEYWORD_GROUPS,
+  RED_FLAG_PENALTIES,
+  SCORING_CATEGORIES,
+  TRUST_LEVEL_THRESHOLDS,
+  getScoringPlatformValues
+} from '../models/ScoringProfile.model.js';
+import { getPlatformValues, getSupportedPlatforms } from '../services/profileExtraction/platformRegistry.js';
 
 const router = express.Router();
 
+// Object body fields may only use the listed keys
+const onlyKeys = (field, keys) =>
+  body(field)
+    .optional()
+    .isObject()
+    .withMessage(`${field} must be an object`)
+    .bail()
+    .custom(value => {
+      const unknown = Object.keys(value).filter(key => !keys.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown ${field} keys: ${unknown.join(', ')} (allowed: ${keys.join(', ')})`);
+      }
+      return true;
+    });
+
+const scoringProfileValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  onlyKeys('weights', SCORING_CATEGORIES),
+  body('weights.*')
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Weights must be numbers between 0 and 1')
+    .toFloat(),
+  onlyKeys('thresholds', ['minConfidence', 'minCoverage', 'trustLevels', 'redFlagScore']),
+  body(['thresholds.minConfidence', 'thresholds.minCoverage'])
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('minConfidence and minCoverage must be numbers between 0 and 1')
+    .toFloat(),
+  body('thresholds.redFlagScore')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('redFlagScore must be a number between 0 and 100')
+    .toFloat(),
+  onlyKeys('thresholds.trustLevels', TRUST_LEVEL_THRESHOLDS),
+  body('thresholds.trustLevels.*')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Trust level thresholds must be numbers between 0 and 100')
+    .toFloat(),
+  onlyKeys('penalties', RED_FLAG_PENALTIES),
+  body('penalties.*')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Penalties must be numbers between 0 and 100')
+    .toFloat(),
+  onlyKeys('keywords', RED_FLAG_KEYWORD_GROUPS),
+  body('keywords.*')
+    .isArray({ max: 100 })
+    .withMessage('Keyword groups must be arrays of at most 100 phrases'),
+  body('keywords.*.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Keywords must be non-empty strings of at most 50 characters')
+];
+
+const scoringProfileIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid scoring profile ID')
+];
+
 // Admin authentication routes
 router.post('/login', [
   body('email')
@@ -102,4 +202,179 @@ router.put('/flags/:id/review', [
 // System management routes
 router.get('/system/health', isAuthenticated, isAdmin, getSystemHealth);
 
+// Scrape cache routes
+router.get('/scrape-cache/stats', isAuthenticated, isAdmin, getScrapeCacheStats);
+router.delete('/scrape-cache', [
+  isAuthenticated,
+  isAdmin,
+  body('profileUrl')
+    .isURL()
+    .withMessage('Profile URL must be a valid URL'),
+  clearScrapeCacheEntry
+]);
+
+// Scrape usage routes
+router.get('/scrape-usage', isAuthenticated, isAdmin, getScrapeUsageReport);
+
+// Extractor health and alert routes
+router.get('/extractors/health', isAuthenticated, isAdmin, getExtractorsHealth);
+router.delete('/extractors/:platform/health', [
+  isAuthenticated,
+  isAdmin,
+  param('platform')
+    .isIn(getSupportedPlatforms())
+    .withMessage(`Platform must be one of: ${getSupportedPlatforms().join(', ')}`),
+  resetExtractorHealth
+]);
+router.get('/alerts', [
+  isAuthenticated,
+  isAdmin,
+  query('status')
+    .optional()
+    .isIn(ADMIN_ALERT_STATUSES)
+    .withMessage(`status must be one of: ${ADMIN_ALERT_STATUSES.join(', ')}`),
+  getAdminAlerts
+]);
+router.put('/alerts/:id/acknowledge', [
+  isAuthenticated,
+  isAdmin,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid alert ID'),
+  acknowledgeAdminAlert
+]);
+
+// Bulk extraction routes
+router.post('/bulk-extractions', [
+  isAuthenticated,
+  isAdmin,
+  // Raw CSV uploads (Content-Type: text/csv); JSON bodies go through express.json()
+  express.text({ type: 'text/csv', limit: '1mb' }),
+  body('urls')
+    .optional()
+    .isArray()
+    .withMessage('urls must be an array of profile URLs'),
+  body('csv')
+    .optional()
+    .isString()
+    .withMessage('csv must be a string'),
+  body('forceRefresh')
+    .optional()
+    .isBoolean()
+    .withMessage('forceRefresh must be a boolean')
+    .toBoolean(),
+  createBulkExtraction
+]);
+router.get('/bulk-extractions', isAuthenticated, isAdmin, getBulkExtractions);
+router.get('/bulk-extractions/:id', [
+  isAuthenticated,
+  isAdmin,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid bulk extraction ID'),
+  query('status')
+    .optional()
+    .isIn(BULK_ROW_STATUSES)
+    .withMessage(`status must be one of: ${BULK_ROW_STATUSES.join(', ')}`),
+  getBulkExtraction
+]);
+router.get('/bulk-extractions/:id/results.csv', [
+  isAuthenticated,
+  isAdmin,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid bulk extraction ID'),
+  downloadBulkExtractionResults
+]);
+
+// Scoring profile routes
+router.get('/scoring-profiles', [
+  isAuthenticated,
+  isAdmin,
+  query('platform')
+    .optional()
+    .isIn(getScoringPlatformValues())
+    .withMessage(`platform must be one of: ${getScoringPlatformValues().join(', ')}`),
+  query('active')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('active must be true or false'),
+  getScoringProfiles
+]);
+router.get('/scoring-profiles/:id', [isAuthenticated, isAdmin, ...scoringProfileIdValidation, getScoringProfile]);
+router.post('/scoring-profiles', [
+  isAuthenticated,
+  isAdmin,
+  body('name')
+    .exists({ checkFalsy: true })
+    .withMessage('Name is required'),
+  body('platform')
+    .isIn(getScoringPlatformValues())
+    .withMessage(`platform must be one of: ${getScoringPlatformValues().join(', ')}`),
+  body('activate')
+    .optional()
+    .isBoolean()
+    .withMessage('activate must be a boolean')
+    .toBoolean(),
+  ...scoringProfileValidation,
+  createScoringProfile
+]);
+router.put('/scoring-profiles/:id', [
+  isAuthenticated,
+  isAdmin,
+  ...scoringProfileIdValidation,
+  body('platform')
+    .not()
+    .exists()
+    .withMessage('The platform of a scoring profile cannot be changed; create a new profile instead'),
+  ...scoringProfileValidation,
+  updateScoringProfile
+]);
+router.put('/scoring-profiles/:id/activate', [
+  isAuthenticated,
+  isAdmin,
+  ...scoringProfileIdValidation,
+  activateScoringProfile
+]);
+router.delete('/scoring-profiles/:id', [
+  isAuthenticated,
+  isAdmin,
+  ...scoringProfileIdValidation,
+  deleteScoringProfile
+]);
+
+// Score version routes
+router.get('/scores/outdated', [
+  isAuthenticated,
+  isAdmin,
+  query('platform')
+    .optional()
+    .isIn(getPlatformValues())
+    .withMessage(`platform must be one of: ${getPlatformValues().join(', ')}`),
+  getOutdatedScores
+]);
+router.post('/scores/backfills', [
+  isAuthenticated,
+  isAdmin,
+  body('platform')
+    .optional()
+    .isIn(getPlatformValues())
+    .withMessage(`platform must be one of: ${getPlatformValues().join(', ')}`),
+  body('limit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('limit must be a positive integer')
+    .toInt(),
+  createScoreBackfill
+]);
+router.get('/scores/backfills', isAuthenticated, isAdmin, getScoreBackfills);
+router.get('/scores/backfills/:id', [
+  isAuthenticated,
+  isAdmin,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid score backfill ID'),
+  getScoreBackfill
+]);
+
 export default router;
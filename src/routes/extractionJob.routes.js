@@ -0,0 +1,21 @@
+import express from 'express';
+import { param } from 'express-validator';
+import { optionalAuth } from '../middleware/auth.middleware.js';
+import { getExtractionJob } from '../controllers/extractionJob.controller.js';
+
+const router = express.Router();
+
+const jobIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid extraction job ID')
+];
+
+/**
+ * @route   GET /api/extraction-jobs/:id
+ * @desc    Poll an extraction job (queued, scraping, scoring, crawling, done, failed)
+ * @access  Public (jobs started while signed in are only visible to their owner and admins)
+ */
+router.get('/:id', optionalAuth, jobIdValidation, getExtractionJob);
+
+export default router;
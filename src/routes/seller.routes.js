@@ -1,6 +1,7 @@
 import express from 'express';
-import { body, param } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import { isAuthenticated, isActive, optionalAuth } from '../middleware/auth.middleware.js';
+import { enforceScrapeQuota } from '../middleware/scrapeQuota.middleware.js';
 import {
   becomeSeller,
   generateVerificationCode,
@@ -11,6 +12,8 @@ import {
   lookupSeller,
   getSellerById,
   getSellerScore,
+  getSellerScoreHistory,
+  explainSellerScore,
   getTopSellers,
   claimSellerProfile,
   flagSeller,
@@ -27,14 +30,22 @@ import {
   scoreProfileByUrl,
   recalculateSellerScore
 } from '../controllers/profileExtraction.controller.js';
+import {
+  detectPlatformFromUrl,
+  getPlatformDisplayName,
+  getPlatformValues,
+  getSupportedPlatforms,
+  getUrlPageType
+} from '../services/profileExtraction/platformRegistry.js';
+import { SCORE_HISTORY_INTERVALS } from '../services/scoreHistory.service.js';
 
 const router = express.Router();
 
 // Validation rules
 const becomeSellerValidation = [
   body('platform')
-    .isIn(['facebook', 'jiji', 'jumia', 'konga', 'etsy', 'kijiji', 'other'])
-    .withMessage('Platform must be facebook, jiji, or other'),
+    .isIn(getPlatformValues())
+    .withMessage(`Platform must be one of: ${getPlatformValues().join(', ')}`),
   body('profileUrl')
     .isURL()
     .withMessage('Profile URL must be a valid URL'),
@@ -50,6 +61,58 @@ const profileUrlValidation = [
   body('profileUrl')
     .isURL()
     .withMessage('Profile URL must be a valid URL')
+    .bail()
+    .custom(value => {
+      if (!detectPlatformFromUrl(value)) {
+        const platforms = getSupportedPlatforms().map(getPlatformDisplayName).join(', ');
+        throw new Error(`Profile URL must be on a supported platform (${platforms})`);
+      }
+
+      if (getUrlPageType(value) === 'listing') {
+        throw new Error('Profile URL points to a single listing; use the seller profile or shop URL');
+      }
+
+      return true;
+    })
+];
+
+const scrapeOptionsValidation = [
+  body('forceRefresh')
+    .optional()
+    .isBoolean()
+    .withMessage('forceRefresh must be a boolean')
+    .toBoolean()
+];
+
+// Deep crawls run tens of sequential scrapes, too long for one request, so they only run as jobs
+const deepCrawlValidation = [
+  body('deepCrawl')
+    .optional()
+    .isBoolean()
+    .withMessage('deepCrawl must be a boolean')
+    .bail()
+    .toBoolean()
+    .custom((deepCrawl, { req }) => !deepCrawl || req.body.async === true)
+    .withMessage('deepCrawl requires async: true')
+];
+
+const recalculateDeepCrawlValidation = [
+  body('deepCrawl')
+    .optional()
+    .isBoolean()
+    .withMessage('deepCrawl must be a boolean')
+    .bail()
+    .toBoolean()
+    .custom(deepCrawl => !deepCrawl)
+    .withMessage('deepCrawl is only available on POST /api/sellers/extract-profile with async: true')
+];
+
+const extractionModeValidation = [
+  body('async')
+    .optional()
+    .isBoolean()
+    .withMessage('async must be a boolean')
+    .toBoolean()
 ];
 
 const sellerIdValidation = [
@@ -58,6 +121,25 @@ const sellerIdValidation = [
     .withMessage('Invalid seller ID format')
 ];
 
+const scoreHistoryValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+  query('interval')
+    .optional()
+    .isIn(SCORE_HISTORY_INTERVALS)
+    .withMessage(`interval must be one of: ${SCORE_HISTORY_INTERVALS.join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('limit must be between 1 and 1000')
+];
+
 const flagEndorseValidation = [
   body('reason')
     .optional()
@@ -71,13 +153,20 @@ const claimSellerValidation = [
     .notEmpty()
     .withMessage('Seller ID is required'),
   body('platform')
-    .isIn(['facebook', 'jiji', 'jumia', 'konga', 'etsy', 'kijiji', 'other'])
-    .withMessage('Platform must be facebook, jiji, or other'),
+    .isIn(getPlatformValues())
+    .withMessage(`Platform must be one of: ${getPlatformValues().join(', ')}`),
   body('profileUrl')
     .isURL()
     .withMessage('Profile URL must be a valid URL')
 ];
 
+const countryQueryValidation = [
+  query('country')
+    .optional()
+    .isISO31661Alpha2()
+    .withMessage('Country must be an ISO 3166-1 alpha-2 code (e.g. NG, GH, KE)')
+];
+
 const updateProfileValidation = [
   body('profileData')
     .optional()
@@ -89,17 +178,34 @@ const updateProfileValidation = [
 
 /**
  * @route   POST /api/sellers/extract-profile
- * @desc    Extract Seller Profile From Url
- * @access  Public (optional auth - tracks extraction if authenticated)
+ * @desc    Extract Seller Profile From Url (`async: true` queues a job and returns 202 with its ID;
+ *          `deepCrawl: true`, only with `async: true`, also crawls the storefront's listings)
+ * @access  Public (optional auth - tracks extraction if authenticated; daily scrape quota per user or IP)
  */
-router.post('/extract-profile', optionalAuth, profileUrlValidation, extractAndScoreProfile);
+router.post(
+  '/extract-profile',
+  optionalAuth,
+  profileUrlValidation,
+  scrapeOptionsValidation,
+  extractionModeValidation,
+  deepCrawlValidation,
+  enforceScrapeQuota('extract-profile'),
+  extractAndScoreProfile
+);
 
 /**
  * @route   POST /api/sellers/score-by-url
  * @desc    Extract Seller Profile From Url - Not Saved
- * @access  Public
+ * @access  Public (optional auth - daily scrape quota per user or IP)
  */
-router.post('/score-by-url', profileUrlValidation, scoreProfileByUrl);
+router.post(
+  '/score-by-url',
+  optionalAuth,
+  profileUrlValidation,
+  scrapeOptionsValidation,
+  enforceScrapeQuota('score-by-url'),
+  scoreProfileByUrl
+);
 
 /**
  * @route   POST /api/sellers/generate-verification-code
@@ -139,9 +245,17 @@ router.delete('/account', isAuthenticated, isActive, deleteSellerAccount);
 /**
  * @route   POST /api/sellers/:id/recalculate-score
  * @desc    Recalculate My Seller Score
- * @access  Public
+ * @access  Public (optional auth - daily scrape quota per user or IP)
  */
-router.post('/:id/recalculate-score', sellerIdValidation, recalculateSellerScore);
+router.post(
+  '/:id/recalculate-score',
+  optionalAuth,
+  sellerIdValidation,
+  scrapeOptionsValidation,
+  recalculateDeepCrawlValidation,
+  enforceScrapeQuota('recalculate-score'),
+  recalculateSellerScore
+);
 
 /**
  * @route   PUT /api/sellers/profile
@@ -162,14 +276,14 @@ router.get('/lookup', lookupSeller);
  * @desc    Get top sellers by pulse score
  * @access  Public
  */
-router.get('/top', getTopSellers);
+router.get('/top', countryQueryValidation, getTopSellers);
 
 /**
  * @route   GET /api/sellers/search
  * @desc    Search sellers
  * @access  Public
  */
-router.get('/search', searchSellers);
+router.get('/search', countryQueryValidation, searchSellers);
 
 /**
  * @route   GET /api/sellers/all
@@ -192,6 +306,20 @@ router.get('/:id', sellerIdValidation, getSellerById);
  */
 router.get('/:id/score', sellerIdValidation, getSellerScore);
 
+/**
+ * @route   GET /api/sellers/:id/score/history
+ * @desc    Get seller pulse score history, optionally downsampled
+ * @access  Public
+ */
+router.get('/:id/score/history', sellerIdValidation, scoreHistoryValidation, getSellerScoreHistory);
+
+/**
+ * @route   GET /api/sellers/:id/score/explain
+ * @desc    Explain seller pulse score from signals to weighted total
+ * @access  Public
+ */
+router.get('/:id/score/explain', sellerIdValidation, explainSellerScore);
+
 /**
  * @route   POST /api/sellers/claim
  * @desc    Claim existing seller profile
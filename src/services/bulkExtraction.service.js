@@ -0,0 +1,257 @@
+import BulkExtraction from '../models/BulkExtraction.model.js';
+import { runProfileExtraction } from './extractionJob.service.js';
+import { canonicalizeProfile } from './profileExtraction/urlCanonicalizer.js';
+import { findPlatformByHostname, getUrlPageType, parseUrl } from './profileExtraction/platformRegistry.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+
+const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_MAX_URLS = 500;
+
+// Header names recognised as the URL column of an uploaded CSV
+const URL_COLUMN_PATTERN = /^(profile[\s_-]?url|seller[\s_-]?url|url|link)$/i;
+
+export const BULK_RESULT_COLUMNS = [
+  { key: 'row', header: 'row' },
+  { key: 'profileUrl', header: 'profile_url' },
+  { key: 'canonicalUrl', header: 'canonical_url' },
+  { key: 'platform', header: 'platform' },
+  { key: 'status', header: 'status' },
+  { key: 'reason', header: 'reason' },
+  { key: 'sellerId', header: 'seller_id' },
+  { key: 'pulseScore', header: 'pulse_score' },
+  { key: 'confidenceLevel', header: 'confidence_level' },
+  { key: 'processedAt', header: 'processed_at' }
+];
+
+// Batches being worked in this process, so a resume never runs a batch twice
+const activeBatches = new Set();
+
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 1 ? fallback : value;
+}
+
+export function getBulkExtractionMaxUrls() {
+  return readIntEnv('BULK_EXTRACTION_MAX_URLS', DEFAULT_MAX_URLS);
+}
+
+/**
+ * Read profile URLs from CSV text. Uses the column whose header is url/profile_url/link,
+ * otherwise the first column (skipping a header row that is not a URL).
+ * @returns {Array} URL strings, one per data row
+ */
+export function parseUrlsFromCsv(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].map(value => value.trim());
+  const urlColumn = header.findIndex(value => URL_COLUMN_PATTERN.test(value));
+
+  if (urlColumn !== -1) {
+    return rows.slice(1).map(row => (row[urlColumn] || '').trim());
+  }
+
+  const firstCell = header[0] || '';
+  const hasHeader = !firstCell.includes('.') || !parseUrl(firstCell);
+
+  return (hasHeader ? rows.slice(1) : rows).map(row => (row[0] || '').trim());
+}
+
+/**
+ * Classify a URL before it is scraped. Returns a row skeleton with status 'pending'
+ * or 'unsupported' (with reason).
+ */
+function classifyUrl(profileUrl, row) {
+  const base = { row, profileUrl, canonicalUrl: null, platform: null };
+
+  if (!profileUrl) {
+    return { ...base, status: 'unsupported', reason: 'Empty URL' };
+  }
+
+  const parsed = parseUrl(profileUrl);
+  if (!parsed || !parsed.hostname.includes('.')) {
+    return { ...base, status: 'unsupported', reason: 'Invalid URL' };
+  }
+
+  if (!findPlatformByHostname(parsed.hostname)) {
+    return { ...base, status: 'unsupported', reason: `Unsupported platform (${parsed.hostname})` };
+  }
+
+  if (getUrlPageType(profileUrl) === 'listing') {
+    return { ...base, status: 'unsupported', reason: 'URL points to a single listing, not a seller profile' };
+  }
+
+  const { canonicalUrl, platform } = canonicalizeProfile(profileUrl);
+
+  return { ...base, canonicalUrl, platform, status: 'pending' };
+}
+
+/**
+ * Create a bulk extraction batch and start working it in the background
+ * @param {Object} params - { urls, source: 'csv'|'json', forceRefresh, requestedBy }
+ * @returns {Object} BulkExtraction document
+ */
+export async function createBulkExtraction({ urls, source, forceRefresh = false, requestedBy }) {
+  const firstRowByCanonicalUrl = new Map();
+
+  const rows = urls.map((url, index) => {
+    const row = classifyUrl(typeof url === 'string' ? url.trim() : '', index + 1);
+
+    if (row.status === 'pending') {
+      const firstRow = firstRowByCanonicalUrl.get(row.canonicalUrl);
+      if (firstRow) {
+        return { ...row, status: 'duplicate', reason: `Same seller as row ${firstRow}` };
+      }
+      firstRowByCanonicalUrl.set(row.canonicalUrl, row.row);
+    }
+
+    return row;
+  });
+
+  const counts = rows.reduce((acc, row) => {
+    acc[row.status] = (acc[row.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  const bulkExtraction = await BulkExtraction.create({
+    requestedBy,
+    source,
+    forceRefresh,
+    total: rows.length,
+    counts,
+    rows,
+    status: counts.pending ? 'processing' : 'completed',
+    finishedAt: counts.pending ? undefined : new Date()
+  });
+
+  if (counts.pending) {
+    setImmediate(() => processBulkExtraction(bulkExtraction._id));
+  }
+
+  return bulkExtraction;
+}
+
+/**
+ * Run the pending rows of a batch with bounded concurrency, saving each row's result as it finishes
+ */
+export async function processBulkExtraction(bulkExtractionId) {
+  const key = bulkExtractionId.toString();
+  if (activeBatches.has(key)) {
+    return;
+  }
+
+  activeBatches.add(key);
+  try {
+    const bulkExtraction = await BulkExtraction.findById(bulkExtractionId);
+    if (!bulkExtraction || bulkExtraction.status !== 'processing') {
+      return;
+    }
+
+    const pendingRows = bulkExtraction.rows.filter(row => row.status === 'pending');
+    const concurrency = readIntEnv('BULK_EXTRACTION_CONCURRENCY', DEFAULT_CONCURRENCY);
+    let next = 0;
+    let unsavedRows = 0;
+
+    // A row whose result cannot be saved must not stop the other workers
+    const worker = async () => {
+      while (next < pendingRows.length) {
+        const row = pendingRows[next];
+        next += 1;
+
+        try {
+          const result = await extractRow(row, bulkExtraction);
+          await saveRowResult(bulkExtraction._id, row.row, result);
+        } catch (error) {
+          unsavedRows += 1;
+          console.error(`Bulk extraction ${key} row ${row.row} could not be saved:`, error);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, pendingRows.length) }, worker));
+
+    if (unsavedRows > 0) {
+      throw new Error(`${unsavedRows} row result(s) could not be saved`);
+    }
+
+    await BulkExtraction.updateOne(
+      { _id: bulkExtraction._id },
+      { $set: { status: 'completed', finishedAt: new Date() } }
+    );
+  } catch (error) {
+    console.error(`Bulk extraction ${key} error:`, error);
+    // Not left in 'processing', which would make the batch look like it is still running
+    await BulkExtraction.updateOne(
+      { _id: bulkExtractionId },
+      { $set: { status: 'failed', error: error.message, finishedAt: new Date() } }
+    ).catch(updateError => console.error(`Failed to mark bulk extraction ${key} as failed:`, updateError));
+  } finally {
+    activeBatches.delete(key);
+  }
+}
+
+async function extractRow(row, { forceRefresh, requestedBy }) {
+  try {
+    const outcome = await runProfileExtraction({
+      profileUrl: row.profileUrl,
+      forceRefresh,
+      usage: { userId: requestedBy, tier: 'admin', source: 'bulk-extraction' }
+    });
+
+    if (outcome.status === 'insufficient_data') {
+      return { status: 'failed', reason: 'Insufficient data for scoring' };
+    }
+
+    if (!outcome.seller) {
+      return { status: 'failed', reason: 'Failed to create or find seller record' };
+    }
+
+    return {
+      status: outcome.created ? 'created' : 'updated',
+      reason: null,
+      sellerId: outcome.seller._id,
+      pulseScore: outcome.scoringResult.pulseScore,
+      confidenceLevel: outcome.scoringResult.confidenceLevel
+    };
+  } catch (error) {
+    console.error(`Bulk extraction row ${row.row} (${row.profileUrl}) failed:`, error.message);
+    return { status: 'failed', reason: error.message };
+  }
+}
+
+function saveRowResult(bulkExtractionId, rowNumber, result) {
+  const update = { 'rows.$[target].processedAt': new Date() };
+  Object.entries(result).forEach(([field, value]) => {
+    update[`rows.$[target].${field}`] = value;
+  });
+
+  return BulkExtraction.updateOne(
+    { _id: bulkExtractionId },
+    {
+      $set: update,
+      $inc: { 'counts.pending': -1, [`counts.${result.status}`]: 1 }
+    },
+    { arrayFilters: [{ 'target.row': rowNumber }] }
+  );
+}
+
+/**
+ * Pick up batches left unfinished by a previous process (restart, deploy)
+ */
+export async function resumeBulkExtractions() {
+  try {
+    const unfinished = await BulkExtraction.find({ status: 'processing' }).select('_id').sort({ createdAt: 1 });
+
+    for (const { _id } of unfinished) {
+      await processBulkExtraction(_id);
+    }
+  } catch (error) {
+    console.error('Resume bulk extractions error:', error);
+  }
+}
+
+export function buildBulkResultsCsv(bulkExtraction) {
+  return toCsv(bulkExtraction.rows, BULK_RESULT_COLUMNS);
+}
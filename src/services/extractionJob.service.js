@@ -0,0 +1,389 @@
+import ExtractionJob, { ACTIVE_EXTRACTION_JOB_STATUSES } from '../models/ExtractionJob.model.js';
+import Extraction from '../models/Extraction.model.js';
+import profileExtractionService from './profileExtraction.service.js';
+import pulseScoringService, { getScoringVersion } from './pulseScoring.service.js';
+import { analyzeSellerImages, saveSellerImageHashes } from './imageHash.service.js';
+import { analyzeListingPrices } from './priceAnalysis.service.js';
+import { crawlStorefront } from './storefrontCrawl.service.js';
+import { recordScoreHistory } from './scoreHistory.service.js';
+import { getQuotaStatus, isScrapeQuotaEnabled } from './scrapeUsage.service.js';
+import { canonicalizeProfile } from './profileExtraction/urlCanonicalizer.js';
+import { ExtractionValidationError } from './profileExtraction/extractionSchema.js';
+import {
+  buildVeribleFeedback,
+  findSellerByProfileUrl,
+  saveExtractedSeller
+} from './sellerProfilePersistence.service.js';
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_POLL_MS = 2000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_RETENTION_HOURS = 72;
+const RETRY_BASE_DELAY_MS = 5000;
+
+const workerState = {
+  timer: null,
+  running: 0,
+  ticking: false
+};
+
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+export function isExtractionWorkerEnabled() {
+  return process.env.EXTRACTION_WORKER_ENABLED !== 'false';
+}
+
+/**
+ * Scrape, score and persist a seller profile.
+ * Shared by the synchronous extract-profile endpoint and the job worker.
+ * @param {Object} params - { profileUrl, forceRefresh, deepCrawl, userId, usage } (usage: scrape ledger context;
+ *   deepCrawl: also crawl the seller's storefront into the Listing collection, see storefrontCrawl.service.js)
+ * @param {Object} options - { onStage(stage) } called before the 'scraping', 'scoring' and 'crawling' stages,
+ *   { onProgress() } called before each page of a deep crawl
+ * @returns {Object} { status: 'success'|'insufficient_data', extractedData, scoringResult, seller, created, crawl }
+ */
+export async function runProfileExtraction(
+  { profileUrl, forceRefresh = false, deepCrawl = false, userId = null, usage = {} },
+  { onStage, onProgress } = {}
+) {
+  if (onStage) {
+    await onStage('scraping');
+  }
+
+  // Extract profile data (served from the scrape cache unless forceRefresh is set)
+  const profile = await profileExtractionService.extractProfile(profileUrl, { forceRefresh, usage });
+
+  if (onStage) {
+    await onStage('scoring');
+  }
+
+  const existingSeller = await findSellerByProfileUrl(profileUrl);
+  const veribleFeedback = buildVeribleFeedback(existingSeller);
+
+  // Images closely matching another seller's and prices far below the market feed the behavioral red flags
+  const images = await analyzeSellerImages(profile, { sellerId: existingSeller?._id });
+  const priceAnalysis = await analyzeListingPrices(profile, { sellerId: existingSeller?._id });
+  const extractedData = {
+    ...profile,
+    ...(images ? { imageAnalysis: images.analysis } : {}),
+    ...(priceAnalysis ? { priceAnalysis } : {})
+  };
+
+  // Calculate pulse score with Verible feedback if available
+  const scoringResult = await pulseScoringService.calculatePulseScore(
+    extractedData,
+    extractedData.recentListings || [],
+    veribleFeedback
+  );
+
+  if (scoringResult.status === 'insufficient_data') {
+    return { status: 'insufficient_data', extractedData, scoringResult, seller: null, created: false };
+  }
+
+  const seller = await saveExtractedSeller({
+    existingSeller,
+    profileUrl: extractedData.profileUrl || profileUrl,
+    extractedData,
+    scoringResult
+  });
+
+  if (images) {
+    await saveSellerImageHashes(seller._id, seller.platform, images.hashes);
+  }
+
+  await recordScoreHistory(seller, { trigger: 'extraction', scoringResult, triggeredBy: userId });
+
+  let crawl = null;
+  if (deepCrawl) {
+    if (onStage) {
+      await onStage('crawling');
+    }
+
+    crawl = await crawlStorefront(seller, {
+      usage,
+      forceRefresh,
+      seedUrls: (extractedData.recentListings || []).map(listing => listing.url || listing.postUrl),
+      onPage: onProgress
+    });
+  }
+
+  // Track extraction if user is authenticated
+  if (seller && userId) {
+    try {
+      // Use findOneAndUpdate with upsert to handle duplicate extractions gracefully
+      await Extraction.findOneAndUpdate(
+        { userId, sellerId: seller._id },
+        {
+          userId,
+          sellerId: seller._id,
+          pulseScoreAtExtraction: scoringResult.pulseScore,
+          extractedAt: new Date()
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Log error but don't fail the request if extraction tracking fails
+      console.error('Failed to track extraction:', error);
+    }
+  }
+
+  return { status: 'success', extractedData, scoringResult, seller, created: !existingSeller, crawl };
+}
+
+/**
+ * Response payload for an extraction outcome, identical for the synchronous endpoint and job results
+ */
+export function buildExtractionResponseData({ status, extractedData, scoringResult, seller, crawl = null }) {
+  if (status === 'insufficient_data') {
+    return { extractedData, scoringResult };
+  }
+
+  return {
+    seller: seller.toJSON(),
+    extractedData,
+    scoringResult: {
+      pulseScore: scoringResult.pulseScore,
+      confidenceLevel: scoringResult.confidenceLevel,
+      recommendations: scoringResult.recommendations,
+      trustIndicators: scoringResult.trustIndicators,
+      riskFactors: scoringResult.riskFactors,
+      scoringVersion: getScoringVersion(scoringResult)
+    },
+    ...(crawl ? { crawl } : {})
+  };
+}
+
+/**
+ * Queue an extraction job. An active job for the same canonical URL, user and crawl mode is
+ * returned instead of creating a duplicate, so clients can safely resubmit.
+ * @returns {Object} { job, created }
+ */
+export async function enqueueExtractionJob({ profileUrl, forceRefresh = false, deepCrawl = false, userId = null, usage = {} }) {
+  const { canonicalUrl, platform } = canonicalizeProfile(profileUrl);
+
+  const activeJob = await ExtractionJob.findOne({
+    canonicalUrl,
+    userId,
+    deepCrawl,
+    status: { $in: ACTIVE_EXTRACTION_JOB_STATUSES }
+  });
+
+  if (activeJob) {
+    return { job: activeJob, created: false };
+  }
+
+  const job = await ExtractionJob.create({
+    userId,
+    profileUrl,
+    canonicalUrl,
+    platform,
+    forceRefresh,
+    deepCrawl,
+    usage: { ip: usage.ip || null, tier: usage.tier || null, source: usage.source || null },
+    maxAttempts: readIntEnv('EXTRACTION_JOB_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS)
+  });
+
+  // Pick the job up right away instead of waiting for the next poll
+  if (isExtractionWorkerEnabled()) {
+    setImmediate(() => processQueuedJobs());
+  }
+
+  return { job, created: true };
+}
+
+export function startExtractionWorker() {
+  if (!isExtractionWorkerEnabled() || workerState.timer) {
+    return;
+  }
+
+  const pollMs = readIntEnv('EXTRACTION_WORKER_POLL_MS', DEFAULT_POLL_MS);
+  workerState.timer = setInterval(() => processQueuedJobs(), pollMs);
+  workerState.timer.unref();
+
+  console.log(`🛠️ Extraction worker started (poll ${pollMs}ms)`);
+}
+
+export function stopExtractionWorker() {
+  if (workerState.timer) {
+    clearInterval(workerState.timer);
+    workerState.timer = null;
+  }
+}
+
+/**
+ * Claim queued jobs up to the configured concurrency and run them in the background
+ */
+export async function processQueuedJobs() {
+  if (workerState.ticking) {
+    return;
+  }
+
+  workerState.ticking = true;
+  try {
+    await requeueStaleJobs();
+
+    const concurrency = readIntEnv('EXTRACTION_WORKER_CONCURRENCY', DEFAULT_CONCURRENCY);
+    while (workerState.running < concurrency) {
+      const job = await claimNextJob();
+      if (!job) {
+        break;
+      }
+
+      workerState.running += 1;
+      processJob(job).finally(() => {
+        workerState.running -= 1;
+      });
+    }
+  } catch (error) {
+    console.error('Extraction worker error:', error);
+  } finally {
+    workerState.ticking = false;
+  }
+}
+
+async function claimNextJob() {
+  const now = new Date();
+
+  return ExtractionJob.findOneAndUpdate(
+    { status: 'queued', runAfter: { $lte: now } },
+    {
+      $set: { status: 'scraping', lockedAt: now, startedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+}
+
+/**
+ * The quota is checked when a job is queued; other scrapes of the caller may have used it up
+ * since, so check again before scraping. A ledger outage does not hold the job back.
+ * @throws {Error} statusCode 429 when the caller's daily quota is used up
+ */
+async function assertJobWithinQuota(job, usage) {
+  if (!isScrapeQuotaEnabled() || !usage.tier) {
+    return;
+  }
+
+  let quota;
+  try {
+    quota = await getQuotaStatus(usage, { excludeJobId: job._id });
+  } catch (error) {
+    console.error(`Scrape quota check error (job ${job._id}):`, error);
+    return;
+  }
+
+  if (quota.limit !== null && quota.used >= quota.limit) {
+    const error = new Error(`Daily scrape quota exceeded; the quota resets at ${quota.resetAt.toISOString()}`);
+    error.statusCode = 429;
+    throw error;
+  }
+}
+
+async function processJob(job) {
+  try {
+    const usage = {
+      userId: job.userId,
+      ip: job.usage?.ip,
+      tier: job.usage?.tier,
+      source: job.usage?.source
+    };
+    await assertJobWithinQuota(job, usage);
+
+    const outcome = await runProfileExtraction(
+      {
+        profileUrl: job.profileUrl,
+        forceRefresh: job.forceRefresh,
+        deepCrawl: job.deepCrawl,
+        userId: job.userId,
+        usage
+      },
+      {
+        onStage: stage => ExtractionJob.updateOne({ _id: job._id }, { $set: { status: stage, lockedAt: new Date() } }),
+        // A deep crawl runs many sequential scrapes; keep the lock fresh so the job is not requeued as stale
+        onProgress: () => ExtractionJob.updateOne({ _id: job._id }, { $set: { lockedAt: new Date() } })
+      }
+    );
+
+    if (outcome.status === 'success' && !outcome.seller) {
+      throw new Error('Seller record not found after processing');
+    }
+
+    await ExtractionJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: 'done',
+          result: buildExtractionResponseData(outcome),
+          sellerId: outcome.seller ? outcome.seller._id : null,
+          error: null,
+          lockedAt: null,
+          ...finishedFields()
+        }
+      }
+    );
+  } catch (error) {
+    console.error(`Extraction job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+
+    const jobError = {
+      message: error.message,
+      statusCode: error.statusCode || 500,
+      errors: error instanceof ExtractionValidationError ? error.errors : undefined
+    };
+
+    // Malformed extractor output will not fix itself on retry, nor will a used-up quota before the reset
+    const retryable =
+      !(error instanceof ExtractionValidationError) && error.statusCode !== 429 && job.attempts < job.maxAttempts;
+
+    const update = retryable
+      ? {
+          status: 'queued',
+          error: jobError,
+          lockedAt: null,
+          runAfter: new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1))
+        }
+      : { status: 'failed', error: jobError, lockedAt: null, ...finishedFields() };
+
+    await ExtractionJob.updateOne({ _id: job._id }, { $set: update }).catch(updateError =>
+      console.error(`Failed to update extraction job ${job._id}:`, updateError)
+    );
+  }
+}
+
+/**
+ * Jobs whose worker died mid-run (process restart, serverless freeze) keep their lock;
+ * requeue them once the lock is stale, or fail them when out of attempts.
+ */
+async function requeueStaleJobs() {
+  const staleBefore = new Date(Date.now() - readIntEnv('EXTRACTION_JOB_LOCK_TIMEOUT_MS', DEFAULT_LOCK_TIMEOUT_MS));
+  const staleFilter = { status: { $in: ['scraping', 'scoring', 'crawling'] }, lockedAt: { $lt: staleBefore } };
+
+  await ExtractionJob.updateMany(
+    { ...staleFilter, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+    {
+      $set: {
+        status: 'failed',
+        lockedAt: null,
+        error: { message: 'Extraction job timed out', statusCode: 504 },
+        ...finishedFields()
+      }
+    }
+  );
+
+  await ExtractionJob.updateMany(staleFilter, {
+    $set: { status: 'queued', lockedAt: null, runAfter: new Date() }
+  });
+}
+
+function finishedFields() {
+  const finishedAt = new Date();
+  const retentionHours = readIntEnv('EXTRACTION_JOB_RETENTION_HOURS', DEFAULT_RETENTION_HOURS);
+
+  return {
+    finishedAt,
+    expiresAt: new Date(finishedAt.getTime() + retentionHours * 60 * 60 * 1000)
+  };
+}
@@ -0,0 +1,245 @@
+import ExtractorHealth from '../models/ExtractorHealth.model.js';
+import AdminAlert from '../models/AdminAlert.model.js';
+import { TRACKED_FIELDS } from './profileExtraction/utils/provenance.js';
+import { getPlatformDisplayName, getSupportedPlatforms } from './profileExtraction/platformRegistry.js';
+
+// Recent fill rate reacts within ~5 extractions, the baseline over ~50
+const FILL_RATE_ALPHA = 0.2;
+const BASELINE_ALPHA = 0.02;
+// Fields that are normally missing are too noisy to alert on
+const MIN_BASELINE = 0.5;
+const DEFAULT_MIN_SAMPLES = 20;
+const DEFAULT_DROP_THRESHOLD = 0.4;
+const CRITICAL_FILL_RATE = 0.1;
+
+// Provenance reasons that say nothing about extractor health
+const IGNORED_REASONS = ['platform_unavailable', 'not_extracted'];
+
+// Updates per platform are chained so concurrent extractions do not overwrite each other
+const pendingUpdates = new Map();
+
+export function isExtractorDriftEnabled() {
+  return process.env.EXTRACTOR_DRIFT_ENABLED !== 'false';
+}
+
+function getDriftSettings() {
+  const minSamples = parseInt(process.env.EXTRACTOR_DRIFT_MIN_SAMPLES, 10);
+  const threshold = parseFloat(process.env.EXTRACTOR_DRIFT_THRESHOLD);
+
+  return {
+    minSamples: Number.isNaN(minSamples) ? DEFAULT_MIN_SAMPLES : minSamples,
+    threshold: Number.isNaN(threshold) ? DEFAULT_DROP_THRESHOLD : threshold
+  };
+}
+
+/**
+ * Feed one fresh extraction into the platform's rolling statistics.
+ * Never throws; failures are logged.
+ * @param {String} platform
+ * @param {Object} outcome - { provenance } for a valid extraction, { contractFailed: true } otherwise
+ */
+export function recordExtractionHealth(platform, { provenance = null, contractFailed = false } = {}) {
+  if (!isExtractorDriftEnabled() || !platform) {
+    return Promise.resolve();
+  }
+
+  const previous = pendingUpdates.get(platform) || Promise.resolve();
+  const next = previous
+    .then(() => updateExtractorHealth(platform, { provenance, contractFailed }))
+    .catch(error => console.error(`Failed to update ${platform} extractor health:`, error));
+
+  pendingUpdates.set(platform, next);
+  next.then(() => {
+    if (pendingUpdates.get(platform) === next) {
+      pendingUpdates.delete(platform);
+    }
+  });
+
+  return next;
+}
+
+// Running mean until the window is full, exponentially weighted afterwards
+function updateAverage(current, value, samples, alpha) {
+  const weight = Math.max(alpha, 1 / samples);
+  return current + (value - current) * weight;
+}
+
+async function updateExtractorHealth(platform, { provenance, contractFailed }) {
+  const health = (await ExtractorHealth.findOne({ platform })) || new ExtractorHealth({ platform });
+  const now = new Date();
+
+  health.extractions += 1;
+  health.lastExtractionAt = now;
+
+  if (contractFailed) {
+    health.contractFailures += 1;
+    health.lastContractFailureAt = now;
+    await health.save();
+    return;
+  }
+
+  const { minSamples, threshold } = getDriftSettings();
+  const fields = { ...(health.fields || {}) };
+  const transitions = [];
+
+  TRACKED_FIELDS.forEach(field => {
+    const entry = provenance ? provenance[field] : null;
+    if (!entry || IGNORED_REASONS.includes(entry.reason)) {
+      return;
+    }
+
+    const value = entry.found ? 1 : 0;
+    const stats = fields[field] || { fillRate: 0, baseline: 0, samples: 0, degraded: false, degradedSince: null };
+
+    stats.samples += 1;
+    stats.fillRate = updateAverage(stats.fillRate, value, stats.samples, FILL_RATE_ALPHA);
+    if (!stats.degraded) {
+      stats.baseline = updateAverage(stats.baseline, value, stats.samples, BASELINE_ALPHA);
+    }
+
+    if (stats.samples >= minSamples) {
+      const drop = stats.baseline - stats.fillRate;
+
+      if (!stats.degraded && stats.baseline >= MIN_BASELINE && drop >= threshold) {
+        stats.degraded = true;
+        stats.degradedSince = now;
+        transitions.push({ field, stats: { ...stats }, degraded: true });
+      } else if (stats.degraded && drop < threshold / 2) {
+        stats.degraded = false;
+        stats.degradedSince = null;
+        transitions.push({ field, stats: { ...stats }, degraded: false });
+      }
+    }
+
+    fields[field] = stats;
+  });
+
+  health.fields = fields;
+  health.markModified('fields');
+  await health.save();
+
+  for (const { field, stats, degraded } of transitions) {
+    if (degraded) {
+      await raiseDriftAlert(platform, field, stats);
+    } else {
+      await resolveDriftAlerts(platform, field);
+    }
+  }
+}
+
+async function raiseDriftAlert(platform, field, stats) {
+  const existing = await AdminAlert.findOne({
+    type: 'extractor_drift',
+    platform,
+    field,
+    status: { $in: ['open', 'acknowledged'] }
+  });
+  if (existing) {
+    return;
+  }
+
+  const message =
+    `${getPlatformDisplayName(platform)} extractor: ${field} fill rate dropped from ` +
+    `${formatPercent(stats.baseline)} to ${formatPercent(stats.fillRate)}`;
+
+  console.warn(`⚠️ ${message}`);
+
+  await AdminAlert.create({
+    type: 'extractor_drift',
+    severity: stats.fillRate <= CRITICAL_FILL_RATE ? 'critical' : 'warning',
+    platform,
+    field,
+    message,
+    details: {
+      fillRate: roundRate(stats.fillRate),
+      baseline: roundRate(stats.baseline),
+      samples: stats.samples
+    }
+  });
+}
+
+function resolveDriftAlerts(platform, field) {
+  const filter = { type: 'extractor_drift', platform, status: { $in: ['open', 'acknowledged'] } };
+  if (field) {
+    filter.field = field;
+  }
+
+  return AdminAlert.updateMany(filter, { $set: { status: 'resolved', resolvedAt: new Date() } });
+}
+
+/**
+ * Forget a platform's statistics (e.g. after the platform permanently dropped a field)
+ * and resolve its drift alerts; the baseline is relearned from the next extractions
+ */
+export async function resetExtractorHealth(platform) {
+  const result = await ExtractorHealth.deleteOne({ platform });
+  await resolveDriftAlerts(platform);
+  return result.deletedCount > 0;
+}
+
+/**
+ * Current state of every supported extractor
+ * status: no_data | warming_up | healthy | degraded
+ */
+export async function getExtractorHealthReport() {
+  const { minSamples, threshold } = getDriftSettings();
+
+  const [healthDocs, openAlerts] = await Promise.all([
+    ExtractorHealth.find().lean(),
+    AdminAlert.find({ type: 'extractor_drift', status: { $in: ['open', 'acknowledged'] } })
+      .sort({ createdAt: -1 })
+      .lean()
+  ]);
+
+  const healthByPlatform = new Map(healthDocs.map(doc => [doc.platform, doc]));
+
+  const extractors = getSupportedPlatforms().map(platform => {
+    const health = healthByPlatform.get(platform);
+    const alerts = openAlerts.filter(alert => alert.platform === platform);
+
+    if (!health) {
+      return { platform, displayName: getPlatformDisplayName(platform), status: 'no_data', extractions: 0, fields: [], alerts };
+    }
+
+    const fields = Object.entries(health.fields || {}).map(([field, stats]) => ({
+      field,
+      fillRate: roundRate(stats.fillRate),
+      baseline: roundRate(stats.baseline),
+      samples: stats.samples,
+      status: stats.degraded ? 'degraded' : stats.samples < minSamples ? 'warming_up' : 'healthy',
+      degradedSince: stats.degradedSince || null
+    }));
+
+    let status = 'healthy';
+    if (fields.some(field => field.status === 'degraded')) {
+      status = 'degraded';
+    } else if (health.extractions < minSamples) {
+      status = 'warming_up';
+    }
+
+    return {
+      platform,
+      displayName: getPlatformDisplayName(platform),
+      status,
+      extractions: health.extractions,
+      contractFailures: health.contractFailures,
+      lastExtractionAt: health.lastExtractionAt || null,
+      lastContractFailureAt: health.lastContractFailureAt || null,
+      fields,
+      alerts
+    };
+  });
+
+  return {
+    settings: { minSamples, threshold, minBaseline: MIN_BASELINE },
+    extractors
+  };
+}
+
+function roundRate(value) {
+  return Math.round((value || 0) * 1000) / 1000;
+}
+
+function formatPercent(value) {
+  return `${Math.round((value || 0) * 100)}%`;
+}
@@ -0,0 +1,294 @@
+import axios from 'axios';
+import dns from 'dns';
+import net from 'net';
+import ImageHash from '../models/ImageHash.model.js';
+import Seller from '../models/Seller.model.js';
+import { isPlatformImageHost } from './profileExtraction/platformRegistry.js';
+import { computeDifferenceHash, getHashBandProbes, getHashBands, hammingDistance, isLowDetailHash } from '../utils/imageHash.js';
+
+const DEFAULT_MAX_IMAGES = 10;
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MATCH_DISTANCE = 6;
+const DEFAULT_COMMON_SELLERS = 5;
+const MAX_REDIRECTS = 3;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Image URLs come from scraped pages, so they must not reach the server's own network
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+export function isImageHashingEnabled() {
+  return process.env.IMAGE_HASH_ENABLED !== 'false';
+}
+
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+function getImageHashSettings() {
+  return {
+    maxImages: readIntEnv('IMAGE_HASH_MAX_IMAGES', DEFAULT_MAX_IMAGES),
+    maxBytes: readIntEnv('IMAGE_HASH_MAX_BYTES', DEFAULT_MAX_BYTES),
+    timeoutMs: readIntEnv('IMAGE_HASH_TIMEOUT_MS', DEFAULT_TIMEOUT_MS),
+    // Band lookups only find hashes up to 7 bits apart (see getHashBandProbes)
+    matchDistance: Math.min(7, readIntEnv('IMAGE_HASH_MATCH_DISTANCE', DEFAULT_MATCH_DISTANCE)),
+    commonSellers: Math.max(2, readIntEnv('IMAGE_HASH_COMMON_SELLERS', DEFAULT_COMMON_SELLERS))
+  };
+}
+
+/**
+ * Profile picture and listing photos of an extraction, deduplicated by URL
+ * @returns {Array} [{ imageUrl, kind, listingUrl }]
+ */
+export function collectSellerImages(extractedData, maxImages = DEFAULT_MAX_IMAGES) {
+  const images = [];
+  const add = (imageUrl, kind, listingUrl = null) => {
+    if (typeof imageUrl === 'string' && /^https?:\/\//i.test(imageUrl) && !images.some(image => image.imageUrl === imageUrl)) {
+      images.push({ imageUrl, kind, listingUrl });
+    }
+  };
+
+  add(extractedData.profileData?.profilePicture, 'profile');
+  (extractedData.recentListings || []).forEach(listing => add(listing.imageUrl, 'listing', listing.url || listing.postUrl || null));
+
+  return images.slice(0, maxImages);
+}
+
+/**
+ * Hash a seller's images and look for close matches among other sellers' stored hashes.
+ * Images already hashed (by URL) are not downloaded again. Never throws; failures are logged
+ * and an extraction without image analysis is scored as before.
+ * @param {Object} extractedData - Output of profileExtractionService.extractProfile()
+ * @param {Object} options - { sellerId } the seller being analysed, whose own hashes are not matches
+ * @returns {Object|null} { hashes, analysis } — hashes to store with saveSellerImageHashes(),
+ *   analysis: { checkedAt, hashedImages, failedImages, matches }
+ */
+export async function analyzeSellerImages(extractedData, { sellerId = null } = {}) {
+  if (!isImageHashingEnabled()) {
+    return null;
+  }
+
+  try {
+    const settings = getImageHashSettings();
+    const images = collectSellerImages(extractedData, settings.maxImages);
+
+    const hashed = await Promise.all(images.map(image => hashImage(image, extractedData.platform, settings)));
+    const hashes = hashed.filter(Boolean);
+    const matches = await findMatches(hashes, { sellerId, profileUrl: extractedData.profileUrl }, settings);
+
+    return {
+      hashes,
+      analysis: {
+        checkedAt: new Date(),
+        hashedImages: hashes.length,
+        failedImages: images.length - hashes.length,
+        matches
+      }
+    };
+  } catch (error) {
+    console.error('Seller image analysis error:', error);
+    return null;
+  }
+}
+
+/**
+ * Store (or refresh) a seller's image hashes
+ */
+export async function saveSellerImageHashes(sellerId, platform, hashes = []) {
+  if (!sellerId || hashes.length === 0) {
+    return;
+  }
+
+  try {
+    await ImageHash.bulkWrite(
+      hashes.map(({ imageUrl, kind, listingUrl, hash }) => ({
+        updateOne: {
+          filter: { sellerId, imageUrl },
+          update: {
+            $set: { platform, kind, listingUrl, hash, bands: getHashBands(hash), computedAt: new Date() }
+          },
+          upsert: true
+        }
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    console.error('Failed to store seller image hashes:', error);
+  }
+}
+
+async function hashImage(image, platform, settings) {
+  try {
+    const known = await ImageHash.findOne({ imageUrl: image.imageUrl }).select('hash').lean();
+    const hash = known ? known.hash : await computeDifferenceHash(await downloadImage(image.imageUrl, platform, settings));
+    return { ...image, hash };
+  } catch (error) {
+    console.warn(`Could not hash image ${image.imageUrl}: ${error.message}`);
+    return null;
+  }
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// DNS lookup for image requests; it runs on every connection, so a host cannot resolve to a
+// public address for a check and a private one for the request
+async function lookupPublicAddress(hostname) {
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) {
+    throw new Error(`Image host ${hostname} resolves to a non-public address (${blocked.address})`);
+  }
+
+  return [addresses[0].address, addresses[0].family];
+}
+
+function assertPlatformImageUrl(url, platform) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('Invalid image URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Unsupported image URL scheme ${parsed.protocol}`);
+  }
+
+  // Also rules out IP literals, which would skip the DNS check
+  if (!isPlatformImageHost(platform, parsed.hostname)) {
+    throw new Error(`Image host ${parsed.hostname} is not allowed for ${platform}`);
+  }
+}
+
+/**
+ * Download an image from one of the platform's image hosts. Redirects are followed by hand
+ * (at most MAX_REDIRECTS) so every hop is checked against the host list again.
+ */
+async function downloadImage(url, platform, { maxBytes, timeoutMs }) {
+  const signal = AbortSignal.timeout(timeoutMs);
+  let currentUrl = url;
+
+  for (let redirects = 0; ; redirects += 1) {
+    assertPlatformImageUrl(currentUrl, platform);
+
+    const response = await axios.get(currentUrl, {
+      responseType: 'arraybuffer',
+      signal,
+      maxRedirects: 0,
+      maxContentLength: maxBytes,
+      lookup: lookupPublicAddress,
+      proxy: false,
+      validateStatus: () => true
+    });
+
+    if (REDIRECT_STATUSES.includes(response.status)) {
+      if (redirects >= MAX_REDIRECTS || !response.headers.location) {
+        throw new Error(`Image request failed: too many redirects or no location (${response.status})`);
+      }
+      currentUrl = new URL(response.headers.location, currentUrl).toString();
+      continue;
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Image request failed: ${response.status}`);
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    if (contentType && !contentType.startsWith('image/')) {
+      throw new Error(`Not an image (${contentType})`);
+    }
+
+    const buffer = Buffer.from(response.data);
+    if (buffer.length > maxBytes) {
+      throw new Error(`Image larger than ${maxBytes} bytes`);
+    }
+
+    return buffer;
+  }
+}
+
+/**
+ * Other sellers' images within matchDistance bits of the seller's images.
+ * Images shared by commonSellers or more sellers (platform placeholders, stock photos)
+ * and near-blank images are ignored.
+ * @returns {Array} [{ imageUrl, kind, matchedSellerId, matchedPlatform, matchedProfileUrl, matchedImageUrl, distance }]
+ */
+async function findMatches(hashes, { sellerId, profileUrl }, { matchDistance, commonSellers }) {
+  const candidates = hashes.filter(({ hash }) => !isLowDetailHash(hash));
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const stored = await ImageHash.find({
+    bands: { $in: [...new Set(candidates.flatMap(({ hash }) => getHashBandProbes(hash)))] },
+    ...(sellerId ? { sellerId: { $ne: sellerId } } : {})
+  })
+    .select('sellerId imageUrl hash')
+    .lean();
+
+  const sellers = await Seller.find({ _id: { $in: [...new Set(stored.map(entry => String(entry.sellerId)))] } })
+    .select('platform profileUrl')
+    .lean();
+  const sellersById = new Map(sellers.map(seller => [String(seller._id), seller]));
+
+  const matches = [];
+  candidates.forEach(image => {
+    const bestBySeller = new Map();
+
+    stored.forEach(entry => {
+      const seller = sellersById.get(String(entry.sellerId));
+      if (!seller || seller.profileUrl === profileUrl) {
+        return;
+      }
+
+      const distance = hammingDistance(image.hash, entry.hash);
+      const best = bestBySeller.get(String(entry.sellerId));
+      if (distance <= matchDistance && (!best || distance < best.distance)) {
+        bestBySeller.set(String(entry.sellerId), { entry, seller, distance });
+      }
+    });
+
+    if (bestBySeller.size >= commonSellers) {
+      return;
+    }
+
+    bestBySeller.forEach(({ entry, seller, distance }) => {
+      matches.push({
+        imageUrl: image.imageUrl,
+        kind: image.kind,
+        matchedSellerId: entry.sellerId,
+        matchedPlatform: seller.platform,
+        matchedProfileUrl: seller.profileUrl,
+        matchedImageUrl: entry.imageUrl,
+        distance
+      });
+    });
+  });
+
+  return matches.sort((a, b) => a.distance - b.distance);
+}
@@ -0,0 +1,216 @@
+import Listing from '../models/Listing.model.js';
+
+const DEFAULT_MIN_SAMPLES = 10;
+const DEFAULT_LOW_RATIO = 0.4;
+const DEFAULT_HIGH_RATIO = 3;
+
+// Catch-all categories mix unrelated goods, so their median says nothing about a price
+const UNCOMPARABLE_CATEGORIES = ['uncategorized', 'other', 'others'];
+
+export function isPriceAnalysisEnabled() {
+  return process.env.PRICE_ANOMALY_ENABLED !== 'false';
+}
+
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+function readNumberEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) || value <= 0 ? fallback : value;
+}
+
+function getPriceAnalysisSettings() {
+  return {
+    // Baselines from fewer priced listings are not trusted
+    minSamples: Math.max(2, readIntEnv('PRICE_ANOMALY_MIN_SAMPLES', DEFAULT_MIN_SAMPLES)),
+    lowRatio: readNumberEnv('PRICE_ANOMALY_LOW_RATIO', DEFAULT_LOW_RATIO),
+    highRatio: readNumberEnv('PRICE_ANOMALY_HIGH_RATIO', DEFAULT_HIGH_RATIO)
+  };
+}
+
+/**
+ * Compare a price with its market median
+ * @returns {Object} { anomalyType: 'too-low'|'too-high'|'normal', priceDeviation } (deviation rounded to 2 places)
+ */
+export function classifyPrice(price, marketPrice, { lowRatio = DEFAULT_LOW_RATIO, highRatio = DEFAULT_HIGH_RATIO } = {}) {
+  const ratio = price / marketPrice;
+  let anomalyType = 'normal';
+  if (ratio <= lowRatio) {
+    anomalyType = 'too-low';
+  } else if (ratio >= highRatio) {
+    anomalyType = 'too-high';
+  }
+
+  return { anomalyType, priceDeviation: Math.round((ratio - 1) * 100) / 100 };
+}
+
+function isComparable({ price, currency, category }) {
+  return (
+    typeof price === 'number' &&
+    price > 0 &&
+    !!currency &&
+    !!category &&
+    !UNCOMPARABLE_CATEGORIES.includes(String(category).trim().toLowerCase())
+  );
+}
+
+// Stored listings are keyed by URL without query or fragment (see storefrontCrawl.service.js)
+function toStoredListingUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.search = '';
+    parsed.hash = '';
+    return parsed.toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Category and currency of recent listings that are stored as Listing documents (deep crawl);
+ * extractors do not read a category from storefront pages
+ * @returns {Map} stored listing URL -> { category, currency }
+ */
+async function findStoredListingDetails(listings) {
+  const urls = [...new Set(listings.map(listing => toStoredListingUrl(listing.url || listing.postUrl)).filter(Boolean))];
+  if (urls.length === 0) {
+    return new Map();
+  }
+
+  const stored = await Listing.find({ listingUrl: { $in: urls } })
+    .select('listingUrl listingData.category listingData.currency')
+    .lean();
+
+  return new Map(stored.map(({ listingUrl, listingData }) => [listingUrl, listingData || {}]));
+}
+
+/**
+ * Market baselines by category and currency, looked up once per analysis
+ */
+function createBaselineLookup(platform, excludeSellerId) {
+  const baselines = new Map();
+
+  return ({ category, currency }) => {
+    const key = `${category}\u0000${currency}`;
+    if (!baselines.has(key)) {
+      baselines.set(
+        key,
+        Listing.getPriceStats(category, platform, { currency, excludeSellerId }).then(([stats]) => stats || null)
+      );
+    }
+    return baselines.get(key);
+  };
+}
+
+/**
+ * Compare an extraction's listing prices with the market median of their category on the
+ * platform (stored Listing documents in the same currency, other sellers only). A listing's
+ * category comes from the extraction or else from its stored Listing document. Categories
+ * with fewer than PRICE_ANOMALY_MIN_SAMPLES priced listings are skipped. Never throws;
+ * failures are logged and the seller is scored without price analysis.
+ * @param {Object} extractedData - Output of profileExtractionService.extractProfile()
+ * @param {Object} options - { sellerId } the seller being analysed, left out of the baselines
+ * @returns {Object|null} { checkedAt, comparedListings, skippedListings, anomalies: [{ listingIndex,
+ *   listingUrl, title, price, currency, category, marketPrice, priceDeviation, anomalyType, sampleSize }] }
+ */
+export async function analyzeListingPrices(extractedData, { sellerId = null } = {}) {
+  if (!isPriceAnalysisEnabled()) {
+    return null;
+  }
+
+  try {
+    const settings = getPriceAnalysisSettings();
+    const getBaseline = createBaselineLookup(extractedData.platform, sellerId);
+    const listings = extractedData.recentListings || [];
+    const storedDetails = await findStoredListingDetails(listings);
+    const anomalies = [];
+    let comparedListings = 0;
+
+    for (const [idx, recentListing] of listings.entries()) {
+      const stored = storedDetails.get(toStoredListingUrl(recentListing.url || recentListing.postUrl)) || {};
+      const listing = {
+        ...recentListing,
+        category: recentListing.category || stored.category,
+        currency: recentListing.currency || stored.currency
+      };
+      if (!isComparable(listing)) {
+        continue;
+      }
+
+      const baseline = await getBaseline(listing);
+      if (!baseline || baseline.count < settings.minSamples || !baseline.medianPrice) {
+        continue;
+      }
+
+      comparedListings += 1;
+      const { anomalyType, priceDeviation } = classifyPrice(listing.price, baseline.medianPrice, settings);
+      if (anomalyType !== 'normal') {
+        anomalies.push({
+          listingIndex: idx + 1,
+          listingUrl: listing.url || listing.postUrl || null,
+          title: listing.title || null,
+          price: listing.price,
+          currency: listing.currency,
+          category: listing.category,
+          marketPrice: baseline.medianPrice,
+          priceDeviation,
+          anomalyType,
+          sampleSize: baseline.count
+        });
+      }
+    }
+
+    return {
+      checkedAt: new Date(),
+      comparedListings,
+      skippedListings: listings.length - comparedListings,
+      anomalies
+    };
+  } catch (error) {
+    console.error('Listing price analysis error:', error);
+    return null;
+  }
+}
+
+/**
+ * Fill a Listing document's priceAnalysis from its category's market median (not saved).
+ * Listings without a usable baseline are reset to normal. Never throws.
+ */
+export async function applyListingPriceAnalysis(listing) {
+  if (!isPriceAnalysisEnabled()) {
+    return listing;
+  }
+
+  const { price, currency, category } = listing.listingData || {};
+  listing.set('priceAnalysis', { isAnomalous: false, anomalyType: 'normal', priceDeviation: 0, analyzedAt: new Date() });
+
+  if (!isComparable({ price, currency, category })) {
+    return listing;
+  }
+
+  try {
+    const settings = getPriceAnalysisSettings();
+    const [baseline] = await Listing.getPriceStats(category, listing.platform, {
+      currency,
+      excludeSellerId: listing.sellerId
+    });
+
+    if (baseline && baseline.count >= settings.minSamples && baseline.medianPrice) {
+      const { anomalyType, priceDeviation } = classifyPrice(price, baseline.medianPrice, settings);
+      listing.set('priceAnalysis', {
+        isAnomalous: anomalyType !== 'normal',
+        anomalyType,
+        marketPrice: baseline.medianPrice,
+        priceDeviation,
+        sampleSize: baseline.count,
+        analyzedAt: new Date()
+      });
+    }
+  } catch (error) {
+    console.error(`Listing price analysis error (${listing.listingUrl}):`, error.message);
+  }
+
+  return listing;
+}
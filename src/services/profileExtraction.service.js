@@ -1,4 +1,12 @@
-import { scrapeWithFirecrawl } from './profileExtraction/firecrawlClient.js';
+import { scrapeProfilePage } from './profileExtraction/scraper.js';
+import { getOrScrape } from './scrapeCache.service.js';
+import { recordScrapeUsage } from './scrapeUsage.service.js';
+import { recordExtractionHealth } from './extractorHealth.service.js';
+import { canonicalizeProfile } from './profileExtraction/urlCanonicalizer.js';
+import { detectPlatformFromUrl, getCountryFromUrl } from './profileExtraction/platformRegistry.js';
+import { assertValidExtraction, ExtractionValidationError } from './profileExtraction/extractionSchema.js';
+import { applyStructuredData, extractStructuredData } from './profileExtraction/structuredData.js';
+import { harvestReviews } from './profileExtraction/reviewPagination.js';
 import { extractFacebookProfile } from './profileExtraction/platforms/facebookExtractor.js';
 import { extractJijiProfile } from './profileExtraction/platforms/jijiExtractor.js';
 import { extractJumiaProfile } from './profileExtraction/platforms/jumiaExtractor.js';
@@ -6,70 +14,146 @@ import { extractKongaProfile } from './profileExtraction/platforms/kongaExtracto
 import { extractEtsyProfile } from './profileExtraction/platforms/etsyExtractor.js';
 import { extractKijijiProfile } from './profileExtraction/platforms/kijijiExtractor.js';
 import { extractEbayProfile } from './profileExtraction/platforms/ebayExtractor.js';
+import { extractInstagramProfile } from './profileExtraction/platforms/instagramExtractor.js';
 
-const platformExtractors = {
+export const platformExtractors = {
   facebook: extractFacebookProfile,
   jiji: extractJijiProfile,
   jumia: extractJumiaProfile,
   konga: extractKongaProfile,
   etsy: extractEtsyProfile,
   kijiji: extractKijijiProfile,
-  ebay: extractEbayProfile
+  ebay: extractEbayProfile,
+  instagram: extractInstagramProfile
 };
 
-class ProfileExtractionService {
-  async extractProfile(url) {
-    try {
-      const platform = detectPlatform(url);
-      const extractor = platformExtractors[platform];
+/**
+ * Run a platform extractor, overlay the page's structured data (JSON-LD / OpenGraph),
+ * harvest further review pages and validate the result against the extraction contract
+ * @param {Object} options - { fetchReviewPage } async (pageUrl) => scrapedData; without it
+ *   only the reviews on the profile page are sampled (see reviewPagination.js)
+ * @throws {ExtractionValidationError} when the output does not satisfy the contract
+ */
+export async function runExtractor(platform, scrapedData, url, { fetchReviewPage = null } = {}) {
+  const extractor = platformExtractors[platform];
+  if (!extractor) {
+    throw new Error(`No extractor registered for platform: ${platform}`);
+  }
 
-      if (!extractor) {
-        throw new Error(`Unsupported platform for URL: ${url}`);
-      }
+  const structuredData = extractStructuredData(scrapedData, platform);
+  const extractedData = applyStructuredData(await extractor(scrapedData, url), structuredData);
+  // Country sites (Jiji, Jumia, Konga, Kijiji) pin the seller's country when the extractor does not
+  extractedData.country = extractedData.country || getCountryFromUrl(url);
 
-      const scrapedData = await scrapeWithFirecrawl(url);
-      return await extractor(scrapedData, url);
-    } catch (error) {
-      console.error('Profile extraction error:', error);
-      throw new Error(`Failed to extract profile: ${error.message}`);
-    }
-  }
+  return assertValidExtraction(await harvestReviews(platform, extractedData, scrapedData, fetchReviewPage), platform);
 }
 
-function detectPlatform(url) {
-  if (!url) {
-    return null;
+/**
+ * Scrape a page other than the profile page (review pages, storefront pages, listings).
+ * Pages are cached under their own URL, since canonicalization would reduce them to the
+ * profile URL, and recorded in the usage ledger under `kind`.
+ * @param {Object} options - { usage, kind } usage ledger context and page kind (see ScrapeUsage),
+ *   { forceRefresh, useCache } scrape cache controls
+ * @returns {Object} scrapedData with metadata.cache
+ */
+export async function scrapeExtraPage(pageUrl, platform, { usage = {}, kind, ...cacheOptions } = {}) {
+  let pageData;
+  try {
+    pageData = await getOrScrape(pageUrl, platform, () => scrapeProfilePage(pageUrl, platform), {
+      ...cacheOptions,
+      cacheKey: pageUrl
+    });
+  } catch (error) {
+    await recordScrapeUsage(usage, { platform, profileUrl: pageUrl, kind, succeeded: false });
+    throw error;
   }
 
-  if (url.includes('facebook.com') || url.includes('fb.com')) {
-    return 'facebook';
-  }
+  await recordScrapeUsage(usage, {
+    platform,
+    profileUrl: pageUrl,
+    kind,
+    scraper: pageData.metadata.cache.scraper || pageData.metadata.scraper || null,
+    cacheHit: pageData.metadata.cache.hit
+  });
 
-  if (url.includes('jiji.ng') || url.includes('jiji.com')) {
-    return 'jiji';
-  }
+  return pageData;
+}
 
-  if (url.includes('jumia.com')) {
-    return 'jumia';
-  }
+class ProfileExtractionService {
+  /**
+   * Scrape and extract a seller profile
+   * The URL is canonicalized first, so the returned profileUrl is the canonical one
+   * @param {String} url - Seller profile URL
+   * @param {Object} options - { forceRefresh, useCache } scrape cache controls, and
+   *   { usage } the caller the scrape is recorded against in the usage ledger (see getUsageContext)
+   */
+  async extractProfile(profileUrl, options = {}) {
+    try {
+      const { canonicalUrl: url, handle } = canonicalizeProfile(profileUrl);
+      const platform = detectPlatform(url);
+      const { usage = {}, ...cacheOptions } = options;
 
-  if (url.includes('konga.com')) {
-    return 'konga';
-  }
+      if (!platformExtractors[platform]) {
+        throw new Error(`Unsupported platform for URL: ${profileUrl}`);
+      }
 
-  if (url.includes('etsy.com')) {
-    return 'etsy';
-  }
+      let scrapedData;
+      try {
+        scrapedData = await getOrScrape(url, platform, () => scrapeProfilePage(url, platform), cacheOptions);
+      } catch (error) {
+        await recordScrapeUsage(usage, { platform, profileUrl: url, succeeded: false });
+        throw error;
+      }
 
-  if (url.includes('kijiji.ca') || url.includes('kijiji.com')) {
-    return 'kijiji';
-  }
+      await recordScrapeUsage(usage, {
+        platform,
+        profileUrl: url,
+        scraper: scrapedData.metadata.cache.scraper || scrapedData.metadata.scraper || null,
+        cacheHit: scrapedData.metadata.cache.hit
+      });
+
+      const fetchReviewPage = pageUrl => scrapeExtraPage(pageUrl, platform, { ...cacheOptions, usage, kind: 'review_page' });
+
+      // Only fresh pages feed the drift statistics; a cache hit re-reads a page already counted
+      const freshScrape = !scrapedData.metadata.cache.hit;
+      let extractedData;
+      try {
+        extractedData = await runExtractor(platform, scrapedData, url, { fetchReviewPage });
+      } catch (error) {
+        if (freshScrape && error instanceof ExtractionValidationError) {
+          recordExtractionHealth(platform, { contractFailed: true });
+        }
+        throw error;
+      }
 
-  if (url.includes('ebay.')) {
-    return 'ebay';
+      if (freshScrape) {
+        recordExtractionHealth(platform, { provenance: extractedData.extractionProvenance });
+      }
+
+      return {
+        ...extractedData,
+        platformHandle: handle,
+        scrape: {
+          scraper: scrapedData.metadata.cache.scraper || scrapedData.metadata.scraper || null,
+          cacheHit: scrapedData.metadata.cache.hit,
+          scrapedAt: scrapedData.metadata.cache.scrapedAt || new Date()
+        }
+      };
+    } catch (error) {
+      console.error('Profile extraction error:', error);
+      if (error instanceof ExtractionValidationError) {
+        throw error;
+      }
+      throw new Error(`Failed to extract profile: ${error.message}`);
+    }
   }
+}
 
-  return null;
+/**
+ * Resolve the platform of a profile URL from its hostname (see platformRegistry.js)
+ */
+export function detectPlatform(url) {
+  return detectPlatformFromUrl(url);
 }
 
 export default new ProfileExtractionService();
@@ -0,0 +1,429 @@
+import { getPlatformValues } from './platformRegistry.js';
+import { parseMoney } from './utils/money.js';
+
+/**
+ * Versioned contract for extractor output.
+ * Every extractor result is validated against it before it is scored or persisted:
+ * values are coerced to the declared type ("1,234" -> 1234, "85%" -> 85, ISO string -> Date),
+ * defaults fill missing optional fields, and platform-specific fields the contract does
+ * not declare are moved to `platformExtras` instead of being silently dropped by Mongoose.
+ *
+ * Bump EXTRACTION_SCHEMA_VERSION whenever a field is added, removed or changes type.
+ */
+export const EXTRACTION_SCHEMA_VERSION = 5;
+
+export class ExtractionValidationError extends Error {
+  /**
+   * @param {String} platform - Platform whose extractor produced the data
+   * @param {Array} errors - [{ platform, field, message, value }]
+   */
+  constructor(platform, errors) {
+    super(
+      `Extracted ${platform} profile failed validation: ` +
+      errors.map(error => `${error.field} ${error.message}`).join('; ')
+    );
+    this.name = 'ExtractionValidationError';
+    this.statusCode = 422;
+    this.platform = platform;
+    this.errors = errors;
+  }
+}
+
+const listingSchema = {
+  type: 'object',
+  passthrough: true,
+  fields: {
+    title: { type: 'string', default: '' },
+    // Numeric amount in `currency`; priceText keeps the price as displayed
+    price: { type: 'money', nullable: true },
+    priceMax: { type: 'money', nullable: true },
+    priceText: { type: 'string', default: '' },
+    currency: { type: 'string', uppercase: true, pattern: /^[A-Z]{3}$/, nullable: true },
+    negotiable: { type: 'boolean', default: false },
+    imageCount: { type: 'integer', min: 0, default: 0 },
+    description: { type: 'string', default: '' },
+    hasPrice: { type: 'boolean', default: false },
+    descriptionLength: { type: 'integer', min: 0, default: 0 },
+    rating: { type: 'rating', nullable: true },
+    url: { type: 'url', nullable: true },
+    // Main listing photo, hashed to detect photos reused from other sellers
+    imageUrl: { type: 'url', nullable: true },
+    postedAt: { type: 'date', nullable: true },
+    extractedAt: { type: 'date', nullable: true }
+  }
+};
+
+const reviewSchema = {
+  type: 'object',
+  fields: {
+    productName: { type: 'string', default: '' },
+    productUrl: { type: 'url', nullable: true },
+    rating: { type: 'rating', nullable: true },
+    title: { type: 'string', default: '' },
+    review: { type: 'string', default: '' },
+    reviewer: { type: 'string', default: '' },
+    // Review date as displayed, and parsed
+    date: { type: 'string', default: '' },
+    reviewedAt: { type: 'date', nullable: true },
+    verifiedPurchase: { type: 'boolean', default: false }
+  }
+};
+
+export const extractionSchema = {
+  type: 'object',
+  fields: {
+    platform: { type: 'string', required: true, enum: getPlatformValues() },
+    profileUrl: { type: 'url', required: true },
+    country: { type: 'string', uppercase: true, pattern: /^[A-Z]{2}$/, nullable: true },
+    profileData: {
+      type: 'object',
+      required: true,
+      fields: {
+        name: { type: 'string', required: true, maxLength: 100 },
+        profilePicture: { type: 'url', nullable: true },
+        location: { type: 'string', default: 'Not specified' },
+        bio: { type: 'string', maxLength: 500, default: '' }
+      }
+    },
+    marketplaceData: {
+      type: 'object',
+      required: true,
+      fields: {
+        accountAge: { type: 'integer', min: 0, default: 0 },
+        // Join date as displayed ("3 years on Jiji", "Membre depuis 2019") and parsed
+        joinedText: { type: 'string', nullable: true },
+        joinedAt: { type: 'date', nullable: true },
+        totalListings: { type: 'integer', min: 0, default: 0 },
+        avgRating: { type: 'rating', default: 0 },
+        totalReviews: { type: 'integer', min: 0, default: 0 },
+        responseRate: { type: 'percentage', default: 0 },
+        verificationStatus: { type: 'string', default: 'unverified' },
+        currency: { type: 'string', uppercase: true, pattern: /^[A-Z]{3}$/, nullable: true },
+        // Days since the seller was last active, stored as a string
+        lastSeen: { type: 'string', nullable: true },
+        // Last-seen text as displayed and the date it resolves to at scrape time
+        lastSeenText: { type: 'string', nullable: true },
+        lastSeenAt: { type: 'date', nullable: true },
+        followers: { type: 'integer', min: 0, nullable: true },
+        following: { type: 'integer', min: 0, nullable: true },
+        postCount: { type: 'integer', min: 0, nullable: true },
+        isBusinessAccount: { type: 'boolean', nullable: true },
+        businessCategory: { type: 'string', nullable: true },
+        contactButtons: { type: 'array', items: { type: 'string' }, default: [] },
+        linkInBio: { type: 'url', nullable: true },
+        sellerScore: { type: 'number', min: 0, max: 100, default: 0 },
+        successfulSales: { type: 'integer', min: 0, default: 0 },
+        shippingSpeed: { type: 'string', nullable: true },
+        qualityScore: { type: 'string', nullable: true },
+        customerRatingLabel: { type: 'string', nullable: true },
+        officialStore: { type: 'boolean', nullable: true },
+        categories: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            fields: {
+              name: { type: 'string', required: true },
+              count: { type: 'integer', min: 0, default: 0 }
+            }
+          }
+        },
+        customerReviews: { type: 'array', items: reviewSchema, default: [] },
+        // How many reviews were harvested across review pages versus the platform's total
+        reviewSampling: {
+          type: 'object',
+          nullable: true,
+          fields: {
+            sampled: { type: 'integer', min: 0, default: 0 },
+            reportedTotal: { type: 'integer', min: 0, nullable: true },
+            pagesFetched: { type: 'integer', min: 0, default: 0 },
+            creditsUsed: { type: 'integer', min: 0, default: 0 },
+            complete: { type: 'boolean', default: false },
+            stoppedReason: { type: 'string', nullable: true }
+          }
+        }
+      }
+    },
+    recentListings: { type: 'array', items: listingSchema, default: [] },
+    trustIndicators: {
+      type: 'object',
+      passthrough: true,
+      default: {},
+      fields: {
+        hasProfilePicture: { type: 'boolean', nullable: true },
+        hasLocation: { type: 'boolean', nullable: true },
+        hasBio: { type: 'boolean', nullable: true },
+        accountAge: { type: 'integer', min: 0, nullable: true },
+        totalReviews: { type: 'integer', min: 0, nullable: true },
+        avgRating: { type: 'rating', nullable: true },
+        verificationStatus: { type: 'string', nullable: true },
+        followers: { type: 'integer', min: 0, nullable: true },
+        lastSeen: { type: 'string', nullable: true }
+      }
+    },
+    dataAvailability: {
+      type: 'object',
+      passthrough: true,
+      nullable: true
+    },
+    extractionProvenance: {
+      type: 'object',
+      passthrough: true,
+      default: {}
+    }
+  }
+};
+
+// Objects whose undeclared keys are collected into platformExtras
+const EXTRAS_SOURCES = ['', 'marketplaceData'];
+
+/**
+ * Validate and coerce extractor output against the contract.
+ * @param {Object} data - Raw extractor output
+ * @param {String} platform - Platform the extractor belongs to
+ * @returns {Object} { valid, data, errors }
+ */
+export function validateExtraction(data, platform) {
+  const errors = [];
+  const platformExtras = {};
+
+  const value = coerceValue(extractionSchema, data, '', {
+    platform,
+    errors,
+    platformExtras
+  });
+
+  if (value && value.platform && value.platform !== platform) {
+    errors.push({
+      platform,
+      field: 'platform',
+      message: `does not match the extractor platform "${platform}"`,
+      value: value.platform
+    });
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, data: null, errors };
+  }
+
+  return {
+    valid: true,
+    data: {
+      ...value,
+      platformExtras,
+      extractionSchemaVersion: EXTRACTION_SCHEMA_VERSION
+    },
+    errors
+  };
+}
+
+/**
+ * Validate extractor output, throwing ExtractionValidationError when it does not
+ * satisfy the contract
+ */
+export function assertValidExtraction(data, platform) {
+  const result = validateExtraction(data, platform);
+  if (!result.valid) {
+    throw new ExtractionValidationError(platform, result.errors);
+  }
+
+  return result.data;
+}
+
+function coerceValue(definition, rawValue, path, context) {
+  const fail = (message, value = rawValue) => {
+    context.errors.push({ platform: context.platform, field: path || '(root)', message, value });
+    return undefined;
+  };
+
+  // Empty values take the field default; required fields must be present
+  if (rawValue === undefined || rawValue === null || rawValue === '') {
+    if (definition.required) {
+      return fail('is required');
+    }
+    if (definition.default !== undefined) {
+      return typeof definition.default === 'object' ? structuredClone(definition.default) : definition.default;
+    }
+    return null;
+  }
+
+  switch (definition.type) {
+    case 'object':
+      return coerceObject(definition, rawValue, path, context, fail);
+    case 'array':
+      return coerceArray(definition, rawValue, path, context, fail);
+    case 'string':
+      return coerceString(definition, rawValue, fail);
+    case 'url':
+      return coerceUrl(rawValue, fail);
+    case 'integer':
+    case 'number':
+    case 'percentage':
+    case 'rating':
+      return coerceNumber(definition, rawValue, fail);
+    case 'money':
+      return coerceMoney(rawValue, fail);
+    case 'boolean':
+      return coerceBoolean(rawValue, fail);
+    case 'date':
+      return coerceDate(rawValue, fail);
+    default:
+      return fail(`has unknown schema type "${definition.type}"`);
+  }
+}
+
+function coerceObject(definition, rawValue, path, context, fail) {
+  if (typeof rawValue !== 'object' || Array.isArray(rawValue)) {
+    return fail('must be an object');
+  }
+
+  if (!definition.fields) {
+    return { ...rawValue };
+  }
+
+  const result = {};
+  Object.entries(definition.fields).forEach(([key, fieldDefinition]) => {
+    const fieldPath = path ? `${path}.${key}` : key;
+    const value = coerceValue(fieldDefinition, rawValue[key], fieldPath, context);
+    if (value !== undefined) {
+      result[key] = value;
+    }
+  });
+
+  const extraKeys = Object.keys(rawValue).filter(key => !(key in definition.fields));
+  if (definition.passthrough) {
+    extraKeys.forEach(key => {
+      result[key] = rawValue[key];
+    });
+  } else if (EXTRAS_SOURCES.includes(path)) {
+    extraKeys.forEach(key => {
+      context.platformExtras[key] = rawValue[key];
+    });
+  }
+
+  return result;
+}
+
+function coerceArray(definition, rawValue, path, context, fail) {
+  if (!Array.isArray(rawValue)) {
+    return fail('must be an array');
+  }
+
+  return rawValue
+    .map((item, index) => coerceValue(definition.items, item, `${path}[${index}]`, context))
+    .filter(item => item !== undefined);
+}
+
+function coerceString(definition, rawValue, fail) {
+  if (typeof rawValue !== 'string' && typeof rawValue !== 'number') {
+    return fail('must be a string');
+  }
+
+  let value = String(rawValue).trim();
+  if (definition.uppercase) {
+    value = value.toUpperCase();
+  }
+  if (definition.maxLength && value.length > definition.maxLength) {
+    value = value.substring(0, definition.maxLength);
+  }
+  if (definition.enum && !definition.enum.includes(value)) {
+    return fail(`must be one of: ${definition.enum.join(', ')}`);
+  }
+  if (definition.pattern && !definition.pattern.test(value)) {
+    return fail('has an invalid format');
+  }
+
+  return value;
+}
+
+function coerceUrl(rawValue, fail) {
+  if (typeof rawValue !== 'string') {
+    return fail('must be a URL string');
+  }
+
+  try {
+    const parsed = new URL(rawValue.trim());
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return fail('must be an http(s) URL');
+    }
+  } catch (error) {
+    return fail('must be a valid URL');
+  }
+
+  return rawValue.trim();
+}
+
+const NUMBER_RANGES = {
+  percentage: { min: 0, max: 100 },
+  rating: { min: 0, max: 5 }
+};
+
+// "1,234" -> 1234, "12.5K" -> 12500, "85%" -> 85
+function coerceNumber(definition, rawValue, fail) {
+  let value = rawValue;
+
+  if (typeof value === 'string') {
+    const match = value.replace(/,/g, '').trim().match(/^(-?\d+(?:\.\d+)?|-?\.\d+)\s*([KkMm])?\s*%?$/);
+    if (!match) {
+      return fail('must be a number');
+    }
+    const multiplier = { k: 1000, m: 1000000 }[(match[2] || '').toLowerCase()] || 1;
+    value = parseFloat(match[1]) * multiplier;
+  }
+
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return fail('must be a number');
+  }
+
+  if (definition.type === 'integer') {
+    value = Math.round(value);
+  }
+
+  const { min, max } = { ...NUMBER_RANGES[definition.type], ...definition };
+  if (min !== undefined && value < min) {
+    return fail(`must be at least ${min}`);
+  }
+  if (max !== undefined && value > max) {
+    return fail(`must be at most ${max}`);
+  }
+
+  return value;
+}
+
+// Display prices an extractor passed through unparsed ("₦ 45,000") are parsed here;
+// text without an amount ("Contact for price") means no price rather than a failure
+function coerceMoney(rawValue, fail) {
+  if (typeof rawValue !== 'string' && typeof rawValue !== 'number') {
+    return fail('must be a price');
+  }
+
+  const { amount } = parseMoney(rawValue);
+  if (typeof rawValue === 'number' && amount === null) {
+    return fail('must be a non-negative number');
+  }
+
+  return amount;
+}
+
+function coerceBoolean(rawValue, fail) {
+  if (typeof rawValue === 'boolean') {
+    return rawValue;
+  }
+  if (rawValue === 'true' || rawValue === 1 || rawValue === '1') {
+    return true;
+  }
+  if (rawValue === 'false' || rawValue === 0 || rawValue === '0') {
+    return false;
+  }
+
+  return fail('must be a boolean');
+}
+
+function coerceDate(rawValue, fail) {
+  const value = rawValue instanceof Date ? rawValue : new Date(rawValue);
+  if (Number.isNaN(value.getTime())) {
+    return fail('must be a valid date');
+  }
+
+  return value;
+}
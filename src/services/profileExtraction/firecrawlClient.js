@@ -1,4 +1,30 @@
+import { CircuitBreaker } from '../../utils/circuitBreaker.js';
+
 const DEFAULT_BASE_URL = 'https://api.firecrawl.dev/v2/scrape';
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_DELAY_MS = 1000;
+const DEFAULT_RETRY_MAX_DELAY_MS = 30000;
+const DEFAULT_CIRCUIT_FAILURE_THRESHOLD = 5;
+const DEFAULT_CIRCUIT_RESET_MS = 60000;
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+let circuitBreaker = null;
+
+export class FirecrawlError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} details - { status, retryable, retryAfterMs }
+   */
+  constructor(message, { status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'FirecrawlError';
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
 
 function getApiKey() {
   const apiKey = process.env.FIRECRAWL_API_KEY;
@@ -10,11 +36,90 @@ function getApiKey() {
   return apiKey;
 }
 
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+// Created on first use so settings from .env (loaded after imports) are picked up
+function getCircuitBreaker() {
+  if (!circuitBreaker) {
+    circuitBreaker = new CircuitBreaker({
+      name: 'firecrawl',
+      failureThreshold: readIntEnv('FIRECRAWL_CIRCUIT_FAILURE_THRESHOLD', DEFAULT_CIRCUIT_FAILURE_THRESHOLD),
+      resetTimeoutMs: readIntEnv('FIRECRAWL_CIRCUIT_RESET_MS', DEFAULT_CIRCUIT_RESET_MS)
+    });
+  }
+
+  return circuitBreaker;
+}
+
+/**
+ * Circuit breaker state for health reporting
+ */
+export function getFirecrawlHealth() {
+  return {
+    configured: !!process.env.FIRECRAWL_API_KEY,
+    circuit: getCircuitBreaker().getState()
+  };
+}
+
+export function resetFirecrawlCircuit() {
+  getCircuitBreaker().reset();
+}
+
+/**
+ * Scrape a page through Firecrawl.
+ * Each attempt is bounded by FIRECRAWL_TIMEOUT_MS; timeouts, network errors, 429 and 5xx
+ * responses are retried with jittered exponential backoff (honouring Retry-After).
+ * While Firecrawl keeps failing the circuit breaker rejects calls without hitting the API.
+ */
 export async function scrapeWithFirecrawl(url) {
+  const apiKey = getApiKey();
+
+  return getCircuitBreaker().execute(() => scrapeWithRetries(url, apiKey), {
+    // Only provider trouble counts against the circuit, not rejected URLs
+    isFailure: error => !(error instanceof FirecrawlError) || error.retryable
+  });
+}
+
+async function scrapeWithRetries(url, apiKey) {
+  const maxRetries = readIntEnv('FIRECRAWL_MAX_RETRIES', DEFAULT_MAX_RETRIES);
+  const maxDelayMs = readIntEnv('FIRECRAWL_RETRY_MAX_DELAY_MS', DEFAULT_RETRY_MAX_DELAY_MS);
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await requestScrape(url, apiKey);
+    } catch (error) {
+      const retryable = !(error instanceof FirecrawlError) || error.retryable;
+      if (!retryable || attempt >= maxRetries) {
+        throw error;
+      }
+
+      const delayMs = error.retryAfterMs !== null && error.retryAfterMs !== undefined
+        ? error.retryAfterMs
+        : getBackoffDelay(attempt);
+
+      // Waiting longer than the cap would hold the caller's request for too long
+      if (delayMs > maxDelayMs) {
+        throw error;
+      }
+
+      console.warn(
+        `Firecrawl attempt ${attempt + 1}/${maxRetries + 1} failed for ${url} (${error.message}), retrying in ${delayMs}ms`
+      );
+      await sleep(delayMs);
+    }
+  }
+}
+
+async function requestScrape(url, apiKey) {
+  const timeoutMs = readIntEnv('FIRECRAWL_TIMEOUT_MS', DEFAULT_TIMEOUT_MS);
+
   const options = {
     method: 'POST',
     headers: {
-      Authorization: `Bearer ${getApiKey()}`,
+      Authorization: `Bearer ${apiKey}`,
       'Content-Type': 'application/json'
     },
     body: JSON.stringify({
@@ -22,26 +127,69 @@ export async function scrapeWithFirecrawl(url) {
       onlyMainContent: false,
       maxAge: 172800000,
       parsers: ['pdf'],
-      formats: ['markdown']
-    })
+      // rawHtml keeps the <script type="application/ld+json"> blocks the structured-data layer reads
+      formats: ['markdown', 'rawHtml']
+    }),
+    signal: AbortSignal.timeout(timeoutMs)
   };
 
-  const response = await fetch(process.env.FIRECRAWL_API_URL || DEFAULT_BASE_URL, options);
+  let response;
+  let data;
+  try {
+    response = await fetch(process.env.FIRECRAWL_API_URL || DEFAULT_BASE_URL, options);
 
-  if (!response.ok) {
-    throw new Error(`Firecrawl API error: ${response.status} ${response.statusText}`);
-  }
+    if (!response.ok) {
+      throw new FirecrawlError(`Firecrawl API error: ${response.status} ${response.statusText}`, {
+        status: response.status,
+        retryable: RETRYABLE_STATUSES.includes(response.status),
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+      });
+    }
 
-  const data = await response.json();
+    data = await response.json();
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      throw new FirecrawlError(`Firecrawl API timed out after ${timeoutMs}ms`, { retryable: true });
+    }
+    throw error;
+  }
 
   if (data.success && data.data) {
     return {
       markdown: data.data.markdown || '',
-      html: data.data.html || '',
+      html: data.data.rawHtml || data.data.html || '',
       metadata: data.data.metadata || {}
     };
   }
 
-  throw new Error('Firecrawl API returned unsuccessful response');
+  throw new FirecrawlError('Firecrawl API returned unsuccessful response');
 }
 
+// Full jitter: a random delay between 0 and base * 2^attempt (capped)
+function getBackoffDelay(attempt) {
+  const baseDelayMs = readIntEnv('FIRECRAWL_RETRY_BASE_DELAY_MS', DEFAULT_RETRY_BASE_DELAY_MS);
+  const maxDelayMs = readIntEnv('FIRECRAWL_RETRY_MAX_DELAY_MS', DEFAULT_RETRY_MAX_DELAY_MS);
+
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+/**
+ * Retry-After is either a number of seconds or an HTTP date
+ * @returns {Number|null} delay in milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_FIXTURE_DIR = 'fixtures/extractors';
+const FIXTURE_MODES = ['record', 'replay'];
+
+export function getFixtureDir() {
+  return path.resolve(process.cwd(), process.env.SCRAPE_FIXTURE_DIR || DEFAULT_FIXTURE_DIR);
+}
+
+/**
+ * SCRAPE_FIXTURE_MODE=record saves every scrape payload to disk,
+ * SCRAPE_FIXTURE_MODE=replay serves scrapes from disk instead of the network.
+ */
+export function getFixtureMode() {
+  const mode = (process.env.SCRAPE_FIXTURE_MODE || '').trim().toLowerCase();
+  return FIXTURE_MODES.includes(mode) ? mode : null;
+}
+
+export function getFixtureName(url) {
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+  let slug = url;
+
+  try {
+    const parsed = new URL(url);
+    slug = `${parsed.hostname}${parsed.pathname}`;
+  } catch (error) {
+    // Not a valid URL; slug the raw string instead
+  }
+
+  slug = slug
+    .toLowerCase()
+    .replace(/^www\./, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+
+  return `${slug}-${hash}`;
+}
+
+export function getFixturePaths(platform, url) {
+  const baseName = path.join(getFixtureDir(), platform, getFixtureName(url));
+
+  return {
+    payloadPath: `${baseName}.json`,
+    expectedPath: `${baseName}.expected.json`
+  };
+}
+
+export async function saveScrapeFixture(platform, url, scrapedData) {
+  const { payloadPath } = getFixturePaths(platform, url);
+
+  await fs.mkdir(path.dirname(payloadPath), { recursive: true });
+  await fs.writeFile(
+    payloadPath,
+    `${JSON.stringify(
+      {
+        url,
+        platform,
+        recordedAt: new Date().toISOString(),
+        payload: {
+          markdown: scrapedData.markdown || '',
+          html: scrapedData.html || '',
+          metadata: scrapedData.metadata || {}
+        }
+      },
+      null,
+      2
+    )}\n`
+  );
+
+  return payloadPath;
+}
+
+export async function loadScrapeFixture(platform, url) {
+  const { payloadPath } = getFixturePaths(platform, url);
+
+  try {
+    const fixture = JSON.parse(await fs.readFile(payloadPath, 'utf8'));
+    return withRecordedAt(fixture);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No recorded fixture for ${url} (expected ${payloadPath})`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List recorded fixtures, optionally for a single platform.
+ * Returns [{ platform, url, payloadPath, expectedPath, payload }].
+ */
+export async function listScrapeFixtures(platform = null) {
+  const fixtureDir = getFixtureDir();
+  let platforms;
+
+  try {
+    platforms = platform ? [platform] : await fs.readdir(fixtureDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const fixtures = [];
+
+  for (const platformName of platforms) {
+    let files;
+    try {
+      files = await fs.readdir(path.join(fixtureDir, platformName));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        continue;
+      }
+      throw error;
+    }
+
+    for (const file of files.sort()) {
+      if (!file.endsWith('.json') || file.endsWith('.expected.json')) {
+        continue;
+      }
+
+      const payloadPath = path.join(fixtureDir, platformName, file);
+      const fixture = JSON.parse(await fs.readFile(payloadPath, 'utf8'));
+
+      fixtures.push({
+        platform: fixture.platform || platformName,
+        url: fixture.url,
+        payloadPath,
+        expectedPath: payloadPath.replace(/\.json$/, '.expected.json'),
+        payload: withRecordedAt(fixture)
+      });
+    }
+  }
+
+  return fixtures;
+}
+
+// Relative dates in a replayed page ("3 hours ago") resolve against the recording time
+function withRecordedAt(fixture) {
+  const payload = fixture.payload || {};
+  if (!fixture.recordedAt) {
+    return payload;
+  }
+
+  return {
+    ...payload,
+    metadata: { scrapedAt: fixture.recordedAt, ...(payload.metadata || {}) }
+  };
+}
@@ -0,0 +1,99 @@
+import * as cheerio from 'cheerio';
+import { htmlToMarkdown } from './utils/htmlToMarkdown.js';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const NETWORK_IDLE_TIMEOUT_MS = 5000;
+const DEFAULT_USER_AGENT =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+function getTimeout() {
+  const timeout = parseInt(process.env.LOCAL_SCRAPER_TIMEOUT_MS, 10);
+  return Number.isNaN(timeout) ? DEFAULT_TIMEOUT_MS : timeout;
+}
+
+/**
+ * Scrape a page without Firecrawl. Renders it in headless Chromium (or plain HTTP when
+ * LOCAL_SCRAPER_MODE=http) and returns the same { markdown, html, metadata } shape.
+ */
+export async function scrapeWithLocalBrowser(url) {
+  const page =
+    process.env.LOCAL_SCRAPER_MODE === 'http' ? await fetchPageHtml(url) : await renderPageHtml(url);
+
+  if (page.statusCode >= 400) {
+    throw new Error(`Local scraper error: ${page.statusCode} for ${url}`);
+  }
+
+  return {
+    markdown: htmlToMarkdown(page.html, page.finalUrl),
+    html: page.html,
+    metadata: extractPageMetadata(page.html, page.finalUrl, page.statusCode)
+  };
+}
+
+async function renderPageHtml(url) {
+  // Loaded lazily so deployments without browser binaries can still use Firecrawl.
+  const { chromium } = await import('playwright');
+  const browser = await chromium.launch({ headless: true });
+
+  try {
+    const context = await browser.newContext({
+      userAgent: process.env.LOCAL_SCRAPER_USER_AGENT || DEFAULT_USER_AGENT,
+      locale: 'en-US'
+    });
+    const page = await context.newPage();
+    const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: getTimeout() });
+
+    // Listing grids are usually rendered client-side; give them a moment to settle.
+    await page.waitForLoadState('networkidle', { timeout: NETWORK_IDLE_TIMEOUT_MS }).catch(() => {});
+
+    return {
+      html: await page.content(),
+      statusCode: response ? response.status() : 200,
+      finalUrl: page.url()
+    };
+  } finally {
+    await browser.close();
+  }
+}
+
+async function fetchPageHtml(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), getTimeout());
+
+  try {
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': process.env.LOCAL_SCRAPER_USER_AGENT || DEFAULT_USER_AGENT,
+        Accept: 'text/html,application/xhtml+xml'
+      },
+      redirect: 'follow',
+      signal: controller.signal
+    });
+
+    return {
+      html: await response.text(),
+      statusCode: response.status,
+      finalUrl: response.url || url
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function extractPageMetadata(html, url, statusCode) {
+  const $ = cheerio.load(html || '');
+  const meta = name =>
+    $(`meta[property="${name}"]`).attr('content') || $(`meta[name="${name}"]`).attr('content') || undefined;
+
+  return {
+    title: $('title').first().text().trim() || meta('og:title'),
+    description: meta('description') || meta('og:description'),
+    language: $('html').attr('lang') || undefined,
+    ogTitle: meta('og:title'),
+    ogDescription: meta('og:description'),
+    ogImage: meta('og:image'),
+    sourceURL: url,
+    url,
+    statusCode
+  };
+}
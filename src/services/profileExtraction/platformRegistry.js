@@ -0,0 +1,252 @@
+/**
+ * Declarative registry of supported marketplaces.
+ * domains:      registrable domains the platform serves (exact match, no substring checks)
+ * subdomains:   subdomains accepted in front of those domains ('' = bare domain)
+ * profilePaths: pathname patterns of seller profile / shop pages
+ * listingPaths: pathname patterns of single listing pages
+ * imageHosts:   domains the platform serves images from (the domain or any subdomain of it)
+ * countries:    ISO 3166-1 alpha-2 country of each country site (domains not listed serve no single country)
+ */
+export const platformRegistry = {
+  facebook: {
+    displayName: 'Facebook Marketplace',
+    domains: ['facebook.com', 'fb.com'],
+    subdomains: ['', 'www', 'm', 'mobile', 'web', 'mbasic', 'business'],
+    profilePaths: [/^\/profile\.php$/, /^\/marketplace\/profile\/[^/]+/, /^\/people\/[^/]+\/[^/]+/, /^\/[^/]+\/?$/],
+    listingPaths: [/^\/marketplace\/item\/\d+/],
+    imageHosts: ['fbcdn.net', 'fbsbx.com']
+  },
+
+  jiji: {
+    displayName: 'Jiji',
+    domains: ['jiji.ng', 'jiji.com', 'jiji.com.gh', 'jiji.co.ke', 'jiji.ug', 'jiji.co.tz'],
+    subdomains: ['', 'www'],
+    profilePaths: [/^\/shop\/[^/]+/, /^\/sellerpage-[\w-]+/],
+    listingPaths: [/\.html$/],
+    imageHosts: ['jijistatic.net', 'jijistatic.com'],
+    countries: {
+      'jiji.ng': 'NG',
+      'jiji.com': 'NG',
+      'jiji.com.gh': 'GH',
+      'jiji.co.ke': 'KE',
+      'jiji.ug': 'UG',
+      'jiji.co.tz': 'TZ'
+    }
+  },
+
+  jumia: {
+    displayName: 'Jumia',
+    domains: [
+      'jumia.com.ng',
+      'jumia.co.ke',
+      'jumia.com.gh',
+      'jumia.co.ug',
+      'jumia.ma',
+      'jumia.com.eg',
+      'jumia.ci',
+      'jumia.sn',
+      'jumia.com.tn',
+      'jumia.dz',
+      'jumia.com'
+    ],
+    subdomains: ['', 'www'],
+    profilePaths: [/^\/seller\/[^/]+/, /^\/mlp-[^/]+/],
+    listingPaths: [/\.html$/],
+    imageHosts: ['jumia.is'],
+    countries: {
+      'jumia.com.ng': 'NG',
+      'jumia.co.ke': 'KE',
+      'jumia.com.gh': 'GH',
+      'jumia.co.ug': 'UG',
+      'jumia.ma': 'MA',
+      'jumia.com.eg': 'EG',
+      'jumia.ci': 'CI',
+      'jumia.sn': 'SN',
+      'jumia.com.tn': 'TN',
+      'jumia.dz': 'DZ'
+    }
+  },
+
+  konga: {
+    displayName: 'Konga',
+    domains: ['konga.com'],
+    subdomains: ['', 'www'],
+    profilePaths: [/^\/merchant\/[^/]+/],
+    listingPaths: [/^\/product\/[^/]+/],
+    imageHosts: ['konga.com', 'www-konga-com-res.cloudinary.com'],
+    countries: { 'konga.com': 'NG' }
+  },
+
+  etsy: {
+    displayName: 'Etsy',
+    domains: ['etsy.com'],
+    subdomains: ['', 'www'],
+    profilePaths: [/^\/([a-z]{2}(-[a-z]{2})?\/)?(shop|people)\/[^/]+/i],
+    listingPaths: [/^\/([a-z]{2}(-[a-z]{2})?\/)?listing\/\d+/i],
+    imageHosts: ['etsystatic.com']
+  },
+
+  kijiji: {
+    displayName: 'Kijiji',
+    domains: ['kijiji.ca', 'kijiji.com'],
+    subdomains: ['', 'www'],
+    profilePaths: [/^\/o-profile\/\d+/],
+    listingPaths: [/^\/v-[^/]+\/[^/]+\/[^/]+\/\d+/],
+    imageHosts: ['kijiji.ca', 'ebayimg.com'],
+    countries: { 'kijiji.ca': 'CA' }
+  },
+
+  ebay: {
+    displayName: 'eBay',
+    domains: [
+      'ebay.com',
+      'ebay.co.uk',
+      'ebay.de',
+      'ebay.fr',
+      'ebay.it',
+      'ebay.es',
+      'ebay.ca',
+      'ebay.com.au',
+      'ebay.ie',
+      'ebay.at',
+      'ebay.ch',
+      'ebay.nl',
+      'ebay.be',
+      'ebay.pl',
+      'ebay.com.sg',
+      'ebay.com.my',
+      'ebay.ph',
+      'ebay.com.hk'
+    ],
+    subdomains: ['', 'www', 'm'],
+    profilePaths: [/^\/str\/[^/]+/, /^\/usr\/[^/]+/],
+    listingPaths: [/^\/itm\//],
+    imageHosts: ['ebayimg.com', 'ebaystatic.com']
+  },
+
+  instagram: {
+    displayName: 'Instagram',
+    domains: ['instagram.com'],
+    subdomains: ['', 'www', 'm'],
+    profilePaths: [/^\/[\w.]+\/?$/],
+    listingPaths: [/^\/(p|reel|reels|tv|stories|explore)\//, /^\/[\w.]+\/(p|reel)\//],
+    imageHosts: ['cdninstagram.com', 'fbcdn.net']
+  }
+};
+
+// Value stored on sellers/listings that do not belong to a supported marketplace
+export const OTHER_PLATFORM = 'other';
+
+export function getSupportedPlatforms() {
+  return Object.keys(platformRegistry);
+}
+
+// Supported platforms plus 'other', for model enums and request validation
+export function getPlatformValues() {
+  return [...getSupportedPlatforms(), OTHER_PLATFORM];
+}
+
+export function getPlatformDisplayName(platform) {
+  if (platform === OTHER_PLATFORM) {
+    return 'Other';
+  }
+
+  return platformRegistry[platform]?.displayName || platform;
+}
+
+/**
+ * Resolve the platform a hostname belongs to, or null
+ */
+export function findPlatformByHostname(hostname) {
+  if (!hostname) {
+    return null;
+  }
+
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+
+  return (
+    getSupportedPlatforms().find(platform => {
+      const { domains, subdomains } = platformRegistry[platform];
+
+      return domains.some(domain =>
+        subdomains.some(subdomain => host === (subdomain ? `${subdomain}.${domain}` : domain))
+      );
+    }) || null
+  );
+}
+
+/**
+ * Whether a hostname is one of the platform's image hosts
+ */
+export function isPlatformImageHost(platform, hostname) {
+  const imageHosts = platformRegistry[platform]?.imageHosts || [];
+  const host = (hostname || '').toLowerCase().replace(/\.$/, '');
+
+  return imageHosts.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Country of the marketplace site a URL belongs to (jumia.co.ke -> KE), or null for platforms
+ * and domains that are not country sites
+ */
+export function getCountryFromUrl(url) {
+  const parsed = parseUrl(url);
+  const platform = parsed ? findPlatformByHostname(parsed.hostname) : null;
+  if (!platform) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/\.$/, '');
+  const { countries = {}, subdomains } = platformRegistry[platform];
+  const domain = Object.keys(countries).find(candidate =>
+    subdomains.some(subdomain => host === (subdomain ? `${subdomain}.${candidate}` : candidate))
+  );
+
+  return domain ? countries[domain] : null;
+}
+
+export function detectPlatformFromUrl(url) {
+  const parsed = parseUrl(url);
+  return parsed ? findPlatformByHostname(parsed.hostname) : null;
+}
+
+/**
+ * Classify a URL of a supported platform as a 'profile' or 'listing' page ('unknown' otherwise)
+ */
+export function getUrlPageType(url) {
+  const parsed = parseUrl(url);
+  const platform = parsed ? findPlatformByHostname(parsed.hostname) : null;
+  if (!platform) {
+    return 'unknown';
+  }
+
+  const { profilePaths, listingPaths } = platformRegistry[platform];
+
+  if (listingPaths.some(pattern => pattern.test(parsed.pathname))) {
+    return 'listing';
+  }
+
+  if (profilePaths.some(pattern => pattern.test(parsed.pathname))) {
+    return 'profile';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Parse a URL, assuming https when the scheme is missing. Returns null for invalid URLs
+ * or schemes other than http(s).
+ */
+export function parseUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  const trimmed = url.trim();
+  try {
+    const parsed = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
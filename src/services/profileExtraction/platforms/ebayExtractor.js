@@ -1,19 +1,44 @@
 import { parseNumber } from '../utils/parser.js';
+import { createProvenance, matchFirst } from '../utils/provenance.js';
+import { toListingPrice } from '../utils/money.js';
 
 export function extractEbayProfile(scrapedData, url) {
   const { markdown = '' } = scrapedData;
   const normalizedMarkdown = normalizeMarkdown(markdown);
+  const provenance = createProvenance();
 
-  const name = extractEbayName(normalizedMarkdown);
-  const profilePicture = extractEbayProfilePicture(normalizedMarkdown);
-  const bio = extractEbayBio(normalizedMarkdown);
+  const name = extractEbayName(normalizedMarkdown, provenance);
+  const profilePicture = extractEbayProfilePicture(normalizedMarkdown, provenance);
+  const bio = extractEbayBio(normalizedMarkdown, provenance);
   const positiveFeedback = extractEbayPositiveFeedback(normalizedMarkdown);
   const itemsSold = extractEbayItemsSold(normalizedMarkdown);
-  const followers = extractEbayFollowers(normalizedMarkdown);
+  const followers = extractEbayFollowers(normalizedMarkdown, provenance);
   const categories = extractEbayCategories(normalizedMarkdown);
-  const recentListings = extractEbayRecentListings(normalizedMarkdown);
+  const recentListings = extractEbayRecentListings(normalizedMarkdown, provenance);
   const avgRating = positiveFeedback ? Number((positiveFeedback / 20).toFixed(2)) : 0;
-  const verificationStatus = extractEbayVerificationStatus(normalizedMarkdown, itemsSold);
+  const verificationStatus = extractEbayVerificationStatus(normalizedMarkdown, itemsSold, provenance);
+
+  if (positiveFeedback) {
+    provenance.found('marketplaceData.avgRating', 'positive_feedback_percent', 'medium');
+  } else {
+    provenance.missing('marketplaceData.avgRating');
+  }
+
+  // Store pages only show the visible listing grid
+  if (recentListings.length > 0) {
+    provenance.found('marketplaceData.totalListings', 'listings_on_page', 'low');
+  } else {
+    provenance.missing('marketplaceData.totalListings');
+  }
+
+  // Not shown on eBay store pages
+  [
+    'profileData.location',
+    'marketplaceData.accountAge',
+    'marketplaceData.totalReviews',
+    'marketplaceData.responseRate',
+    'marketplaceData.lastSeen'
+  ].forEach(field => provenance.unavailable(field));
 
   return {
     platform: 'ebay',
@@ -51,7 +76,8 @@ export function extractEbayProfile(scrapedData, url) {
       positiveFeedbackPercent: positiveFeedback,
       itemsSold,
       followers
-    }
+    },
+    extractionProvenance: provenance.toJSON()
   };
 }
 
@@ -59,11 +85,14 @@ function normalizeMarkdown(markdown) {
   return markdown.replace(/\r/g, '').replace(/\\\s*/g, '\n');
 }
 
-function extractEbayName(markdown) {
-  const match =
-    markdown.match(/#\s*\[([^\]]+)\]/) ||
-    markdown.match(/##\s*([^\n#]+)/) ||
-    markdown.match(/adidas canada/i);
+function extractEbayName(markdown, provenance) {
+  const result = matchFirst(markdown, [
+    { strategy: 'store_heading_link', pattern: /#\s*\[([^\]]+)\]/, confidence: 'high' },
+    { strategy: 'subheading', pattern: /##\s*([^\n#]+)/, confidence: 'medium' },
+    { strategy: 'known_store_name', pattern: /adidas canada/i, confidence: 'low' }
+  ]);
+  provenance.record('profileData.name', result);
+  const match = result ? result.match : null;
 
   if (match && match[1]) {
     return match[1].trim();
@@ -76,14 +105,20 @@ function extractEbayName(markdown) {
   return 'Unknown';
 }
 
-function extractEbayProfilePicture(markdown) {
-  const match = markdown.match(/!\[[^\]]*\]\((https?:\/\/i\.ebayimg\.com\/[^\)]+)\)/i);
-  return match ? match[1] : null;
+function extractEbayProfilePicture(markdown, provenance) {
+  const result = matchFirst(markdown, [
+    { strategy: 'ebayimg_image', pattern: /!\[[^\]]*\]\((https?:\/\/i\.ebayimg\.com\/[^\)]+)\)/i, confidence: 'high' }
+  ]);
+  provenance.record('profileData.profilePicture', result);
+  return result ? result.match[1] : null;
 }
 
-function extractEbayBio(markdown) {
-  const match = markdown.match(/Official eBay Store of [^\n]+/i);
-  return match ? match[0].trim() : '';
+function extractEbayBio(markdown, provenance) {
+  const result = matchFirst(markdown, [
+    { strategy: 'official_store_tagline', pattern: /Official eBay Store of [^\n]+/i, confidence: 'medium' }
+  ]);
+  provenance.record('profileData.bio', result);
+  return result ? result.match[0].trim() : '';
 }
 
 function extractEbayPositiveFeedback(markdown) {
@@ -96,9 +131,12 @@ function extractEbayItemsSold(markdown) {
   return match ? parseCompactNumber(match[1]) : 0;
 }
 
-function extractEbayFollowers(markdown) {
-  const match = markdown.match(/([\d.,kKmM]+)\s+followers/i);
-  return match ? parseCompactNumber(match[1]) : 0;
+function extractEbayFollowers(markdown, provenance) {
+  const result = matchFirst(markdown, [
+    { strategy: 'followers_count', pattern: /([\d.,kKmM]+)\s+followers/i, confidence: 'high' }
+  ]);
+  provenance.record('marketplaceData.followers', result);
+  return result ? parseCompactNumber(result.match[1]) : 0;
 }
 
 function extractEbayCategories(markdown) {
@@ -133,7 +171,7 @@ function extractEbayCategories(markdown) {
   return categories.slice(0, 10);
 }
 
-function extractEbayRecentListings(markdown) {
+function extractEbayRecentListings(markdown, provenance) {
   const listings = [];
   const pattern =
     /\[!\[[^\]]*\]\((https?:\/\/[^\)]+)\)\]\((https?:\/\/[^\)]+)\)\s*\n\s*\*\*([^\*]+)\*\*\]\((https?:\/\/[^\)]+)\)\s*\n([^\n]+)/g;
@@ -150,38 +188,46 @@ function extractEbayRecentListings(markdown) {
       continue;
     }
 
-    const priceMatches = Array.from(priceLine.matchAll(/\$([\d.,]+)/g));
-    const salePrice = priceMatches[0] ? priceMatches[0][1].replace(/,/g, '') : '';
-    const originalPrice = priceMatches[1] ? priceMatches[1][1].replace(/,/g, '') : '';
-    const hasPrice = salePrice !== '';
+    // "C $12.99 $15.99": sale price first, then the struck-through original price
+    const priceMatches = Array.from(priceLine.matchAll(/\$\s*[\d.,]+/g));
+    const moneyOptions = { defaultCurrency: /C\s*\$/i.test(priceLine) ? 'CAD' : 'USD' };
+    const originalPrice = priceMatches[1] ? toListingPrice(priceMatches[1][0], moneyOptions).price : null;
 
     listings.push({
       title,
-      price: salePrice,
-      originalPrice: originalPrice || null,
-      priceDisplay: priceLine || null,
-      currency: /C\s*\$/i.test(priceLine) ? 'CAD' : priceLine.includes('$') ? 'USD' : null,
+      ...toListingPrice(priceMatches[0] ? priceLine : '', moneyOptions),
+      originalPrice,
       imageCount: imageUrl ? 1 : 0,
       imageUrl: imageUrl || null,
       description: '',
-      hasPrice,
       descriptionLength: 0,
       url: productUrl || null
     });
   }
 
+  if (listings.length > 0) {
+    provenance.found('recentListings', 'product_cards', 'high');
+  } else {
+    provenance.missing('recentListings');
+  }
+
   return listings;
 }
 
-function extractEbayVerificationStatus(markdown, itemsSold) {
+function extractEbayVerificationStatus(markdown, itemsSold, provenance) {
+  const field = 'marketplaceData.verificationStatus';
+
   if (/Official eBay Store/i.test(markdown)) {
+    provenance.found(field, 'official_store_text', 'high');
     return 'verified';
   }
 
   if (itemsSold > 1000) {
+    provenance.found(field, 'items_sold_threshold', 'medium');
     return 'trusted';
   }
 
+  provenance.found(field, 'default_unverified', 'low');
   return 'unverified';
 }
 
@@ -1,22 +1,27 @@
-import { parseNumber, parseRating } from '../utils/parser.js';
+import { findImageUrlNear, parseNumber, parseRating } from '../utils/parser.js';
+import { createProvenance, matchFirst } from '../utils/provenance.js';
+import { daysSince, getScrapedAt, monthsBefore, parseDate, parseDatedText } from '../utils/dates.js';
+import { toListingPrice } from '../utils/money.js';
 
 export function extractEtsyProfile(scrapedData, url) {
   const { markdown = '', metadata = {} } = scrapedData;
   const normalizedMarkdown = normalizeMarkdown(markdown);
-
-  const name = extractEtsyName(normalizedMarkdown, metadata);
-  const profilePicture = extractEtsyProfilePicture(normalizedMarkdown);
-  const location = extractEtsyLocation(normalizedMarkdown);
-  const bio = extractEtsyBio(normalizedMarkdown);
-  const latestActivity = extractEtsyLatestActivity(normalizedMarkdown);
-  const accountAge = extractEtsyAccountAge(normalizedMarkdown, latestActivity);
+  const provenance = createProvenance();
+
+  const name = extractEtsyName(normalizedMarkdown, metadata, provenance);
+  const profilePicture = extractEtsyProfilePicture(normalizedMarkdown, provenance);
+  const location = extractEtsyLocation(normalizedMarkdown, provenance);
+  const bio = extractEtsyBio(normalizedMarkdown, provenance);
+  const scrapedAt = getScrapedAt(scrapedData);
+  const latestActivity = extractEtsyLatestActivity(normalizedMarkdown, scrapedAt);
+  const { accountAge, joinedText, joinedAt } = extractEtsyMembership(normalizedMarkdown, latestActivity, scrapedAt, provenance);
   const totalSales = extractEtsySales(normalizedMarkdown);
-  const { avgRating, totalReviews } = extractEtsyRatingSummary(normalizedMarkdown);
-  const admirers = extractEtsyAdmirers(normalizedMarkdown);
+  const { avgRating, totalReviews } = extractEtsyRatingSummary(normalizedMarkdown, provenance);
+  const admirers = extractEtsyAdmirers(normalizedMarkdown, provenance);
   const categories = extractEtsyCategories(normalizedMarkdown);
-  const totalListings = extractEtsyTotalListings(categories);
-  const recentListings = extractEtsyRecentListings(normalizedMarkdown);
-  const customerReviews = extractEtsyCustomerReviews(normalizedMarkdown);
+  const totalListings = extractEtsyTotalListings(categories, provenance);
+  const recentListings = extractEtsyRecentListings(normalizedMarkdown, provenance);
+  const customerReviews = extractEtsyCustomerReviews(normalizedMarkdown, scrapedAt);
   const shopPolicies = extractEtsyShopPolicies(normalizedMarkdown);
   const supportContacts = extractEtsySupportContacts(normalizedMarkdown, url);
 
@@ -28,7 +33,16 @@ export function extractEtsyProfile(scrapedData, url) {
   });
 
   const verificationStatus = inferEtsyVerificationStatus(avgRating, totalReviews);
-  const lastSeenDays = calculateDaysSinceActivity(latestActivity);
+  const lastSeenDays = daysSince(latestActivity.date, scrapedAt);
+
+  // Etsy has no verification badge; status is inferred from review volume
+  provenance.found('marketplaceData.verificationStatus', 'review_volume_inference', 'low');
+  if (lastSeenDays !== null) {
+    provenance.found('marketplaceData.lastSeen', 'latest_activity_date', 'high');
+  } else {
+    provenance.missing('marketplaceData.lastSeen');
+  }
+  provenance.unavailable('marketplaceData.responseRate');
 
   const trustIndicators = {
     hasProfilePicture: profilePicture
@@ -65,12 +79,16 @@ export function extractEtsyProfile(scrapedData, url) {
     },
     marketplaceData: {
       accountAge,
+      joinedText,
+      joinedAt,
       totalListings,
       avgRating,
       totalReviews,
       responseRate: 0,
       verificationStatus,
       lastSeen: lastSeenDays !== null ? lastSeenDays.toString() : null,
+      lastSeenText: latestActivity.text,
+      lastSeenAt: latestActivity.date,
       followers: admirers,
       sellerScore: avgRating ? Math.round((avgRating / 5) * 100) : 0,
       successfulSales: totalSales,
@@ -80,7 +98,8 @@ export function extractEtsyProfile(scrapedData, url) {
     },
     recentListings,
     trustIndicators,
-    dataAvailability
+    dataAvailability,
+    extractionProvenance: provenance.toJSON()
   };
 }
 
@@ -88,60 +107,74 @@ function normalizeMarkdown(markdown) {
   return markdown.replace(/\r/g, '').replace(/\\\s*/g, '\n');
 }
 
-function extractEtsyName(markdown, metadata = {}) {
+function extractEtsyName(markdown, metadata = {}, provenance) {
   const match = markdown.match(/^#\s*([^\n#]+)/m);
   if (match && match[1]) {
+    provenance.found('profileData.name', 'shop_heading', 'high');
     return match[1].trim();
   }
 
   if (metadata.title) {
     const cleaned = metadata.title.split('|')[0].split('-')[0].trim();
     if (cleaned) {
+      provenance.found('profileData.name', 'metadata_title', 'medium');
       return cleaned;
     }
   }
 
+  provenance.missing('profileData.name');
   return 'Unknown';
 }
 
-function extractEtsyProfilePicture(markdown) {
-  const match = markdown.match(/!\[[^\]]*\]\((https?:\/\/i\.etsystatic\.com\/[^\)]+)\)/i);
-  return match ? match[1] : null;
+function extractEtsyProfilePicture(markdown, provenance) {
+  const result = matchFirst(markdown, [
+    { strategy: 'etsystatic_image', pattern: /!\[[^\]]*\]\((https?:\/\/i\.etsystatic\.com\/[^\)]+)\)/i, confidence: 'medium' }
+  ]);
+  provenance.record('profileData.profilePicture', result);
+  return result ? result.match[1] : null;
 }
 
-function extractEtsyLocation(markdown) {
+function extractEtsyLocation(markdown, provenance) {
   const match = markdown.match(/#\s*[^\n]+\n([A-Za-z\s,]+)\n\s*\nLatest activity:/i);
   if (match && match[1]) {
     const location = match[1].trim();
     if (location && !/Latest activity/i.test(location)) {
+      provenance.found('profileData.location', 'line_under_heading', 'medium');
       return location;
     }
   }
+  provenance.missing('profileData.location');
   return 'Not specified';
 }
 
-function extractEtsyBio(markdown) {
+function extractEtsyBio(markdown, provenance) {
   const aboutSectionMatch = markdown.match(/##\s*About[^\n]*\n([\s\S]*?)(?=\n##|\n#|$)/i);
   if (aboutSectionMatch && aboutSectionMatch[1]) {
     const cleaned = aboutSectionMatch[1].replace(/\n+/g, ' ').trim();
     if (cleaned) {
+      provenance.found('profileData.bio', 'about_section', 'high');
       return cleaned.substring(0, 400);
     }
   }
+  provenance.missing('profileData.bio');
   return '';
 }
 
-function extractEtsyLatestActivity(markdown) {
+// "Latest activity: Jan 5, 2024" -> { text, date }
+function extractEtsyLatestActivity(markdown, scrapedAt = new Date()) {
   const match = markdown.match(/Latest activity:\s*([^\n]+)/i);
-  return match && match[1] ? match[1].trim() : null;
+  return parseDatedText(match && match[1] ? match[1] : '', { now: scrapedAt, dayFirst: false });
 }
 
-function extractEtsyAccountAge(markdown, latestActivity) {
+function extractEtsyMembership(markdown, latestActivity, scrapedAt, provenance) {
+  const field = 'marketplaceData.accountAge';
   const yearsMatch = markdown.match(/(\d+(?:\.\d+)?)\s+years?\s+on\s+Etsy/i);
   if (yearsMatch && yearsMatch[1]) {
     const years = parseFloat(yearsMatch[1]);
     if (!Number.isNaN(years) && years > 0) {
-      return Math.round(years * 12);
+      provenance.found(field, 'years_on_etsy', 'high');
+      const accountAge = Math.round(years * 12);
+      return { accountAge, joinedText: yearsMatch[0].trim(), joinedAt: monthsBefore(scrapedAt, accountAge) };
     }
   }
 
@@ -149,15 +182,21 @@ function extractEtsyAccountAge(markdown, latestActivity) {
   if (sinceMatch && sinceMatch[1]) {
     const sinceYear = parseInt(sinceMatch[1], 10);
     if (!Number.isNaN(sinceYear)) {
-      const referenceDate = latestActivity ? parseEtsyDate(latestActivity) || new Date() : new Date();
-      const years = referenceDate.getFullYear() - sinceYear;
+      const referenceDate = latestActivity.date || scrapedAt;
+      const years = referenceDate.getUTCFullYear() - sinceYear;
       if (years > 0) {
-        return years * 12;
+        provenance.found(field, 'on_etsy_since_year', 'medium');
+        return {
+          accountAge: years * 12,
+          joinedText: sinceMatch[0].trim(),
+          joinedAt: parseDate(`since ${sinceYear}`, { now: scrapedAt })
+        };
       }
     }
   }
 
-  return 0;
+  provenance.missing(field);
+  return { accountAge: 0, joinedText: null, joinedAt: null };
 }
 
 function extractEtsySales(markdown) {
@@ -174,9 +213,16 @@ function extractEtsySales(markdown) {
   return 0;
 }
 
-function extractEtsyRatingSummary(markdown) {
+function extractEtsyRatingSummary(markdown, provenance) {
+  const recordBoth = (strategy, confidence) => {
+    ['marketplaceData.avgRating', 'marketplaceData.totalReviews'].forEach(field =>
+      strategy ? provenance.found(field, strategy, confidence) : provenance.missing(field)
+    );
+  };
+
   const ratingMatch = markdown.match(/Average item review\s*\n\s*(\d+(?:\.\d+)?)\s*out of\s*5\s*stars?\s*\n\s*\(([\d.,kK]+)\)/i);
   if (ratingMatch) {
+    recordBoth('average_item_review', 'high');
     return {
       avgRating: parseRating(ratingMatch[1]),
       totalReviews: parseCompactNumber(ratingMatch[2])
@@ -185,20 +231,24 @@ function extractEtsyRatingSummary(markdown) {
 
   const summaryMatch = markdown.match(/(\d+(?:\.\d+)?)\s*\[\(([\d.,kK]+)\)\]/);
   if (summaryMatch) {
+    recordBoth('rating_summary_link', 'medium');
     return {
       avgRating: parseRating(summaryMatch[1]),
       totalReviews: parseCompactNumber(summaryMatch[2])
     };
   }
 
+  recordBoth(null);
   return { avgRating: 0, totalReviews: 0 };
 }
 
-function extractEtsyAdmirers(markdown) {
+function extractEtsyAdmirers(markdown, provenance) {
   const match = markdown.match(/\[([\d.,kK]+)\s+Admirers\]/i);
   if (match && match[1]) {
+    provenance.found('marketplaceData.followers', 'admirers_link', 'high');
     return parseCompactNumber(match[1]);
   }
+  provenance.missing('marketplaceData.followers');
   return 0;
 }
 
@@ -232,15 +282,17 @@ function extractEtsyCategories(markdown) {
   return categories;
 }
 
-function extractEtsyTotalListings(categories) {
+function extractEtsyTotalListings(categories, provenance) {
   const allCategory = categories.find(cat => /^All/i.test(cat.name));
   if (allCategory && allCategory.count) {
+    provenance.found('marketplaceData.totalListings', 'all_category_count', 'high');
     return allCategory.count;
   }
+  provenance.missing('marketplaceData.totalListings');
   return 0;
 }
 
-function extractEtsyRecentListings(markdown) {
+function extractEtsyRecentListings(markdown, provenance) {
   const lines = markdown.split('\n');
   const listings = [];
   const seenTitles = new Set();
@@ -264,8 +316,7 @@ function extractEtsyRecentListings(markdown) {
     const urlMatch = line.match(/\((https?:\/\/[^\)]+)\)$/);
     const url = urlMatch ? urlMatch[1].trim() : null;
 
-    let price = '';
-    let hasPrice = false;
+    let priceText = '';
     let cartsCount = null;
 
     for (let j = i; j <= i + 6 && j < lines.length; j += 1) {
@@ -274,11 +325,10 @@ function extractEtsyRecentListings(markdown) {
         continue;
       }
 
-      if (!hasPrice) {
-        const priceMatch = lookaheadLine.match(/^\$([\d.,]+)/);
-        if (priceMatch && priceMatch[1]) {
-          price = priceMatch[1].replace(/,/g, '');
-          hasPrice = true;
+      if (!priceText) {
+        const priceMatch = lookaheadLine.match(/^\$[\d.,]+/);
+        if (priceMatch) {
+          priceText = priceMatch[0];
         }
       }
 
@@ -292,23 +342,50 @@ function extractEtsyRecentListings(markdown) {
 
     listings.push({
       title,
-      price,
+      ...toListingPrice(priceText, { defaultCurrency: 'USD' }),
       imageCount: 1,
       description: '',
-      hasPrice,
       descriptionLength: 0,
       rating: null,
       url,
+      imageUrl: findImageUrlNear(lines, i),
       cartsCount
     });
 
     seenTitles.add(title);
   }
 
+  if (listings.length > 0) {
+    provenance.found('recentListings', 'bold_listing_links', 'high');
+  } else {
+    provenance.missing('recentListings');
+  }
+
   return listings;
 }
 
-function extractEtsyCustomerReviews(markdown) {
+/**
+ * Review pages for shops with more reviews than the shop page shows.
+ * Etsy paginates shop reviews with ?page=N on the shop URL; /people/ profiles have none.
+ */
+export const etsyReviewPagination = {
+  parseReviews: (markdown, scrapedAt) => extractEtsyCustomerReviews(normalizeMarkdown(markdown), scrapedAt),
+  getPageUrl(profileUrl, page) {
+    try {
+      const pageUrl = new URL(profileUrl);
+      if (!/^\/shop\/[^/]+/i.test(pageUrl.pathname)) {
+        return null;
+      }
+
+      pageUrl.searchParams.set('page', String(page));
+      return pageUrl.toString();
+    } catch (error) {
+      return null;
+    }
+  }
+};
+
+function extractEtsyCustomerReviews(markdown, scrapedAt = new Date()) {
   const reviewsSectionMatch = markdown.match(/##\s*Reviews([\s\S]*?)(?=\n##|\n#|$)/i);
   if (!reviewsSectionMatch) {
     return [];
@@ -319,10 +396,6 @@ function extractEtsyCustomerReviews(markdown) {
   const reviews = [];
 
   reviewBlocks.forEach(block => {
-    if (reviews.length >= 5) {
-      return;
-    }
-
     const normalizedBlock = `- ![${block}`;
     const reviewerMatch = normalizedBlock.match(/\]\([^\)]+\)\s*\n\s*\[([^\]]+)\]\([^\)]+\)\s*on\s*([^\n]+)/i);
     const ratingMatch = normalizedBlock.match(/(\d+)\s*out of\s*5\s*stars/i);
@@ -330,9 +403,12 @@ function extractEtsyCustomerReviews(markdown) {
     const productMatch = normalizedBlock.match(/\[!\[[^\]]*\]\([^\)]+\)\s*\n([^\[]+)\n\[/i);
     const productUrlMatch = normalizedBlock.match(/\n\[[^\]]+\]\((https?:\/\/[^\)]+)\)/i);
 
+    const date = reviewerMatch && reviewerMatch[2] ? reviewerMatch[2].trim() : '';
+
     reviews.push({
       reviewer: reviewerMatch && reviewerMatch[1] ? reviewerMatch[1].trim() : '',
-      date: reviewerMatch && reviewerMatch[2] ? reviewerMatch[2].trim() : '',
+      date,
+      reviewedAt: parseDate(date, { now: scrapedAt, dayFirst: false }),
       rating: ratingMatch && ratingMatch[1] ? parseInt(ratingMatch[1], 10) : null,
       review: commentMatch && commentMatch[1] ? commentMatch[1].trim() : '',
       productName: productMatch && productMatch[1] ? productMatch[1].trim() : '',
@@ -398,29 +474,6 @@ function inferEtsyVerificationStatus(avgRating, totalReviews) {
   return 'unverified';
 }
 
-function calculateDaysSinceActivity(latestActivity) {
-  if (!latestActivity) {
-    return null;
-  }
-
-  const parsedDate = parseEtsyDate(latestActivity);
-  if (!parsedDate) {
-    return null;
-  }
-
-  const diffMs = Date.now() - parsedDate.getTime();
-  if (Number.isNaN(diffMs) || diffMs < 0) {
-    return null;
-  }
-
-  return Math.floor(diffMs / (1000 * 60 * 60 * 24));
-}
-
-function parseEtsyDate(dateText) {
-  const parsed = new Date(dateText);
-  return Number.isNaN(parsed.getTime()) ? null : parsed;
-}
-
 function parseCompactNumber(value) {
   if (!value) {
     return 0;
@@ -1,97 +1,146 @@
 import { parseAccountAge, parseNumber, parseRating } from '../utils/parser.js';
+import { createProvenance, matchFirst } from '../utils/provenance.js';
+import { getScrapedAt, monthsBefore, monthsBetween, parseDate } from '../utils/dates.js';
+import { toListingPrice } from '../utils/money.js';
 
 export function extractFacebookProfile(scrapedData, url) {
   const { markdown } = scrapedData;
+  const provenance = createProvenance();
+  const scrapedAt = getScrapedAt(scrapedData);
+  const membership = extractFacebookMembershipFromMarkdown(markdown, scrapedAt, provenance);
+
+  const profileData = {
+    name: extractFacebookNameFromMarkdown(markdown, provenance),
+    profilePicture: extractFacebookProfilePictureFromMarkdown(markdown, provenance),
+    location: extractFacebookLocationFromMarkdown(markdown, provenance),
+    bio: extractFacebookBioFromMarkdown(markdown, provenance)
+  };
+
+  const marketplaceData = {
+    accountAge: membership.accountAge,
+    joinedText: membership.joinedText,
+    joinedAt: membership.joinedAt,
+    totalListings: extractFacebookTotalListingsFromMarkdown(markdown, provenance),
+    avgRating: extractFacebookRatingFromMarkdown(markdown, provenance),
+    totalReviews: extractFacebookReviewsFromMarkdown(markdown, provenance),
+    responseRate: extractFacebookResponseRateFromMarkdown(markdown, provenance),
+    verificationStatus: extractFacebookVerificationFromMarkdown(markdown, provenance)
+  };
 
   return {
     platform: 'facebook',
     profileUrl: url,
-    profileData: {
-      name: extractFacebookNameFromMarkdown(markdown),
-      profilePicture: extractFacebookProfilePictureFromMarkdown(markdown),
-      location: extractFacebookLocationFromMarkdown(markdown),
-      bio: extractFacebookBioFromMarkdown(markdown)
-    },
-    marketplaceData: {
-      accountAge: extractFacebookAccountAgeFromMarkdown(markdown),
-      totalListings: extractFacebookTotalListingsFromMarkdown(markdown),
-      avgRating: extractFacebookRatingFromMarkdown(markdown),
-      totalReviews: extractFacebookReviewsFromMarkdown(markdown),
-      responseRate: extractFacebookResponseRateFromMarkdown(markdown),
-      verificationStatus: extractFacebookVerificationFromMarkdown(markdown)
-    },
-    recentListings: extractFacebookRecentListingsFromMarkdown(markdown),
-    trustIndicators: extractFacebookTrustIndicatorsFromMarkdown(markdown)
+    profileData,
+    marketplaceData,
+    recentListings: extractFacebookRecentListingsFromMarkdown(markdown, provenance),
+    trustIndicators: extractFacebookTrustIndicatorsFromMarkdown(markdown, scrapedAt),
+    extractionProvenance: provenance.toJSON()
   };
 }
 
-function extractFacebookNameFromMarkdown(markdown) {
-  const nameMatch =
-    markdown.match(/#\s*([^#\n]+)/) ||
-    markdown.match(/\*\*([^*]+)\*\*/) ||
-    markdown.match(/^([^#\n]+)$/m);
+function extractFacebookNameFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'heading', pattern: /#\s*([^#\n]+)/, confidence: 'high' },
+    { strategy: 'bold_text', pattern: /\*\*([^*]+)\*\*/, confidence: 'medium' },
+    { strategy: 'first_line', pattern: /^([^#\n]+)$/m, confidence: 'low' }
+  ]);
+  provenance.record('profileData.name', result);
 
-  return nameMatch ? nameMatch[1].trim() : 'Unknown';
+  return result ? result.match[1].trim() : 'Unknown';
 }
 
-function extractFacebookProfilePictureFromMarkdown(markdown) {
-  const imageMatch = markdown.match(/!\[.*?\]\((https?:\/\/[^)]+\.(jpg|jpeg|png|gif|webp))/i);
-  return imageMatch ? imageMatch[1] : null;
+function extractFacebookProfilePictureFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'first_image', pattern: /!\[.*?\]\((https?:\/\/[^)]+\.(jpg|jpeg|png|gif|webp))/i, confidence: 'low' }
+  ]);
+  provenance.record('profileData.profilePicture', result);
+
+  return result ? result.match[1] : null;
 }
 
-function extractFacebookLocationFromMarkdown(markdown) {
-  const locationMatch =
-    markdown.match(/(?:location|lives in|from)[:\s]+([^#\n]+)/i) ||
-    markdown.match(/📍\s*([^#\n]+)/i);
+function extractFacebookLocationFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'location_label', pattern: /(?:location|lives in|from)[:\s]+([^#\n]+)/i, confidence: 'medium' },
+    { strategy: 'pin_emoji', pattern: /📍\s*([^#\n]+)/i, confidence: 'medium' }
+  ]);
+  provenance.record('profileData.location', result);
 
-  return locationMatch ? locationMatch[1].trim() : 'Not specified';
+  return result ? result.match[1].trim() : 'Not specified';
 }
 
-function extractFacebookBioFromMarkdown(markdown) {
-  const bioMatch =
-    markdown.match(/(?:about|bio)[:\s]+([^#\n]+)/i) || markdown.match(/📝\s*([^#\n]+)/i);
+function extractFacebookBioFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'about_label', pattern: /(?:about|bio)[:\s]+([^#\n]+)/i, confidence: 'medium' },
+    { strategy: 'memo_emoji', pattern: /📝\s*([^#\n]+)/i, confidence: 'medium' }
+  ]);
+  provenance.record('profileData.bio', result);
 
-  return bioMatch ? bioMatch[1].trim() : '';
+  return result ? result.match[1].trim() : '';
 }
 
-function extractFacebookAccountAgeFromMarkdown(markdown) {
-  const ageMatch =
-    markdown.match(/(?:member since|joined|account age)[:\s]+([^#\n]+)/i) ||
-    markdown.match(/(\d+)\s*(?:year|month)/i);
+// Account age from a duration ("2 years") or a join date ("Joined in 2019", "Member since March 2020")
+function extractFacebookMembershipFromMarkdown(markdown, scrapedAt = new Date(), provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'joined_label', pattern: /(?:member since|joined|account age)[:\s]+([^#\n]+)/i, confidence: 'medium' },
+    { strategy: 'duration_text', pattern: /(\d+)\s*(?:year|month)/i, confidence: 'low' }
+  ]);
+  const durationMonths = parseAccountAge(result ? result.match[1] : '');
+  const joinedAt = durationMonths > 0
+    ? monthsBefore(scrapedAt, durationMonths)
+    : parseDate(result ? result.match[0] : '', { now: scrapedAt });
+  const accountAge = durationMonths > 0 ? durationMonths : monthsBetween(joinedAt, scrapedAt);
+
+  if (result && !joinedAt) {
+    provenance.missing('marketplaceData.accountAge');
+  } else {
+    provenance.record('marketplaceData.accountAge', result);
+  }
 
-  return parseAccountAge(ageMatch ? ageMatch[1] : '');
+  return {
+    accountAge,
+    joinedText: joinedAt ? result.match[0].trim() : null,
+    joinedAt
+  };
 }
 
-function extractFacebookTotalListingsFromMarkdown(markdown) {
-  const listingsMatch =
-    markdown.match(/(?:listings|items|products)[:\s]+(\d+)/i) ||
-    markdown.match(/(\d+)\s*(?:listings|items|products)/i);
+function extractFacebookTotalListingsFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'listings_label', pattern: /(?:listings|items|products)[:\s]+(\d+)/i, confidence: 'medium' },
+    { strategy: 'listings_count', pattern: /(\d+)\s*(?:listings|items|products)/i, confidence: 'low' }
+  ]);
+  provenance.record('marketplaceData.totalListings', result);
 
-  return parseNumber(listingsMatch ? listingsMatch[1] : '');
+  return parseNumber(result ? result.match[1] : '');
 }
 
-function extractFacebookRatingFromMarkdown(markdown) {
-  const ratingMatch =
-    markdown.match(/(?:rating|stars)[:\s]+(\d+\.?\d*)/i) ||
-    markdown.match(/(\d+\.?\d*)\s*(?:stars?|rating)/i);
+function extractFacebookRatingFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'rating_label', pattern: /(?:rating|stars)[:\s]+(\d+\.?\d*)/i, confidence: 'medium' },
+    { strategy: 'stars_suffix', pattern: /(\d+\.?\d*)\s*(?:stars?|rating)/i, confidence: 'low' }
+  ]);
+  provenance.record('marketplaceData.avgRating', result);
 
-  return parseRating(ratingMatch ? ratingMatch[1] : '');
+  return parseRating(result ? result.match[1] : '');
 }
 
-function extractFacebookReviewsFromMarkdown(markdown) {
-  const reviewsMatch =
-    markdown.match(/(?:reviews|feedback)[:\s]+(\d+)/i) ||
-    markdown.match(/(\d+)\s*(?:reviews?|feedback)/i);
+function extractFacebookReviewsFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'reviews_label', pattern: /(?:reviews|feedback)[:\s]+(\d+)/i, confidence: 'medium' },
+    { strategy: 'reviews_count', pattern: /(\d+)\s*(?:reviews?|feedback)/i, confidence: 'low' }
+  ]);
+  provenance.record('marketplaceData.totalReviews', result);
 
-  return parseNumber(reviewsMatch ? reviewsMatch[1] : '');
+  return parseNumber(result ? result.match[1] : '');
 }
 
-function extractFacebookResponseRateFromMarkdown(markdown) {
+function extractFacebookResponseRateFromMarkdown(markdown, provenance = createProvenance()) {
+  const field = 'marketplaceData.responseRate';
   const percentMatch =
     markdown.match(/(?:response rate|responds)[:\s]+(\d+)%/i) ||
     markdown.match(/(\d+)%\s*(?:response rate|response)/i);
 
   if (percentMatch && percentMatch[1]) {
+    provenance.found(field, 'response_rate_percent', 'high');
     return parseInt(percentMatch[1], 10);
   }
 
@@ -104,28 +153,35 @@ function extractFacebookResponseRateFromMarkdown(markdown) {
     const timeUnit = replyTimeMatch[1].toLowerCase();
 
     if (timeUnit.includes('minute') || timeUnit.includes('hour')) {
+      provenance.found(field, 'reply_time', 'medium');
       return 95;
     }
     if (timeUnit.includes('day')) {
+      provenance.found(field, 'reply_time', 'medium');
       return 80;
     }
     if (timeUnit.includes('week')) {
+      provenance.found(field, 'reply_time', 'medium');
       return 50;
     }
   }
 
   const lowerMarkdown = markdown.toLowerCase();
   if (lowerMarkdown.includes('very responsive') || lowerMarkdown.includes('highly responsive')) {
+    provenance.found(field, 'responsiveness_text', 'low');
     return 95;
   }
   if (lowerMarkdown.includes('responsive')) {
+    provenance.found(field, 'responsiveness_text', 'low');
     return 85;
   }
 
+  provenance.missing(field);
   return 0;
 }
 
-function extractFacebookVerificationFromMarkdown(markdown) {
+function extractFacebookVerificationFromMarkdown(markdown, provenance = createProvenance()) {
+  const field = 'marketplaceData.verificationStatus';
   const lowerMarkdown = markdown.toLowerCase();
 
   if (
@@ -133,6 +189,7 @@ function extractFacebookVerificationFromMarkdown(markdown) {
     lowerMarkdown.includes('identity verified') ||
     lowerMarkdown.includes('id confirmed')
   ) {
+    provenance.found(field, 'id_verified_text', 'medium');
     return 'id-verified';
   }
 
@@ -140,10 +197,12 @@ function extractFacebookVerificationFromMarkdown(markdown) {
     lowerMarkdown.includes('phone verified') ||
     lowerMarkdown.includes('phone number verified')
   ) {
+    provenance.found(field, 'phone_verified_text', 'medium');
     return 'phone-verified';
   }
 
   if (lowerMarkdown.includes('email verified') || lowerMarkdown.includes('email confirmed')) {
+    provenance.found(field, 'email_verified_text', 'medium');
     return 'email-verified';
   }
 
@@ -153,13 +212,16 @@ function extractFacebookVerificationFromMarkdown(markdown) {
     lowerMarkdown.includes('✓') ||
     lowerMarkdown.includes('verified badge')
   ) {
+    provenance.found(field, 'verified_badge_text', 'low');
     return 'verified';
   }
 
+  // Facebook shows no badge for unverified sellers, so "unverified" is itself a low-confidence default
+  provenance.found(field, 'default_unverified', 'low');
   return 'unverified';
 }
 
-function extractFacebookRecentListingsFromMarkdown(markdown) {
+function extractFacebookRecentListingsFromMarkdown(markdown, provenance = createProvenance()) {
   const listings = [];
   const listingPattern =
     /\$\s*([\d,]+|[Ff]ree)[^$\n]*?([A-Z][^\n]{10,80})[^\n]*?\n([^\n]{20,150})/g;
@@ -174,16 +236,20 @@ function extractFacebookRecentListingsFromMarkdown(markdown) {
 
     listings.push({
       title,
-      price: price === 'Free' || price === 'free' ? '0' : price.replace(/,/g, ''),
+      ...toListingPrice(/^free$/i.test(price) ? price : `$${price}`),
       imageCount: 1,
       description,
-      hasPrice: price !== '',
       descriptionLength: description.length
     });
 
     count += 1;
   }
 
+  if (listings.length > 0) {
+    provenance.found('recentListings', 'price_block', 'medium');
+    return listings;
+  }
+
   if (listings.length === 0) {
     const simpleMatches = markdown.match(/(?:title|item|product)[:\s]+([^#\n]+)/gi);
 
@@ -193,10 +259,9 @@ function extractFacebookRecentListingsFromMarkdown(markdown) {
         if (title && title.length > 5) {
           listings.push({
             title,
-            price: '',
+            ...toListingPrice(''),
             imageCount: 1,
             description: '',
-            hasPrice: false,
             descriptionLength: 0
           });
         }
@@ -204,15 +269,21 @@ function extractFacebookRecentListingsFromMarkdown(markdown) {
     }
   }
 
+  if (listings.length > 0) {
+    provenance.found('recentListings', 'title_labels', 'low');
+  } else {
+    provenance.missing('recentListings');
+  }
+
   return listings;
 }
 
-function extractFacebookTrustIndicatorsFromMarkdown(markdown) {
+function extractFacebookTrustIndicatorsFromMarkdown(markdown, scrapedAt = new Date()) {
   return {
     hasProfilePicture: !!extractFacebookProfilePictureFromMarkdown(markdown),
     hasLocation: extractFacebookLocationFromMarkdown(markdown) !== 'Not specified',
     hasBio: extractFacebookBioFromMarkdown(markdown).length > 0,
-    accountAge: extractFacebookAccountAgeFromMarkdown(markdown),
+    accountAge: extractFacebookMembershipFromMarkdown(markdown, scrapedAt).accountAge,
     totalReviews: extractFacebookReviewsFromMarkdown(markdown),
     avgRating: extractFacebookRatingFromMarkdown(markdown),
     verificationStatus: extractFacebookVerificationFromMarkdown(markdown)
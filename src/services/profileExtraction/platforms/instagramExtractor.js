@@ -0,0 +1,368 @@
+import { parseCompactNumber } from '../utils/parser.js';
+import { createProvenance } from '../utils/provenance.js';
+import { getScrapedAt, monthsBetween, parseDatedText } from '../utils/dates.js';
+import { toListingPrice } from '../utils/money.js';
+
+const CONTACT_BUTTONS = ['Email', 'Call', 'Contact', 'WhatsApp', 'Directions', 'Book', 'Order', 'Shop'];
+
+// The profile header (handle, badge, action buttons) ends at the counts line, the posts tabs or the grid
+const HEADER_END_PATTERN = /^\s*(?:\d[\d.,]*\s*[KkMm]?\s*(?:posts|followers|following)\b|(?:posts|reels|tagged)\s*$|\[!\[)/im;
+
+// Verified badge rendered as its image, or as the badge's alt text after the handle
+const VERIFIED_BADGE_LINE = /^(?:!\[verified\]\([^)\s]*\)|\[?verified\]?)$/i;
+const VERIFIED_BADGE_SUFFIX = /\s(?:!\[verified\]\([^)\s]*\)|verified)$/i;
+
+// Categories Instagram shows under the name of business/creator accounts
+const BUSINESS_CATEGORIES = [
+  'Shopping & retail',
+  'Clothing (Brand)',
+  'Clothing store',
+  'Retail company',
+  'Product/service',
+  'Local business',
+  'Jewelry/watches',
+  'Health/beauty',
+  'Beauty, cosmetic & personal care',
+  'Electronics',
+  'Home decor',
+  'Footwear store',
+  'E-commerce website',
+  'Business service',
+  'Entrepreneur',
+  'Digital creator',
+  'Personal blog'
+];
+
+export function extractInstagramProfile(scrapedData, url) {
+  const { markdown = '', metadata = {} } = scrapedData;
+  const normalizedMarkdown = markdown.replace(/\r/g, '');
+
+  const provenance = createProvenance();
+  const scrapedAt = getScrapedAt(scrapedData);
+
+  const handle = extractInstagramHandle(url);
+  const name = extractInstagramName(normalizedMarkdown, metadata, handle, provenance);
+  const profilePicture = extractInstagramProfilePicture(normalizedMarkdown);
+  const counts = extractInstagramCounts(normalizedMarkdown, metadata, provenance);
+  const businessCategory = extractInstagramBusinessCategory(normalizedMarkdown);
+  const bio = extractInstagramBio(normalizedMarkdown, metadata, provenance);
+  const linkInBio = extractInstagramLinkInBio(normalizedMarkdown);
+  const header = extractInstagramHeader(normalizedMarkdown);
+  const contactButtons = extractInstagramContactButtons(header);
+  const isVerified = extractInstagramVerifiedBadge(header, handle);
+  const { accountAge, joinedText, joinedAt } = extractInstagramMembership(normalizedMarkdown, scrapedAt);
+  const recentListings = extractInstagramRecentPosts(normalizedMarkdown);
+
+  const isBusinessAccount = !!businessCategory || contactButtons.length > 0;
+  const verificationStatus = isVerified ? 'verified' : 'unverified';
+
+  if (profilePicture) {
+    provenance.found('profileData.profilePicture', 'profile_picture_image', 'high');
+  } else {
+    provenance.missing('profileData.profilePicture');
+  }
+  if (accountAge > 0) {
+    provenance.found('marketplaceData.accountAge', 'date_joined', 'high');
+  } else {
+    provenance.missing('marketplaceData.accountAge');
+  }
+  if (recentListings.length > 0) {
+    provenance.found('recentListings', 'post_grid', 'medium');
+  } else {
+    provenance.missing('recentListings');
+  }
+  if (isVerified) {
+    provenance.found('marketplaceData.verificationStatus', 'verified_badge', 'high');
+  } else {
+    provenance.found('marketplaceData.verificationStatus', 'default_unverified', 'low');
+  }
+  [
+    'profileData.location',
+    'marketplaceData.avgRating',
+    'marketplaceData.totalReviews',
+    'marketplaceData.responseRate',
+    'marketplaceData.lastSeen'
+  ].forEach(field => provenance.unavailable(field));
+
+  // Instagram profiles expose no location, ratings or reviews
+  const dataAvailability = {
+    profilePicture: profilePicture ? 'available' : 'platform_unavailable',
+    location: 'platform_unavailable',
+    bio: bio ? 'available' : 'platform_unavailable',
+    recentListings: recentListings.length > 0 ? 'available' : 'platform_unavailable',
+    reviews: 'platform_unavailable'
+  };
+
+  return {
+    platform: 'instagram',
+    profileUrl: url,
+    profileData: {
+      name,
+      profilePicture,
+      location: 'Not specified',
+      bio
+    },
+    marketplaceData: {
+      accountAge,
+      joinedText,
+      joinedAt,
+      totalListings: counts.posts,
+      avgRating: 0,
+      totalReviews: 0,
+      responseRate: 0,
+      verificationStatus,
+      followers: counts.followers,
+      following: counts.following,
+      postCount: counts.posts,
+      handle,
+      isBusinessAccount,
+      businessCategory,
+      contactButtons,
+      linkInBio
+    },
+    recentListings,
+    trustIndicators: {
+      hasProfilePicture: profilePicture ? true : null,
+      hasLocation: null,
+      hasBio: bio ? true : false,
+      accountAge,
+      totalReviews: 0,
+      avgRating: 0,
+      verificationStatus,
+      followers: counts.followers,
+      isBusinessAccount,
+      hasContactButtons: contactButtons.length > 0,
+      hasLinkInBio: !!linkInBio
+    },
+    dataAvailability,
+    extractionProvenance: provenance.toJSON()
+  };
+}
+
+function extractInstagramHandle(url) {
+  const match = (url || '').match(/instagram\.com\/([^/?#]+)/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function extractInstagramName(markdown, metadata, handle, provenance = createProvenance()) {
+  const field = 'profileData.name';
+  // og:title looks like "Shop Name (@handle) • Instagram photos and videos"
+  const title = metadata.ogTitle || metadata['og:title'] || metadata.title || '';
+  const titleMatch = title.match(/^(.+?)\s*\(@[\w.]+\)/);
+  if (titleMatch && titleMatch[1].trim()) {
+    provenance.found(field, 'og_title', 'high');
+    return titleMatch[1].trim();
+  }
+
+  const headingMatch = markdown.match(/^#{1,2}\s*([^\n#]+)/m);
+  if (headingMatch && headingMatch[1].trim()) {
+    provenance.found(field, 'heading', 'medium');
+    return headingMatch[1].trim();
+  }
+
+  if (handle) {
+    provenance.found(field, 'url_handle', 'low');
+    return handle;
+  }
+
+  provenance.missing(field);
+  return 'Unknown';
+}
+
+function extractInstagramProfilePicture(markdown) {
+  const match =
+    markdown.match(/!\[[^\]]*profile picture[^\]]*\]\((https?:\/\/[^)\s]+)\)/i) ||
+    markdown.match(/!\[[^\]]*\]\((https?:\/\/[^)\s]*(?:cdninstagram\.com|fbcdn\.net)[^)\s]*)\)/i);
+
+  return match ? match[1] : null;
+}
+
+/**
+ * Follower/following/post counts from the page, falling back to og:description
+ * ("12.5K Followers, 300 Following, 450 Posts - See Instagram photos and videos from ...")
+ */
+function extractInstagramCounts(markdown, metadata, provenance = createProvenance()) {
+  const sources = [markdown, metadata.ogDescription || metadata['og:description'] || metadata.description || ''];
+  const counts = { followers: 0, following: 0, posts: 0 };
+
+  const patterns = {
+    followers: /([\d.,]+\s*[KkMm]?)\s*followers/i,
+    following: /([\d.,]+\s*[KkMm]?)\s*following/i,
+    posts: /([\d.,]+\s*[KkMm]?)\s*posts/i
+  };
+
+  const strategies = ['profile_header', 'og_description'];
+  const found = {};
+
+  Object.keys(patterns).forEach(key => {
+    for (const [index, source] of sources.entries()) {
+      const match = source.match(patterns[key]);
+      if (match) {
+        counts[key] = parseCompactNumber(match[1]);
+        found[key] = strategies[index];
+        break;
+      }
+    }
+  });
+
+  [
+    ['followers', 'marketplaceData.followers'],
+    ['posts', 'marketplaceData.totalListings']
+  ].forEach(([key, field]) =>
+    found[key] ? provenance.found(field, found[key], 'high') : provenance.missing(field)
+  );
+
+  return counts;
+}
+
+function extractInstagramBusinessCategory(markdown) {
+  const lines = markdown.split('\n').map(line => line.trim());
+  const category = BUSINESS_CATEGORIES.find(candidate =>
+    lines.some(line => line.toLowerCase() === candidate.toLowerCase())
+  );
+
+  return category || null;
+}
+
+function extractInstagramBio(markdown, metadata, provenance = createProvenance()) {
+  // The bio sits between the counts line and the post grid
+  const countsIndex = markdown.search(/\d[\d.,]*\s*[KkMm]?\s*following/i);
+  if (countsIndex !== -1) {
+    const afterCounts = markdown.slice(countsIndex).split('\n').slice(1);
+    const bioLines = [];
+
+    for (const rawLine of afterCounts) {
+      const line = rawLine.trim();
+      if (!line) {
+        if (bioLines.length > 0) break;
+        continue;
+      }
+      if (/^!\[|^\[!\[|^#{1,6}\s|^(posts|reels|tagged)$/i.test(line)) {
+        break;
+      }
+      if (BUSINESS_CATEGORIES.some(category => category.toLowerCase() === line.toLowerCase())) {
+        continue;
+      }
+      bioLines.push(line.replace(/\[([^\]]+)\]\([^)]+\)/g, '$1'));
+    }
+
+    if (bioLines.length > 0) {
+      provenance.found('profileData.bio', 'lines_after_counts', 'medium');
+      return bioLines.join('\n').slice(0, 500);
+    }
+  }
+
+  const description = metadata.ogDescription || metadata['og:description'] || metadata.description || '';
+  const quoted = description.match(/on Instagram:\s*"([\s\S]+)"\s*$/i);
+  if (quoted) {
+    provenance.found('profileData.bio', 'og_description_quote', 'high');
+    return quoted[1].trim().slice(0, 500);
+  }
+
+  provenance.missing('profileData.bio');
+  return '';
+}
+
+/**
+ * External link shown in the bio. Instagram wraps it in l.instagram.com/?u=<encoded url>
+ */
+function extractInstagramLinkInBio(markdown) {
+  const linkPattern = /\[[^\]]*\]\((https?:\/\/[^)\s]+)\)/g;
+  let match;
+
+  while ((match = linkPattern.exec(markdown)) !== null) {
+    const href = match[1];
+
+    if (/^https?:\/\/l\.instagram\.com\//i.test(href)) {
+      try {
+        const target = new URL(href).searchParams.get('u');
+        if (target) {
+          return target;
+        }
+      } catch (error) {
+        continue;
+      }
+    }
+
+    if (!/instagram\.com|cdninstagram\.com|fbcdn\.net|facebook\.com\/(help|privacy)|meta\.com/i.test(href)) {
+      return href;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Markdown of the profile header, before the counts, bio and posts grid. Empty when the page
+ * has none of those, so bio or caption text is never read as header buttons.
+ */
+function extractInstagramHeader(markdown) {
+  const endIndex = markdown.search(HEADER_END_PATTERN);
+  return endIndex === -1 ? '' : markdown.slice(0, endIndex);
+}
+
+function extractInstagramContactButtons(header) {
+  return CONTACT_BUTTONS.filter(button => {
+    const pattern = new RegExp(`(^|\\n)\\s*(\\[\\s*)?${button}(\\s*\\])?\\s*(\\(|\\n|$)`, 'i');
+    return pattern.test(header);
+  });
+}
+
+// The badge has to sit on the handle line or the line right after it
+function extractInstagramVerifiedBadge(header, handle) {
+  const lines = header.split('\n').map(line => line.trim()).filter(Boolean);
+  const handleIndex = lines.findIndex(
+    line => /^#{1,2}\s/.test(line) || (handle && line.replace(/^@/, '').toLowerCase().startsWith(handle))
+  );
+  if (handleIndex === -1) {
+    return false;
+  }
+
+  return VERIFIED_BADGE_SUFFIX.test(lines[handleIndex]) || VERIFIED_BADGE_LINE.test(lines[handleIndex + 1] || '');
+}
+
+// "Date joined: March 2019" is only present when the "About this account" sheet was captured
+function extractInstagramMembership(markdown, scrapedAt = new Date()) {
+  const match = markdown.match(/date joined[:\s]+([A-Za-z\u00C0-\u017F]+\.?\s+\d{4})/i);
+  const { text, date } = parseDatedText(match ? match[1] : '', { now: scrapedAt });
+
+  return {
+    accountAge: monthsBetween(date, scrapedAt),
+    joinedText: date ? text : null,
+    joinedAt: date
+  };
+}
+
+/**
+ * Posts from the profile grid, mapped to the listing shape. The image alt text
+ * carries the caption (or Instagram's auto-generated description).
+ */
+function extractInstagramRecentPosts(markdown) {
+  const posts = [];
+  const postPattern = /\[!\[([^\]]*)\]\((https?:\/\/[^)\s]+)\)\]\((https?:\/\/(?:www\.)?instagram\.com\/(?:[\w.]+\/)?(?:p|reel)\/[\w-]+\/?)[^)]*\)/g;
+  let match;
+
+  while ((match = postPattern.exec(markdown)) !== null && posts.length < 12) {
+    const caption = match[1].trim();
+    const postUrl = match[3];
+
+    if (posts.some(post => post.postUrl === postUrl)) {
+      continue;
+    }
+
+    const priceMatch = caption.match(/(?:₦|NGN|\bN|\$|£|€|GHS|KES|Ksh)\s?([\d,]+(?:\.\d{2})?)|([\d,]+)\s?(?:naira|NGN)/i);
+
+    posts.push({
+      title: caption.split('\n')[0].slice(0, 80),
+      ...toListingPrice(priceMatch ? priceMatch[0] : ''),
+      imageCount: 1,
+      imageUrl: match[2],
+      description: caption,
+      descriptionLength: caption.length,
+      postUrl,
+      isReel: /\/reel\//.test(postUrl)
+    });
+  }
+
+  return posts;
+}
@@ -1,137 +1,204 @@
 import { parseNumber, parseRating, parsePercentage } from '../utils/parser.js';
+import { createProvenance, matchFirst } from '../utils/provenance.js';
+import { daysSince, getScrapedAt, monthsBefore, parseDatedText } from '../utils/dates.js';
+import { toListingPrice } from '../utils/money.js';
+
+// Jiji runs a separate site per country, each with its own currency
+export const jijiCountries = {
+  'jiji.ng': { country: 'NG', currency: 'NGN', currencySymbols: ['₦'] },
+  'jiji.com': { country: 'NG', currency: 'NGN', currencySymbols: ['₦'] },
+  'jiji.com.gh': { country: 'GH', currency: 'GHS', currencySymbols: ['GH₵', 'GH¢', '₵', 'GHS'] },
+  'jiji.co.ke': { country: 'KE', currency: 'KES', currencySymbols: ['KSh', 'KES'] },
+  'jiji.ug': { country: 'UG', currency: 'UGX', currencySymbols: ['USh', 'UGX'] },
+  'jiji.co.tz': { country: 'TZ', currency: 'TZS', currencySymbols: ['TSh', 'TZS'] }
+};
+
+export function getJijiCountry(url) {
+  let hostname = '';
+  try {
+    hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    hostname = '';
+  }
+
+  return jijiCountries[hostname] || jijiCountries['jiji.ng'];
+}
 
 export function extractJijiProfile(scrapedData, url) {
   const { markdown } = scrapedData;
+  const countryInfo = getJijiCountry(url);
+  const provenance = createProvenance();
+  const scrapedAt = getScrapedAt(scrapedData);
+  const membership = extractJijiMembershipFromMarkdown(markdown, scrapedAt, provenance);
+  const lastSeen = extractJijiLastSeenFromMarkdown(markdown, scrapedAt, provenance);
 
   return {
     platform: 'jiji',
     profileUrl: url,
+    country: countryInfo.country,
     profileData: {
-      name: extractJijiNameFromMarkdown(markdown),
-      profilePicture: extractJijiProfilePictureFromMarkdown(markdown),
-      location: extractJijiLocationFromMarkdown(markdown),
-      bio: extractJijiBioFromMarkdown(markdown)
+      name: extractJijiNameFromMarkdown(markdown, provenance),
+      profilePicture: extractJijiProfilePictureFromMarkdown(markdown, provenance),
+      location: extractJijiLocationFromMarkdown(markdown, provenance),
+      bio: extractJijiBioFromMarkdown(markdown, provenance)
     },
     marketplaceData: {
-      accountAge: extractJijiAccountAgeFromMarkdown(markdown),
-      totalListings: extractJijiTotalListingsFromMarkdown(markdown),
-      avgRating: extractJijiRatingFromMarkdown(markdown),
-      totalReviews: extractJijiReviewsFromMarkdown(markdown),
-      responseRate: extractJijiResponseRateFromMarkdown(markdown),
-      verificationStatus: extractJijiVerificationFromMarkdown(markdown),
-      lastSeen: extractJijiLastSeenFromMarkdown(markdown),
-      followers: extractJijiFollowersFromMarkdown(markdown),
-      categories: extractJijiCategoriesFromMarkdown(markdown)
+      accountAge: membership.accountAge,
+      joinedText: membership.joinedText,
+      joinedAt: membership.joinedAt,
+      totalListings: extractJijiTotalListingsFromMarkdown(markdown, provenance),
+      avgRating: extractJijiRatingFromMarkdown(markdown, provenance),
+      totalReviews: extractJijiReviewsFromMarkdown(markdown, provenance),
+      responseRate: extractJijiResponseRateFromMarkdown(markdown, provenance),
+      verificationStatus: extractJijiVerificationFromMarkdown(markdown, provenance),
+      lastSeen: lastSeen.days,
+      lastSeenText: lastSeen.text,
+      lastSeenAt: lastSeen.date,
+      followers: extractJijiFollowersFromMarkdown(markdown, provenance),
+      categories: extractJijiCategoriesFromMarkdown(markdown),
+      currency: countryInfo.currency
     },
-    recentListings: extractJijiRecentListingsFromMarkdown(markdown),
-    trustIndicators: extractJijiTrustIndicatorsFromMarkdown(markdown)
+    recentListings: extractJijiRecentListingsFromMarkdown(markdown, countryInfo, provenance),
+    trustIndicators: extractJijiTrustIndicatorsFromMarkdown(markdown, scrapedAt),
+    extractionProvenance: provenance.toJSON()
   };
 }
 
-function extractJijiNameFromMarkdown(markdown) {
-  const nameMatch = markdown.match(
-    /!\[\]\(https:\/\/pictures-nigeria\.jijistatic\.net\/[^\)]+\)\s*\n\s*([^\n]+)\s*\n\s*\d+\+?\s*years?\s+on\s+Jiji/i
-  );
-
-  if (nameMatch && nameMatch[1]) {
-    return nameMatch[1].trim();
-  }
-
-  const searchMatch = markdown.match(/Search in adverts of ([^\n]+)/i);
-  if (searchMatch && searchMatch[1]) {
-    return searchMatch[1].trim();
-  }
+function extractJijiNameFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    {
+      strategy: 'avatar_block',
+      pattern: /!\[\]\(https:\/\/pictures-[a-z-]+\.jijistatic\.net\/[^\)]+\)\s*\n\s*([^\n]+)\s*\n\s*\d+\+?\s*years?\s+on\s+Jiji/i,
+      confidence: 'high'
+    },
+    { strategy: 'search_adverts_label', pattern: /Search in adverts of ([^\n]+)/i, confidence: 'medium' }
+  ]);
+  provenance.record('profileData.name', result);
 
-  return 'Unknown';
+  return result ? result.match[1].trim() : 'Unknown';
 }
 
-function extractJijiProfilePictureFromMarkdown(markdown) {
-  const imageMatch = markdown.match(/!\[.*?\]\((https?:\/\/[^)]+\.(jpg|jpeg|png|gif|webp))/i);
-  return imageMatch ? imageMatch[1] : null;
+function extractJijiProfilePictureFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'first_image', pattern: /!\[.*?\]\((https?:\/\/[^)]+\.(jpg|jpeg|png|gif|webp))/i, confidence: 'low' }
+  ]);
+  provenance.record('profileData.profilePicture', result);
+
+  return result ? result.match[1] : null;
 }
 
-function extractJijiLocationFromMarkdown() {
+// Jiji seller pages do not show a seller location
+function extractJijiLocationFromMarkdown(markdown, provenance = createProvenance()) {
+  provenance.unavailable('profileData.location');
   return 'Not specified';
 }
 
-function extractJijiBioFromMarkdown(markdown) {
-  const bioMatch = markdown.match(/About seller\s*\n\s*([^\n]+(?:\n[^\n]+)*?)(?=\n\n|\n\d+ads|$)/i);
-
-  if (bioMatch && bioMatch[1]) {
-    return bioMatch[1].trim();
-  }
+function extractJijiBioFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    {
+      strategy: 'about_seller_section',
+      pattern: /About seller\s*\n\s*([^\n]+(?:\n[^\n]+)*?)(?=\n\n|\n\d+ads|$)/i,
+      confidence: 'high'
+    }
+  ]);
+  provenance.record('profileData.bio', result);
 
-  return '';
+  return result ? result.match[1].trim() : '';
 }
 
-function extractJijiAccountAgeFromMarkdown(markdown) {
-  const ageMatch = markdown.match(/(\d+)\+?\s*years?\s+on\s+Jiji/i);
+// "3 years on Jiji": account age in months, and the join date it implies at scrape time
+function extractJijiMembershipFromMarkdown(markdown, scrapedAt = new Date(), provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'years_on_jiji', pattern: /(\d+)\+?\s*years?\s+on\s+Jiji/i, confidence: 'high' },
+    { strategy: 'months_on_jiji', pattern: /(\d+)\s*months?\s+on\s+Jiji/i, confidence: 'high' }
+  ]);
+  provenance.record('marketplaceData.accountAge', result);
 
-  if (ageMatch && ageMatch[1]) {
-    return parseInt(ageMatch[1], 10) * 12;
+  if (!result) {
+    return { accountAge: 0, joinedText: null, joinedAt: null };
   }
 
-  const monthsMatch = markdown.match(/(\d+)\s*months?\s+on\s+Jiji/i);
-  if (monthsMatch && monthsMatch[1]) {
-    return parseInt(monthsMatch[1], 10);
-  }
+  const value = parseInt(result.match[1], 10);
+  const accountAge = result.strategy === 'years_on_jiji' ? value * 12 : value;
 
-  return 0;
+  return {
+    accountAge,
+    joinedText: result.match[0].trim(),
+    joinedAt: monthsBefore(scrapedAt, accountAge)
+  };
 }
 
-function extractJijiTotalListingsFromMarkdown(markdown) {
-  const adsMatch = markdown.match(/(\d+)ads/i);
-
-  if (adsMatch && adsMatch[1]) {
-    return parseInt(adsMatch[1], 10);
-  }
+function extractJijiTotalListingsFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'ads_count', pattern: /(\d+)ads/i, confidence: 'high' },
+    { strategy: 'listings_label', pattern: /(?:listings|ads|items|products)[:\s]+(\d+)/i, confidence: 'medium' },
+    { strategy: 'listings_count', pattern: /(\d+)\s*(?:listings|ads|items|products)/i, confidence: 'low' }
+  ]);
+  provenance.record('marketplaceData.totalListings', result);
 
-  const listingsMatch =
-    markdown.match(/(?:listings|ads|items|products)[:\s]+(\d+)/i) ||
-    markdown.match(/(\d+)\s*(?:listings|ads|items|products)/i);
-
-  return parseNumber(listingsMatch ? listingsMatch[1] : '');
+  return parseNumber(result ? result.match[1] : '');
 }
 
-function extractJijiRatingFromMarkdown(markdown) {
-  const ratingMatch =
-    markdown.match(/(?:rating|stars)[:\s]+(\d+\.?\d*)/i) ||
-    markdown.match(/(\d+\.?\d*)\s*(?:stars?|rating)/i);
+function extractJijiRatingFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'rating_label', pattern: /(?:rating|stars)[:\s]+(\d+\.?\d*)/i, confidence: 'medium' },
+    { strategy: 'stars_suffix', pattern: /(\d+\.?\d*)\s*(?:stars?|rating)/i, confidence: 'low' }
+  ]);
+  provenance.record('marketplaceData.avgRating', result);
 
-  return parseRating(ratingMatch ? ratingMatch[1] : '');
+  return parseRating(result ? result.match[1] : '');
 }
 
-function extractJijiReviewsFromMarkdown(markdown) {
-  const reviewsMatch =
-    markdown.match(/(?:reviews|feedback)[:\s]+(\d+)/i) ||
-    markdown.match(/(\d+)\s*(?:reviews?|feedback)/i) ||
-    markdown.match(/feedback\s*\((\d+)\)/i);
+function extractJijiReviewsFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'reviews_label', pattern: /(?:reviews|feedback)[:\s]+(\d+)/i, confidence: 'medium' },
+    { strategy: 'reviews_count', pattern: /(\d+)\s*(?:reviews?|feedback)/i, confidence: 'medium' },
+    { strategy: 'feedback_tab', pattern: /feedback\s*\((\d+)\)/i, confidence: 'high' }
+  ]);
+  provenance.record('marketplaceData.totalReviews', result);
 
-  return parseNumber(reviewsMatch ? reviewsMatch[1] : '');
+  return parseNumber(result ? result.match[1] : '');
 }
 
-function extractJijiResponseRateFromMarkdown(markdown) {
-  const responseMatch =
-    markdown.match(/(?:response rate|response)[:\s]+(\d+)%/i) ||
-    markdown.match(/(\d+)%\s*(?:response rate|response)/i);
+function extractJijiResponseRateFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'response_rate_label', pattern: /(?:response rate|response)[:\s]+(\d+)%/i, confidence: 'high' },
+    { strategy: 'response_rate_percent', pattern: /(\d+)%\s*(?:response rate|response)/i, confidence: 'high' }
+  ]);
+  provenance.record('marketplaceData.responseRate', result);
 
-  return parsePercentage(responseMatch ? responseMatch[1] : '');
+  return parsePercentage(result ? result.match[1] : '');
 }
 
-function extractJijiVerificationFromMarkdown(markdown) {
+function extractJijiVerificationFromMarkdown(markdown, provenance = createProvenance()) {
+  const field = 'marketplaceData.verificationStatus';
+
   if (markdown.match(/(?:verified id|verified)/i)) {
+    provenance.found(field, 'verified_text', 'medium');
     return 'id-verified';
   }
   if (markdown.match(/(?:verified|verification)/i)) {
+    provenance.found(field, 'verification_text', 'low');
     return 'verified';
   }
+
+  provenance.found(field, 'default_unverified', 'low');
   return 'unverified';
 }
 
-function extractJijiRecentListingsFromMarkdown(markdown) {
+function extractJijiRecentListingsFromMarkdown(
+  markdown,
+  countryInfo = jijiCountries['jiji.ng'],
+  provenance = createProvenance()
+) {
   const listings = [];
-  const listingPattern =
-    /!\[Photo - ([^\]]+)\]\(([^\)]+)\)[^\₦]*₦\s*([\d,]+|Contact for price)[^\\]*\\[^\\]*\\([^\\]+)\\[^\\]*\\([^\\]+)/g;
+  const currency = countryInfo.currencySymbols
+    .map(symbol => symbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+  const listingPattern = new RegExp(
+    `!\\[Photo - ([^\\]]+)\\]\\(([^\\)]+)\\)(?:(?!${currency})[\\s\\S])*(?:${currency})\\s*([\\d,]+|Contact for price)[^\\\\]*\\\\[^\\\\]*\\\\([^\\\\]+)\\\\[^\\\\]*\\\\([^\\\\]+)`,
+    'g'
+  );
 
   let match;
   let count = 0;
@@ -144,46 +211,47 @@ function extractJijiRecentListingsFromMarkdown(markdown) {
 
     listings.push({
       title: title || titleFromAlt,
-      price: price === 'Contact for price' ? '' : price.replace(/,/g, ''),
+      ...toListingPrice(price === 'Contact for price' ? '' : price, { defaultCurrency: countryInfo.currency }),
       imageCount: 1,
+      imageUrl: /^https?:\/\//.test(match[2]) ? match[2] : null,
       description,
-      hasPrice: price !== 'Contact for price',
       descriptionLength: description.length
     });
 
     count += 1;
   }
 
+  if (listings.length > 0) {
+    provenance.found('recentListings', 'photo_price_block', 'high');
+  } else {
+    provenance.missing('recentListings');
+  }
+
   return listings;
 }
 
-function extractJijiLastSeenFromMarkdown(markdown) {
-  const lastSeenMatch = markdown.match(/Last seen (\d+)\s*(hour|day|minute)s?\s+ago/i);
-
-  if (lastSeenMatch && lastSeenMatch[1] && lastSeenMatch[2]) {
-    const value = parseInt(lastSeenMatch[1], 10);
-    const unit = lastSeenMatch[2].toLowerCase();
+// "Last seen 3 hours ago" -> { text, date, days } with days counted from the scrape
+function extractJijiLastSeenFromMarkdown(markdown, scrapedAt = new Date(), provenance = createProvenance()) {
+  const lastSeenMatch = markdown.match(/Last seen\s+(?:[^\n]*?\bago\b|today|yesterday)/i);
+  const { text, date } = parseDatedText(lastSeenMatch ? lastSeenMatch[0] : '', { now: scrapedAt });
 
-    if (unit === 'minute') {
-      return '0';
-    }
-    if (unit === 'hour') {
-      return value < 24 ? '0' : Math.floor(value / 24).toString();
-    }
-    if (unit === 'day') {
-      return value.toString();
-    }
+  if (date) {
+    provenance.found('marketplaceData.lastSeen', 'last_seen_text', 'high');
+    return { text, date, days: daysSince(date, scrapedAt).toString() };
   }
 
-  return null;
+  provenance.missing('marketplaceData.lastSeen');
+  return { text, date: null, days: null };
 }
 
-function extractJijiFollowersFromMarkdown(markdown) {
-  const followersMatch =
-    markdown.match(/(?:followers|following)[:\s]+(\d+)/i) ||
-    markdown.match(/(\d+)\s*(?:followers?|following)/i);
+function extractJijiFollowersFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'followers_label', pattern: /(?:followers|following)[:\s]+(\d+)/i, confidence: 'medium' },
+    { strategy: 'followers_count', pattern: /(\d+)\s*(?:followers?|following)/i, confidence: 'medium' }
+  ]);
+  provenance.record('marketplaceData.followers', result);
 
-  return parseNumber(followersMatch ? followersMatch[1] : '');
+  return parseNumber(result ? result.match[1] : '');
 }
 
 function extractJijiCategoriesFromMarkdown(markdown) {
@@ -205,17 +273,17 @@ function extractJijiCategoriesFromMarkdown(markdown) {
   return categories.slice(0, 5);
 }
 
-function extractJijiTrustIndicatorsFromMarkdown(markdown) {
+function extractJijiTrustIndicatorsFromMarkdown(markdown, scrapedAt = new Date()) {
   return {
     hasProfilePicture: !!extractJijiProfilePictureFromMarkdown(markdown),
     hasLocation: extractJijiLocationFromMarkdown(markdown) !== 'Not specified',
     hasBio: extractJijiBioFromMarkdown(markdown).length > 0,
-    accountAge: extractJijiAccountAgeFromMarkdown(markdown),
+    accountAge: extractJijiMembershipFromMarkdown(markdown, scrapedAt).accountAge,
     totalReviews: extractJijiReviewsFromMarkdown(markdown),
     avgRating: extractJijiRatingFromMarkdown(markdown),
     verificationStatus: extractJijiVerificationFromMarkdown(markdown),
     followers: extractJijiFollowersFromMarkdown(markdown),
-    lastSeen: extractJijiLastSeenFromMarkdown(markdown)
+    lastSeen: extractJijiLastSeenFromMarkdown(markdown, scrapedAt).days
   };
 }
 
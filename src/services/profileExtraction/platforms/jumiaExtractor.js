@@ -1,19 +1,25 @@
-import { parseNumber, parseRating } from '../utils/parser.js';
+import { findImageUrlNear, parseNumber, parseRating } from '../utils/parser.js';
+import { createProvenance, matchFirst } from '../utils/provenance.js';
+import { getScrapedAt, monthsBefore, parseDate } from '../utils/dates.js';
+import { toListingPrice } from '../utils/money.js';
 
 export async function extractJumiaProfile(scrapedData, url) {
   try {
     const { markdown, metadata } = scrapedData;
-
-    const profilePicture = extractJumiaProfilePictureFromMarkdown(markdown);
-    const location = extractJumiaLocationFromMarkdown(markdown);
-    const bio = extractJumiaBioFromMarkdown(markdown);
-    const accountAge = extractJumiaAccountAgeFromMarkdown(markdown);
-    const totalListings = extractJumiaTotalListingsFromMarkdown(markdown);
-    const avgRating = extractJumiaRatingFromMarkdown(markdown);
-    const totalReviews = extractJumiaReviewsFromMarkdown(markdown);
-    const responseRate = extractJumiaResponseRateFromMarkdown(markdown);
-    const verificationStatus = extractJumiaVerificationFromMarkdown(markdown);
-    const followers = extractJumiaFollowersFromMarkdown(markdown);
+    const provenance = createProvenance();
+    const scrapedAt = getScrapedAt(scrapedData);
+
+    const name = extractJumiaNameFromMarkdown(markdown, metadata, provenance);
+    const profilePicture = extractJumiaProfilePictureFromMarkdown(markdown, provenance);
+    const location = extractJumiaLocationFromMarkdown(markdown, provenance);
+    const bio = extractJumiaBioFromMarkdown(markdown, provenance);
+    const { accountAge, joinedText, joinedAt } = extractJumiaMembershipFromMarkdown(markdown, scrapedAt, provenance);
+    const totalListings = extractJumiaTotalListingsFromMarkdown(markdown, provenance);
+    const avgRating = extractJumiaRatingFromMarkdown(markdown, provenance);
+    const totalReviews = extractJumiaReviewsFromMarkdown(markdown, provenance);
+    const responseRate = extractJumiaResponseRateFromMarkdown(markdown, provenance);
+    const verificationStatus = extractJumiaVerificationFromMarkdown(markdown, provenance);
+    const followers = extractJumiaFollowersFromMarkdown(markdown, provenance);
     const sellerScore = extractJumiaSellerScoreFromMarkdown(markdown);
     const successfulSales = extractJumiaSuccessfulSalesFromMarkdown(markdown);
     const shippingSpeed = extractJumiaShippingSpeedFromMarkdown(markdown);
@@ -21,8 +27,11 @@ export async function extractJumiaProfile(scrapedData, url) {
     const customerRatingLabel = extractJumiaCustomerRatingLabelFromMarkdown(markdown);
     const officialStore = extractJumiaOfficialStoreStatusFromMarkdown(markdown);
     const categories = extractJumiaCategoriesFromMarkdown(markdown);
-    const customerReviews = extractJumiaCustomerReviewsFromMarkdown(markdown);
-    const recentListings = extractJumiaRecentListingsFromMarkdown(markdown);
+    const customerReviews = extractJumiaCustomerReviewsFromMarkdown(markdown, scrapedAt);
+    const recentListings = extractJumiaRecentListingsFromMarkdown(markdown, provenance);
+
+    // Jumia seller pages carry no last-seen indicator
+    provenance.unavailable('marketplaceData.lastSeen');
 
     const dataAvailability = determineJumiaDataAvailability({
       profilePicture,
@@ -59,13 +68,15 @@ export async function extractJumiaProfile(scrapedData, url) {
       platform: 'jumia',
       profileUrl: url,
       profileData: {
-        name: extractJumiaNameFromMarkdown(markdown, metadata),
+        name,
         profilePicture,
         location,
         bio
       },
       marketplaceData: {
         accountAge,
+        joinedText,
+        joinedAt,
         totalListings,
         avgRating,
         totalReviews,
@@ -83,7 +94,8 @@ export async function extractJumiaProfile(scrapedData, url) {
       },
       recentListings,
       trustIndicators,
-      dataAvailability
+      dataAvailability,
+      extractionProvenance: provenance.toJSON()
     };
   } catch (error) {
     console.error('Jumia extraction error:', error);
@@ -91,23 +103,26 @@ export async function extractJumiaProfile(scrapedData, url) {
   }
 }
 
-function extractJumiaNameFromMarkdown(markdown, metadata = {}) {
-  const sellerProfileMatch = markdown.match(/#\s*Seller Profile[\s\S]*?##\s*([^\n#]+)/i);
-  if (sellerProfileMatch && sellerProfileMatch[1]) {
-    return sellerProfileMatch[1].trim();
-  }
-
-  const headingMatch = markdown.match(
-    /^##\s*([^\n#]+)\s*\n(?:\d+\s*%?\s*Seller\s*Score|\d+\s*Followers)/mi
-  );
-  if (headingMatch && headingMatch[1]) {
-    return headingMatch[1].trim();
+function extractJumiaNameFromMarkdown(markdown, metadata = {}, provenance = createProvenance()) {
+  const field = 'profileData.name';
+  const result = matchFirst(markdown, [
+    { strategy: 'seller_profile_heading', pattern: /#\s*Seller Profile[\s\S]*?##\s*([^\n#]+)/i, confidence: 'high' },
+    {
+      strategy: 'heading_above_score',
+      pattern: /^##\s*([^\n#]+)\s*\n(?:\d+\s*%?\s*Seller\s*Score|\d+\s*Followers)/mi,
+      confidence: 'high'
+    }
+  ]);
+  if (result) {
+    provenance.record(field, result);
+    return result.match[1].trim();
   }
 
   const topHeadingMatch = markdown.match(/^#\s*(?!Seller Profile)([^\n#]+)$/mi);
   if (topHeadingMatch && topHeadingMatch[1]) {
     const candidate = topHeadingMatch[1].trim();
     if (candidate && candidate.length <= 100) {
+      provenance.found(field, 'top_heading', 'medium');
       return candidate;
     }
   }
@@ -115,131 +130,155 @@ function extractJumiaNameFromMarkdown(markdown, metadata = {}) {
   if (metadata?.title) {
     const cleanedTitle = metadata.title.split('|')[0].trim();
     if (cleanedTitle) {
+      provenance.found(field, 'metadata_title', 'low');
       return cleanedTitle;
     }
   }
 
+  provenance.missing(field);
   return 'Unknown';
 }
 
-function extractJumiaProfilePictureFromMarkdown(markdown) {
+function extractJumiaProfilePictureFromMarkdown(markdown, provenance = createProvenance()) {
   const sellerSectionIndex = markdown.indexOf('# Seller Profile');
   const searchScope =
     sellerSectionIndex !== -1
       ? markdown.substring(sellerSectionIndex, sellerSectionIndex + 2000)
       : markdown;
 
-  const imageMatch = searchScope.match(/!\[.*?\]\((https?:\/\/[^)]+\.(?:jpg|jpeg|png|gif|webp))\)/i);
-  if (imageMatch && imageMatch[1]) {
-    return imageMatch[1];
-  }
+  const result =
+    matchFirst(searchScope, [
+      { strategy: 'seller_section_image', pattern: /!\[.*?\]\((https?:\/\/[^)]+\.(?:jpg|jpeg|png|gif|webp))\)/i, confidence: 'medium' }
+    ]) ||
+    matchFirst(markdown, [
+      { strategy: 'jumia_image', pattern: /!\[.*?\]\((https?:\/\/[^)]+jumia[^)]+\.(?:jpg|jpeg|png|gif|webp))\)/i, confidence: 'low' }
+    ]);
+  provenance.record('profileData.profilePicture', result);
 
-  const fallbackMatch = markdown.match(
-    /!\[.*?\]\((https?:\/\/[^)]+jumia[^)]+\.(?:jpg|jpeg|png|gif|webp))\)/i
-  );
-  return fallbackMatch ? fallbackMatch[1] : null;
+  return result ? result.match[1] : null;
 }
 
-function extractJumiaLocationFromMarkdown(markdown) {
-  const locationMatch =
-    markdown.match(/Location[:\s]+([^\n#]+)/i) ||
-    markdown.match(/Ships from[:\s]+([^\n#]+)/i) ||
-    markdown.match(/Based in[:\s]+([^\n#]+)/i);
+function extractJumiaLocationFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'location_label', pattern: /Location[:\s]+([^\n#]+)/i, confidence: 'high' },
+    { strategy: 'ships_from_label', pattern: /Ships from[:\s]+([^\n#]+)/i, confidence: 'medium' },
+    { strategy: 'based_in_label', pattern: /Based in[:\s]+([^\n#]+)/i, confidence: 'medium' }
+  ]);
+  provenance.record('profileData.location', result);
 
-  return locationMatch && locationMatch[1] ? locationMatch[1].trim() : 'Not specified';
+  return result ? result.match[1].trim() : 'Not specified';
 }
 
-function extractJumiaBioFromMarkdown(markdown) {
+function extractJumiaBioFromMarkdown(markdown, provenance = createProvenance()) {
   const aboutMatch = markdown.match(/About(?:\s+Seller)?\s*\n([\s\S]*?)(?=\n##|\n#|$)/i);
   if (aboutMatch && aboutMatch[1]) {
     const cleaned = aboutMatch[1].replace(/\n+/g, ' ').replace(/\s{2,}/g, ' ').trim();
     if (cleaned) {
+      provenance.found('profileData.bio', 'about_section', 'high');
       return cleaned.substring(0, 500);
     }
   }
 
+  provenance.missing('profileData.bio');
   return '';
 }
 
-function extractJumiaAccountAgeFromMarkdown(markdown) {
-  const yearsMatch = markdown.match(/Selling on Jumia:\s*(\d+)\+?\s*years?/i);
-  if (yearsMatch && yearsMatch[1]) {
-    return parseInt(yearsMatch[1], 10) * 12;
+// Account age in months plus the join date, from English or French (jumia.ci, jumia.sn, jumia.ma) seller pages
+function extractJumiaMembershipFromMarkdown(markdown, scrapedAt = new Date(), provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'selling_on_jumia_years', pattern: /Selling on Jumia:\s*(\d+)\+?\s*years?/i, confidence: 'high' },
+    { strategy: 'selling_on_jumia_months', pattern: /Selling on Jumia:\s*(\d+)\s*months?/i, confidence: 'high' },
+    { strategy: 'selling_on_jumia_years', pattern: /Vend(?:eur)? sur Jumia\s*:?\s*(\d+)\+?\s*ans?\b/i, confidence: 'high' },
+    { strategy: 'selling_on_jumia_months', pattern: /Vend(?:eur)? sur Jumia\s*:?\s*(\d+)\s*mois/i, confidence: 'high' },
+    { strategy: 'seller_since_year', pattern: /(?:Seller since|Vendeur depuis)\s*(\d{4})/i, confidence: 'medium' }
+  ]);
+  provenance.record('marketplaceData.accountAge', result);
+
+  if (!result) {
+    return { accountAge: 0, joinedText: null, joinedAt: null };
   }
 
-  const monthsMatch = markdown.match(/Selling on Jumia:\s*(\d+)\s*months?/i);
-  if (monthsMatch && monthsMatch[1]) {
-    return parseInt(monthsMatch[1], 10);
-  }
+  const joinedText = result.match[0].trim();
+  const value = parseInt(result.match[1], 10);
 
-  const sinceYearMatch = markdown.match(/Seller since\s*(\d{4})/i);
-  if (sinceYearMatch && sinceYearMatch[1]) {
-    const years = new Date().getFullYear() - parseInt(sinceYearMatch[1], 10);
-    return years > 0 ? years * 12 : 0;
+  if (result.strategy === 'seller_since_year') {
+    const joinedAt = parseDate(joinedText, { now: scrapedAt });
+    const years = scrapedAt.getUTCFullYear() - value;
+    return { accountAge: years > 0 ? years * 12 : 0, joinedText, joinedAt };
   }
 
-  return 0;
+  const accountAge = result.strategy === 'selling_on_jumia_years' ? value * 12 : value;
+  return { accountAge, joinedText, joinedAt: monthsBefore(scrapedAt, accountAge) };
 }
 
-function extractJumiaTotalListingsFromMarkdown(markdown) {
-  const listingMatch = markdown.match(/(\d[\d,]*)\s*(?:products?|items?|results?|listings?)/i);
-  if (listingMatch && listingMatch[1]) {
-    return parseInt(listingMatch[1].replace(/,/g, ''), 10);
-  }
+function extractJumiaTotalListingsFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'listings_count', pattern: /(\d[\d,]*)\s*(?:products?|items?|results?|listings?)/i, confidence: 'medium' },
+    { strategy: 'inventory_text', pattern: /has\s+(\d[\d,]*)\s+(?:products?|items?)/i, confidence: 'medium' }
+  ]);
+  provenance.record('marketplaceData.totalListings', result);
 
-  const inventoryMatch = markdown.match(/has\s+(\d[\d,]*)\s+(?:products?|items?)/i);
-  if (inventoryMatch && inventoryMatch[1]) {
-    return parseInt(inventoryMatch[1].replace(/,/g, ''), 10);
-  }
-
-  return 0;
+  return result ? parseInt(result.match[1].replace(/,/g, ''), 10) : 0;
 }
 
-function extractJumiaRatingFromMarkdown(markdown) {
+function extractJumiaRatingFromMarkdown(markdown, provenance = createProvenance()) {
+  const field = 'marketplaceData.avgRating';
   const ratingMatch = markdown.match(/(\d+\.?\d*)\s*(?:out of|\/)\s*5/i);
   if (ratingMatch && ratingMatch[1]) {
+    provenance.found(field, 'out_of_five', 'high');
     return parseRating(ratingMatch[1]);
   }
 
   const sellerScore = extractJumiaSellerScoreFromMarkdown(markdown);
   if (sellerScore) {
+    provenance.found(field, 'seller_score', 'low');
     return Math.round((sellerScore / 20) * 10) / 10;
   }
 
+  provenance.missing(field);
   return 0;
 }
 
-function extractJumiaReviewsFromMarkdown(markdown) {
-  const reviewsMatch =
-    markdown.match(/Customer Reviews\s*\((\d+)\)/i) ||
-    markdown.match(/(\d+)\s*customer reviews/i) ||
-    markdown.match(/(\d+)\s*reviews/i);
+function extractJumiaReviewsFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'customer_reviews_heading', pattern: /Customer Reviews\s*\((\d+)\)/i, confidence: 'high' },
+    { strategy: 'customer_reviews_count', pattern: /(\d+)\s*customer reviews/i, confidence: 'high' },
+    { strategy: 'reviews_count', pattern: /(\d+)\s*reviews/i, confidence: 'medium' }
+  ]);
+  provenance.record('marketplaceData.totalReviews', result);
 
-  return reviewsMatch && reviewsMatch[1] ? parseNumber(reviewsMatch[1]) : 0;
+  return result ? parseNumber(result.match[1]) : 0;
 }
 
-function extractJumiaResponseRateFromMarkdown(markdown) {
+// Jumia has no response rate; seller score and shipping/quality descriptors stand in for it
+function extractJumiaResponseRateFromMarkdown(markdown, provenance = createProvenance()) {
+  const field = 'marketplaceData.responseRate';
   const sellerScore = extractJumiaSellerScoreFromMarkdown(markdown);
   if (sellerScore) {
+    provenance.found(field, 'seller_score', 'low');
     return sellerScore;
   }
 
   const shippingSpeed = extractJumiaShippingSpeedFromMarkdown(markdown);
   const mappedShipping = mapDescriptorToScore(shippingSpeed);
   if (mappedShipping !== null) {
+    provenance.found(field, 'shipping_speed', 'low');
     return mappedShipping;
   }
 
   const qualityScore = extractJumiaQualityScoreFromMarkdown(markdown);
   const mappedQuality = mapDescriptorToScore(qualityScore);
   if (mappedQuality !== null) {
+    provenance.found(field, 'quality_score', 'low');
     return mappedQuality;
   }
 
+  provenance.missing(field);
   return 0;
 }
 
-function extractJumiaVerificationFromMarkdown(markdown) {
+function extractJumiaVerificationFromMarkdown(markdown, provenance = createProvenance()) {
+  const field = 'marketplaceData.verificationStatus';
   const lowerMarkdown = markdown.toLowerCase();
 
   if (
@@ -247,19 +286,26 @@ function extractJumiaVerificationFromMarkdown(markdown) {
     lowerMarkdown.includes('jumia mall') ||
     lowerMarkdown.includes('official shop')
   ) {
+    provenance.found(field, 'official_store', 'high');
     return 'verified';
   }
 
   if (lowerMarkdown.includes('verified seller') || lowerMarkdown.includes('seller verified')) {
+    provenance.found(field, 'verified_seller_text', 'medium');
     return 'verified';
   }
 
+  provenance.found(field, 'default_unverified', 'low');
   return 'unverified';
 }
 
-function extractJumiaFollowersFromMarkdown(markdown) {
-  const followersMatch = markdown.match(/(\d[\d,]*)\s*followers/i);
-  return followersMatch && followersMatch[1] ? parseNumber(followersMatch[1]) : 0;
+function extractJumiaFollowersFromMarkdown(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'followers_count', pattern: /(\d[\d,]*)\s*followers/i, confidence: 'high' }
+  ]);
+  provenance.record('marketplaceData.followers', result);
+
+  return result ? parseNumber(result.match[1]) : 0;
 }
 
 function extractJumiaSellerScoreFromMarkdown(markdown) {
@@ -324,7 +370,7 @@ function extractJumiaCategoriesFromMarkdown(markdown) {
   return categories.slice(0, 5);
 }
 
-function extractJumiaRecentListingsFromMarkdown(markdown) {
+function extractJumiaRecentListingsFromMarkdown(markdown, provenance = createProvenance()) {
   const listings = [];
   const lines = markdown.split('\n');
   const seenTitles = new Set();
@@ -335,13 +381,14 @@ function extractJumiaRecentListingsFromMarkdown(markdown) {
       continue;
     }
 
-    const priceMatch = line.match(/₦\s*([\d,]+)/);
-    if (!priceMatch || !priceMatch[1]) {
+    const priceMatch = line.match(/₦\s*[\d,]+(?:\s*-\s*₦\s*[\d,]+)?/);
+    if (!priceMatch) {
       continue;
     }
 
     let title = null;
     let url = null;
+    let imageUrl = null;
     for (let j = i - 1; j >= 0 && i - j <= 6; j -= 1) {
       const prevLine = lines[j] ? lines[j].trim() : '';
       if (prevLine.startsWith('[**')) {
@@ -349,6 +396,7 @@ function extractJumiaRecentListingsFromMarkdown(markdown) {
         if (titleMatch && titleMatch[1]) {
           title = titleMatch[1].trim();
           url = titleMatch[2] ? titleMatch[2].trim() : null;
+          imageUrl = findImageUrlNear(lines, j);
           break;
         }
       }
@@ -396,27 +444,60 @@ function extractJumiaRecentListingsFromMarkdown(markdown) {
 
     listings.push({
       title,
-      price: priceMatch[1].replace(/,/g, ''),
+      ...toListingPrice(priceMatch[0], { defaultCurrency: 'NGN' }),
       imageCount: 1,
       description,
-      hasPrice: true,
       descriptionLength: description.length,
       rating,
-      url
+      url,
+      imageUrl
     });
 
     seenTitles.add(title);
   }
 
+  if (listings.length > 0) {
+    provenance.found('recentListings', 'product_price_lines', 'high');
+  } else {
+    provenance.missing('recentListings');
+  }
+
   return listings;
 }
 
-function extractJumiaCustomerReviewsFromMarkdown(markdown) {
+/**
+ * Review pages for sellers with more reviews than the profile shows.
+ * The profile links to the seller's full review list ("See All"); pages after the
+ * first are requested with ?page=N, on that list when linked, else on the profile.
+ */
+export const jumiaReviewPagination = {
+  parseReviews: extractJumiaCustomerReviewsFromMarkdown,
+  getPageUrl(profileUrl, page, markdown = '') {
+    // Only the link next to the reviews heading; "See All" also appears beside product carousels
+    const reviewsStart = markdown.search(/customer reviews|avis clients/i);
+    const reviewsLink = reviewsStart === -1 ? null : markdown.slice(reviewsStart).match(/\[(?:see all|view all|voir tout)[^\]]*\]\((https?:\/\/[^)\s]+)\)/i);
+    const baseUrl = reviewsLink ? reviewsLink[1] : profileUrl;
+    // The full review list starts over at its own page 1
+    const pageNumber = reviewsLink ? page - 1 : page;
+
+    try {
+      const pageUrl = new URL(baseUrl);
+      if (pageNumber > 1) {
+        pageUrl.searchParams.set('page', String(pageNumber));
+      }
+      return pageUrl.toString();
+    } catch (error) {
+      return null;
+    }
+  }
+};
+
+function extractJumiaCustomerReviewsFromMarkdown(markdown, scrapedAt = new Date()) {
   const reviews = [];
   const lines = markdown.split('\n');
   let inReviewsSection = false;
 
-  for (let i = 0; i < lines.length && reviews.length < 5; i += 1) {
+  for (let i = 0; i < lines.length; i += 1) {
     const line = lines[i] ? lines[i].trim() : '';
     if (!line) {
       continue;
@@ -447,6 +528,7 @@ function extractJumiaCustomerReviewsFromMarkdown(markdown) {
         review: '',
         reviewer: '',
         date: '',
+        reviewedAt: null,
         verifiedPurchase: false
       };
 
@@ -472,9 +554,11 @@ function extractJumiaCustomerReviewsFromMarkdown(markdown) {
       }
 
       const metaLine = lines[cursor + 1] ? lines[cursor + 1].trim() : '';
-      const metaMatch = metaLine.match(/(\d{1,2}-\d{1,2}-\d{4})\s*by\s*(.+)/i);
+      const metaMatch = metaLine.match(/(\d{1,2}-\d{1,2}-\d{4})\s*(?:by|par)\s*(.+)/i);
       if (metaMatch) {
         review.date = metaMatch[1];
+        // Jumia writes review dates day first (31-01-2024)
+        review.reviewedAt = parseDate(metaMatch[1], { now: scrapedAt, dayFirst: true });
         review.reviewer = metaMatch[2] ? metaMatch[2].trim() : '';
         cursor += 1;
       }
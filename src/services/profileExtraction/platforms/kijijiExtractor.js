@@ -1,19 +1,29 @@
-import { parseNumber } from '../utils/parser.js';
+import { findImageUrlNear, parseNumber } from '../utils/parser.js';
+import { createProvenance, matchFirst } from '../utils/provenance.js';
+import { getScrapedAt, monthsBefore, parseDate } from '../utils/dates.js';
+import { toListingPrice } from '../utils/money.js';
 
 export function extractKijijiProfile(scrapedData, url) {
   const { markdown = '' } = scrapedData;
   const normalizedMarkdown = normalizeMarkdown(markdown);
-
-  const name = extractKijijiName(normalizedMarkdown);
-  const profilePicture = extractKijijiProfilePicture(normalizedMarkdown);
-  const location = extractKijijiLocation(normalizedMarkdown);
-  const bio = extractKijijiBio(normalizedMarkdown);
-  const accountAge = extractKijijiAccountAge(normalizedMarkdown);
-  const overallRating = extractKijijiRating(normalizedMarkdown);
-  const totalReviews = extractKijijiReviewCount(normalizedMarkdown);
-  const replyMetrics = extractKijijiReplyMetrics(normalizedMarkdown);
-  const listingCount = extractKijijiListingCount(normalizedMarkdown);
-  const recentListings = extractKijijiRecentListings(normalizedMarkdown);
+  const provenance = createProvenance();
+  const scrapedAt = getScrapedAt(scrapedData);
+
+  const name = extractKijijiName(normalizedMarkdown, provenance);
+  const profilePicture = extractKijijiProfilePicture(normalizedMarkdown, provenance);
+  const location = extractKijijiLocation(normalizedMarkdown, provenance);
+  const bio = extractKijijiBio(provenance);
+  const { accountAge, joinedText, joinedAt } = extractKijijiMembership(normalizedMarkdown, scrapedAt, provenance);
+  const overallRating = extractKijijiRating(normalizedMarkdown, provenance);
+  const totalReviews = extractKijijiReviewCount(normalizedMarkdown, provenance);
+  const replyMetrics = extractKijijiReplyMetrics(normalizedMarkdown, provenance);
+  const listingCount = extractKijijiListingCount(normalizedMarkdown, provenance);
+  const recentListings = extractKijijiRecentListings(normalizedMarkdown, scrapedAt, provenance);
+
+  // Verification is inferred from ratings; Kijiji shows no followers or last-seen
+  provenance.found('marketplaceData.verificationStatus', 'rating_inference', 'low');
+  provenance.unavailable('marketplaceData.followers');
+  provenance.unavailable('marketplaceData.lastSeen');
   const customerReviews = extractKijijiCustomerReviews(normalizedMarkdown);
 
   const dataAvailability = determineKijijiDataAvailability({
@@ -61,6 +71,8 @@ export function extractKijijiProfile(scrapedData, url) {
     },
     marketplaceData: {
       accountAge,
+      joinedText,
+      joinedAt,
       totalListings: listingCount,
       avgRating: overallRating,
       totalReviews,
@@ -76,7 +88,8 @@ export function extractKijijiProfile(scrapedData, url) {
     },
     recentListings,
     trustIndicators,
-    dataAvailability
+    dataAvailability,
+    extractionProvenance: provenance.toJSON()
   };
 }
 
@@ -84,69 +97,79 @@ function normalizeMarkdown(markdown) {
   return markdown.replace(/\r/g, '').replace(/\\\s*/g, '\n');
 }
 
-function extractKijijiName(markdown) {
-  const match = markdown.match(/^#\s*([^\n#]+)/m);
-  return match && match[1] ? match[1].trim() : 'Unknown';
-}
+function extractKijijiName(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [{ strategy: 'heading', pattern: /^#\s*([^\n#]+)/m, confidence: 'high' }]);
+  provenance.record('profileData.name', result);
 
-function extractKijijiProfilePicture(markdown) {
-  const match = markdown.match(/!\[[^\]]*\]\((https?:\/\/media\.kijiji\.ca\/[^\)]+)\)/i);
-  return match ? match[1] : null;
+  return result ? result.match[1].trim() : 'Unknown';
 }
 
-function extractKijijiLocation(markdown) {
-  const match = markdown.match(/([A-Za-z\s]+,\s*[A-Za-z\s]+)\nLatest activity/i);
-  if (match && match[1]) {
-    return match[1].trim();
-  }
+function extractKijijiProfilePicture(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'kijiji_media_image', pattern: /!\[[^\]]*\]\((https?:\/\/media\.kijiji\.ca\/[^\)]+)\)/i, confidence: 'medium' }
+  ]);
+  provenance.record('profileData.profilePicture', result);
 
-  const headerMatch = markdown.match(/([A-Za-z\s]+,\s*[A-Za-z\s]+)Search/i);
-  if (headerMatch && headerMatch[1]) {
-    return headerMatch[1].trim();
-  }
+  return result ? result.match[1] : null;
+}
+
+function extractKijijiLocation(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'above_latest_activity', pattern: /([A-Za-z\s]+,\s*[A-Za-z\s]+)\nLatest activity/i, confidence: 'high' },
+    { strategy: 'header_search_bar', pattern: /([A-Za-z\s]+,\s*[A-Za-z\s]+)Search/i, confidence: 'low' }
+  ]);
+  provenance.record('profileData.location', result);
 
-  return 'Not specified';
+  return result ? result.match[1].trim() : 'Not specified';
 }
 
-function extractKijijiBio() {
+// Kijiji profiles have no bio section
+function extractKijijiBio(provenance = createProvenance()) {
+  provenance.unavailable('profileData.bio');
   return '';
 }
 
-function extractKijijiAccountAge(markdown) {
-  const match = markdown.match(/(\d+)\s*yrs\s*\n\s*on\s+Kijiji/i);
+// "3 yrs on Kijiji" / "3 ans sur Kijiji" (Quebec)
+function extractKijijiMembership(markdown, scrapedAt = new Date(), provenance = createProvenance()) {
+  const match = markdown.match(/(\d+)\s*(?:yrs|ans)\s*\n\s*(?:on|sur)\s+Kijiji/i);
   if (match && match[1]) {
     const years = parseInt(match[1], 10);
     if (!Number.isNaN(years) && years > 0) {
-      return years * 12;
+      provenance.found('marketplaceData.accountAge', 'years_on_kijiji', 'high');
+      return {
+        accountAge: years * 12,
+        joinedText: match[0].replace(/\s+/g, ' ').trim(),
+        joinedAt: monthsBefore(scrapedAt, years * 12)
+      };
     }
   }
-  return 0;
+  provenance.missing('marketplaceData.accountAge');
+  return { accountAge: 0, joinedText: null, joinedAt: null };
 }
 
-function extractKijijiRating(markdown) {
+function extractKijijiRating(markdown, provenance = createProvenance()) {
   const match = markdown.match(/#\s*[^\n]+\n\s*([\d.]+)\s*\n\s*\[/i);
   if (match && match[1]) {
     const rating = parseFloat(match[1]);
-    return Number.isNaN(rating) ? 0 : rating;
+    if (!Number.isNaN(rating)) {
+      provenance.found('marketplaceData.avgRating', 'rating_under_heading', 'high');
+      return rating;
+    }
   }
+  provenance.missing('marketplaceData.avgRating');
   return 0;
 }
 
-function extractKijijiReviewCount(markdown) {
-  const match = markdown.match(/\(([\d,]+)\s+reviews?\)/i);
-  if (match && match[1]) {
-    return parseNumber(match[1]);
-  }
+function extractKijijiReviewCount(markdown, provenance = createProvenance()) {
+  const result = matchFirst(markdown, [
+    { strategy: 'reviews_count', pattern: /\(([\d,]+)\s+reviews?\)/i, confidence: 'high' }
+  ]);
+  provenance.record('marketplaceData.totalReviews', result);
 
-  const singleReviewMatch = markdown.match(/\((1 review)\)/i);
-  if (singleReviewMatch) {
-    return 1;
-  }
-
-  return 0;
+  return result ? parseNumber(result.match[1]) : 0;
 }
 
-function extractKijijiReplyMetrics(markdown) {
+function extractKijijiReplyMetrics(markdown, provenance = createProvenance()) {
   const replyTimeMatch = markdown.match(/avg reply\s*\n\s*([^\n]+)/i);
   const replyRateMatch = markdown.match(/reply rate\s*\n\s*([^\n]+)/i);
 
@@ -159,6 +182,12 @@ function extractKijijiReplyMetrics(markdown) {
       ? 100
       : 0;
 
+  if (replyRateRaw && replyRateRaw !== '--') {
+    provenance.found('marketplaceData.responseRate', 'reply_rate', replyRateRaw.includes('%') ? 'high' : 'low');
+  } else {
+    provenance.missing('marketplaceData.responseRate');
+  }
+
   return {
     replyTime: replyTimeRaw && replyTimeRaw !== '--' ? replyTimeRaw : null,
     replyRate: replyRateRaw && replyRateRaw !== '--' ? replyRateRaw : null,
@@ -166,15 +195,17 @@ function extractKijijiReplyMetrics(markdown) {
   };
 }
 
-function extractKijijiListingCount(markdown) {
+function extractKijijiListingCount(markdown, provenance = createProvenance()) {
   const match = markdown.match(/##\s*([\d,]+)\s+listings/i);
   if (match && match[1]) {
+    provenance.found('marketplaceData.totalListings', 'listings_heading', 'high');
     return parseNumber(match[1]);
   }
+  provenance.missing('marketplaceData.totalListings');
   return 0;
 }
 
-function extractKijijiRecentListings(markdown) {
+function extractKijijiRecentListings(markdown, scrapedAt = new Date(), provenance = createProvenance()) {
   const lines = markdown.split('\n');
   const listings = [];
   const seenTitles = new Set();
@@ -197,8 +228,7 @@ function extractKijijiRecentListings(markdown) {
 
     const url = titleMatch[2] ? titleMatch[2].trim() : null;
 
-    let price = '';
-    let hasPrice = false;
+    let priceText = '';
     let postedAgo = '';
     let location = '';
     let description = '';
@@ -209,11 +239,10 @@ function extractKijijiRecentListings(markdown) {
         continue;
       }
 
-      if (!hasPrice) {
-        const priceMatch = lookaheadLine.match(/^\$([\d,]+(?:\.\d{2})?)/);
-        if (priceMatch && priceMatch[1]) {
-          price = priceMatch[1].replace(/,/g, '');
-          hasPrice = true;
+      if (!priceText) {
+        const priceMatch = lookaheadLine.match(/^\$[\d,]+(?:\.\d{2})?/);
+        if (priceMatch) {
+          priceText = priceMatch[0];
         }
       }
 
@@ -222,7 +251,7 @@ function extractKijijiRecentListings(markdown) {
       }
 
       if (!postedAgo) {
-        const timeMatch = lookaheadLine.match(/(\d+\s*[dwmy]|\d+\s*(?:hours?|minutes?)|Today)/i);
+        const timeMatch = lookaheadLine.match(/(il y a\s+\d+\s*\w+|\d+\s*[dwmy]|\d+\s*(?:hours?|minutes?)|Today|Yesterday|Aujourd'hui|Hier)/i);
         if (timeMatch && timeMatch[1]) {
           postedAgo = timeMatch[1];
         }
@@ -238,20 +267,27 @@ function extractKijijiRecentListings(markdown) {
 
     listings.push({
       title,
-      price,
+      ...toListingPrice(priceText, { defaultCurrency: 'CAD' }),
       imageCount: 1,
       description,
-      hasPrice,
       descriptionLength: description.length,
       rating: null,
       url,
+      imageUrl: findImageUrlNear(lines, i),
       postedAgo,
+      postedAt: parseDate(postedAgo, { now: scrapedAt }),
       location
     });
 
     seenTitles.add(title);
   }
 
+  if (listings.length > 0) {
+    provenance.found('recentListings', 'bold_listing_links', 'high');
+  } else {
+    provenance.missing('recentListings');
+  }
+
   return listings;
 }
 
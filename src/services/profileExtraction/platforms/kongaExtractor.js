@@ -1,15 +1,21 @@
-import { parseNumber, parsePercentage, parseRating } from '../utils/parser.js';
+import { findImageUrlNear, parseNumber, parsePercentage, parseRating } from '../utils/parser.js';
+import { createProvenance } from '../utils/provenance.js';
+import { getScrapedAt, monthsBefore } from '../utils/dates.js';
+import { toListingPrice } from '../utils/money.js';
 
 export function extractKongaProfile(scrapedData, url) {
   const { markdown = '', metadata = {} } = scrapedData;
   const normalizedMarkdown = normalizeMarkdown(markdown);
-
-  const profilePicture = extractKongaProfilePicture(normalizedMarkdown);
-  const location = extractKongaLocation();
-  const bio = extractKongaBio(normalizedMarkdown);
-  const accountAge = extractKongaAccountAge(normalizedMarkdown);
-  const totalListings = extractKongaTotalListings(normalizedMarkdown);
-  const { avgRating, totalReviews } = extractKongaRatingAndReviews(normalizedMarkdown);
+  const provenance = createProvenance();
+  const scrapedAt = getScrapedAt(scrapedData);
+
+  const name = extractKongaName(normalizedMarkdown, metadata, provenance);
+  const profilePicture = extractKongaProfilePicture(normalizedMarkdown, provenance);
+  const location = extractKongaLocation(provenance);
+  const bio = extractKongaBio(normalizedMarkdown, provenance);
+  const { accountAge, joinedText, joinedAt } = extractKongaMembership(normalizedMarkdown, scrapedAt, provenance);
+  const totalListings = extractKongaTotalListings(normalizedMarkdown, provenance);
+  const { avgRating, totalReviews } = extractKongaRatingAndReviews(normalizedMarkdown, provenance);
   const productQuality = extractKongaProductQuality(normalizedMarkdown);
   const deliveryRate = extractKongaDeliveryRate(normalizedMarkdown);
   const successfulSales = extractKongaSuccessfulSales(normalizedMarkdown);
@@ -19,7 +25,7 @@ export function extractKongaProfile(scrapedData, url) {
   const itemAvailability = extractKongaItemAvailability(normalizedMarkdown);
   const shippingOptions = extractKongaShippingOptions(normalizedMarkdown);
   const supportContacts = extractKongaSupportContacts(normalizedMarkdown);
-  const recentListings = extractKongaRecentListings(normalizedMarkdown);
+  const recentListings = extractKongaRecentListings(normalizedMarkdown, provenance);
 
   const dataAvailability = determineKongaDataAvailability({
     profilePicture,
@@ -28,7 +34,16 @@ export function extractKongaProfile(scrapedData, url) {
     recentListings
   });
 
-  const verificationStatus = inferKongaVerificationStatus(normalizedMarkdown);
+  const verificationStatus = inferKongaVerificationStatus(normalizedMarkdown, provenance);
+
+  // Delivery rate is reported as the response rate; Konga shows no followers or last-seen
+  if (deliveryRate) {
+    provenance.found('marketplaceData.responseRate', 'delivery_rate', 'low');
+  } else {
+    provenance.missing('marketplaceData.responseRate');
+  }
+  provenance.unavailable('marketplaceData.followers');
+  provenance.unavailable('marketplaceData.lastSeen');
 
   const trustIndicators = {
     hasProfilePicture: profilePicture
@@ -58,13 +73,15 @@ export function extractKongaProfile(scrapedData, url) {
     platform: 'konga',
     profileUrl: url,
     profileData: {
-      name: extractKongaName(normalizedMarkdown, metadata),
+      name,
       profilePicture,
       location,
       bio
     },
     marketplaceData: {
       accountAge,
+      joinedText,
+      joinedAt,
       totalListings,
       avgRating,
       totalReviews,
@@ -84,7 +101,8 @@ export function extractKongaProfile(scrapedData, url) {
     },
     recentListings,
     trustIndicators,
-    dataAvailability
+    dataAvailability,
+    extractionProvenance: provenance.toJSON()
   };
 }
 
@@ -92,7 +110,7 @@ function normalizeMarkdown(markdown) {
   return markdown.replace(/\r/g, '').replace(/\\\s*/g, '\n');
 }
 
-function extractKongaName(markdown, metadata = {}) {
+function extractKongaName(markdown, metadata = {}, provenance = createProvenance()) {
   const lines = markdown.split('\n');
   for (const rawLine of lines) {
     const line = rawLine.trim();
@@ -106,6 +124,7 @@ function extractKongaName(markdown, metadata = {}) {
     }
 
     if (!/^Skip to main content/i.test(candidate)) {
+      provenance.found('profileData.name', 'first_heading', 'high');
       return candidate;
     }
   }
@@ -113,49 +132,71 @@ function extractKongaName(markdown, metadata = {}) {
   if (metadata.title) {
     const cleaned = metadata.title.split('|')[0].split('-')[0].trim();
     if (cleaned) {
+      provenance.found('profileData.name', 'metadata_title', 'medium');
       return cleaned;
     }
   }
 
+  provenance.missing('profileData.name');
   return 'Unknown';
 }
 
-function extractKongaProfilePicture(markdown) {
+function extractKongaProfilePicture(markdown, provenance = createProvenance()) {
+  const field = 'profileData.profilePicture';
   const storeImageMatch = markdown.match(
     /!\[[^\]]*(?:store|merchant|seller)[^\]]*\]\((https?:\/\/[^\)]+\.(?:jpg|jpeg|png|gif|webp))\)/i
   );
   if (storeImageMatch && storeImageMatch[1]) {
+    provenance.found(field, 'store_image', 'high');
     return storeImageMatch[1];
   }
 
   const genericImageMatch = markdown.match(
     /!\[[^\]]*\]\((https?:\/\/[^\)]+\.(?:jpg|jpeg|png|gif|webp))\)/i
   );
-  return genericImageMatch ? genericImageMatch[1] : null;
+  if (genericImageMatch) {
+    provenance.found(field, 'first_image', 'low');
+    return genericImageMatch[1];
+  }
+
+  provenance.missing(field);
+  return null;
 }
 
-function extractKongaLocation() {
+function extractKongaLocation(provenance = createProvenance()) {
   // Konga merchant pages do not currently expose a seller-specific location.
+  provenance.unavailable('profileData.location');
   return 'Not specified';
 }
 
-function extractKongaBio(markdown) {
+function extractKongaBio(markdown, provenance = createProvenance()) {
   const aboutSectionMatch = markdown.match(/###\s*About\s+Konga([\s\S]*?)(?=\n###|\n#|$)/i);
   if (aboutSectionMatch && aboutSectionMatch[1]) {
     const cleaned = aboutSectionMatch[1].replace(/\n+/g, ' ').trim();
     if (cleaned) {
+      // The "About Konga" block is marketplace boilerplate rather than a seller bio
+      provenance.found('profileData.bio', 'about_konga_section', 'low');
       return cleaned.substring(0, 400);
     }
   }
+  provenance.missing('profileData.bio');
   return '';
 }
 
-function extractKongaAccountAge(markdown) {
+function extractKongaMembership(markdown, scrapedAt = new Date(), provenance = createProvenance()) {
+  const field = 'marketplaceData.accountAge';
+  const membership = (match, accountAge) => ({
+    accountAge,
+    joinedText: match[0].replace(/^###\s*/, '').replace(/\s+/g, ' ').trim(),
+    joinedAt: monthsBefore(scrapedAt, accountAge)
+  });
+
   const yearsMatch = markdown.match(/###\s*([\d,]+)\s*Years?\s*\n\s*Selling on Konga/i);
   if (yearsMatch && yearsMatch[1]) {
     const years = parseInt(yearsMatch[1].replace(/,/g, ''), 10);
     if (!Number.isNaN(years) && years > 0) {
-      return years * 12;
+      provenance.found(field, 'selling_on_konga_years', 'high');
+      return membership(yearsMatch, years * 12);
     }
   }
 
@@ -163,28 +204,36 @@ function extractKongaAccountAge(markdown) {
   if (monthsMatch && monthsMatch[1]) {
     const months = parseInt(monthsMatch[1].replace(/,/g, ''), 10);
     if (!Number.isNaN(months)) {
-      return months;
+      provenance.found(field, 'selling_on_konga_months', 'high');
+      return membership(monthsMatch, months);
     }
   }
 
-  return 0;
+  provenance.missing(field);
+  return { accountAge: 0, joinedText: null, joinedAt: null };
 }
 
-function extractKongaTotalListings(markdown) {
+function extractKongaTotalListings(markdown, provenance = createProvenance()) {
   const listingsMatch = markdown.match(/of\s+([\d,]+)\s+results/i);
   if (listingsMatch && listingsMatch[1]) {
+    provenance.found('marketplaceData.totalListings', 'results_count', 'high');
     return parseNumber(listingsMatch[1]);
   }
+  provenance.missing('marketplaceData.totalListings');
   return 0;
 }
 
-function extractKongaRatingAndReviews(markdown) {
+function extractKongaRatingAndReviews(markdown, provenance = createProvenance()) {
   const ratingMatch = markdown.match(/###\s*(\d+(?:\.\d+)?)\s*from\s*([\d,]+)\s*reviews/i);
   if (ratingMatch) {
+    provenance.found('marketplaceData.avgRating', 'rating_from_reviews', 'high');
+    provenance.found('marketplaceData.totalReviews', 'rating_from_reviews', 'high');
     const avgRating = parseRating(ratingMatch[1]);
     const totalReviews = parseNumber(ratingMatch[2]);
     return { avgRating, totalReviews };
   }
+  provenance.missing('marketplaceData.avgRating');
+  provenance.missing('marketplaceData.totalReviews');
   return { avgRating: 0, totalReviews: 0 };
 }
 
@@ -297,7 +346,7 @@ function extractKongaSupportContacts(markdown) {
   };
 }
 
-function extractKongaRecentListings(markdown) {
+function extractKongaRecentListings(markdown, provenance = createProvenance()) {
   const lines = markdown.split('\n');
   const listings = [];
   const seenTitles = new Set();
@@ -320,8 +369,7 @@ function extractKongaRecentListings(markdown) {
 
     const url = listingMatch[2] ? listingMatch[2].trim() : null;
 
-    let price = '';
-    let hasPrice = false;
+    let priceText = '';
     let reviewsCount = null;
 
     for (let j = i; j <= i + 6 && j < lines.length; j += 1) {
@@ -330,11 +378,10 @@ function extractKongaRecentListings(markdown) {
         continue;
       }
 
-      if (!hasPrice) {
-        const priceMatch = lookaheadLine.match(/\u20a6\s*([\d,]+)/i);
-        if (priceMatch && priceMatch[1]) {
-          price = priceMatch[1].replace(/,/g, '');
-          hasPrice = true;
+      if (!priceText) {
+        const priceMatch = lookaheadLine.match(/\u20a6\s*[\d,]+(?:\s*-\s*\u20a6\s*[\d,]+)?/i);
+        if (priceMatch) {
+          priceText = priceMatch[0];
         }
       }
 
@@ -347,26 +394,32 @@ function extractKongaRecentListings(markdown) {
         }
       }
 
-      if (hasPrice && reviewsCount !== null) {
+      if (priceText && reviewsCount !== null) {
         break;
       }
     }
 
     listings.push({
       title,
-      price,
+      ...toListingPrice(priceText, { defaultCurrency: 'NGN' }),
       imageCount: 1,
       description: '',
-      hasPrice,
       descriptionLength: 0,
       rating: null,
       reviewsCount,
-      url
+      url,
+      imageUrl: findImageUrlNear(lines, i)
     });
 
     seenTitles.add(title);
   }
 
+  if (listings.length > 0) {
+    provenance.found('recentListings', 'bold_product_links', 'high');
+  } else {
+    provenance.missing('recentListings');
+  }
+
   return listings;
 }
 
@@ -381,11 +434,13 @@ function determineKongaDataAvailability({ profilePicture, location, bio, recentL
   };
 }
 
-function inferKongaVerificationStatus(markdown) {
+function inferKongaVerificationStatus(markdown, provenance = createProvenance()) {
   const lower = markdown.toLowerCase();
   if (lower.includes('verified seller') || lower.includes('official store')) {
+    provenance.found('marketplaceData.verificationStatus', 'verified_seller_text', 'medium');
     return 'verified';
   }
+  provenance.found('marketplaceData.verificationStatus', 'default_unverified', 'low');
   return 'unverified';
 }
 
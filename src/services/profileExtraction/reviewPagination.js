@@ -0,0 +1,162 @@
+import { jumiaReviewPagination } from './platforms/jumiaExtractor.js';
+import { etsyReviewPagination } from './platforms/etsyExtractor.js';
+import { getScrapedAt } from './utils/dates.js';
+
+/**
+ * Review harvesting for sellers with more reviews than their profile page shows.
+ * Platforms listed here expose { parseReviews(markdown, scrapedAt), getPageUrl(profileUrl, page, markdown) };
+ * further review pages are followed within a page and credit budget, reviews are
+ * deduplicated, and marketplaceData.reviewSampling records how many reviews were
+ * sampled against the total the platform reports.
+ */
+export const reviewPaginators = {
+  jumia: jumiaReviewPagination,
+  etsy: etsyReviewPagination
+};
+
+const DEFAULT_MAX_PAGES = 5;
+const DEFAULT_MAX_CREDITS = 4;
+const DEFAULT_MAX_REVIEWS = 100;
+
+export function isReviewPaginationEnabled() {
+  return process.env.REVIEW_PAGINATION_ENABLED !== 'false';
+}
+
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * maxPages counts the profile page; a scrape that misses the cache costs one credit
+ */
+export function getReviewPaginationSettings() {
+  return {
+    maxPages: Math.max(1, readIntEnv('REVIEW_PAGINATION_MAX_PAGES', DEFAULT_MAX_PAGES)),
+    maxCredits: readIntEnv('REVIEW_PAGINATION_MAX_CREDITS', DEFAULT_MAX_CREDITS),
+    maxReviews: Math.max(1, readIntEnv('REVIEW_PAGINATION_MAX_REVIEWS', DEFAULT_MAX_REVIEWS))
+  };
+}
+
+/**
+ * Follow a seller's review pages and merge their reviews into the extractor output.
+ * @param {String} platform
+ * @param {Object} extractedData - Extractor output for the profile page (before validation)
+ * @param {Object} scrapedData - The scraped profile page
+ * @param {Function|null} fetchPage - async (pageUrl) => scrapedData with metadata.cache;
+ *   without it only the profile page's reviews are sampled
+ * @returns {Object} extractedData with merged customerReviews and marketplaceData.reviewSampling
+ */
+export async function harvestReviews(platform, extractedData, scrapedData, fetchPage = null) {
+  const marketplaceData = extractedData.marketplaceData || {};
+  const paginator = reviewPaginators[platform];
+  const { maxPages, maxCredits, maxReviews } = getReviewPaginationSettings();
+  const reportedTotal = toCount(marketplaceData.totalReviews);
+
+  const reviews = [];
+  const seen = new Set();
+  mergeReviews(reviews, seen, marketplaceData.customerReviews, maxReviews);
+
+  const sampling = {
+    sampled: 0,
+    reportedTotal,
+    pagesFetched: 1,
+    creditsUsed: 0,
+    complete: false,
+    stoppedReason: null
+  };
+
+  if (!paginator) {
+    sampling.stoppedReason = 'not_supported';
+  } else if (!fetchPage || !isReviewPaginationEnabled()) {
+    sampling.stoppedReason = 'disabled';
+  } else if (reviews.length === 0) {
+    // Nothing on the profile page to continue from
+    sampling.stoppedReason = 'no_more_pages';
+  }
+
+  for (let page = 2; !sampling.stoppedReason; page += 1) {
+    if (reportedTotal !== null && reviews.length >= reportedTotal) {
+      sampling.stoppedReason = 'complete';
+    } else if (reviews.length >= maxReviews) {
+      sampling.stoppedReason = 'review_limit';
+    } else if (page > maxPages) {
+      sampling.stoppedReason = 'page_budget';
+    } else if (sampling.creditsUsed >= maxCredits) {
+      sampling.stoppedReason = 'credit_budget';
+    }
+    if (sampling.stoppedReason) {
+      break;
+    }
+
+    const pageUrl = paginator.getPageUrl(extractedData.profileUrl, page, scrapedData.markdown || '');
+    if (!pageUrl) {
+      sampling.stoppedReason = 'no_more_pages';
+      break;
+    }
+
+    let pageData;
+    try {
+      pageData = await fetchPage(pageUrl);
+    } catch (error) {
+      console.error('Review page scrape error:', error);
+      sampling.stoppedReason = 'scrape_failed';
+      break;
+    }
+
+    if (!pageData.metadata?.cache?.hit) {
+      sampling.creditsUsed += 1;
+    }
+    sampling.pagesFetched += 1;
+
+    // A page without new reviews is past the end, or the site ignored the page parameter
+    const added = mergeReviews(reviews, seen, paginator.parseReviews(pageData.markdown || '', getScrapedAt(pageData)), maxReviews);
+    if (added === 0) {
+      sampling.stoppedReason = 'no_more_pages';
+    }
+  }
+
+  sampling.sampled = reviews.length;
+  sampling.complete = reportedTotal !== null ? reviews.length >= reportedTotal : sampling.stoppedReason === 'no_more_pages';
+
+  return {
+    ...extractedData,
+    marketplaceData: {
+      ...marketplaceData,
+      customerReviews: reviews,
+      reviewSampling: sampling
+    }
+  };
+}
+
+/**
+ * Identity of a review across pages: reviewer, date, product and text
+ */
+export function getReviewKey(review) {
+  return [review.reviewer, review.date, review.productName, review.title, review.review]
+    .map(part => String(part || '').replace(/\s+/g, ' ').trim().toLowerCase())
+    .join('|');
+}
+
+function mergeReviews(reviews, seen, incoming, maxReviews) {
+  let added = 0;
+
+  (Array.isArray(incoming) ? incoming : []).forEach(review => {
+    const key = getReviewKey(review);
+    if (reviews.length >= maxReviews || seen.has(key)) {
+      return;
+    }
+
+    seen.add(key);
+    reviews.push(review);
+    added += 1;
+  });
+
+  return added;
+}
+
+// The reported total is unknown when the extractor found no review count
+function toCount(value) {
+  const count = typeof value === 'number' ? value : parseInt(String(value ?? '').replace(/[,\s]/g, ''), 10);
+  return Number.isFinite(count) && count > 0 ? count : null;
+}
@@ -0,0 +1,142 @@
+import { scrapeWithFirecrawl } from './firecrawlClient.js';
+import { scrapeWithLocalBrowser } from './localScraper.js';
+import { getFixtureMode, loadScrapeFixture, saveScrapeFixture } from './fixtureStore.js';
+
+/**
+ * Scraper backends. Each one is an async function (url) => { markdown, html, metadata }.
+ */
+const scrapers = {
+  firecrawl: scrapeWithFirecrawl,
+  local: scrapeWithLocalBrowser
+};
+
+const DEFAULT_SCRAPER_ORDER = ['firecrawl', 'local'];
+const DEFAULT_FALLBACK_POLICY = 'on-error';
+const FALLBACK_POLICIES = ['on-error', 'on-empty', 'never'];
+const MIN_USEFUL_MARKDOWN_LENGTH = 200;
+
+// Facebook and Instagram only render profiles for logged-in sessions, so a local browser adds nothing.
+const platformScraperOrder = {
+  facebook: ['firecrawl'],
+  instagram: ['firecrawl']
+};
+
+export function registerScraper(name, scraper) {
+  if (typeof scraper !== 'function') {
+    throw new Error(`Scraper "${name}" must be a function`);
+  }
+
+  scrapers[name] = scraper;
+}
+
+/**
+ * Resolve the scraper order for a platform.
+ * SCRAPER_ORDER_<PLATFORM> wins, then the built-in platform order, then SCRAPER_ORDER.
+ */
+export function getScraperOrder(platform) {
+  const platformEnv = platform ? process.env[`SCRAPER_ORDER_${platform.toUpperCase()}`] : null;
+
+  const order =
+    parseScraperList(platformEnv) ||
+    platformScraperOrder[platform] ||
+    parseScraperList(process.env.SCRAPER_ORDER) ||
+    DEFAULT_SCRAPER_ORDER;
+
+  return order.filter(name => {
+    if (!scrapers[name]) {
+      console.warn(`Unknown scraper "${name}" in configuration, skipping`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * on-error: try the next scraper when one throws (default)
+ * on-empty: also try the next scraper when one returns an (almost) empty page
+ * never:    only use the first configured scraper
+ */
+export function getFallbackPolicy(platform) {
+  const platformEnv = platform ? process.env[`SCRAPER_FALLBACK_${platform.toUpperCase()}`] : null;
+  const policy = (platformEnv || process.env.SCRAPER_FALLBACK || DEFAULT_FALLBACK_POLICY).trim();
+
+  return FALLBACK_POLICIES.includes(policy) ? policy : DEFAULT_FALLBACK_POLICY;
+}
+
+export async function scrapeProfilePage(url, platform) {
+  const fixtureMode = getFixtureMode();
+
+  if (fixtureMode === 'replay') {
+    return loadScrapeFixture(platform, url);
+  }
+
+  const scrapedData = await scrapeWithConfiguredBackends(url, platform);
+
+  if (fixtureMode === 'record') {
+    try {
+      await saveScrapeFixture(platform, url, scrapedData);
+    } catch (error) {
+      // Recording is a debugging aid; never fail the extraction because of it
+      console.error('Failed to record scrape fixture:', error);
+    }
+  }
+
+  return scrapedData;
+}
+
+async function scrapeWithConfiguredBackends(url, platform) {
+  const order = getScraperOrder(platform);
+  const fallbackPolicy = getFallbackPolicy(platform);
+  const failures = [];
+
+  if (order.length === 0) {
+    throw new Error(`No scrapers configured for platform: ${platform}`);
+  }
+
+  for (let index = 0; index < order.length; index += 1) {
+    const name = order[index];
+    const hasNext = fallbackPolicy !== 'never' && index < order.length - 1;
+
+    try {
+      const result = await scrapers[name](url);
+
+      if (fallbackPolicy === 'on-empty' && hasNext && isEmptyResult(result)) {
+        failures.push(`${name}: empty result`);
+        continue;
+      }
+
+      return {
+        markdown: result.markdown || '',
+        html: result.html || '',
+        metadata: { ...(result.metadata || {}), scraper: name }
+      };
+    } catch (error) {
+      failures.push(`${name}: ${error.message}`);
+
+      if (!hasNext) {
+        break;
+      }
+
+      console.warn(`Scraper "${name}" failed for ${url}, falling back: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All scrapers failed (${failures.join('; ')})`);
+}
+
+function parseScraperList(value) {
+  if (!value) {
+    return null;
+  }
+
+  const list = value
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  return list.length > 0 ? list : null;
+}
+
+function isEmptyResult(result) {
+  return !result || (result.markdown || '').trim().length < MIN_USEFUL_MARKDOWN_LENGTH;
+}
@@ -0,0 +1,437 @@
+import * as cheerio from 'cheerio';
+import { findPlatformByHostname, getPlatformDisplayName } from './platformRegistry.js';
+import { parseMoney, toListingPrice } from './utils/money.js';
+
+/**
+ * Structured-data layer shared by all extractors.
+ * Reads schema.org JSON-LD (Organization/Store/Person, AggregateRating, Product/Offer)
+ * and OpenGraph tags from the scraped HTML and metadata. These are far more stable than
+ * markdown layouts, so JSON-LD values take precedence over the platform regexes, and
+ * OpenGraph values fill fields the regexes missed or only guessed (low confidence).
+ */
+
+const SELLER_TYPES = ['store', 'onlinestore', 'localbusiness', 'organization', 'corporation', 'person'];
+const MAX_LISTINGS = 20;
+
+/**
+ * @param {Object} scrapedData - { html, metadata }
+ * @param {String} platform - Used to ignore the marketplace's own Organization/OpenGraph data
+ * @returns {Object} { fields: { [fieldPath]: { value, strategy, confidence } }, listings }
+ */
+export function extractStructuredData(scrapedData = {}, platform = null) {
+  const { html = '', metadata = {} } = scrapedData;
+  const $ = html ? cheerio.load(html) : null;
+  const nodes = $ ? parseJsonLd($) : [];
+  const siteName = platform ? getPlatformDisplayName(platform).toLowerCase() : null;
+
+  const fields = {};
+  const seller = findSellerNode(nodes, platform, siteName);
+
+  if (seller) {
+    const strategy = `json_ld_${getTypes(seller)[0] || 'entity'}`;
+    const set = (field, value) => {
+      if (value !== null && value !== undefined && value !== '') {
+        fields[field] = { value, strategy, confidence: 'high' };
+      }
+    };
+
+    set('profileData.name', cleanText(seller.name));
+    set('profileData.profilePicture', getImageUrl(seller.logo) || getImageUrl(seller.image));
+    set('profileData.bio', cleanText(seller.description));
+    set('profileData.location', formatAddress(seller.address || seller.homeLocation || seller.location));
+
+    const rating = normalizeRating(seller.aggregateRating || findRatingFor(nodes, seller));
+    if (rating) {
+      set('marketplaceData.avgRating', rating.value);
+      set('marketplaceData.totalReviews', rating.count);
+    }
+  }
+
+  const openGraph = readOpenGraph($, metadata);
+  const setFallback = (field, value) => {
+    if (!fields[field] && value) {
+      fields[field] = { value, strategy: 'open_graph', confidence: 'medium' };
+    }
+  };
+
+  setFallback('profileData.name', cleanTitle(openGraph.title, siteName));
+  setFallback('profileData.profilePicture', openGraph.image);
+  setFallback('profileData.bio', cleanText(openGraph.description));
+
+  return {
+    fields,
+    listings: extractListings(nodes)
+  };
+}
+
+/**
+ * Read a single listing page (followed by a deep storefront crawl): the page's first
+ * JSON-LD Product, else its OpenGraph title, description, image and product price tags
+ * @param {Object} scrapedData - { html, metadata }
+ * @returns {Object|null} { title, description, price, currency, category, condition, images, strategy },
+ *   null when the page has no listing title
+ */
+export function extractListingPage(scrapedData = {}, platform = null) {
+  const { html = '', metadata = {} } = scrapedData;
+  const $ = html ? cheerio.load(html) : null;
+  const nodes = $ ? parseJsonLd($) : [];
+  const siteName = platform ? getPlatformDisplayName(platform).toLowerCase() : null;
+
+  const product = nodes.find(node => hasType(node, ['product']));
+  if (product && cleanText(product.name)) {
+    const offer = Array.isArray(product.offers) ? product.offers[0] : product.offers || {};
+    const { price, currency } = toListingPrice(toSchemaNumber(offer.price ?? offer.lowPrice), {
+      defaultCurrency: offer.priceCurrency || null
+    });
+    const images = (Array.isArray(product.image) ? product.image : [product.image]).map(getImageUrl).filter(Boolean);
+    const category = typeof product.category === 'object' ? product.category?.name : product.category;
+
+    return {
+      title: cleanText(product.name),
+      description: cleanText(product.description) || '',
+      price,
+      currency,
+      category: cleanText(category),
+      condition: toListingCondition(offer.itemCondition || product.itemCondition),
+      images,
+      strategy: 'json_ld_product'
+    };
+  }
+
+  const openGraph = readOpenGraph($, metadata);
+  const title = cleanTitle(openGraph.title, siteName);
+  if (!title) {
+    return null;
+  }
+
+  const meta = name => ($ ? $(`meta[property="${name}"]`).attr('content') : undefined) || metadata[name];
+  const { price, currency } = toListingPrice(toSchemaNumber(meta('product:price:amount') ?? meta('og:price:amount')), {
+    defaultCurrency: meta('product:price:currency') || meta('og:price:currency') || null
+  });
+
+  return {
+    title,
+    description: cleanText(openGraph.description) || '',
+    price,
+    currency,
+    category: null,
+    condition: 'unknown',
+    images: openGraph.image ? [openGraph.image] : [],
+    strategy: 'open_graph'
+  };
+}
+
+/**
+ * Merge structured data into an extractor result, updating values, trust indicators
+ * and provenance. JSON-LD always wins; OpenGraph only replaces missing or low-confidence values.
+ */
+export function applyStructuredData(extractedData, structuredData) {
+  if (!extractedData || !structuredData) {
+    return extractedData;
+  }
+
+  const result = {
+    ...extractedData,
+    profileData: { ...(extractedData.profileData || {}) },
+    marketplaceData: { ...(extractedData.marketplaceData || {}) },
+    trustIndicators: { ...(extractedData.trustIndicators || {}) },
+    extractionProvenance: { ...(extractedData.extractionProvenance || {}) }
+  };
+
+  Object.entries(structuredData.fields).forEach(([field, { value, strategy, confidence }]) => {
+    const current = result.extractionProvenance[field];
+    const regexIsReliable = current && current.found && current.confidence !== 'low';
+
+    if (confidence !== 'high' && regexIsReliable) {
+      return;
+    }
+
+    const [section, key] = field.split('.');
+    result[section][key] = value;
+    result.extractionProvenance[field] = { found: true, strategy, confidence, reason: null };
+  });
+
+  if (structuredData.listings.length > 0) {
+    result.recentListings = structuredData.listings;
+    result.extractionProvenance.recentListings = {
+      found: true,
+      strategy: 'json_ld_product',
+      confidence: 'high',
+      reason: null
+    };
+
+    const totalListings = result.extractionProvenance['marketplaceData.totalListings'];
+    if (!totalListings || !totalListings.found) {
+      result.marketplaceData.totalListings = structuredData.listings.length;
+      result.extractionProvenance['marketplaceData.totalListings'] = {
+        found: true,
+        strategy: 'json_ld_product_count',
+        confidence: 'low',
+        reason: null
+      };
+    }
+  }
+
+  const { profileData, marketplaceData, trustIndicators } = result;
+  if (profileData.profilePicture) trustIndicators.hasProfilePicture = true;
+  if (profileData.bio) trustIndicators.hasBio = true;
+  if (profileData.location && profileData.location !== 'Not specified') trustIndicators.hasLocation = true;
+  if ('avgRating' in trustIndicators || structuredData.fields['marketplaceData.avgRating']) {
+    trustIndicators.avgRating = marketplaceData.avgRating;
+  }
+  if ('totalReviews' in trustIndicators || structuredData.fields['marketplaceData.totalReviews']) {
+    trustIndicators.totalReviews = marketplaceData.totalReviews;
+  }
+
+  return result;
+}
+
+/**
+ * All JSON-LD nodes on the page, with arrays and @graph containers flattened
+ */
+function parseJsonLd($) {
+  const nodes = [];
+
+  const collect = value => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      if (Array.isArray(value['@graph'])) {
+        value['@graph'].forEach(collect);
+      }
+      if (value['@type']) {
+        nodes.push(value);
+      }
+    }
+  };
+
+  $('script[type="application/ld+json"]').each((_, element) => {
+    const text = $(element)
+      .contents()
+      .text()
+      .replace(/^\s*<!--|-->\s*$/g, '')
+      .replace(/^\s*\/\/\s*<!\[CDATA\[|\/\/\s*\]\]>\s*$/g, '')
+      .trim();
+
+    try {
+      collect(JSON.parse(text));
+    } catch (error) {
+      // Malformed blocks are common; the regex extractors still cover the page
+    }
+  });
+
+  return nodes;
+}
+
+function getTypes(node) {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.filter(Boolean).map(type => String(type).toLowerCase());
+}
+
+function hasType(node, types) {
+  return getTypes(node).some(type => types.includes(type));
+}
+
+/**
+ * The entity describing the seller: a ProfilePage's mainEntity, else the most specific
+ * seller-like node that is not the marketplace itself
+ */
+function findSellerNode(nodes, platform, siteName) {
+  // The marketplace describes itself with its own name or its homepage URL
+  const isMarketplace = node => {
+    const name = cleanText(node.name);
+    if (name && siteName && name.toLowerCase().startsWith(siteName)) {
+      return true;
+    }
+
+    try {
+      const url = new URL(node.url);
+      return findPlatformByHostname(url.hostname) === platform && url.pathname.replace(/\/+$/, '') === '';
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const profilePage = nodes.find(node => hasType(node, ['profilepage']) && node.mainEntity);
+  if (profilePage && typeof profilePage.mainEntity === 'object' && !isMarketplace(profilePage.mainEntity)) {
+    return profilePage.mainEntity;
+  }
+
+  for (const type of SELLER_TYPES) {
+    const node = nodes.find(candidate => hasType(candidate, [type]) && !isMarketplace(candidate));
+    if (node) {
+      return node;
+    }
+  }
+
+  return null;
+}
+
+// Stand-alone AggregateRating nodes that review the seller entity
+function findRatingFor(nodes, seller) {
+  return (
+    nodes.find(
+      node =>
+        hasType(node, ['aggregaterating']) &&
+        node.itemReviewed &&
+        (node.itemReviewed['@id'] ? node.itemReviewed['@id'] === seller['@id'] : node.itemReviewed.name === seller.name)
+    ) || null
+  );
+}
+
+// Scale to 0-5 using bestRating/worstRating when the site rates on another scale
+function normalizeRating(rating) {
+  if (!rating || typeof rating !== 'object') {
+    return null;
+  }
+
+  const value = parseFloat(rating.ratingValue);
+  if (Number.isNaN(value)) {
+    return null;
+  }
+
+  const best = parseFloat(rating.bestRating) || 5;
+  const worst = parseFloat(rating.worstRating) || 0;
+  const scaled = best === 5 && worst === 0 ? value : ((value - worst) / (best - worst)) * 5;
+  const count = parseInt(String(rating.reviewCount ?? rating.ratingCount ?? '').replace(/[,\s]/g, ''), 10);
+
+  return {
+    value: Math.round(Math.min(5, Math.max(0, scaled)) * 100) / 100,
+    count: Number.isNaN(count) ? null : count
+  };
+}
+
+function extractListings(nodes) {
+  const products = [];
+
+  const addProduct = node => {
+    if (node && typeof node === 'object' && hasType(node, ['product']) && !products.includes(node)) {
+      products.push(node);
+    }
+  };
+
+  nodes.forEach(node => {
+    addProduct(node);
+
+    if (hasType(node, ['itemlist']) && Array.isArray(node.itemListElement)) {
+      node.itemListElement.forEach(element => addProduct(element.item || element));
+    }
+  });
+
+  return products
+    .map(product => {
+      const offer = Array.isArray(product.offers) ? product.offers[0] : product.offers || {};
+      const price = toListingPrice(toSchemaNumber(offer.price ?? offer.lowPrice), { defaultCurrency: offer.priceCurrency || null });
+      const highPrice = offer.highPrice !== undefined ? parseMoney(toSchemaNumber(offer.highPrice)).amount : null;
+      const images = Array.isArray(product.image) ? product.image : product.image ? [product.image] : [];
+      const description = cleanText(product.description) || '';
+      const rating = normalizeRating(product.aggregateRating);
+
+      return {
+        title: cleanText(product.name) || '',
+        ...price,
+        priceMax: highPrice !== null && price.price !== null && highPrice > price.price ? highPrice : price.priceMax,
+        imageCount: images.length,
+        imageUrl: getImageUrl(images[0]),
+        description,
+        descriptionLength: description.length,
+        rating: rating ? rating.value : null,
+        url: product.url || offer.url || null
+      };
+    })
+    .filter(listing => listing.title)
+    .slice(0, MAX_LISTINGS);
+}
+
+// schema.org itemCondition ("https://schema.org/UsedCondition") -> Listing condition
+function toListingCondition(condition) {
+  const value = String(condition || '').toLowerCase();
+
+  if (value.includes('newcondition')) return 'new';
+  if (value.includes('refurbished')) return 'like-new';
+  if (value.includes('damaged')) return 'poor';
+  if (value.includes('used')) return 'good';
+  return 'unknown';
+}
+
+// schema.org prices always use "." as the decimal separator, whatever the currency
+function toSchemaNumber(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  return /^\s*\d+(\.\d+)?\s*$/.test(String(value)) ? Number(value) : value;
+}
+
+function readOpenGraph($, metadata = {}) {
+  const meta = name =>
+    $ ? $(`meta[property="${name}"]`).attr('content') || $(`meta[name="${name}"]`).attr('content') : undefined;
+
+  return {
+    title: metadata.ogTitle || metadata['og:title'] || meta('og:title') || null,
+    description: metadata.ogDescription || metadata['og:description'] || meta('og:description') || null,
+    image: getImageUrl(metadata.ogImage || metadata['og:image'] || meta('og:image'))
+  };
+}
+
+function getImageUrl(image) {
+  if (!image) {
+    return null;
+  }
+
+  if (Array.isArray(image)) {
+    return getImageUrl(image[0]);
+  }
+
+  const url = typeof image === 'object' ? image.url || image.contentUrl : image;
+  return typeof url === 'string' && /^https?:\/\//i.test(url.trim()) ? url.trim() : null;
+}
+
+function formatAddress(address) {
+  if (!address) {
+    return null;
+  }
+
+  if (typeof address === 'string') {
+    return cleanText(address);
+  }
+
+  if (Array.isArray(address)) {
+    return formatAddress(address[0]);
+  }
+
+  if (address.address) {
+    return formatAddress(address.address);
+  }
+
+  const country = typeof address.addressCountry === 'object' ? address.addressCountry.name : address.addressCountry;
+  const parts = [address.addressLocality, address.addressRegion, country]
+    .map(part => cleanText(part))
+    .filter(Boolean);
+
+  return parts.length > 0 ? [...new Set(parts)].join(', ') : cleanText(address.name);
+}
+
+// "Shop Name | Jumia Nigeria" -> "Shop Name"; titles that are just the marketplace are dropped
+function cleanTitle(title, siteName) {
+  const cleaned = cleanText(title);
+  if (!cleaned) {
+    return null;
+  }
+
+  const name = cleaned.split(/\s+[|–—-]\s+/)[0].trim();
+  if (!name || (siteName && name.toLowerCase().startsWith(siteName))) {
+    return null;
+  }
+
+  return name;
+}
+
+function cleanText(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const text = value.replace(/\s+/g, ' ').trim();
+  return text || null;
+}
@@ -0,0 +1,186 @@
+import { findPlatformByHostname, parseUrl } from './platformRegistry.js';
+
+const TRACKING_PARAM_PATTERNS = [/^utm_/i, /^fbclid$/i, /^gclid$/i, /^mc_(cid|eid)$/i, /^ref$/i, /^ref_src$/i];
+
+/**
+ * Per-platform URL rules (which hostnames belong to a platform comes from the platform registry).
+ * host:      canonical hostname (a function receives the original hostname)
+ * canonical: (segments, searchParams) => { path, params, handle } for the canonical URL
+ */
+const platformRules = {
+  facebook: {
+    host: 'www.facebook.com',
+    canonical(segments, searchParams) {
+      const lowerSegments = segments.map(segment => segment.toLowerCase());
+
+      if (lowerSegments[0] === 'profile.php' && searchParams.get('id')) {
+        const id = searchParams.get('id');
+        return { path: ['profile.php'], params: { id }, handle: id };
+      }
+
+      if (lowerSegments[0] === 'marketplace' && lowerSegments[1] === 'profile' && segments[2]) {
+        return { path: ['marketplace', 'profile', segments[2]], handle: segments[2] };
+      }
+
+      if (lowerSegments[0] === 'people' && segments[2]) {
+        return { path: ['people', segments[1], segments[2]], handle: segments[2] };
+      }
+
+      // Vanity usernames are case-insensitive
+      const username = lowerSegments[0] || null;
+      return { path: username ? [username] : [], handle: username };
+    }
+  },
+
+  jiji: {
+    host: hostname => hostname.replace(/^www\./, ''),
+    canonical(segments) {
+      if (segments[0] === 'shop' && segments[1]) {
+        return { path: ['shop', segments[1]], handle: segments[1] };
+      }
+
+      const sellerPageMatch = (segments[0] || '').match(/^sellerpage-([\w-]+)$/i);
+      if (sellerPageMatch) {
+        return { path: [segments[0]], handle: sellerPageMatch[1] };
+      }
+
+      return { path: segments, handle: null };
+    }
+  },
+
+  jumia: {
+    host: hostname => `www.${hostname.replace(/^www\./, '')}`,
+    canonical(segments) {
+      if (segments[0] === 'seller' && segments[1]) {
+        return { path: ['seller', segments[1].toLowerCase()], handle: segments[1].toLowerCase() };
+      }
+
+      const storeMatch = (segments[0] || '').match(/^mlp-([\w-]+)$/i);
+      if (storeMatch) {
+        return { path: [segments[0].toLowerCase()], handle: storeMatch[1].toLowerCase() };
+      }
+
+      return { path: segments, handle: null };
+    }
+  },
+
+  konga: {
+    host: 'www.konga.com',
+    canonical(segments) {
+      if (segments[0] === 'merchant' && segments[1]) {
+        return { path: ['merchant', segments[1].toLowerCase()], handle: segments[1].toLowerCase() };
+      }
+
+      return { path: segments, handle: null };
+    }
+  },
+
+  etsy: {
+    host: 'www.etsy.com',
+    canonical(segments) {
+      // Drop locale prefixes such as /uk/ or /ca-fr/
+      const path = /^[a-z]{2}(-[a-z]{2})?$/i.test(segments[0] || '') && segments[1] ? segments.slice(1) : segments;
+
+      if (path[0] === 'shop' && path[1]) {
+        return { path: ['shop', path[1].toLowerCase()], handle: path[1].toLowerCase() };
+      }
+
+      if (path[0] === 'people' && path[1]) {
+        return { path: ['people', path[1].toLowerCase()], handle: path[1].toLowerCase() };
+      }
+
+      return { path, handle: null };
+    }
+  },
+
+  kijiji: {
+    host: hostname => `www.${hostname.replace(/^www\./, '')}`,
+    canonical(segments) {
+      if (segments[0] === 'o-profile' && segments[1]) {
+        return { path: segments, handle: segments[1] };
+      }
+
+      return { path: segments, handle: null };
+    }
+  },
+
+  ebay: {
+    host: hostname => `www.${hostname.replace(/^(www|m)\./, '')}`,
+    canonical(segments) {
+      if ((segments[0] === 'str' || segments[0] === 'usr') && segments[1]) {
+        return { path: [segments[0], segments[1].toLowerCase()], handle: segments[1].toLowerCase() };
+      }
+
+      return { path: segments, handle: null };
+    }
+  },
+
+  instagram: {
+    host: 'www.instagram.com',
+    canonical(segments) {
+      // Usernames are case-insensitive
+      const username = segments[0] ? segments[0].toLowerCase() : null;
+      return { path: username ? [username] : [], handle: username };
+    }
+  }
+};
+
+/**
+ * Canonicalize a seller profile URL.
+ * Known platforms get their host, path and query normalized and their native seller
+ * handle extracted; anything else only gets the generic normalization.
+ * @returns {Object} { canonicalUrl, platform, handle }
+ */
+export function canonicalizeProfile(url) {
+  const parsed = parseUrl(url);
+  if (!parsed) {
+    return { canonicalUrl: url ? url.trim() : url, platform: null, handle: null };
+  }
+
+  const hostname = parsed.hostname.toLowerCase();
+  const segments = parsed.pathname
+    .split('/')
+    .filter(Boolean)
+    .map(segment => safeDecode(segment));
+
+  const platform = findPlatformByHostname(hostname);
+
+  if (!platformRules[platform]) {
+    return { canonicalUrl: buildGenericUrl(parsed), platform: null, handle: null };
+  }
+
+  const rules = platformRules[platform];
+  const host = typeof rules.host === 'function' ? rules.host(hostname) : rules.host;
+  const { path, params = {}, handle } = rules.canonical(segments, parsed.searchParams);
+
+  const query = new URLSearchParams(params).toString();
+  const pathname = path.map(segment => encodeURIComponent(segment)).join('/');
+
+  return {
+    canonicalUrl: `https://${host}/${pathname}`.replace(/\/$/, '') + (query ? `?${query}` : ''),
+    platform,
+    handle: handle || null
+  };
+}
+
+export function canonicalizeProfileUrl(url) {
+  return canonicalizeProfile(url).canonicalUrl;
+}
+
+function buildGenericUrl(parsed) {
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAM_PATTERNS.some(pattern => pattern.test(key)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+  const pathname = parsed.pathname.replace(/\/+$/, '');
+
+  return `https://${parsed.host.toLowerCase()}${pathname}${query ? `?${query}` : ''}`;
+}
+
+function safeDecode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
@@ -0,0 +1,280 @@
+/**
+ * Date parsing shared by all extractors, for English and French pages
+ * (Kijiji Quebec, francophone Jumia).
+ * Relative expressions ("Last seen 3 hours ago", "Vu il y a 2 jours", "yesterday", "3d")
+ * are anchored at the time the page was scraped, not the time the extractor runs, so a
+ * cached or recorded page yields the same dates every time it is read.
+ */
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Future dates beyond this slack are misreads (e.g. a swapped day and month)
+const FUTURE_TOLERANCE_MS = DAY_IN_MS;
+
+const UNIT_ALIASES = {
+  second: ['s', 'sec', 'secs', 'second', 'seconds', 'seconde', 'secondes'],
+  minute: ['m', 'min', 'mins', 'minute', 'minutes'],
+  hour: ['h', 'hr', 'hrs', 'hour', 'hours', 'heure', 'heures'],
+  day: ['d', 'j', 'day', 'days', 'jour', 'jours'],
+  week: ['w', 'wk', 'wks', 'week', 'weeks', 'sem', 'semaine', 'semaines'],
+  month: ['mo', 'mos', 'month', 'months', 'mois'],
+  year: ['y', 'yr', 'yrs', 'year', 'years', 'an', 'ans', 'annee', 'annees']
+};
+
+const UNITS = Object.fromEntries(
+  Object.entries(UNIT_ALIASES).flatMap(([unit, aliases]) => aliases.map(alias => [alias, unit]))
+);
+
+const UNIT_PATTERN = Object.keys(UNITS)
+  .sort((a, b) => b.length - a.length)
+  .join('|');
+
+const WORD_NUMBERS = { a: 1, an: 1, one: 1, un: 1, une: 1, few: 3, quelques: 3 };
+
+// Accents are stripped before lookup ("février" -> "fevrier", "août" -> "aout")
+const MONTHS = {
+  jan: 0, january: 0, janv: 0, janvier: 0,
+  feb: 1, february: 1, fev: 1, fevr: 1, fevrier: 1,
+  mar: 2, march: 2, mars: 2,
+  apr: 3, april: 3, avr: 3, avril: 3,
+  may: 4, mai: 4,
+  jun: 5, june: 5, juin: 5,
+  jul: 6, july: 6, juil: 6, juillet: 6,
+  aug: 7, august: 7, aout: 7,
+  sep: 8, sept: 8, september: 8, septembre: 8,
+  oct: 9, october: 9, octobre: 9,
+  nov: 10, november: 10, novembre: 10,
+  dec: 11, december: 11, decembre: 11
+};
+
+const MONTH_PATTERN = Object.keys(MONTHS)
+  .sort((a, b) => b.length - a.length)
+  .join('|');
+
+/**
+ * When the scraped page was fetched: the fixture recording time, the scrape cache time,
+ * or now for a page scraped in this request
+ */
+export function getScrapedAt(scrapedData = {}) {
+  const metadata = scrapedData.metadata || {};
+  const value = metadata.scrapedAt || (metadata.cache && metadata.cache.scrapedAt);
+  const scrapedAt = value ? new Date(value) : null;
+
+  return scrapedAt && !Number.isNaN(scrapedAt.getTime()) ? scrapedAt : new Date();
+}
+
+/**
+ * Parse a relative or absolute date expression
+ * @param {String} text - e.g. "3 hours ago", "il y a 2 jours", "hier", "Jan 5, 2024", "5 janvier 2024", "12-03-2024"
+ * @param {Object} options - { now } anchor for relative expressions (scrape time),
+ *   { dayFirst } how to read ambiguous numeric dates (03-04-2024); defaults to day first
+ * @returns {Date|null}
+ */
+export function parseDate(text, { now = new Date(), dayFirst = true } = {}) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const normalized = normalizeText(text);
+  if (!normalized) {
+    return null;
+  }
+
+  const date = parseRelativeDate(normalized, now) || parseAbsoluteDate(normalized, dayFirst);
+  if (!date || date.getTime() > now.getTime() + FUTURE_TOLERANCE_MS) {
+    return null;
+  }
+
+  return date;
+}
+
+/**
+ * Keep a date's text as displayed next to its parsed value
+ * @returns {Object} { text, date }; text is null when empty, date is null when unparseable
+ */
+export function parseDatedText(text, options = {}) {
+  const cleaned = typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : '';
+
+  return {
+    text: cleaned || null,
+    date: cleaned ? parseDate(cleaned, options) : null
+  };
+}
+
+/**
+ * Whole days from `date` to `now`, or null without a date
+ */
+export function daysSince(date, now = new Date()) {
+  if (!date) {
+    return null;
+  }
+
+  const value = date instanceof Date ? date : new Date(date);
+  if (Number.isNaN(value.getTime())) {
+    return null;
+  }
+
+  return Math.max(0, Math.floor((now.getTime() - value.getTime()) / DAY_IN_MS));
+}
+
+/**
+ * Whole calendar months from `from` to `to` (account age from a join date)
+ */
+export function monthsBetween(from, to = new Date()) {
+  if (!from) {
+    return 0;
+  }
+
+  const months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+  return Math.max(0, months);
+}
+
+/**
+ * The date `months` months before `date`, for durations such as "3 years on Jiji"
+ */
+export function monthsBefore(date, months) {
+  const result = new Date(date.getTime());
+  result.setUTCMonth(result.getUTCMonth() - months);
+  return result;
+}
+
+function normalizeText(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[’']/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function parseRelativeDate(text, now) {
+  if (/\b(just now|right now|moments? ago|online now|active now|en ligne|a l'instant)\b/.test(text)) {
+    return new Date(now.getTime());
+  }
+  if (/\b(today|aujourd'hui)\b/.test(text)) {
+    return new Date(now.getTime());
+  }
+  if (/\b(yesterday|hier)\b/.test(text)) {
+    return shift(now, 1, 'day');
+  }
+
+  const lastMatch = text.match(/\blast (week|month|year)\b|\b(?:la |le |l')(semaine|mois|annee) derniere?\b/);
+  if (lastMatch) {
+    return shift(now, 1, UNITS[lastMatch[1] || lastMatch[2]]);
+  }
+
+  const amount = `(\\d+|${Object.keys(WORD_NUMBERS).join('|')})`;
+  const patterns = [
+    // "3 hours ago", "an hour ago", "3h ago"
+    new RegExp(`\\b${amount}\\s*(${UNIT_PATTERN})\\.?\\s+ago\\b`),
+    // "il y a 2 jours", "il y a une heure", "depuis 3 mois"
+    new RegExp(`\\b(?:il y a|depuis)\\s+${amount}\\s*(${UNIT_PATTERN})\\b`),
+    // Bare compact forms shown on listing cards: "3d", "2 w", "5 min"
+    new RegExp(`^${amount}\\s*(${UNIT_PATTERN})$`)
+  ];
+
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) {
+      const value = WORD_NUMBERS[match[1]] ?? parseInt(match[1], 10);
+      return shift(now, value, UNITS[match[2]]);
+    }
+  }
+
+  return null;
+}
+
+function parseAbsoluteDate(text, dayFirst) {
+  const isoMatch = text.match(/\b(\d{4})-(\d{2})-(\d{2})(?:[t ](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+  if (isoMatch) {
+    const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = isoMatch;
+    return buildDate(+year, +month - 1, +day, +hours, +minutes, +seconds);
+  }
+
+  const numericMatch = text.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/);
+  if (numericMatch) {
+    let [first, second] = [parseInt(numericMatch[1], 10), parseInt(numericMatch[2], 10)];
+    const year = toFullYear(parseInt(numericMatch[3], 10));
+
+    // An unambiguous part (> 12) decides the order; otherwise follow the site's convention
+    const isDayFirst = first > 12 || (second <= 12 && dayFirst);
+    if (!isDayFirst) {
+      [first, second] = [second, first];
+    }
+    return buildDate(year, second - 1, first);
+  }
+
+  // "Jan 5, 2024", "January 5th 2024"
+  const monthDayMatch = text.match(new RegExp(`\\b(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`));
+  if (monthDayMatch) {
+    return buildDate(+monthDayMatch[3], MONTHS[monthDayMatch[1]], +monthDayMatch[2]);
+  }
+
+  // "5 Jan 2024", "1er mars 2019", "5 janvier 2024"
+  const dayMonthMatch = text.match(new RegExp(`\\b(\\d{1,2})(?:er|st|nd|rd|th)?\\s+(${MONTH_PATTERN})\\.?,?\\s+(\\d{4})\\b`));
+  if (dayMonthMatch) {
+    return buildDate(+dayMonthMatch[3], MONTHS[dayMonthMatch[2]], +dayMonthMatch[1]);
+  }
+
+  // "March 2019", "mars 2019"
+  const monthYearMatch = text.match(new RegExp(`\\b(${MONTH_PATTERN})\\.?,?\\s+(\\d{4})\\b`));
+  if (monthYearMatch) {
+    return buildDate(+monthYearMatch[2], MONTHS[monthYearMatch[1]], 1);
+  }
+
+  // "since 2019", "depuis 2019"
+  const yearMatch = text.match(/\b(?:since|depuis|joined(?: [a-z]+)?(?: in)?|inscrit en)\s+((?:19|20)\d{2})\b/);
+  if (yearMatch) {
+    return buildDate(+yearMatch[1], 0, 1);
+  }
+
+  return null;
+}
+
+function shift(now, value, unit) {
+  const date = new Date(now.getTime());
+
+  switch (unit) {
+    case 'second':
+      date.setTime(date.getTime() - value * 1000);
+      break;
+    case 'minute':
+      date.setTime(date.getTime() - value * 60 * 1000);
+      break;
+    case 'hour':
+      date.setTime(date.getTime() - value * 60 * 60 * 1000);
+      break;
+    case 'day':
+      date.setTime(date.getTime() - value * DAY_IN_MS);
+      break;
+    case 'week':
+      date.setTime(date.getTime() - value * 7 * DAY_IN_MS);
+      break;
+    case 'month':
+      date.setUTCMonth(date.getUTCMonth() - value);
+      break;
+    case 'year':
+      date.setUTCFullYear(date.getUTCFullYear() - value);
+      break;
+    default:
+      return null;
+  }
+
+  return date;
+}
+
+function toFullYear(year) {
+  return year < 100 ? 2000 + year : year;
+}
+
+// Calendar dates are stored as UTC midnight so they do not move with the server time zone
+function buildDate(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+  const date = new Date(Date.UTC(year, month, day, hours, minutes, seconds));
+
+  if (Number.isNaN(date.getTime()) || date.getUTCMonth() !== month || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date;
+}
@@ -0,0 +1,135 @@
+import * as cheerio from 'cheerio';
+
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'head', 'link', 'meta']);
+
+const BLOCK_TAGS = new Set([
+  'p',
+  'div',
+  'section',
+  'article',
+  'header',
+  'footer',
+  'main',
+  'aside',
+  'nav',
+  'form',
+  'figure',
+  'figcaption',
+  'blockquote',
+  'table',
+  'tr',
+  'dl',
+  'dt',
+  'dd'
+]);
+
+/**
+ * Convert rendered HTML into the markdown dialect the platform extractors expect
+ * (headings, **bold**, [links](url), ![images](url) and "- " list items).
+ */
+export function htmlToMarkdown(html, baseUrl) {
+  if (!html) {
+    return '';
+  }
+
+  const $ = cheerio.load(html);
+  const root = $('body').length ? $('body') : $.root();
+
+  return renderChildren($, root, baseUrl)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n[ \t]+/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function renderChildren($, element, baseUrl) {
+  return element
+    .contents()
+    .toArray()
+    .map(node => renderNode($, node, baseUrl))
+    .join('');
+}
+
+function renderNode($, node, baseUrl) {
+  if (node.type === 'text') {
+    return node.data.replace(/\s+/g, ' ');
+  }
+
+  if (node.type !== 'tag') {
+    return '';
+  }
+
+  const tag = node.name.toLowerCase();
+  if (SKIPPED_TAGS.has(tag)) {
+    return '';
+  }
+
+  const $node = $(node);
+  const inner = () => renderChildren($, $node, baseUrl);
+
+  const headingMatch = tag.match(/^h([1-6])$/);
+  if (headingMatch) {
+    const text = inner().trim();
+    return text ? `\n\n${'#'.repeat(parseInt(headingMatch[1], 10))} ${text}\n\n` : '';
+  }
+
+  switch (tag) {
+    case 'br':
+      return '\n';
+    case 'hr':
+      return '\n\n---\n\n';
+    case 'strong':
+    case 'b':
+      return wrapInline('**', inner());
+    case 'em':
+    case 'i':
+      return wrapInline('_', inner());
+    case 'a': {
+      const text = inner().trim();
+      const href = resolveUrl($node.attr('href'), baseUrl);
+      if (!text) {
+        return '';
+      }
+      return href ? `[${text}](${href})` : text;
+    }
+    case 'img': {
+      const src = resolveUrl($node.attr('src') || $node.attr('data-src'), baseUrl);
+      if (!src) {
+        return '';
+      }
+      const alt = ($node.attr('alt') || '').replace(/[\[\]]/g, '').trim();
+      return `![${alt}](${src})`;
+    }
+    case 'li':
+      return `\n- ${inner().trim()}`;
+    case 'ul':
+    case 'ol':
+      return `\n${inner()}\n`;
+    case 'td':
+    case 'th':
+      return `${inner().trim()} `;
+    default:
+      if (BLOCK_TAGS.has(tag)) {
+        const text = inner().trim();
+        return text ? `\n\n${text}\n\n` : '';
+      }
+      return inner();
+  }
+}
+
+function wrapInline(marker, text) {
+  const trimmed = text.trim();
+  return trimmed ? `${marker}${trimmed}${marker}` : '';
+}
+
+function resolveUrl(href, baseUrl) {
+  if (!href || /^(javascript|mailto|tel|data):/i.test(href.trim())) {
+    return null;
+  }
+
+  try {
+    return new URL(href.trim(), baseUrl).toString();
+  } catch (error) {
+    return href.trim();
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * Price parsing shared by all extractors.
+ * Turns display prices ("₦ 45,000", "CA$12.99", "GH₵ 300", "KSh 1.2M", "$10 - $20",
+ * "45,000 (Negotiable)") into a numeric amount and an ISO 4217 currency code so listing
+ * prices can be compared across sellers and platforms.
+ */
+
+// Checked in order, so longer symbols must come before the ones they contain ("CA$" before "$")
+const CURRENCY_SYMBOLS = [
+  ['GH₵', 'GHS'],
+  ['GH¢', 'GHS'],
+  ['GHC', 'GHS'],
+  ['KSh', 'KES'],
+  ['USh', 'UGX'],
+  ['TSh', 'TZS'],
+  ['FCFA', 'XOF'],
+  ['CFA', 'XOF'],
+  ['CA$', 'CAD'],
+  ['C$', 'CAD'],
+  ['US$', 'USD'],
+  ['AU$', 'AUD'],
+  ['A$', 'AUD'],
+  ['NZ$', 'NZD'],
+  ['R$', 'BRL'],
+  ['₦', 'NGN'],
+  ['₵', 'GHS'],
+  ['£', 'GBP'],
+  ['€', 'EUR'],
+  ['₹', 'INR'],
+  ['¥', 'JPY'],
+  ['$', 'USD']
+];
+
+const ISO_CODES = [
+  'NGN', 'GHS', 'KES', 'UGX', 'TZS', 'RWF', 'ETB', 'ZAR', 'EGP', 'MAD', 'XOF', 'XAF',
+  'USD', 'CAD', 'AUD', 'NZD', 'GBP', 'EUR', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN',
+  'INR', 'JPY', 'CNY', 'BRL', 'MXN'
+];
+
+// Currencies whose local formatting uses "." for thousands and "," for decimals
+const DECIMAL_COMMA_CURRENCIES = ['EUR', 'BRL', 'DKK', 'NOK', 'SEK', 'PLN', 'CHF'];
+
+const DOLLAR_CURRENCIES = ['USD', 'CAD', 'AUD', 'NZD'];
+
+const NEGOTIABLE_PATTERN =
+  /negotiable|\bnego\b|\bneg\b|\bo\.?b\.?o\b|or best offer|make an offer|n[ée]gociable|[àa] d[ée]battre/i;
+const FREE_PATTERN = /^\s*(?:free|gratuit|gratis)\b/i;
+const RANGE_SEPARATOR_PATTERN = /^[^\d]*?(?:-|–|—|\bto\b|\bà\b|~)[^\d]*$/i;
+// Digit groups joined by "," or "."; spaces and apostrophes only when a 3-digit group follows ("45 000")
+const AMOUNT_PATTERN = /\d+(?:(?:[.,]|['\s](?=\d{3}(?!\d)))\d+)*(?:\s?(?:k|m|mn|b|bn)\b)?/gi;
+
+const MULTIPLIERS = { k: 1e3, m: 1e6, mn: 1e6, b: 1e9, bn: 1e9 };
+
+/**
+ * @param {String|Number} text - Price as displayed on the page
+ * @param {Object} options - { defaultCurrency } used when the text carries no currency,
+ *   and to resolve a bare "$" on non-US sites (e.g. CAD on Kijiji)
+ * @returns {Object} { amount, maxAmount, currency, negotiable, raw }; amount is null when
+ *   no price could be read ("Contact for price")
+ */
+export function parseMoney(text, { defaultCurrency = null } = {}) {
+  const fallbackCurrency = /^[A-Za-z]{3}$/.test(defaultCurrency || '') ? defaultCurrency.toUpperCase() : null;
+
+  if (typeof text === 'number') {
+    return {
+      amount: Number.isFinite(text) && text >= 0 ? text : null,
+      maxAmount: null,
+      currency: fallbackCurrency,
+      negotiable: false,
+      raw: String(text)
+    };
+  }
+
+  const raw = typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : '';
+  const currencyMatch = raw ? findCurrency(raw, fallbackCurrency) : null;
+  const result = {
+    amount: null,
+    maxAmount: null,
+    currency: currencyMatch ? currencyMatch.currency : fallbackCurrency,
+    negotiable: NEGOTIABLE_PATTERN.test(raw),
+    raw
+  };
+
+  if (!raw) {
+    return result;
+  }
+
+  if (FREE_PATTERN.test(raw)) {
+    result.amount = 0;
+    return result;
+  }
+
+  const matches = Array.from(raw.matchAll(AMOUNT_PATTERN));
+  if (matches.length === 0) {
+    return result;
+  }
+
+  // The price is the amount written against the currency ("3 for ₦1000" -> 1000), else the first one
+  const priceIndex = Math.max(0, matches.findIndex(match => isNextToCurrency(raw, match, currencyMatch)));
+  const [priceMatch, nextMatch] = matches.slice(priceIndex);
+
+  const decimalComma = DECIMAL_COMMA_CURRENCIES.includes(result.currency);
+  result.amount = toAmount(priceMatch[0], decimalComma);
+
+  if (nextMatch) {
+    const between = raw.slice(priceMatch.index + priceMatch[0].length, nextMatch.index);
+    const maxAmount = toAmount(nextMatch[0], decimalComma);
+
+    if (RANGE_SEPARATOR_PATTERN.test(between) && maxAmount !== null && result.amount !== null && maxAmount > result.amount) {
+      result.maxAmount = maxAmount;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Listing fields for a display price, ready to spread into an extractor's listing object
+ * @returns {Object} { price, priceMax, currency, negotiable, priceText, hasPrice }
+ */
+export function toListingPrice(text, options = {}) {
+  const { amount, maxAmount, currency, negotiable, raw } = parseMoney(text, options);
+
+  return {
+    price: amount,
+    priceMax: maxAmount,
+    currency,
+    negotiable,
+    priceText: raw,
+    hasPrice: amount !== null
+  };
+}
+
+/**
+ * Currency written in the text and where, matched case-insensitively ("Ksh 2,500", "ngn 500");
+ * letter symbols only count as whole words ("USh", not the "ush" in "brush")
+ * @returns {Object|null} { currency, index, end }, or null when the text names no currency
+ */
+function findCurrency(text, fallbackCurrency) {
+  const isoMatch = text.match(new RegExp(`(^|[^A-Za-z])(${ISO_CODES.join('|')})(?![A-Za-z])`, 'i'));
+  if (isoMatch) {
+    const index = isoMatch.index + isoMatch[1].length;
+    return { currency: isoMatch[2].toUpperCase(), index, end: index + isoMatch[2].length };
+  }
+
+  for (const [symbol, code] of CURRENCY_SYMBOLS) {
+    const match = text.match(symbolPattern(symbol));
+    if (match) {
+      const index = match.index + match[1].length;
+      // A bare "$" means the site's own dollar (CAD on kijiji.ca, AUD on ebay.com.au)
+      const currency = symbol === '$' && DOLLAR_CURRENCIES.includes(fallbackCurrency) ? fallbackCurrency : code;
+      return { currency, index, end: index + symbol.length };
+    }
+  }
+
+  // "N45,000" and "45,000 naira" are common in Nigerian captions
+  const nairaMatch = text.match(/(^|[^A-Za-z])N(?=\s?\d)/) || text.match(/()\bnaira\b/i);
+  if (nairaMatch) {
+    const index = nairaMatch.index + nairaMatch[1].length;
+    return { currency: 'NGN', index, end: index + nairaMatch[0].length - nairaMatch[1].length };
+  }
+
+  return null;
+}
+
+function symbolPattern(symbol) {
+  const escaped = symbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const before = /^[A-Za-z]/.test(symbol) ? '(^|[^A-Za-z])' : '()';
+  const after = /[A-Za-z]$/.test(symbol) ? '(?![A-Za-z])' : '';
+  return new RegExp(`${before}${escaped}${after}`, 'i');
+}
+
+// Whether only spaces separate an amount from the currency, on either side ("₦ 1000", "1000 KES")
+function isNextToCurrency(text, match, currencyMatch) {
+  if (!currencyMatch) {
+    return false;
+  }
+
+  const start = match.index;
+  const end = match.index + match[0].length;
+  return (
+    (start >= currencyMatch.end && /^\s*$/.test(text.slice(currencyMatch.end, start))) ||
+    (end <= currencyMatch.index && /^\s*$/.test(text.slice(end, currencyMatch.index)))
+  );
+}
+
+// "45,000" -> 45000, "12,99" -> 12.99 (decimal comma), "1.234,56" -> 1234.56, "1.2M" -> 1200000
+function toAmount(token, decimalComma) {
+  const suffixMatch = token.match(/\s?(k|m|mn|b|bn)$/i);
+  const multiplier = suffixMatch ? MULTIPLIERS[suffixMatch[1].toLowerCase()] : 1;
+  let digits = (suffixMatch ? token.slice(0, -suffixMatch[0].length) : token).replace(/['\s]/g, '');
+
+  const lastComma = digits.lastIndexOf(',');
+  const lastDot = digits.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Whichever separator comes last is the decimal point
+    digits = lastComma > lastDot
+      ? digits.replace(/\./g, '').replace(',', '.')
+      : digits.replace(/,/g, '');
+  } else if (lastComma !== -1) {
+    const isThousands = /^\d{1,3}(,\d{3})+$/.test(digits);
+    digits = isThousands ? digits.replace(/,/g, '') : digits.replace(/,(?=\d*$)/, '.').replace(/,/g, '');
+  } else if (lastDot !== -1) {
+    const isThousands = /^\d{1,3}(\.\d{3})+$/.test(digits) && (decimalComma || digits.split('.').length > 2);
+    if (isThousands) {
+      digits = digits.replace(/\./g, '');
+    }
+  }
+
+  const value = parseFloat(digits) * multiplier;
+  return Number.isFinite(value) && value >= 0 ? Math.round(value * 100) / 100 : null;
+}
@@ -16,12 +16,31 @@ export function parseNumber(text) {
   return match ? parseInt(match[1], 10) : 0;
 }
 
+// "12.5K" -> 12500, "1,234" -> 1234, "2M" -> 2000000
+export function parseCompactNumber(text) {
+  if (!text) return 0;
+  const match = text.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KkMm])?/);
+  if (!match) return 0;
+
+  const multiplier = { k: 1000, m: 1000000 }[(match[2] || '').toLowerCase()] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
 export function parseRating(text) {
   if (!text) return 0;
   const match = text.match(/(\d+\.?\d*)/);
   return match ? parseFloat(match[1]) : 0;
 }
 
+// Closest markdown image on or above `index`, for product cards laid out as "[![alt](src)](link)" above the title
+export function findImageUrlNear(lines, index, lookback = 4) {
+  for (let i = index; i >= 0 && index - i <= lookback; i -= 1) {
+    const match = (lines[i] || '').match(/!\[[^\]]*\]\((https?:\/\/[^)\s]+)\)/);
+    if (match) return match[1];
+  }
+  return null;
+}
+
 export function parsePercentage(text) {
   if (!text) return 0;
   const match = text.match(/(\d+)%/);
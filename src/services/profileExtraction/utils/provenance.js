@@ -0,0 +1,105 @@
+/**
+ * Per-field extraction provenance.
+ * Extractors record, for every field they fill, whether a value was found, which
+ * pattern/strategy produced it and how much that strategy can be trusted, so a
+ * zero can be told apart from a pattern that did not match.
+ *
+ * Entry shape: { found, strategy, confidence, reason }
+ *   confidence: 'high' | 'medium' | 'low' (null when not found)
+ *   reason:     'no_match' | 'platform_unavailable' (only when not found)
+ */
+export const CONFIDENCE_WEIGHTS = {
+  high: 1,
+  medium: 0.75,
+  low: 0.5
+};
+
+// Fields every extractor reports on; scoring reads these
+export const TRACKED_FIELDS = [
+  'profileData.name',
+  'profileData.profilePicture',
+  'profileData.location',
+  'profileData.bio',
+  'marketplaceData.accountAge',
+  'marketplaceData.totalListings',
+  'marketplaceData.avgRating',
+  'marketplaceData.totalReviews',
+  'marketplaceData.responseRate',
+  'marketplaceData.verificationStatus',
+  'marketplaceData.lastSeen',
+  'marketplaceData.followers',
+  'recentListings'
+];
+
+export function createProvenance() {
+  const fields = {};
+
+  return {
+    /**
+     * Record the outcome of matchFirst() (or null when nothing matched)
+     */
+    record(field, result) {
+      if (result) {
+        this.found(field, result.strategy, result.confidence);
+      } else {
+        this.missing(field);
+      }
+    },
+
+    found(field, strategy, confidence = 'high') {
+      fields[field] = { found: true, strategy, confidence, reason: null };
+    },
+
+    missing(field, reason = 'no_match') {
+      fields[field] = { found: false, strategy: null, confidence: null, reason };
+    },
+
+    unavailable(field) {
+      this.missing(field, 'platform_unavailable');
+    },
+
+    toJSON() {
+      TRACKED_FIELDS.forEach(field => {
+        if (!fields[field]) {
+          fields[field] = { found: false, strategy: null, confidence: null, reason: 'not_extracted' };
+        }
+      });
+      return { ...fields };
+    }
+  };
+}
+
+/**
+ * Try strategies in order and return the first match.
+ * @param {String} text - Text to search
+ * @param {Array} strategies - [{ strategy, pattern, confidence }]
+ * @returns {Object|null} { match, strategy, confidence }
+ */
+export function matchFirst(text, strategies) {
+  for (const { strategy, pattern, confidence = 'high' } of strategies) {
+    const match = (text || '').match(pattern);
+    if (match) {
+      return { match, strategy, confidence };
+    }
+  }
+
+  return null;
+}
+
+// Sellers scored before provenance was recorded carry none
+export function hasProvenance(sellerData) {
+  const provenance = sellerData?.extractionProvenance;
+  return !!provenance && Object.keys(provenance).length > 0;
+}
+
+/**
+ * Look up a field's provenance on extracted/stored seller data.
+ * Returns null when the data carries no provenance (older records).
+ */
+export function getFieldProvenance(sellerData, field) {
+  if (!hasProvenance(sellerData)) {
+    return null;
+  }
+
+  return sellerData.extractionProvenance[field] || null;
+}
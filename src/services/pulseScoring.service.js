@@ -1,17 +1,58 @@
+import {
+  CONFIDENCE_WEIGHTS,
+  TRACKED_FIELDS,
+  getFieldProvenance,
+  hasProvenance
+} from './profileExtraction/utils/provenance.js';
+import { daysSince } from './profileExtraction/utils/dates.js';
+import { BUILT_IN_SCORING_PROFILE, getScoringProfile } from './scoringProfile.service.js';
+
+// Bump whenever a category function, the confidence model or calculateFinalScore changes, so
+// scores from older logic can be found (Seller.scoringVersion) and backfilled
+export const SCORING_ALGORITHM_VERSION = 5;
+
+// Off-platform contact by phone ("call 0801..."), checked in addition to the profile's keywords
+const PHONE_CONTACT_PATTERN = /call.*\d{10}|text.*\d{10}/;
+
+// Evidence quotes at most this much of a listing
+const MAX_MATCHED_TEXT = 200;
+
+/**
+ * Seller.scoringVersion for a scoring result
+ */
+export function getScoringVersion(scoringResult) {
+  const profile = scoringResult.scoringProfile || {};
+
+  return {
+    algorithm: scoringResult.algorithmVersion ?? null,
+    profileId: profile.id || null,
+    profileName: profile.name || null,
+    profileVersion: profile.version ?? null
+  };
+}
+
+/**
+ * Evidence entry: a raw signal and the points it moved its category score by.
+ * Optional details: value (the input read), matchedText, listing (see listingReference)
+ */
+function evidenceEntry(signal, delta, details = {}) {
+  return { signal, delta: Math.round(delta * 100) / 100, ...details };
+}
+
+function listingReference(listing, idx) {
+  return { index: idx + 1, title: listing.title || null, url: listing.url || listing.postUrl || null };
+}
+
 /**
  * Pulse Scoring Engine - Version 2.0
- * Implements 7-category weighted scoring system with confidence metrics
+ * Implements 7-category weighted scoring system with confidence metrics,
+ * plus platform-specific categories (socialPresence for Instagram)
  */
 class PulseScoringService {
   constructor() {
-    this.categoryWeights = {
-      verificationIdentity: 0.25,      // 25%
-      accountMaturity: 0.15,           // 15%
-      listingCompleteness: 0.15,       // 15%
-      activityRecency: 0.10,           // 10%
-      engagement: 0.10,                // 10%
-      communityFeedback: 0.10,         // 10%
-      behavioralRedFlags: 0.15         // 15%
+    // Extra categories scored only for platforms that expose the signals they need
+    this.platformCategories = {
+      instagram: ['socialPresence']
     };
   }
 
@@ -20,10 +61,14 @@ class PulseScoringService {
    * @param {Object} sellerData - Extracted seller data
    * @param {Array} recentListings - Recent listings data (last 5)
    * @param {Object} veribleFeedback - Feedback from Verible users {endorsements: [], flags: []}
-   * @returns {Object} Score breakdown and final score or "Not Enough Data"
+   * @returns {Object} Score breakdown and final score or "Not Enough Data"; scoringProfile names
+   *   the profile (weights, thresholds, keywords) matching the seller's platform
    */
   async calculatePulseScore(sellerData, recentListings = [], veribleFeedback = null) {
     try {
+      const profile = await getScoringProfile(sellerData.platform);
+      const scoringProfile = { id: profile.id, name: profile.name, platform: profile.platform, version: profile.version };
+
       // Calculate each category score
       const categories = {
         verificationIdentity: this.calculateVerificationIdentityScore(sellerData),
@@ -32,17 +77,25 @@ class PulseScoringService {
         activityRecency: this.calculateActivityRecencyScore(sellerData, recentListings),
         engagement: this.calculateEngagementScore(sellerData),
         communityFeedback: this.calculateCommunityFeedbackScore(sellerData, veribleFeedback),
-        behavioralRedFlags: this.calculateBehavioralRedFlagsScore(recentListings, sellerData)
+        behavioralRedFlags: this.calculateBehavioralRedFlagsScore(recentListings, sellerData, profile)
       };
 
+      const platformCategories = this.platformCategories[sellerData.platform] || [];
+      if (platformCategories.includes('socialPresence')) {
+        categories.socialPresence = this.calculateSocialPresenceScore(sellerData, recentListings);
+      }
+
       // Calculate confidence score
       const confidenceMetrics = this.calculateConfidence(sellerData, recentListings, categories);
       
       // Check if we have enough data
-      if (confidenceMetrics.confidence < 0.35 || confidenceMetrics.coverage < 0.40) {
+      const { minConfidence, minCoverage } = profile.thresholds;
+      if (confidenceMetrics.confidence < minConfidence || confidenceMetrics.coverage < minCoverage) {
         return {
           status: 'insufficient_data',
           message: 'Not Enough Data',
+          algorithmVersion: SCORING_ALGORITHM_VERSION,
+          scoringProfile,
           confidence: confidenceMetrics.confidence,
           coverage: confidenceMetrics.coverage,
           availableCategories: confidenceMetrics.availableCategories,
@@ -58,12 +111,12 @@ class PulseScoringService {
       }
 
       // Reweight categories if some are N/A
-      const { finalScore, normalizedWeights } = this.calculateFinalScore(categories);
+      const { finalScore, normalizedWeights } = this.calculateFinalScore(categories, profile.weights);
 
       // Generate recommendations and insights
-      const recommendations = this.generateRecommendations(finalScore, categories);
-      const trustLevel = this.determineTrustLevel(finalScore);
-      const riskFactors = this.identifyRiskFactors(categories);
+      const recommendations = this.generateRecommendations(finalScore, categories, profile.thresholds);
+      const trustLevel = this.determineTrustLevel(finalScore, profile.thresholds);
+      const riskFactors = this.identifyRiskFactors(categories, profile.thresholds);
 
       return {
         status: 'success',
@@ -73,6 +126,8 @@ class PulseScoringService {
         trustLevel,
         categories,
         categoryWeights: normalizedWeights,
+        algorithmVersion: SCORING_ALGORITHM_VERSION,
+        scoringProfile,
         confidenceMetrics,
         recommendations,
         riskFactors,
@@ -97,6 +152,7 @@ class PulseScoringService {
 
     let score = 0;
     let breakdown = {};
+    const evidence = [];
 
     // Base verification score
     if (verification.includes('id') || verification === 'id-verified' || verification === 'identity verified') {
@@ -112,30 +168,40 @@ class PulseScoringService {
       score = 0;
       breakdown.verificationType = 'Not Verified';
     }
+    evidence.push(evidenceEntry('verificationIdentity.verification', score, { value: verification }));
 
     // Bonuses (capped at 100)
     if (hasPhoto) {
-      score = Math.min(100, score + 10);
+      const bonus = Math.min(10, 100 - score);
+      score += bonus;
       breakdown.profilePhoto = true;
+      evidence.push(evidenceEntry('verificationIdentity.profilePhoto', bonus, { value: true }));
     } else if (dataAvailability.profilePicture === 'platform_unavailable') {
       breakdown.profilePhoto = 'platform_unavailable';
+      evidence.push(evidenceEntry('verificationIdentity.profilePhoto', 0, { value: 'platform_unavailable' }));
     } else {
       breakdown.profilePhoto = false;
+      evidence.push(evidenceEntry('verificationIdentity.profilePhoto', 0, { value: false }));
     }
 
     if (hasLocation) {
-      score = Math.min(100, score + 10);
+      const bonus = Math.min(10, 100 - score);
+      score += bonus;
       breakdown.location = true;
+      evidence.push(evidenceEntry('verificationIdentity.location', bonus, { value: sellerData.profileData.location }));
     } else if (dataAvailability.location === 'platform_unavailable') {
       breakdown.location = 'platform_unavailable';
+      evidence.push(evidenceEntry('verificationIdentity.location', 0, { value: 'platform_unavailable' }));
     } else {
       breakdown.location = false;
+      evidence.push(evidenceEntry('verificationIdentity.location', 0, { value: false }));
     }
 
     return {
       score: Math.min(100, score),
       available: true,
-      breakdown
+      breakdown,
+      evidence
     };
   }
 
@@ -146,7 +212,7 @@ class PulseScoringService {
   calculateAccountMaturityScore(sellerData) {
     const accountAgeMonths = sellerData.marketplaceData?.accountAge || 0;
 
-    if (accountAgeMonths === 0) {
+    if (!this.isFieldExtracted(sellerData, 'marketplaceData.accountAge', accountAgeMonths > 0)) {
       return { score: null, available: false, breakdown: { months: 0, message: 'Account age not available' } };
     }
 
@@ -167,7 +233,8 @@ class PulseScoringService {
       breakdown: {
         months: accountAgeMonths,
         years: (accountAgeMonths / 12).toFixed(1)
-      }
+      },
+      evidence: [evidenceEntry('accountMaturity.accountAge', score, { value: accountAgeMonths })]
     };
   }
 
@@ -189,8 +256,11 @@ class PulseScoringService {
     const listingsToEvaluate = recentListings.slice(0, 5);
     let totalScore = 0;
     const evaluations = [];
+    const evidence = [];
+    // Listing points are averaged and scaled from 50 to 100
+    const toCategoryPoints = points => (points / listingsToEvaluate.length) * 2;
 
-    listingsToEvaluate.forEach(listing => {
+    listingsToEvaluate.forEach((listing, idx) => {
       let listingScore = 0;
       const checks = {
         hasTitle: false,
@@ -199,32 +269,40 @@ class PulseScoringService {
         hasGoodDescription: false
       };
 
+      const listingRef = listingReference(listing, idx);
+      const award = (signal, points, value) => {
+        listingScore += points;
+        evidence.push(evidenceEntry(`listingCompleteness.${signal}`, toCategoryPoints(points), { value, listing: listingRef }));
+      };
+
       // Title present (5 points)
       if (listing.title && listing.title.length > 0) {
-        listingScore += 5;
         checks.hasTitle = true;
       }
+      award('title', checks.hasTitle ? 5 : 0, checks.hasTitle);
 
       // Price present (10 points)
-      if (listing.price && listing.price.length > 0 && listing.hasPrice !== false) {
-        listingScore += 10;
+      if (typeof listing.price === 'number' && listing.hasPrice !== false) {
         checks.hasPrice = true;
       }
+      award('price', checks.hasPrice ? 10 : 0, checks.hasPrice ? listing.price : null);
 
       // ≥3 photos (15 points) - Note: Currently we only detect 1 photo per listing
       // This will need enhancement when we can count all listing images
       if (listing.imageCount >= 3) {
-        listingScore += 15;
         checks.hasEnoughPhotos = true;
+        award('photos', 15, listing.imageCount);
       } else if (listing.imageCount >= 1) {
-        listingScore += 5; // Partial credit for at least 1 photo
+        award('photos', 5, listing.imageCount); // Partial credit for at least 1 photo
+      } else {
+        award('photos', 0, listing.imageCount || 0);
       }
 
       // Description ≥100 chars (20 points)
       if (listing.description && listing.descriptionLength >= 100) {
-        listingScore += 20;
         checks.hasGoodDescription = true;
       }
+      award('description', checks.hasGoodDescription ? 20 : 0, listing.descriptionLength || 0);
 
       evaluations.push({
         title: listing.title,
@@ -246,7 +324,8 @@ class PulseScoringService {
         listingsEvaluated: listingsToEvaluate.length,
         averageListingScore: Math.round(avgScore),
         evaluations
-      }
+      },
+      evidence
     };
   }
 
@@ -255,36 +334,41 @@ class PulseScoringService {
    * Measures: How recently the seller has been active
    */
   calculateActivityRecencyScore(sellerData, recentListings) {
-    // Check lastSeen (Jiji) or last listing date
-    const lastSeenDays = sellerData.marketplaceData?.lastSeen;
-    
-    // If we have lastSeen data
-    if (lastSeenDays !== null && lastSeenDays !== undefined) {
-      const days = parseInt(lastSeenDays);
-      
+    const { days, source, lastSeenAt, newestListingAt } = this.getActivityDays(sellerData, recentListings);
+
+    if (days !== null) {
+      const breakdown = source === 'lastSeen'
+        ? { lastSeenDays: days, lastSeenAt }
+        : { newestListingDays: days, newestListingAt };
+      const evidence = score => [evidenceEntry(`activityRecency.${source}`, score, { value: days })];
+
       if (days <= 7) {
         return { 
           score: 100, 
           available: true, 
-          breakdown: { lastSeenDays: days, category: 'Very Active' } 
+          breakdown: { ...breakdown, category: 'Very Active' },
+          evidence: evidence(100)
         };
       } else if (days <= 30) {
         return { 
           score: 70, 
           available: true, 
-          breakdown: { lastSeenDays: days, category: 'Active' } 
+          breakdown: { ...breakdown, category: 'Active' },
+          evidence: evidence(70)
         };
       } else if (days <= 60) {
         return { 
           score: 40, 
           available: true, 
-          breakdown: { lastSeenDays: days, category: 'Moderately Active' } 
+          breakdown: { ...breakdown, category: 'Moderately Active' },
+          evidence: evidence(40)
         };
       } else {
         return { 
           score: 10, 
           available: true, 
-          breakdown: { lastSeenDays: days, category: 'Inactive' } 
+          breakdown: { ...breakdown, category: 'Inactive' },
+          evidence: evidence(10)
         };
       }
     }
@@ -294,7 +378,8 @@ class PulseScoringService {
       return { 
         score: 50, 
         available: true, 
-        breakdown: { message: 'Has active listings', listings: recentListings.length } 
+        breakdown: { message: 'Has active listings', listings: recentListings.length },
+        evidence: [evidenceEntry('activityRecency.hasListings', 50, { value: recentListings.length })]
       };
     }
 
@@ -310,14 +395,41 @@ class PulseScoringService {
     };
   }
 
+  /**
+   * Days since the seller's last activity: the parsed lastSeenAt (counted to now, so stored
+   * profiles age correctly), else the stored lastSeen day count, else the newest dated listing
+   * @returns {Object} { days, source: 'lastSeen'|'newestListing'|null, lastSeenAt, newestListingAt }
+   */
+  getActivityDays(sellerData, recentListings = []) {
+    const marketplaceData = sellerData.marketplaceData || {};
+    const lastSeenAt = marketplaceData.lastSeenAt || null;
+    const lastSeenDays = parseInt(lastSeenAt ? daysSince(lastSeenAt) : marketplaceData.lastSeen);
+
+    if (!Number.isNaN(lastSeenDays)) {
+      return { days: lastSeenDays, source: 'lastSeen', lastSeenAt, newestListingAt: null };
+    }
+
+    const newestListingAt = (recentListings || [])
+      .map(listing => (listing.postedAt ? new Date(listing.postedAt) : null))
+      .filter(date => date && !Number.isNaN(date.getTime()))
+      .sort((a, b) => b - a)[0] || null;
+
+    return {
+      days: newestListingAt ? daysSince(newestListingAt) : null,
+      source: newestListingAt ? 'newestListing' : null,
+      lastSeenAt,
+      newestListingAt
+    };
+  }
+
   /**
    * Category 5: Engagement (Response Behavior) (10%)
    * Measures: How responsive the seller is
    */
   calculateEngagementScore(sellerData) {
-    const responseRate = sellerData.marketplaceData?.responseRate;
+    const responseRate = sellerData.marketplaceData?.responseRate || 0;
 
-    if (!responseRate || responseRate === 0) {
+    if (!this.isFieldExtracted(sellerData, 'marketplaceData.responseRate', responseRate > 0)) {
       return { 
         score: null, 
         available: false, 
@@ -341,7 +453,8 @@ class PulseScoringService {
       available: true,
       breakdown: {
         responseRate: `${responseRate}%`
-      }
+      },
+      evidence: [evidenceEntry('engagement.responseRate', score, { value: responseRate })]
     };
   }
 
@@ -369,6 +482,15 @@ class PulseScoringService {
     } else {
       score = 0;
     }
+    const evidence = [
+      evidenceEntry('communityFeedback.marketplaceReviews', score, { value: { totalReviews, avgRating } })
+    ];
+
+    // Harvested review texts: reported for context, the score stays based on the headline figures
+    const reviewSample = this.getReviewSample(sellerData);
+    if (reviewSample) {
+      breakdown.reviewSample = reviewSample;
+    }
 
     // Verible user feedback bonus
     if (veribleFeedback) {
@@ -381,15 +503,18 @@ class PulseScoringService {
       breakdown.netFeedback = netFeedback;
 
       // Add bonus for positive Verible feedback (cap at 100)
+      const before = score;
       if (netFeedback > 0) {
         score = Math.min(100, score + (netFeedback * 5));
       } else if (netFeedback < 0) {
         score = Math.max(0, score + (netFeedback * 10)); // Flags hurt more
       }
+      evidence.push(evidenceEntry('communityFeedback.veribleFeedback', score - before, { value: { endorsements, flags } }));
     }
 
-    // If no data at all, mark as N/A
-    if (totalReviews === 0 && !veribleFeedback) {
+    // If no data at all, mark as N/A ("0 reviews" on the page still counts as data)
+    const reviewsExtracted = this.isFieldExtracted(sellerData, 'marketplaceData.totalReviews', totalReviews > 0);
+    if (!reviewsExtracted && !veribleFeedback) {
       return {
         score: null,
         available: false,
@@ -400,18 +525,46 @@ class PulseScoringService {
     return {
       score: Math.min(100, Math.max(0, score)),
       available: true,
-      breakdown
+      breakdown,
+      evidence
+    };
+  }
+
+  /**
+   * Ratings of the harvested customer reviews and how they cover the platform's total
+   * @returns {Object|null} { sampled, reportedTotal, coverage, rated, negativeShare }
+   */
+  getReviewSample(sellerData) {
+    const marketplaceData = sellerData.marketplaceData || {};
+    const reviews = marketplaceData.customerReviews || [];
+    if (reviews.length === 0) {
+      return null;
+    }
+
+    const ratings = reviews.map(review => review.rating).filter(rating => typeof rating === 'number');
+    const negative = ratings.filter(rating => rating <= 2).length;
+    const reportedTotal = marketplaceData.reviewSampling?.reportedTotal ?? (marketplaceData.totalReviews || null);
+
+    return {
+      sampled: reviews.length,
+      reportedTotal,
+      coverage: reportedTotal ? Math.min(1, Math.round((reviews.length / reportedTotal) * 100) / 100) : null,
+      rated: ratings.length,
+      negativeShare: ratings.length > 0 ? Math.round((negative / ratings.length) * 100) / 100 : 0
     };
   }
 
   /**
    * Category 7: Behavioral Red Flags (15%)
    * Text analysis for suspicious patterns - START AT 100 and SUBTRACT penalties
+   * Keywords and penalties come from the seller's scoring profile
    */
-  calculateBehavioralRedFlagsScore(recentListings, sellerData = {}) {
+  calculateBehavioralRedFlagsScore(recentListings, sellerData = {}, profile = BUILT_IN_SCORING_PROFILE) {
     const dataAvailability = sellerData.dataAvailability || {};
+    const imageMatches = sellerData.imageAnalysis?.matches || [];
+    const underpriced = (sellerData.priceAnalysis?.anomalies || []).filter(anomaly => anomaly.anomalyType === 'too-low');
 
-    if (!recentListings || recentListings.length === 0) {
+    if ((!recentListings || recentListings.length === 0) && imageMatches.length === 0) {
       const message = dataAvailability.recentListings === 'platform_unavailable'
         ? 'Platform does not expose listings for behavioral analysis'
         : 'No listings to analyze';
@@ -425,65 +578,112 @@ class PulseScoringService {
 
     let score = 100; // Start at 100
     const redFlags = [];
-    const penalties = {
-      urgent: 15,
-      needMoneyAsap: 15,
-      cashOnly: 20,
-      firstComeFirstServe: 10,
-      offPlatformContact: 20,
-      allCapsTitle: 5,
-      excessEmojis: 5
+    const evidence = [evidenceEntry('behavioralRedFlags.baseline', 100)];
+    const { penalties } = profile;
+    const findKeyword = (text, group) => (profile.keywords[group] || []).find(keyword => keyword && text.includes(keyword));
+    const penalize = (flag, signal, penalty, details = {}) => {
+      const { matchedText, listing, ...flagDetails } = details;
+      score -= penalty;
+      redFlags.push({ ...(listing ? { listing: listing.index } : {}), flag, ...flagDetails, penalty });
+      evidence.push(evidenceEntry(`behavioralRedFlags.${signal}`, -penalty, {
+        matchedText: matchedText.slice(0, MAX_MATCHED_TEXT),
+        listing,
+        ...flagDetails
+      }));
     };
 
-    recentListings.forEach((listing, idx) => {
+    (recentListings || []).forEach((listing, idx) => {
       const titleLower = (listing.title || '').toLowerCase();
       const descLower = (listing.description || '').toLowerCase();
       const fullText = `${titleLower} ${descLower}`;
+      const listingRef = listingReference(listing, idx);
 
       // Check for urgency keywords
-      if (/urgent|asap|immediate|hurry/.test(fullText)) {
-        score -= penalties.urgent;
-        redFlags.push({ listing: idx + 1, flag: 'Urgent language', penalty: penalties.urgent });
+      const urgent = findKeyword(fullText, 'urgent');
+      if (urgent) {
+        penalize('Urgent language', 'urgent', penalties.urgent, { matchedText: urgent, listing: listingRef });
       }
 
       // Need money ASAP
-      if (/need money|bills|must sell|quick sale|fast sale/.test(fullText)) {
-        score -= penalties.needMoneyAsap;
-        redFlags.push({ listing: idx + 1, flag: 'Financial pressure language', penalty: penalties.needMoneyAsap });
+      const needMoney = findKeyword(fullText, 'needMoney');
+      if (needMoney) {
+        penalize('Financial pressure language', 'needMoney', penalties.needMoney, { matchedText: needMoney, listing: listingRef });
       }
 
       // Cash only
-      if (/cash only|payment first|no questions/.test(fullText)) {
-        score -= penalties.cashOnly;
-        redFlags.push({ listing: idx + 1, flag: 'Cash only / suspicious payment', penalty: penalties.cashOnly });
+      const cashOnly = findKeyword(fullText, 'cashOnly');
+      if (cashOnly) {
+        penalize('Cash only / suspicious payment', 'cashOnly', penalties.cashOnly, { matchedText: cashOnly, listing: listingRef });
       }
 
       // First come first serve
-      if (/first come|first serve/.test(fullText)) {
-        score -= penalties.firstComeFirstServe;
-        redFlags.push({ listing: idx + 1, flag: 'First come first serve', penalty: penalties.firstComeFirstServe });
+      const firstCome = findKeyword(fullText, 'firstCome');
+      if (firstCome) {
+        penalize('First come first serve', 'firstCome', penalties.firstCome, { matchedText: firstCome, listing: listingRef });
       }
 
       // Off-platform contact (WhatsApp, Telegram, etc.)
-      if (/whatsapp|telegram|contact me at|call.*\d{10}|text.*\d{10}/.test(fullText)) {
-        score -= penalties.offPlatformContact;
-        redFlags.push({ listing: idx + 1, flag: 'Off-platform contact attempt', penalty: penalties.offPlatformContact });
+      const offPlatformContact = findKeyword(fullText, 'offPlatformContact') || fullText.match(PHONE_CONTACT_PATTERN)?.[0];
+      if (offPlatformContact) {
+        penalize('Off-platform contact attempt', 'offPlatformContact', penalties.offPlatformContact, {
+          matchedText: offPlatformContact,
+          listing: listingRef
+        });
       }
 
       // ALL-CAPS title
       if (listing.title && listing.title === listing.title.toUpperCase() && listing.title.length > 5) {
-        score -= penalties.allCapsTitle;
-        redFlags.push({ listing: idx + 1, flag: 'ALL-CAPS title', penalty: penalties.allCapsTitle });
+        penalize('ALL-CAPS title', 'allCapsTitle', penalties.allCapsTitle, { matchedText: listing.title, listing: listingRef });
       }
 
       // Excess emojis (more than 3 in title or description)
-      const emojiCount = (fullText.match(/[\u{1F600}-\u{1F64F}\u{1F300}-\u{1F5FF}\u{1F680}-\u{1F6FF}\u{1F700}-\u{1F77F}\u{1F780}-\u{1F7FF}\u{1F800}-\u{1F8FF}\u{1F900}-\u{1F9FF}\u{1FA00}-\u{1FA6F}\u{1FA70}-\u{1FAFF}\u{2600}-\u{26FF}\u{2700}-\u{27BF}]/gu) || []).length;
-      if (emojiCount > 3) {
-        score -= penalties.excessEmojis;
-        redFlags.push({ listing: idx + 1, flag: 'Excessive emojis', count: emojiCount, penalty: penalties.excessEmojis });
+      const emojis = fullText.match(/[\u{1F600}-\u{1F64F}\u{1F300}-\u{1F5FF}\u{1F680}-\u{1F6FF}\u{1F700}-\u{1F77F}\u{1F780}-\u{1F7FF}\u{1F800}-\u{1F8FF}\u{1F900}-\u{1F9FF}\u{1FA00}-\u{1FA6F}\u{1FA70}-\u{1FAFF}\u{2600}-\u{26FF}\u{2700}-\u{27BF}]/gu) || [];
+      if (emojis.length > 3) {
+        penalize('Excessive emojis', 'excessEmojis', penalties.excessEmojis, {
+          matchedText: emojis.join(''),
+          listing: listingRef,
+          count: emojis.length
+        });
       }
     });
 
+    // Photos that closely match another seller's images (perceptual hashes, see imageHash.service.js)
+    if (imageMatches.length > 0) {
+      const reusedImages = [...new Set(imageMatches.map(match => match.imageUrl))];
+      penalize(
+        'Images reused from another seller',
+        'reusedImages',
+        Math.min(penalties.reusedImagesMax, reusedImages.length * penalties.reusedImage),
+        {
+          matchedText: reusedImages.join(' '),
+          count: reusedImages.length,
+          matchedSellers: new Set(imageMatches.map(match => String(match.matchedSellerId))).size
+        }
+      );
+    }
+
+    // Prices far below the category's market median (see priceAnalysis.service.js), capped in total
+    let underpricedPenalty = 0;
+    underpriced.forEach(anomaly => {
+      const penalty = Math.min(penalties.underpricedListing, penalties.underpricedListingsMax - underpricedPenalty);
+      if (penalty <= 0) {
+        return;
+      }
+
+      underpricedPenalty += penalty;
+      penalize('Price far below market', 'underpricedListing', penalty, {
+        matchedText: `${anomaly.price} ${anomaly.currency} vs market ${anomaly.marketPrice} ${anomaly.currency}`,
+        listing: { index: anomaly.listingIndex, title: anomaly.title, url: anomaly.listingUrl },
+        priceDeviation: anomaly.priceDeviation,
+        sampleSize: anomaly.sampleSize
+      });
+    });
+
+    // The score stops at 0; the floor entry gives back penalty points past it
+    if (score < 0) {
+      evidence.push(evidenceEntry('behavioralRedFlags.floor', -score));
+    }
+
     return {
       score: Math.max(0, score),
       available: true,
@@ -491,14 +691,162 @@ class PulseScoringService {
         startScore: 100,
         redFlagsFound: redFlags.length,
         redFlags,
+        imageMatches: imageMatches.length,
+        priceAnomalies: underpriced.length,
         finalScore: Math.max(0, score)
-      }
+      },
+      evidence
+    };
+  }
+
+  /**
+   * Category 8: Social Presence (15%, social-commerce platforms only)
+   * Measures: audience size, follower/following balance, posting history, business profile signals
+   */
+  calculateSocialPresenceScore(sellerData, recentListings = []) {
+    const marketplaceData = sellerData.marketplaceData || {};
+    const followers = marketplaceData.followers || 0;
+    const following = marketplaceData.following || 0;
+    const postCount = marketplaceData.postCount || 0;
+
+    if (followers === 0 && postCount === 0) {
+      return {
+        score: null,
+        available: false,
+        breakdown: { message: 'Follower and post counts not available' }
+      };
+    }
+
+    let score = 0;
+    const breakdown = { followers, following, postCount };
+    const evidence = [];
+    const award = (signal, points, value) => {
+      score += points;
+      evidence.push(evidenceEntry(`socialPresence.${signal}`, points, { value }));
+    };
+
+    // Audience size (up to 35 points)
+    if (followers >= 10000) {
+      award('followers', 35, followers);
+    } else if (followers >= 1000) {
+      award('followers', 25, followers);
+    } else if (followers >= 200) {
+      award('followers', 15, followers);
+    } else {
+      award('followers', 5, followers);
+    }
+
+    // Posting history (up to 25 points)
+    if (postCount >= 50) {
+      award('postCount', 25, postCount);
+    } else if (postCount >= 10) {
+      award('postCount', 15, postCount);
+    } else if (postCount >= 1) {
+      award('postCount', 5, postCount);
+    } else {
+      award('postCount', 0, postCount);
+    }
+
+    // Business profile signals (up to 30 points)
+    if (marketplaceData.isBusinessAccount) {
+      breakdown.businessAccount = marketplaceData.businessCategory || true;
+      award('businessAccount', 10, breakdown.businessAccount);
+    }
+    if (marketplaceData.contactButtons?.length > 0) {
+      breakdown.contactButtons = marketplaceData.contactButtons;
+      award('contactButtons', 10, marketplaceData.contactButtons);
+    }
+    if (marketplaceData.linkInBio) {
+      breakdown.linkInBio = marketplaceData.linkInBio;
+      award('linkInBio', 10, marketplaceData.linkInBio);
+    }
+
+    // Balanced follow graph (10 points)
+    const followRatio = following > 0 ? followers / following : null;
+    breakdown.followRatio = followRatio !== null ? Math.round(followRatio * 100) / 100 : null;
+    award('followRatio', followRatio === null || followRatio >= 1 ? 10 : 0, breakdown.followRatio);
+
+    // Penalties for patterns common in throwaway and bought-follower accounts
+    const penalties = [];
+    if (following >= 1000 && followRatio !== null && followRatio < 0.2) {
+      penalties.push({ signal: 'followForFollow', flag: 'Follows far more accounts than follow it (follow-for-follow)', penalty: 20 });
+    }
+    if (followers >= 5000 && postCount < 10) {
+      penalties.push({ signal: 'boughtFollowers', flag: 'Large audience with almost no posts (possible bought followers)', penalty: 25 });
+    }
+    if (postCount > 0 && recentListings.length === 0) {
+      penalties.push({ signal: 'hiddenPosts', flag: 'Posts are not publicly visible', penalty: 10 });
+    }
+
+    penalties.forEach(({ signal, flag, penalty }) => {
+      score -= penalty;
+      evidence.push(evidenceEntry(`socialPresence.${signal}`, -penalty, { matchedText: flag }));
+    });
+    breakdown.penalties = penalties.map(({ flag, penalty }) => ({ flag, penalty }));
+
+    if (score < 0) {
+      evidence.push(evidenceEntry('socialPresence.floor', -score));
+    }
+
+    return {
+      score: Math.min(100, Math.max(0, score)),
+      available: true,
+      breakdown,
+      evidence
+    };
+  }
+
+  /**
+   * Whether a field was actually extracted. Uses extraction provenance when the
+   * data carries it, so a real zero counts as data; older records without
+   * provenance fall back to the legacy value check.
+   */
+  isFieldExtracted(sellerData, field, legacyAvailable) {
+    if (!hasProvenance(sellerData)) {
+      return !!legacyAvailable;
+    }
+
+    return getFieldProvenance(sellerData, field)?.found === true;
+  }
+
+  /**
+   * Extraction quality (0.00 - 1.00): confidence-weighted share of tracked fields
+   * that were found. Fields the platform does not expose are left out.
+   * Returns null when the data carries no provenance.
+   */
+  calculateExtractionQuality(sellerData) {
+    if (!hasProvenance(sellerData)) {
+      return null;
+    }
+
+    const provenance = sellerData.extractionProvenance;
+    const expectedFields = TRACKED_FIELDS.filter(
+      field => provenance[field]?.reason !== 'platform_unavailable'
+    );
+    if (expectedFields.length === 0) {
+      return null;
+    }
+
+    const foundFields = expectedFields.filter(field => provenance[field]?.found);
+    const weightedTotal = foundFields.reduce(
+      (sum, field) => sum + (CONFIDENCE_WEIGHTS[provenance[field].confidence] || CONFIDENCE_WEIGHTS.low),
+      0
+    );
+
+    return {
+      quality: weightedTotal / expectedFields.length,
+      fieldCoverage: foundFields.length / expectedFields.length,
+      foundFields: foundFields.length,
+      expectedFields: expectedFields.length,
+      lowConfidenceFields: foundFields.filter(field => provenance[field].confidence === 'low')
     };
   }
 
   /**
    * Calculate confidence score (0.00 - 1.00)
    * Components: Coverage (50%), Recency (30%), Consistency (20%)
+   * With extraction provenance: Coverage (40%), Recency (25%), Consistency (15%),
+   * Extraction quality (20%)
    */
   calculateConfidence(sellerData, recentListings, categories) {
     // 1. Coverage: How many categories have valid data
@@ -507,10 +855,9 @@ class PulseScoringService {
     const coverage = availableCategories / totalCategories;
 
     // 2. Recency: Based on activity
-    const lastSeenDays = sellerData.marketplaceData?.lastSeen;
+    const { days } = this.getActivityDays(sellerData, recentListings);
     let recency = 0.3; // Default low
-    if (lastSeenDays !== null && lastSeenDays !== undefined) {
-      const days = parseInt(lastSeenDays);
+    if (days !== null) {
       if (days <= 30) {
         recency = 1.0;
       } else if (days <= 60) {
@@ -532,24 +879,93 @@ class PulseScoringService {
       consistency = 0.7; // Business but no basic identity verification
     }
 
+    // 4. Extraction quality: how many fields were really found, and how reliably
+    const extraction = this.calculateExtractionQuality(sellerData);
+
     // Calculate final confidence
-    const confidence = (0.5 * coverage) + (0.3 * recency) + (0.2 * consistency);
+    const confidence = extraction
+      ? (0.4 * coverage) + (0.25 * recency) + (0.15 * consistency) + (0.2 * extraction.quality)
+      : (0.5 * coverage) + (0.3 * recency) + (0.2 * consistency);
 
     return {
       confidence: Math.round(confidence * 100) / 100,
       coverage: Math.round(coverage * 100) / 100,
       recency: Math.round(recency * 100) / 100,
       consistency: Math.round(consistency * 100) / 100,
+      extractionQuality: extraction ? Math.round(extraction.quality * 100) / 100 : null,
+      fieldCoverage: extraction ? Math.round(extraction.fieldCoverage * 100) / 100 : null,
+      lowConfidenceFields: extraction ? extraction.lowConfidenceFields : [],
       availableCategories,
       totalCategories,
       missingCategories: Object.keys(categories).filter(key => !categories[key].available)
     };
   }
 
+  /**
+   * Score a seller and explain the result (see explainScore)
+   */
+  async explainPulseScore(sellerData, recentListings = [], veribleFeedback = null) {
+    const scoringResult = await this.calculatePulseScore(sellerData, recentListings, veribleFeedback);
+    const profile = await getScoringProfile(sellerData.platform);
+
+    return this.explainScore(scoringResult, profile.weights);
+  }
+
+  /**
+   * Contribution tree of a scoring result, from each category's evidence (raw signals and the
+   * points they moved the category by) through its renormalized weight to the final score
+   * @returns {Object} { status, pulseScore, weightedTotal, trustLevel, confidence, confidenceLevel,
+   *   scoringVersion, categories: [{ category, available, score, weight, contribution, evidence }] };
+   *   insufficient data: { status, message, confidence, coverage, missingCategories, scoringVersion, categories: [] }
+   */
+  explainScore(scoringResult, weights = BUILT_IN_SCORING_PROFILE.weights) {
+    if (scoringResult.status !== 'success') {
+      return {
+        status: scoringResult.status,
+        message: scoringResult.message,
+        confidence: scoringResult.confidence,
+        coverage: scoringResult.coverage,
+        missingCategories: scoringResult.missingCategories,
+        scoringVersion: getScoringVersion(scoringResult),
+        categories: []
+      };
+    }
+
+    const { categories } = scoringResult;
+    const scored = Object.keys(categories).filter(key => categories[key].available && categories[key].score !== null);
+    const totalWeight = scored.reduce((sum, key) => sum + (weights[key] || 0), 0);
+
+    const explained = Object.keys(categories).map(key => {
+      const category = categories[key];
+      // Same renormalization as calculateFinalScore, unrounded
+      const weight = scored.includes(key) && totalWeight > 0 ? (weights[key] || 0) / totalWeight : 0;
+
+      return {
+        category: key,
+        available: category.available,
+        score: category.score,
+        weight: Math.round(weight * 10000) / 10000,
+        contribution: Math.round((category.score || 0) * weight * 100) / 100,
+        evidence: category.evidence || []
+      };
+    });
+
+    return {
+      status: scoringResult.status,
+      pulseScore: scoringResult.pulseScore,
+      weightedTotal: Math.round(explained.reduce((sum, category) => sum + category.contribution, 0) * 100) / 100,
+      trustLevel: scoringResult.trustLevel,
+      confidence: scoringResult.confidence,
+      confidenceLevel: scoringResult.confidenceLevel,
+      scoringVersion: getScoringVersion(scoringResult),
+      categories: explained
+    };
+  }
+
   /**
    * Calculate final score with reweighting for N/A categories
    */
-  calculateFinalScore(categories) {
+  calculateFinalScore(categories, weights = BUILT_IN_SCORING_PROFILE.weights) {
     let totalWeight = 0;
     let weightedSum = 0;
     const normalizedWeights = {};
@@ -557,7 +973,7 @@ class PulseScoringService {
     // Calculate total weight of available categories
     Object.keys(categories).forEach(key => {
       if (categories[key].available && categories[key].score !== null) {
-        totalWeight += this.categoryWeights[key];
+        totalWeight += weights[key] || 0;
       }
     });
 
@@ -569,7 +985,7 @@ class PulseScoringService {
     // Calculate weighted score with renormalization
     Object.keys(categories).forEach(key => {
       if (categories[key].available && categories[key].score !== null) {
-        const normalizedWeight = this.categoryWeights[key] / totalWeight;
+        const normalizedWeight = (weights[key] || 0) / totalWeight;
         normalizedWeights[key] = Math.round(normalizedWeight * 100);
         weightedSum += categories[key].score * normalizedWeight;
       } else {
@@ -586,25 +1002,26 @@ class PulseScoringService {
   /**
    * Generate recommendations based on score
    */
-  generateRecommendations(finalScore, categories) {
+  generateRecommendations(finalScore, categories, thresholds = BUILT_IN_SCORING_PROFILE.thresholds) {
     const recommendations = [];
+    const { trustLevels } = thresholds;
 
     // Overall recommendation
-    if (finalScore >= 80) {
+    if (finalScore >= trustLevels.excellent) {
       recommendations.push({
         type: 'positive',
         priority: 'high',
         message: 'Highly trustworthy seller with excellent verification and track record',
         action: 'Safe to Purchase'
       });
-    } else if (finalScore >= 60) {
+    } else if (finalScore >= trustLevels.good) {
       recommendations.push({
         type: 'positive',
         priority: 'medium',
         message: 'Good trust indicators with minor concerns',
         action: 'Consider for Purchase'
       });
-    } else if (finalScore >= 40) {
+    } else if (finalScore >= trustLevels.fair) {
       recommendations.push({
         type: 'warning',
         priority: 'high',
@@ -630,7 +1047,7 @@ class PulseScoringService {
       });
     }
 
-    if (categories.behavioralRedFlags.available && categories.behavioralRedFlags.score < 70) {
+    if (categories.behavioralRedFlags.available && categories.behavioralRedFlags.score < thresholds.redFlagScore) {
       recommendations.push({
         type: 'warning',
         priority: 'critical',
@@ -654,11 +1071,12 @@ class PulseScoringService {
   /**
    * Determine trust level label
    */
-  determineTrustLevel(score) {
-    if (score >= 80) return 'Excellent';
-    if (score >= 60) return 'Good';
-    if (score >= 40) return 'Fair';
-    if (score >= 20) return 'Poor';
+  determineTrustLevel(score, thresholds = BUILT_IN_SCORING_PROFILE.thresholds) {
+    const { trustLevels } = thresholds;
+    if (score >= trustLevels.excellent) return 'Excellent';
+    if (score >= trustLevels.good) return 'Good';
+    if (score >= trustLevels.fair) return 'Fair';
+    if (score >= trustLevels.poor) return 'Poor';
     return 'Very Poor';
   }
 
@@ -676,7 +1094,7 @@ class PulseScoringService {
   /**
    * Identify risk factors
    */
-  identifyRiskFactors(categories) {
+  identifyRiskFactors(categories, thresholds = BUILT_IN_SCORING_PROFILE.thresholds) {
     const risks = [];
 
     if (categories.verificationIdentity.available && categories.verificationIdentity.score < 30) {
@@ -695,7 +1113,7 @@ class PulseScoringService {
       });
     }
 
-    if (categories.behavioralRedFlags.available && categories.behavioralRedFlags.score < 70) {
+    if (categories.behavioralRedFlags.available && categories.behavioralRedFlags.score < thresholds.redFlagScore) {
       risks.push({
         category: 'Behavioral Red Flags',
         severity: 'critical',
@@ -703,6 +1121,22 @@ class PulseScoringService {
       });
     }
 
+    if (categories.behavioralRedFlags.breakdown?.imageMatches > 0) {
+      risks.push({
+        category: 'Behavioral Red Flags',
+        severity: 'critical',
+        issue: 'Photos match images used by another seller'
+      });
+    }
+
+    if (categories.behavioralRedFlags.breakdown?.priceAnomalies > 0) {
+      risks.push({
+        category: 'Behavioral Red Flags',
+        severity: 'high',
+        issue: 'Listing prices far below the market price for their category'
+      });
+    }
+
     if (categories.communityFeedback.available && categories.communityFeedback.score < 40) {
       risks.push({
         category: 'Community Feedback',
@@ -711,6 +1145,14 @@ class PulseScoringService {
       });
     }
 
+    if (categories.socialPresence?.available && categories.socialPresence.score < 30) {
+      risks.push({
+        category: 'Social Presence',
+        severity: 'medium',
+        issue: 'Thin or inorganic social following'
+      });
+    }
+
     return risks;
   }
 
@@ -744,7 +1186,8 @@ class PulseScoringService {
       activityRecency: 'Very active and responsive seller',
       engagement: 'Excellent response rate to buyers',
       communityFeedback: 'Strong positive feedback from buyers',
-      behavioralRedFlags: 'No suspicious behavior detected'
+      behavioralRedFlags: 'No suspicious behavior detected',
+      socialPresence: 'Established social following with business profile details'
     };
 
     return messages[category] || 'Strong performance in this area';
@@ -0,0 +1,212 @@
+import mongoose from 'mongoose';
+import Seller from '../models/Seller.model.js';
+import ScoreBackfill from '../models/ScoreBackfill.model.js';
+import pulseScoringService, { SCORING_ALGORITHM_VERSION, getScoringVersion } from './pulseScoring.service.js';
+import { getScoringProfile } from './scoringProfile.service.js';
+import { buildStoredScoringInput } from './sellerProfilePersistence.service.js';
+import { recordScoreHistory } from './scoreHistory.service.js';
+import { getPlatformValues } from './profileExtraction/platformRegistry.js';
+
+/**
+ * Scores are stored with the algorithm and scoring profile version that produced them
+ * (Seller.scoringVersion). A score is outdated when either differs from what the seller's
+ * platform would be scored with today; backfills re-score outdated sellers from their
+ * stored extraction data, without scraping.
+ */
+
+const BATCH_SIZE = 50;
+
+// Backfills being worked in this process, so a resume never runs one twice
+const activeBackfills = new Set();
+
+/**
+ * Algorithm version and the active scoring profile version of each platform
+ * @returns {Object} { algorithm, profiles: { [platform]: { profileId, profileName, profileVersion } } }
+ */
+export async function getCurrentScoringVersions(platforms = getPlatformValues()) {
+  const profiles = {};
+
+  for (const platform of platforms) {
+    const profile = await getScoringProfile(platform);
+    profiles[platform] = { profileId: profile.id, profileName: profile.name, profileVersion: profile.version };
+  }
+
+  return { algorithm: SCORING_ALGORITHM_VERSION, profiles };
+}
+
+/**
+ * Seller filter matching scores from another algorithm version, another profile than the
+ * platform's active one, or an older revision of it. Scores from before versioning match too.
+ * Profile ids are cast, so the filter also works in aggregations.
+ */
+export async function buildOutdatedScoreFilter({ platform = null } = {}) {
+  const { profiles } = await getCurrentScoringVersions(platform ? [platform] : getPlatformValues());
+
+  return {
+    $or: Object.entries(profiles).map(([sellerPlatform, { profileId, profileVersion }]) => ({
+      platform: sellerPlatform,
+      $or: [
+        { 'scoringVersion.algorithm': { $ne: SCORING_ALGORITHM_VERSION } },
+        { 'scoringVersion.profileId': { $ne: profileId ? new mongoose.Types.ObjectId(profileId) : null } },
+        { 'scoringVersion.profileVersion': { $ne: profileVersion } }
+      ]
+    }))
+  };
+}
+
+/**
+ * Outdated scores counted by platform and algorithm version
+ * @returns {Object} { total, byPlatform: [{ platform, count }], byAlgorithm: [{ algorithm, count }] }
+ */
+export async function getOutdatedScoreSummary({ platform = null } = {}) {
+  const filter = await buildOutdatedScoreFilter({ platform });
+
+  const [byPlatform, byAlgorithm] = await Promise.all([
+    Seller.aggregate([{ $match: filter }, { $group: { _id: '$platform', count: { $sum: 1 } } }, { $sort: { count: -1 } }]),
+    Seller.aggregate([
+      { $match: filter },
+      { $group: { _id: '$scoringVersion.algorithm', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  return {
+    total: byPlatform.reduce((sum, row) => sum + row.count, 0),
+    byPlatform: byPlatform.map(row => ({ platform: row._id, count: row.count })),
+    byAlgorithm: byAlgorithm.map(row => ({ algorithm: row._id, count: row.count }))
+  };
+}
+
+/**
+ * Re-score a seller from its stored extraction data and save the new score and version
+ * @param {Object} seller - Seller document or lean object
+ * @returns {Object} scoring result ({ status: 'success'|'insufficient_data', ... }); insufficient
+ *   data leaves the stored score untouched
+ */
+export async function rescoreSeller(seller) {
+  const { sellerData, recentListings, veribleFeedback } = buildStoredScoringInput(seller);
+  const scoringResult = await pulseScoringService.calculatePulseScore(sellerData, recentListings, veribleFeedback);
+
+  if (scoringResult.status === 'success') {
+    await Seller.updateOne(
+      { _id: seller._id },
+      {
+        $set: {
+          pulseScore: scoringResult.pulseScore,
+          confidenceLevel: scoringResult.confidenceLevel,
+          scoringFactors: scoringResult.categories,
+          scoringVersion: getScoringVersion(scoringResult),
+          lastScored: new Date()
+        }
+      }
+    );
+    await recordScoreHistory(seller, { trigger: 'backfill', scoringResult });
+  }
+
+  return scoringResult;
+}
+
+/**
+ * Start re-scoring outdated sellers in the background
+ * @param {Object} params - { platform, limit, requestedBy }; limit caps the sellers re-scored
+ * @returns {Object} ScoreBackfill document
+ */
+export async function createScoreBackfill({ platform = null, limit = null, requestedBy }) {
+  const { total } = await getOutdatedScoreSummary({ platform });
+
+  const backfill = await ScoreBackfill.create({
+    requestedBy,
+    platform,
+    algorithmVersion: SCORING_ALGORITHM_VERSION,
+    total: limit ? Math.min(limit, total) : total,
+    status: total > 0 ? 'processing' : 'completed',
+    finishedAt: total > 0 ? undefined : new Date()
+  });
+
+  if (backfill.status === 'processing') {
+    setImmediate(() => processScoreBackfill(backfill._id));
+  }
+
+  return backfill;
+}
+
+/**
+ * Re-score a backfill's sellers in _id order, saving progress after each seller
+ */
+export async function processScoreBackfill(backfillId) {
+  const key = backfillId.toString();
+  if (activeBackfills.has(key)) {
+    return;
+  }
+
+  activeBackfills.add(key);
+  try {
+    const backfill = await ScoreBackfill.findById(backfillId);
+    if (!backfill || backfill.status !== 'processing') {
+      return;
+    }
+
+    const { counts } = backfill;
+    let processed = counts.rescored + counts.insufficientData + counts.failed;
+    let lastSellerId = backfill.lastSellerId;
+
+    while (processed < backfill.total) {
+      const filter = await buildOutdatedScoreFilter({ platform: backfill.platform });
+      const sellers = await Seller.find(lastSellerId ? { ...filter, _id: { $gt: lastSellerId } } : filter)
+        .sort({ _id: 1 })
+        .limit(Math.min(BATCH_SIZE, backfill.total - processed))
+        .lean();
+
+      if (sellers.length === 0) {
+        break;
+      }
+
+      for (const seller of sellers) {
+        const outcome = await rescoreBackfillSeller(seller);
+        lastSellerId = seller._id;
+        processed += 1;
+
+        await ScoreBackfill.updateOne(
+          { _id: backfill._id },
+          { $set: { lastSellerId }, $inc: { [`counts.${outcome}`]: 1 } }
+        );
+      }
+    }
+
+    await ScoreBackfill.updateOne({ _id: backfill._id }, { $set: { status: 'completed', finishedAt: new Date() } });
+  } catch (error) {
+    console.error(`Score backfill ${key} error:`, error);
+    // A backfill left 'processing' would block new ones (409) until the next restart
+    await ScoreBackfill.updateOne(
+      { _id: backfillId },
+      { $set: { status: 'failed', error: error.message, finishedAt: new Date() } }
+    ).catch(updateError => console.error(`Failed to mark score backfill ${key} as failed:`, updateError));
+  } finally {
+    activeBackfills.delete(key);
+  }
+}
+
+async function rescoreBackfillSeller(seller) {
+  try {
+    const scoringResult = await rescoreSeller(seller);
+    return scoringResult.status === 'success' ? 'rescored' : 'insufficientData';
+  } catch (error) {
+    console.error(`Score backfill of seller ${seller._id} failed:`, error.message);
+    return 'failed';
+  }
+}
+
+/**
+ * Pick up backfills left unfinished by a previous process (restart, deploy)
+ */
+export async function resumeScoreBackfills() {
+  try {
+    const unfinished = await ScoreBackfill.find({ status: 'processing' }).select('_id').sort({ createdAt: 1 });
+
+    for (const { _id } of unfinished) {
+      await processScoreBackfill(_id);
+    }
+  } catch (error) {
+    console.error('Resume score backfills error:', error);
+  }
+}
@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+import SellerScoreHistory from '../models/SellerScoreHistory.model.js';
+import { getScoringVersion } from './pulseScoring.service.js';
+
+// Downsampling intervals for getScoreHistory(); 'raw' returns every event
+export const SCORE_HISTORY_INTERVALS = ['raw', 'hour', 'day', 'week', 'month'];
+
+const DEFAULT_LIMIT = 500;
+
+/**
+ * Category breakdown kept in history: score, availability and the weight the category had
+ */
+export function summarizeCategories(categories = {}, weights = {}) {
+  return Object.fromEntries(
+    Object.entries(categories || {}).map(([name, category]) => [
+      name,
+      {
+        score: category?.score ?? null,
+        available: category?.available !== false,
+        weight: weights?.[name] ?? null
+      }
+    ])
+  );
+}
+
+/**
+ * Record a scoring event for a seller. Never throws; history is not worth failing the
+ * request that changed the score.
+ * @param {Object} seller - Saved Seller document or lean object
+ * @param {Object} options - { trigger } one of SCORE_HISTORY_TRIGGERS, { scoringResult } the Pulse
+ *   scoring result when the seller was scored (otherwise the seller's stored score and breakdown
+ *   are recorded), { triggeredBy } user id
+ */
+export async function recordScoreHistory(seller, { trigger, scoringResult = null, triggeredBy = null }) {
+  if (!seller?._id || (scoringResult && scoringResult.status !== 'success')) {
+    return null;
+  }
+
+  const pulseScore = scoringResult ? scoringResult.pulseScore : seller.pulseScore;
+  if (typeof pulseScore !== 'number') {
+    return null;
+  }
+
+  const storedVersion = seller.scoringVersion || {};
+
+  try {
+    return await SellerScoreHistory.create({
+      sellerId: seller._id,
+      platform: seller.platform,
+      trigger,
+      triggeredBy,
+      pulseScore,
+      confidenceLevel: scoringResult ? scoringResult.confidenceLevel : seller.confidenceLevel,
+      confidence: scoringResult?.confidence ?? null,
+      categories: scoringResult
+        ? summarizeCategories(scoringResult.categories, scoringResult.categoryWeights)
+        : summarizeCategories(seller.scoringFactors),
+      scoringVersion: scoringResult
+        ? getScoringVersion(scoringResult)
+        : {
+            algorithm: storedVersion.algorithm ?? null,
+            profileId: storedVersion.profileId ?? null,
+            profileName: storedVersion.profileName,
+            profileVersion: storedVersion.profileVersion ?? null
+          }
+    });
+  } catch (error) {
+    console.error('Failed to record score history:', error);
+    return null;
+  }
+}
+
+/**
+ * A seller's score series, oldest first
+ * @param {Object} options - { from, to } date range, { interval } one of SCORE_HISTORY_INTERVALS,
+ *   { limit } most recent points returned
+ * @returns {Array} raw: [{ recordedAt, pulseScore, confidenceLevel, confidence, trigger, categories, scoringVersion }];
+ *   downsampled: one point per interval with the last event's values plus
+ *   { averageScore, minScore, maxScore, events, triggers }
+ */
+export async function getScoreHistory(sellerId, { from = null, to = null, interval = 'raw', limit = DEFAULT_LIMIT } = {}) {
+  const match = { sellerId: new mongoose.Types.ObjectId(String(sellerId)) };
+  if (from || to) {
+    match.recordedAt = {
+      ...(from ? { $gte: new Date(from) } : {}),
+      ...(to ? { $lte: new Date(to) } : {})
+    };
+  }
+
+  if (interval === 'raw') {
+    const entries = await SellerScoreHistory.find(match)
+      .sort({ recordedAt: -1 })
+      .limit(limit)
+      .select('recordedAt pulseScore confidenceLevel confidence trigger categories scoringVersion')
+      .lean();
+
+    return entries.reverse().map(({ _id, ...entry }) => entry);
+  }
+
+  const buckets = await SellerScoreHistory.aggregate([
+    { $match: match },
+    { $sort: { recordedAt: 1 } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$recordedAt', unit: interval, startOfWeek: 'monday' } },
+        pulseScore: { $last: '$pulseScore' },
+        averageScore: { $avg: '$pulseScore' },
+        minScore: { $min: '$pulseScore' },
+        maxScore: { $max: '$pulseScore' },
+        confidenceLevel: { $last: '$confidenceLevel' },
+        confidence: { $last: '$confidence' },
+        categories: { $last: '$categories' },
+        scoringVersion: { $last: '$scoringVersion' },
+        events: { $sum: 1 },
+        triggers: { $addToSet: '$trigger' }
+      }
+    },
+    { $sort: { _id: -1 } },
+    { $limit: limit }
+  ]);
+
+  return buckets.reverse().map(({ _id, averageScore, ...bucket }) => ({
+    recordedAt: _id,
+    ...bucket,
+    averageScore: Math.round(averageScore * 10) / 10
+  }));
+}
@@ -0,0 +1,188 @@
+import ScoringProfile, {
+  DEFAULT_SCORING_PLATFORM,
+  RED_FLAG_KEYWORD_GROUPS,
+  getScoringPlatformValues
+} from '../models/ScoringProfile.model.js';
+
+/**
+ * Scoring profiles: the category weights, thresholds and red-flag keywords Pulse scoring uses.
+ * Each platform can have one active profile in Mongo; platforms without one use the active
+ * 'default' profile, and the built-in profile below when neither exists or Mongo is unavailable.
+ */
+
+export const BUILT_IN_SCORING_PROFILE = {
+  weights: {
+    verificationIdentity: 0.25,      // 25%
+    accountMaturity: 0.15,           // 15%
+    listingCompleteness: 0.15,       // 15%
+    activityRecency: 0.10,           // 10%
+    engagement: 0.10,                // 10%
+    communityFeedback: 0.10,         // 10%
+    behavioralRedFlags: 0.15,        // 15%
+    socialPresence: 0.15             // 15%, social-commerce platforms only
+  },
+  thresholds: {
+    minConfidence: 0.35,
+    minCoverage: 0.40,
+    trustLevels: { excellent: 80, good: 60, fair: 40, poor: 20 },
+    redFlagScore: 70
+  },
+  penalties: {
+    urgent: 15,
+    needMoney: 15,
+    cashOnly: 20,
+    firstCome: 10,
+    offPlatformContact: 20,
+    allCapsTitle: 5,
+    excessEmojis: 5,
+    reusedImage: 20,
+    reusedImagesMax: 40,
+    underpricedListing: 15,
+    underpricedListingsMax: 30
+  },
+  keywords: {
+    urgent: ['urgent', 'asap', 'immediate', 'hurry'],
+    needMoney: ['need money', 'bills', 'must sell', 'quick sale', 'fast sale'],
+    cashOnly: ['cash only', 'payment first', 'no questions'],
+    firstCome: ['first come', 'first serve'],
+    offPlatformContact: ['whatsapp', 'telegram', 'contact me at']
+  }
+};
+
+const DEFAULT_CACHE_MS = 60 * 1000;
+
+// Resolved profiles by platform: { profile, expiresAt }
+const profileCache = new Map();
+
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Profile values with every missing weight, threshold, penalty and keyword group taken from
+ * the built-in profile
+ */
+export function resolveScoringProfile(profile = {}) {
+  const thresholds = profile.thresholds || {};
+  const keywords = profile.keywords || {};
+
+  return {
+    id: profile._id ? String(profile._id) : null,
+    name: profile.name || 'Built-in',
+    platform: profile.platform || DEFAULT_SCORING_PLATFORM,
+    // The built-in profile is version 0
+    version: profile._id ? profile.version || 1 : 0,
+    weights: { ...BUILT_IN_SCORING_PROFILE.weights, ...withoutEmpty(profile.weights) },
+    thresholds: {
+      ...BUILT_IN_SCORING_PROFILE.thresholds,
+      ...withoutEmpty(thresholds),
+      trustLevels: { ...BUILT_IN_SCORING_PROFILE.thresholds.trustLevels, ...withoutEmpty(thresholds.trustLevels) }
+    },
+    penalties: { ...BUILT_IN_SCORING_PROFILE.penalties, ...withoutEmpty(profile.penalties) },
+    keywords: Object.fromEntries(
+      RED_FLAG_KEYWORD_GROUPS.map(group => [
+        group,
+        Array.isArray(keywords[group]) ? [...keywords[group]] : [...BUILT_IN_SCORING_PROFILE.keywords[group]]
+      ])
+    )
+  };
+}
+
+/**
+ * The scoring profile for a seller's platform, cached for SCORING_PROFILE_CACHE_MS.
+ * Never throws; lookup failures fall back to the built-in profile.
+ */
+export async function getScoringProfile(platform) {
+  const key = platform || DEFAULT_SCORING_PLATFORM;
+  const cached = profileCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.profile;
+  }
+
+  let profile;
+  try {
+    const stored =
+      (key !== DEFAULT_SCORING_PLATFORM && (await ScoringProfile.findOne({ platform: key, isActive: true }).lean())) ||
+      (await ScoringProfile.findOne({ platform: DEFAULT_SCORING_PLATFORM, isActive: true }).lean());
+
+    profile = resolveScoringProfile(stored || {});
+  } catch (error) {
+    console.error('Scoring profile lookup error:', error);
+    return resolveScoringProfile();
+  }
+
+  profileCache.set(key, {
+    profile,
+    expiresAt: Date.now() + readIntEnv('SCORING_PROFILE_CACHE_MS', DEFAULT_CACHE_MS)
+  });
+
+  return profile;
+}
+
+/**
+ * Drop cached profiles after an admin edit (other instances pick changes up when their cache expires)
+ */
+export function clearScoringProfileCache() {
+  profileCache.clear();
+}
+
+/**
+ * Make a profile the active one for its platform
+ */
+export async function activateScoringProfile(profile, userId = null) {
+  // Deactivate first: the unique index allows a single active profile per platform
+  await ScoringProfile.updateMany(
+    { platform: profile.platform, isActive: true, _id: { $ne: profile._id } },
+    { $set: { isActive: false } }
+  );
+
+  profile.isActive = true;
+  profile.activatedAt = new Date();
+  profile.activatedBy = userId;
+  await profile.save();
+
+  clearScoringProfileCache();
+  return profile;
+}
+
+/**
+ * Store the built-in profile as the active profile of the default and of every platform
+ * that has no profile yet, so admins have a starting point to edit. Never throws.
+ */
+export async function seedScoringProfiles() {
+  try {
+    const seeded = await ScoringProfile.distinct('platform');
+    const missing = getScoringPlatformValues().filter(platform => !seeded.includes(platform));
+
+    if (missing.length === 0) {
+      return;
+    }
+
+    await ScoringProfile.insertMany(
+      missing.map(platform => ({
+        ...BUILT_IN_SCORING_PROFILE,
+        name: `Built-in (${platform})`,
+        description: 'Seeded from the built-in scoring profile',
+        platform,
+        isActive: true,
+        activatedAt: new Date()
+      })),
+      { ordered: false }
+    );
+
+    clearScoringProfileCache();
+    console.log(`⚖️ Seeded scoring profiles: ${missing.join(', ')}`);
+  } catch (error) {
+    console.error('Failed to seed scoring profiles:', error);
+  }
+}
+
+// Unset values in a stored profile section (null, undefined) leave the built-in value in place
+function withoutEmpty(section) {
+  if (!section || typeof section !== 'object') {
+    return {};
+  }
+
+  return Object.fromEntries(Object.entries(section).filter(([, value]) => value !== null && value !== undefined));
+}
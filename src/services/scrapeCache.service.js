@@ -0,0 +1,201 @@
+import ScrapeCache from '../models/ScrapeCache.model.js';
+import ScrapeCacheStats from '../models/ScrapeCacheStats.model.js';
+import { canonicalizeProfileUrl } from './profileExtraction/urlCanonicalizer.js';
+
+const HOUR_IN_SECONDS = 60 * 60;
+const DEFAULT_TTL_SECONDS = 6 * HOUR_IN_SECONDS;
+
+// Platforms whose "last seen" / stock data changes quickly get a shorter TTL
+const platformTtlSeconds = {
+  jiji: 3 * HOUR_IN_SECONDS,
+  facebook: 12 * HOUR_IN_SECONDS,
+  etsy: 12 * HOUR_IN_SECONDS
+};
+
+export function isScrapeCacheEnabled() {
+  return process.env.SCRAPE_CACHE_ENABLED !== 'false';
+}
+
+/**
+ * TTL for a platform in seconds.
+ * SCRAPE_CACHE_TTL_<PLATFORM> wins, then the built-in platform TTL, then SCRAPE_CACHE_TTL_SECONDS.
+ */
+export function getScrapeCacheTtlSeconds(platform) {
+  const platformEnv = platform ? parseInt(process.env[`SCRAPE_CACHE_TTL_${platform.toUpperCase()}`], 10) : NaN;
+  if (!Number.isNaN(platformEnv)) {
+    return platformEnv;
+  }
+
+  if (platformTtlSeconds[platform]) {
+    return platformTtlSeconds[platform];
+  }
+
+  const defaultEnv = parseInt(process.env.SCRAPE_CACHE_TTL_SECONDS, 10);
+  return Number.isNaN(defaultEnv) ? DEFAULT_TTL_SECONDS : defaultEnv;
+}
+
+/**
+ * Return the cached scrape for a URL, or run `scrape` and cache its result.
+ * Options: forceRefresh (skip the lookup but store the fresh result), useCache (false skips the cache entirely),
+ * cacheKey (defaults to the canonical profile URL; pages such as review pages need their own key)
+ * Cache failures are logged and never fail the scrape itself.
+ */
+export async function getOrScrape(url, platform, scrape, { forceRefresh = false, useCache = true, cacheKey = null } = {}) {
+  const ttlSeconds = getScrapeCacheTtlSeconds(platform);
+
+  if (!isScrapeCacheEnabled() || useCache === false || ttlSeconds <= 0) {
+    recordStat(platform, 'bypass');
+    return withCacheInfo(await scrape(), { hit: false });
+  }
+
+  const key = cacheKey || canonicalizeProfileUrl(url);
+
+  if (!forceRefresh) {
+    const cached = await findFreshEntry(key);
+    if (cached) {
+      recordStat(platform, 'hit');
+      ScrapeCache.updateOne(
+        { _id: cached._id },
+        { $inc: { hitCount: 1 }, $set: { lastHitAt: new Date() } }
+      ).catch(error => console.error('Failed to update scrape cache hit count:', error));
+
+      return withCacheInfo(cached.payload, {
+        hit: true,
+        scraper: cached.scraper,
+        scrapedAt: cached.scrapedAt
+      });
+    }
+  }
+
+  recordStat(platform, forceRefresh ? 'bypass' : 'miss');
+
+  const scrapedData = await scrape();
+  const scrapedAt = new Date();
+
+  try {
+    await ScrapeCache.findOneAndUpdate(
+      { cacheKey: key },
+      {
+        cacheKey: key,
+        platform,
+        payload: {
+          markdown: scrapedData.markdown || '',
+          html: scrapedData.html || '',
+          metadata: scrapedData.metadata || {}
+        },
+        scraper: scrapedData.metadata?.scraper,
+        scrapedAt,
+        expiresAt: new Date(scrapedAt.getTime() + ttlSeconds * 1000),
+        hitCount: 0
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    console.error('Failed to store scrape cache entry:', error);
+  }
+
+  return withCacheInfo(scrapedData, { hit: false, scrapedAt });
+}
+
+export async function invalidateScrapeCache(url) {
+  const result = await ScrapeCache.deleteOne({ cacheKey: canonicalizeProfileUrl(url) });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Hit/miss statistics for the last `days` days, per platform and in total
+ */
+export async function getScrapeCacheStats({ days = 7 } = {}) {
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const [byPlatform, daily, entries] = await Promise.all([
+    ScrapeCacheStats.aggregate([
+      { $match: { date: { $gte: since } } },
+      {
+        $group: {
+          _id: '$platform',
+          hits: { $sum: '$hits' },
+          misses: { $sum: '$misses' },
+          bypasses: { $sum: '$bypasses' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    ScrapeCacheStats.aggregate([
+      { $match: { date: { $gte: since } } },
+      {
+        $group: {
+          _id: '$date',
+          hits: { $sum: '$hits' },
+          misses: { $sum: '$misses' },
+          bypasses: { $sum: '$bypasses' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    ScrapeCache.aggregate([
+      { $match: { expiresAt: { $gt: new Date() } } },
+      { $group: { _id: '$platform', entries: { $sum: 1 }, hits: { $sum: '$hitCount' } } }
+    ])
+  ]);
+
+  const totals = byPlatform.reduce(
+    (sum, row) => ({
+      hits: sum.hits + row.hits,
+      misses: sum.misses + row.misses,
+      bypasses: sum.bypasses + row.bypasses
+    }),
+    { hits: 0, misses: 0, bypasses: 0 }
+  );
+
+  return {
+    since,
+    totals: { ...totals, hitRate: calculateHitRate(totals) },
+    byPlatform: byPlatform.map(row => ({
+      platform: row._id,
+      hits: row.hits,
+      misses: row.misses,
+      bypasses: row.bypasses,
+      hitRate: calculateHitRate(row),
+      ttlSeconds: getScrapeCacheTtlSeconds(row._id)
+    })),
+    daily: daily.map(row => ({
+      date: row._id,
+      hits: row.hits,
+      misses: row.misses,
+      bypasses: row.bypasses
+    })),
+    liveEntries: entries.map(row => ({ platform: row._id, entries: row.entries, hits: row.hits }))
+  };
+}
+
+async function findFreshEntry(cacheKey) {
+  try {
+    return await ScrapeCache.findOne({ cacheKey, expiresAt: { $gt: new Date() } }).lean();
+  } catch (error) {
+    console.error('Scrape cache lookup failed:', error);
+    return null;
+  }
+}
+
+function recordStat(platform, event) {
+  ScrapeCacheStats.recordEvent(platform, event).catch(error =>
+    console.error('Failed to record scrape cache stats:', error)
+  );
+}
+
+function withCacheInfo(scrapedData, cacheInfo) {
+  return {
+    markdown: scrapedData.markdown || '',
+    html: scrapedData.html || '',
+    metadata: {
+      ...(scrapedData.metadata || {}),
+      cache: cacheInfo
+    }
+  };
+}
+
+function calculateHitRate({ hits, misses }) {
+  const lookups = hits + misses;
+  return lookups > 0 ? Math.round((hits / lookups) * 100) / 100 : 0;
+}
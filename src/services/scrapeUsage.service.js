@@ -0,0 +1,245 @@
+import ScrapeUsage from '../models/ScrapeUsage.model.js';
+import ExtractionJob from '../models/ExtractionJob.model.js';
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 90;
+
+// Daily scrape quotas per tier; Infinity means unlimited
+const DEFAULT_DAILY_QUOTAS = {
+  anonymous: 10,
+  registered: 100,
+  admin: Infinity
+};
+
+// Jobs that will scrape but have not been recorded in the ledger yet
+const UNRECORDED_JOB_STATUSES = ['queued', 'scraping'];
+
+// Requests admitted by enforceScrapeQuota in this process whose scrape is not recorded yet, by caller
+const pendingScrapes = new Map();
+
+export function isScrapeQuotaEnabled() {
+  return process.env.SCRAPE_QUOTA_ENABLED !== 'false';
+}
+
+/**
+ * Daily quota for a tier. SCRAPE_QUOTA_<TIER> overrides the default;
+ * "unlimited" (or an empty value) removes the limit.
+ */
+export function getDailyScrapeQuota(tier) {
+  const value = process.env[`SCRAPE_QUOTA_${tier.toUpperCase()}`];
+
+  if (value === undefined) {
+    return DEFAULT_DAILY_QUOTAS[tier] ?? Infinity;
+  }
+
+  if (value.trim() === '' || value.trim().toLowerCase() === 'unlimited') {
+    return Infinity;
+  }
+
+  const quota = parseInt(value, 10);
+  return Number.isNaN(quota) ? DEFAULT_DAILY_QUOTAS[tier] ?? Infinity : Math.max(0, quota);
+}
+
+/**
+ * Who a scrape is accounted to
+ * @param {Object} req - Express request (after optionalAuth/isAuthenticated)
+ * @param {String} source - Endpoint name recorded in the ledger
+ * @returns {Object} { userId, ip, tier, source }
+ */
+export function getUsageContext(req, source) {
+  const user = req.user || null;
+
+  return {
+    userId: user ? user._id : null,
+    ip: req.ip || null,
+    tier: !user ? 'anonymous' : user.role === 'admin' ? 'admin' : 'registered',
+    source
+  };
+}
+
+function getSubjectKey(context) {
+  return context.userId ? `user:${context.userId}` : `ip:${context.ip}`;
+}
+
+/**
+ * Hold a quota slot for a request before its scrape reaches the ledger, so concurrent
+ * requests from the same caller cannot all pass the quota check. The slot is released by
+ * the first scrape recorded for the context, or by calling the returned function.
+ * @returns {Function} release (idempotent)
+ */
+export function reserveScrape(context) {
+  const key = getSubjectKey(context);
+  let released = false;
+
+  pendingScrapes.set(key, (pendingScrapes.get(key) || 0) + 1);
+
+  const release = () => {
+    if (released) {
+      return;
+    }
+    released = true;
+
+    const pending = pendingScrapes.get(key) - 1;
+    if (pending > 0) {
+      pendingScrapes.set(key, pending);
+    } else {
+      pendingScrapes.delete(key);
+    }
+  };
+
+  context.releaseReservation = release;
+  return release;
+}
+
+function getUtcDayBounds(now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  return { start, resetAt: new Date(start.getTime() + DAY_IN_MS) };
+}
+
+/**
+ * Today's (UTC) quota usage for a usage context. Only profile scrapes that missed the
+ * cache count, since cache hits cost no provider credits; review pages are bounded by
+ * the review pagination credit budget instead. Deep-crawl pages count like profile scrapes.
+ * Extraction jobs of the caller that have not scraped yet and slots reserved by requests
+ * in flight (reserveScrape) count as used too.
+ * @param {Object} options - { excludeJobId } job left out of the count (the one being checked)
+ * @returns {Object} { tier, limit, used, remaining, resetAt }
+ */
+export async function getQuotaStatus(context, { excludeJobId = null } = {}) {
+  const limit = getDailyScrapeQuota(context.tier);
+  const { start, resetAt } = getUtcDayBounds();
+
+  if (limit === Infinity) {
+    return { tier: context.tier, limit: null, used: null, remaining: null, resetAt };
+  }
+
+  const subject = context.userId ? { userId: context.userId } : { userId: null, ip: context.ip };
+  const [scraped, queued] = await Promise.all([
+    ScrapeUsage.countDocuments({
+      ...subject,
+      cacheHit: false,
+      kind: { $ne: 'review_page' },
+      createdAt: { $gte: start }
+    }),
+    ExtractionJob.countDocuments({
+      ...(context.userId ? { userId: context.userId } : { userId: null, 'usage.ip': context.ip }),
+      status: { $in: UNRECORDED_JOB_STATUSES },
+      ...(excludeJobId ? { _id: { $ne: excludeJobId } } : {})
+    })
+  ]);
+  const used = scraped + queued + (pendingScrapes.get(getSubjectKey(context)) || 0);
+
+  return {
+    tier: context.tier,
+    limit,
+    used,
+    remaining: Math.max(0, limit - used),
+    resetAt
+  };
+}
+
+/**
+ * Append a scrape to the usage ledger. Never throws; ledger failures are logged.
+ * @param {Object} context - { userId, ip, tier, source } (see getUsageContext)
+ * @param {Object} scrape - { platform, profileUrl, kind, scraper, cacheHit, succeeded }
+ */
+export async function recordScrapeUsage(
+  context = {},
+  { platform, profileUrl, kind = 'profile', scraper = null, cacheHit = false, succeeded = true }
+) {
+  const retentionDays = parseInt(process.env.SCRAPE_USAGE_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+
+  // The scrape is in the ledger now, so the request's reserved slot is no longer needed
+  if (context.releaseReservation) {
+    context.releaseReservation();
+  }
+
+  try {
+    await ScrapeUsage.create({
+      userId: context.userId || null,
+      ip: context.ip || null,
+      tier: context.tier || 'system',
+      source: context.source || 'system',
+      platform,
+      profileUrl,
+      kind,
+      scraper,
+      cacheHit,
+      succeeded,
+      expiresAt: new Date(Date.now() + retentionDays * DAY_IN_MS)
+    });
+  } catch (error) {
+    console.error('Failed to record scrape usage:', error);
+  }
+}
+
+/**
+ * Scrape consumption for the last `days` days: totals, per platform/kind/tier/source/day,
+ * and the heaviest users and anonymous IPs
+ */
+export async function getScrapeUsageReport({ days = 7, top = 10 } = {}) {
+  const since = getUtcDayBounds(new Date(Date.now() - (days - 1) * DAY_IN_MS)).start;
+  const match = { $match: { createdAt: { $gte: since } } };
+
+  const counters = {
+    requests: { $sum: 1 },
+    scrapes: { $sum: { $cond: ['$cacheHit', 0, 1] } },
+    cacheHits: { $sum: { $cond: ['$cacheHit', 1, 0] } },
+    failed: { $sum: { $cond: ['$succeeded', 0, 1] } }
+  };
+
+  const groupBy = (key, { sort = { _id: 1 }, filter = null, limit = null } = {}) => [
+    match,
+    ...(filter ? [{ $match: filter }] : []),
+    { $group: { _id: key, ...counters } },
+    { $sort: sort },
+    ...(limit ? [{ $limit: limit }] : [])
+  ];
+
+  const [totals, byPlatform, byKind, byTier, bySource, byScraper, daily, topUsers, topIps] = await Promise.all([
+    ScrapeUsage.aggregate(groupBy(null)),
+    ScrapeUsage.aggregate(groupBy('$platform')),
+    ScrapeUsage.aggregate(groupBy({ $ifNull: ['$kind', 'profile'] })),
+    ScrapeUsage.aggregate(groupBy('$tier')),
+    ScrapeUsage.aggregate(groupBy('$source')),
+    ScrapeUsage.aggregate(groupBy('$scraper', { filter: { cacheHit: false } })),
+    ScrapeUsage.aggregate(groupBy({ $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } })),
+    ScrapeUsage.aggregate([
+      ...groupBy('$userId', { filter: { userId: { $ne: null } }, sort: { scrapes: -1 }, limit: top }),
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+      { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } }
+    ]),
+    ScrapeUsage.aggregate(groupBy('$ip', { filter: { userId: null, tier: 'anonymous' }, sort: { scrapes: -1 }, limit: top }))
+  ]);
+
+  const formatRow = (name, { _id, requests, scrapes, cacheHits, failed }) => ({
+    [name]: _id,
+    requests,
+    scrapes,
+    cacheHits,
+    failed
+  });
+
+  return {
+    since: since.toISOString().slice(0, 10),
+    totals: totals[0]
+      ? { requests: totals[0].requests, scrapes: totals[0].scrapes, cacheHits: totals[0].cacheHits, failed: totals[0].failed }
+      : { requests: 0, scrapes: 0, cacheHits: 0, failed: 0 },
+    byPlatform: byPlatform.map(row => formatRow('platform', row)),
+    byKind: byKind.map(row => formatRow('kind', row)),
+    byTier: byTier.map(row => ({
+      ...formatRow('tier', row),
+      dailyQuota: getDailyScrapeQuota(row._id) === Infinity ? null : getDailyScrapeQuota(row._id)
+    })),
+    bySource: bySource.map(row => formatRow('source', row)),
+    byScraper: byScraper.map(row => formatRow('scraper', row)),
+    daily: daily.map(row => formatRow('date', row)),
+    topUsers: topUsers.map(row => ({
+      ...formatRow('userId', row),
+      name: row.user ? row.user.name : null,
+      email: row.user ? row.user.email : null,
+      role: row.user ? row.user.role : null
+    })),
+    topAnonymousIps: topIps.map(row => formatRow('ip', row))
+  };
+}
@@ -1,4 +1,6 @@
 import Seller from '../models/Seller.model.js';
+import { canonicalizeProfile } from './profileExtraction/urlCanonicalizer.js';
+import { getScoringVersion } from './pulseScoring.service.js';
 
 const MAX_ATTEMPTS = 3;
 
@@ -13,6 +15,49 @@ export function buildVeribleFeedback(seller) {
   };
 }
 
+/**
+ * Pulse scoring arguments from a stored seller, for re-scoring without scraping
+ * @param {Object} seller - Seller document or lean object
+ * @returns {Object} { sellerData, recentListings, veribleFeedback }
+ */
+export function buildStoredScoringInput(seller) {
+  return {
+    sellerData: {
+      platform: seller.platform,
+      profileUrl: seller.profileUrl,
+      profileData: seller.profileData || {},
+      marketplaceData: seller.marketplaceData || {},
+      extractionProvenance: seller.extractionProvenance || {},
+      trustIndicators: seller.trustIndicators || {},
+      imageAnalysis: seller.imageAnalysis,
+      priceAnalysis: seller.priceAnalysis
+    },
+    recentListings: seller.recentListings || [],
+    veribleFeedback: buildVeribleFeedback(seller)
+  };
+}
+
+/**
+ * Mongo conditions matching a seller profile URL in any of its variants: the canonical
+ * URL, the URL as given (records stored before canonicalization) and the platform's
+ * native handle.
+ */
+export function buildProfileUrlConditions(profileUrl) {
+  const { canonicalUrl, platform, handle } = canonicalizeProfile(profileUrl);
+  const urls = [...new Set([canonicalUrl, profileUrl.trim()])];
+
+  const conditions = [{ profileUrl: { $in: urls } }];
+  if (platform && handle) {
+    conditions.push({ platform, platformHandle: handle });
+  }
+
+  return conditions;
+}
+
+export function findSellerByProfileUrl(profileUrl) {
+  return Seller.findOne({ $or: buildProfileUrlConditions(profileUrl) });
+}
+
 export async function saveExtractedSeller({
   existingSeller = null,
   profileUrl,
@@ -27,14 +72,34 @@ export async function saveExtractedSeller({
     throw new Error('extractedData and scoringResult are required to persist seller data');
   }
 
+  const { canonicalUrl } = canonicalizeProfile(profileUrl);
+
   if (existingSeller) {
-    return updateSellerWithExtraction(existingSeller, extractedData, scoringResult);
+    return updateSellerWithExtraction(existingSeller, extractedData, scoringResult, canonicalUrl);
   }
 
-  return createSellerWithRetries({ profileUrl, extractedData, scoringResult });
+  return createSellerWithRetries({
+    profileUrl: canonicalUrl,
+    extractedData,
+    scoringResult
+  });
 }
 
-async function updateSellerWithExtraction(seller, extractedData, scoringResult) {
+/**
+ * Apply an extraction to a stored seller. A seller found through a legacy (non-canonical)
+ * profile URL gets the canonical URL, unless another record already holds it; such
+ * duplicates are left to `npm run merge-duplicate-sellers`.
+ */
+async function updateSellerWithExtraction(seller, extractedData, scoringResult, canonicalUrl) {
+  if (canonicalUrl && seller.profileUrl !== canonicalUrl) {
+    const duplicate = await Seller.exists({ profileUrl: canonicalUrl, _id: { $ne: seller._id } });
+    if (duplicate) {
+      console.warn(`Seller ${seller._id} keeps ${seller.profileUrl}: ${canonicalUrl} belongs to seller ${duplicate._id}`);
+    } else {
+      seller.profileUrl = canonicalUrl;
+    }
+  }
+
   applyExtractionResults(seller, extractedData, scoringResult);
   await seller.save();
   return seller;
@@ -114,14 +179,30 @@ async function findSimilarSeller({ profileUrl, extractedData }) {
 }
 
 function applyExtractionResults(seller, extractedData, scoringResult) {
+  if (extractedData.platformHandle) {
+    seller.platformHandle = extractedData.platformHandle;
+  }
+  if (extractedData.country) {
+    seller.country = extractedData.country;
+  }
   seller.profileData = extractedData.profileData;
   seller.marketplaceData = extractedData.marketplaceData;
+  seller.extractionProvenance = extractedData.extractionProvenance || {};
+  seller.platformExtras = extractedData.platformExtras || {};
+  seller.extractionSchemaVersion = extractedData.extractionSchemaVersion || null;
   seller.recentListings = extractedData.recentListings;
   seller.trustIndicators = extractedData.trustIndicators;
+  if (extractedData.imageAnalysis) {
+    seller.imageAnalysis = extractedData.imageAnalysis;
+  }
+  if (extractedData.priceAnalysis) {
+    seller.priceAnalysis = extractedData.priceAnalysis;
+  }
   seller.pulseScore = scoringResult.pulseScore;
   seller.confidenceLevel = scoringResult.confidenceLevel;
   seller.lastScored = new Date();
   seller.scoringFactors = scoringResult.categories;
+  seller.scoringVersion = getScoringVersion(scoringResult);
 }
 
 function generateSequentialSellerId(attempt) {
@@ -0,0 +1,306 @@
+import Listing from '../models/Listing.model.js';
+import Seller from '../models/Seller.model.js';
+import { scrapeExtraPage } from './profileExtraction.service.js';
+import { applyListingPriceAnalysis } from './priceAnalysis.service.js';
+import { getQuotaStatus, isScrapeQuotaEnabled } from './scrapeUsage.service.js';
+import { detectPlatformFromUrl, getUrlPageType, parseUrl } from './profileExtraction/platformRegistry.js';
+import { extractListingPage } from './profileExtraction/structuredData.js';
+
+/**
+ * Deep storefront crawl. Extractors only read a seller's landing page; a crawl follows the
+ * storefront's listing pagination and each listing link within a per-platform budget,
+ * stores the listings in the Listing collection and links them through Seller.listingHistory.
+ */
+
+const DEFAULT_MAX_PAGES = 3;
+const DEFAULT_MAX_LISTINGS = 20;
+
+// Storefronts that cannot be paginated by URL (feeds rendered by scripts) are not crawled
+const PLATFORM_BUDGETS = {
+  facebook: { maxPages: 0, maxListings: 0 },
+  instagram: { maxPages: 0, maxListings: 0 }
+};
+
+// Query parameter selecting a storefront page
+const PAGE_PARAMS = {
+  ebay: '_pgn'
+};
+
+export function isDeepCrawlEnabled() {
+  return process.env.DEEP_CRAWL_ENABLED !== 'false';
+}
+
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Crawl budget for a platform. DEEP_CRAWL_MAX_PAGES / DEEP_CRAWL_MAX_LISTINGS override the
+ * defaults, and DEEP_CRAWL_MAX_PAGES_<PLATFORM> / DEEP_CRAWL_MAX_LISTINGS_<PLATFORM> one platform.
+ * maxPages counts the landing page; 0 disables crawling the platform.
+ */
+export function getDeepCrawlBudget(platform) {
+  const defaults = PLATFORM_BUDGETS[platform] || {
+    maxPages: readIntEnv('DEEP_CRAWL_MAX_PAGES', DEFAULT_MAX_PAGES),
+    maxListings: readIntEnv('DEEP_CRAWL_MAX_LISTINGS', DEFAULT_MAX_LISTINGS)
+  };
+  const suffix = String(platform).toUpperCase();
+
+  return {
+    maxPages: readIntEnv(`DEEP_CRAWL_MAX_PAGES_${suffix}`, defaults.maxPages),
+    maxListings: readIntEnv(`DEEP_CRAWL_MAX_LISTINGS_${suffix}`, defaults.maxListings)
+  };
+}
+
+/**
+ * URL of page `page` of a storefront, or null when the platform has no page parameter
+ */
+export function getStorefrontPageUrl(platform, profileUrl, page) {
+  if (page === 1) {
+    return profileUrl;
+  }
+
+  const parsed = parseUrl(profileUrl);
+  // Etsy only paginates shop pages; /people/ profiles list no items
+  if (!parsed || (platform === 'etsy' && !/\/shop\//i.test(parsed.pathname))) {
+    return null;
+  }
+
+  parsed.searchParams.set(PAGE_PARAMS[platform] || 'page', String(page));
+  return parsed.toString();
+}
+
+/**
+ * Links to listings of `platform` in a scraped page's markdown, without query or fragment
+ */
+export function collectListingLinks(markdown, platform, baseUrl) {
+  const links = [];
+  const pattern = /\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)|(https?:\/\/[^\s)<>"\]]+)/g;
+
+  for (const match of String(markdown || '').matchAll(pattern)) {
+    const url = toListingUrl(match[1] || match[2], platform, baseUrl);
+    if (url && !links.includes(url)) {
+      links.push(url);
+    }
+  }
+
+  return links;
+}
+
+function toListingUrl(href, platform, baseUrl) {
+  let url;
+  try {
+    url = new URL(href, baseUrl);
+  } catch (error) {
+    return null;
+  }
+
+  url.search = '';
+  url.hash = '';
+  const listingUrl = url.toString();
+
+  return detectPlatformFromUrl(listingUrl) === platform && getUrlPageType(listingUrl) === 'listing' ? listingUrl : null;
+}
+
+/**
+ * Platform listing id: the last long run of digits in the path (item numbers), else the last path segment
+ */
+export function getPlatformListingId(listingUrl) {
+  const { pathname } = new URL(listingUrl);
+  const numericIds = pathname.match(/\d{5,}/g);
+  if (numericIds) {
+    return numericIds[numericIds.length - 1];
+  }
+
+  const segments = pathname.split('/').filter(Boolean);
+  return (segments[segments.length - 1] || pathname).replace(/\.html$/i, '');
+}
+
+/**
+ * Crawl a seller's storefront and store the listings found.
+ * Storefront pages are followed until a page adds no new listing links or the page budget
+ * runs out, then each listing page is read for its structured data. When the storefront was
+ * crawled to the end, the seller's stored listings that no longer appear are marked inactive.
+ * Fresh scrapes are capped by the caller's remaining daily quota. Never throws; failures
+ * end the crawl with a stoppedReason.
+ * @param {Object} seller - Saved Seller document (platform, profileUrl)
+ * @param {Object} options - { usage } scrape ledger context, { forceRefresh } scrape cache control,
+ *   { seedUrls } listing URLs already known from the landing page extraction,
+ *   { onPage() } called before each page scrape (job workers refresh their lock with it)
+ * @returns {Object} { pagesCrawled, listingsFound, listingsSaved, failedListings, creditsUsed,
+ *   complete, stoppedReason }; stoppedReason is one of disabled, not_supported, no_more_pages,
+ *   listing_limit, page_budget, quota, scrape_failed
+ */
+export async function crawlStorefront(seller, { usage = {}, forceRefresh = false, seedUrls = [], onPage = null } = {}) {
+  const { platform, profileUrl } = seller;
+  const crawl = {
+    pagesCrawled: 0,
+    listingsFound: 0,
+    listingsSaved: 0,
+    failedListings: 0,
+    creditsUsed: 0,
+    complete: false,
+    stoppedReason: null
+  };
+
+  const { maxPages, maxListings } = getDeepCrawlBudget(platform);
+  if (!isDeepCrawlEnabled()) {
+    crawl.stoppedReason = 'disabled';
+    return crawl;
+  }
+  if (maxPages === 0 || maxListings === 0) {
+    crawl.stoppedReason = 'not_supported';
+    return crawl;
+  }
+
+  try {
+    const creditLimit = await getCreditLimit(usage);
+    const fetchPage = async (pageUrl, kind, cacheOptions) => {
+      if (onPage) {
+        try {
+          await onPage();
+        } catch (error) {
+          console.error('Storefront crawl heartbeat error:', error.message);
+        }
+      }
+
+      const pageData = await scrapeExtraPage(pageUrl, platform, { ...cacheOptions, usage, kind });
+      if (!pageData.metadata?.cache?.hit) {
+        crawl.creditsUsed += 1;
+      }
+      return pageData;
+    };
+
+    const links = [];
+    const addLinks = urls => {
+      const before = links.length;
+      urls.forEach(url => {
+        if (url && !links.includes(url)) {
+          links.push(url);
+        }
+      });
+      return links.length - before;
+    };
+    addLinks(seedUrls.map(url => (url ? toListingUrl(url, platform, profileUrl) : null)));
+
+    for (let page = 1; !crawl.stoppedReason; page += 1) {
+      if (links.length >= maxListings) {
+        crawl.stoppedReason = 'listing_limit';
+      } else if (page > maxPages) {
+        crawl.stoppedReason = 'page_budget';
+      } else if (crawl.creditsUsed >= creditLimit) {
+        crawl.stoppedReason = 'quota';
+      }
+      if (crawl.stoppedReason) {
+        break;
+      }
+
+      const pageUrl = getStorefrontPageUrl(platform, profileUrl, page);
+      if (!pageUrl) {
+        crawl.stoppedReason = 'no_more_pages';
+        break;
+      }
+
+      let pageData;
+      try {
+        // The landing page was just scraped for the extraction, so it is read from the cache
+        pageData = await fetchPage(pageUrl, 'storefront_page', { forceRefresh: forceRefresh && page > 1 });
+      } catch (error) {
+        console.error('Storefront page scrape error:', error);
+        crawl.stoppedReason = 'scrape_failed';
+        break;
+      }
+
+      crawl.pagesCrawled += 1;
+
+      // A page without new links is past the end, or the site ignored the page parameter
+      if (addLinks(collectListingLinks(pageData.markdown, platform, pageUrl)) === 0) {
+        crawl.stoppedReason = 'no_more_pages';
+      }
+    }
+
+    const listingUrls = links.slice(0, maxListings);
+    crawl.listingsFound = links.length;
+
+    const listingIds = [];
+    for (const listingUrl of listingUrls) {
+      if (crawl.creditsUsed >= creditLimit) {
+        crawl.stoppedReason = 'quota';
+        break;
+      }
+
+      try {
+        const pageData = await fetchPage(listingUrl, 'listing_page', { forceRefresh });
+        const listingData = extractListingPage(pageData, platform);
+
+        if (!listingData) {
+          crawl.failedListings += 1;
+          continue;
+        }
+
+        const listing = await saveListing(seller, listingUrl, listingData);
+        listingIds.push(listing._id);
+        crawl.listingsSaved += 1;
+      } catch (error) {
+        console.error(`Listing page crawl error (${listingUrl}):`, error.message);
+        crawl.failedListings += 1;
+      }
+    }
+
+    if (listingIds.length > 0) {
+      await Seller.updateOne({ _id: seller._id }, { $addToSet: { listingHistory: { $each: listingIds } } });
+    }
+
+    crawl.complete = crawl.stoppedReason === 'no_more_pages';
+
+    // Only a crawl that saw the whole storefront can tell that a listing is gone
+    if (crawl.complete) {
+      await Listing.updateMany(
+        { sellerId: seller._id, isActive: true, listingUrl: { $nin: listingUrls } },
+        { $set: { isActive: false } }
+      );
+    }
+  } catch (error) {
+    console.error('Storefront crawl error:', error);
+    crawl.complete = false;
+    crawl.stoppedReason = crawl.stoppedReason || 'scrape_failed';
+  }
+
+  return crawl;
+}
+
+// Fresh scrapes the caller may still spend today; quota-exempt callers are not capped
+async function getCreditLimit(usage) {
+  if (!isScrapeQuotaEnabled() || !usage.tier) {
+    return Infinity;
+  }
+
+  const { remaining } = await getQuotaStatus(usage);
+  return remaining === null ? Infinity : remaining;
+}
+
+async function saveListing(seller, listingUrl, listingData) {
+  const now = new Date();
+  const listing =
+    (await Listing.findOne({ listingUrl })) ||
+    new Listing({ sellerId: seller._id, platform: seller.platform, listingUrl, listingDate: now });
+
+  listing.set({
+    sellerId: seller._id,
+    platformListingId: getPlatformListingId(listingUrl),
+    'listingData.title': listingData.title.slice(0, 200),
+    'listingData.description': listingData.description.slice(0, 2000),
+    'listingData.price': listingData.price,
+    'listingData.currency': listingData.currency,
+    'listingData.category': listingData.category || 'Uncategorized',
+    'listingData.condition': listingData.condition,
+    'listingData.images': listingData.images,
+    lastSeen: now,
+    isActive: true
+  });
+  listing.detectUrgencyKeywords();
+  await applyListingPriceAnalysis(listing);
+
+  return listing.save();
+}
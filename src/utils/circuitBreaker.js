@@ -0,0 +1,133 @@
+/**
+ * Circuit breaker for calls to an external provider.
+ *
+ * closed    - calls go through; consecutive failures are counted
+ * open      - calls fail fast with CircuitOpenError until resetTimeoutMs has passed
+ * half_open - one trial call is let through; success closes the circuit, failure re-opens it
+ */
+export class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`${name} circuit is open; retry after ${retryAt.toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.statusCode = 503;
+    this.retryAt = retryAt;
+  }
+}
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - { name, failureThreshold, resetTimeoutMs }
+   */
+  constructor({ name, failureThreshold = 5, resetTimeoutMs = 60000 }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastFailure = null;
+    this.stats = { calls: 0, successes: 0, failures: 0, rejected: 0 };
+  }
+
+  /**
+   * Run fn through the breaker.
+   * @param {Function} fn - async () => result
+   * @param {Object} options - { isFailure(error) } decides whether an error counts against
+   *   the provider (defaults to every error); errors that do not count are still thrown
+   */
+  async execute(fn, { isFailure = () => true } = {}) {
+    this.refreshState();
+
+    if (this.state === 'open' || (this.state === 'half_open' && this.trialInFlight)) {
+      this.stats.rejected += 1;
+      throw new CircuitOpenError(this.name, this.getRetryAt());
+    }
+
+    const isTrial = this.state === 'half_open';
+    if (isTrial) {
+      this.trialInFlight = true;
+    }
+
+    this.stats.calls += 1;
+
+    try {
+      const result = await fn();
+      this.stats.successes += 1;
+      this.onSuccess(isTrial);
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        this.onFailure(error);
+      } else {
+        // The provider answered (e.g. a 400 for a bad URL), so it is healthy
+        this.onSuccess(isTrial);
+      }
+      throw error;
+    } finally {
+      if (isTrial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  // Only the half-open trial may close a circuit that is not closed; a call that started
+  // before the circuit opened and succeeds late says nothing about the provider now
+  onSuccess(isTrial) {
+    if (isTrial || this.state === 'closed') {
+      this.close();
+    }
+  }
+
+  close() {
+    this.consecutiveFailures = 0;
+    this.state = 'closed';
+    this.openedAt = null;
+  }
+
+  onFailure(error) {
+    this.stats.failures += 1;
+    this.consecutiveFailures += 1;
+    this.lastFailure = { message: error.message, at: new Date() };
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`${this.name} circuit opened after ${this.consecutiveFailures} consecutive failures`);
+      }
+      this.state = 'open';
+      this.openedAt = new Date();
+    }
+  }
+
+  // Move an open circuit to half_open once its reset timeout has passed
+  refreshState() {
+    if (this.state === 'open' && Date.now() - this.openedAt.getTime() >= this.resetTimeoutMs) {
+      this.state = 'half_open';
+    }
+  }
+
+  getRetryAt() {
+    return this.openedAt ? new Date(this.openedAt.getTime() + this.resetTimeoutMs) : new Date();
+  }
+
+  reset() {
+    this.close();
+    this.trialInFlight = false;
+  }
+
+  getState() {
+    this.refreshState();
+
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt,
+      retryAt: this.state === 'open' ? this.getRetryAt() : null,
+      lastFailure: this.lastFailure,
+      stats: { ...this.stats }
+    };
+  }
+}
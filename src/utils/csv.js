@@ -0,0 +1,85 @@
+/**
+ * Minimal RFC 4180 CSV helpers (quoted fields, escaped quotes, CRLF/LF line endings)
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings). Blank lines are skipped.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(field);
+    if (row.some(value => value.trim() !== '')) {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Keep spreadsheet apps from evaluating cell content as a formula
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize objects to CSV using the given columns ([{ key, header }])
+ */
+export function toCsv(records, columns) {
+  const lines = [columns.map(column => escapeCsvValue(column.header || column.key)).join(',')];
+
+  records.forEach(record => {
+    lines.push(columns.map(column => escapeCsvValue(record[column.key])).join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+}
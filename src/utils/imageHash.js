@@ -0,0 +1,88 @@
+import sharp from 'sharp';
+
+/**
+ * Perceptual image hashing (difference hash).
+ * The image is shrunk to 9x8 grayscale and each bit records whether a pixel is brighter
+ * than its right neighbour, so re-encoded, resized or lightly edited copies of a photo
+ * hash within a few bits of each other.
+ */
+
+const HASH_WIDTH = 8;
+const HASH_HEIGHT = 8;
+const BAND_COUNT = 4;
+const BAND_BITS = 16;
+
+/**
+ * @param {Buffer} buffer - Encoded image (JPEG, PNG, WebP, GIF, ...)
+ * @returns {Promise<String>} 64-bit hash as 16 hex characters
+ */
+export async function computeDifferenceHash(buffer) {
+  const { data, info } = await sharp(buffer, { failOn: 'none' })
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .grayscale()
+    .resize(HASH_WIDTH + 1, HASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixel = (x, y) => data[(y * (HASH_WIDTH + 1) + x) * info.channels];
+
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y += 1) {
+    for (let x = 0; x < HASH_WIDTH; x += 1) {
+      hash = (hash << 1n) | (pixel(x, y) > pixel(x + 1, y) ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two hex hashes
+ */
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+
+  return distance;
+}
+
+/**
+ * The hash split into BAND_COUNT 16-bit bands ("2:a7f3"), as stored for lookups
+ */
+export function getHashBands(hash) {
+  const bandLength = hash.length / BAND_COUNT;
+  return Array.from({ length: BAND_COUNT }, (_, index) => `${index}:${hash.slice(index * bandLength, (index + 1) * bandLength)}`);
+}
+
+/**
+ * Band values to look up for candidate matches: each band of the hash and every value one
+ * bit away from it. Hashes within 2 * BAND_COUNT - 1 bits of each other differ by at most one
+ * bit in at least one band, so they are always found.
+ */
+export function getHashBandProbes(hash) {
+  const bandLength = hash.length / BAND_COUNT;
+
+  return getHashBands(hash).flatMap(band => {
+    const [index, value] = band.split(':');
+    const bits = parseInt(value, 16);
+    const flipped = Array.from({ length: BAND_BITS }, (_, bit) =>
+      `${index}:${(bits ^ (1 << bit)).toString(16).padStart(bandLength, '0')}`
+    );
+    return [band, ...flipped];
+  });
+}
+
+/**
+ * Flat or near-flat images (blank placeholders, solid backgrounds) have almost no set
+ * or unset bits and match each other regardless of content
+ */
+export function isLowDetailHash(hash, minBits = 6) {
+  const setBits = hammingDistance(hash, '0'.repeat(hash.length));
+  return setBits < minBits || setBits > hash.length * 4 - minBits;
+}
@@ -49,6 +49,16 @@ export function generateAnalysisRecommendations(seller) {
     });
   }
 
+  const imageMatches = seller.imageAnalysis?.matches || [];
+  if (imageMatches.length > 0) {
+    const matchedSellers = new Set(imageMatches.map(match => String(match.matchedSellerId))).size;
+    recommendations.push({
+      type: 'warning',
+      message: `${imageMatches.length} image(s) closely match photos used by ${matchedSellers} other seller(s)`,
+      action: 'Ask for original photos of the item'
+    });
+  }
+
   if (seller.verificationStatus === 'unverified') {
     recommendations.push({
       type: 'warning',